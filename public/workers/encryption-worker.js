@@ -39,42 +39,133 @@ const generateCacheKey = (data, recipients) => {
   }
 };
 
-// Mock encryption functions (in production, these would use the Web Crypto API)
-const encryptData = (data, key) => {
+// Imported CryptoKeys, keyed by their JWK string, so repeated recipients
+// don't pay the RSA import cost on every message
+const importedKeys = new Map();
+const MAX_IMPORTED_KEYS = 200;
+
+/**
+ * Base64 helpers
+ *
+ * Ciphertext, IVs and wrapped keys are exchanged as base64 strings, exactly
+ * like encryptionService, so payloads are interchangeable with the main thread.
+ */
+const bytesToBase64 = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+};
+
+const base64ToBytes = (base64) => {
+  return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+};
+
+/**
+ * Import an RSA-OAEP key from its JWK string representation
+ */
+const importRsaKey = async (jwkString, usage) => {
+  // Keys from the key vault arrive as (non-extractable) CryptoKeys already
+  if (jwkString instanceof CryptoKey) {
+    return jwkString;
+  }
+  
+  const cacheKey = `${usage}:${jwkString}`;
+  if (importedKeys.has(cacheKey)) {
+    return importedKeys.get(cacheKey);
+  }
+  
+  const jwk = typeof jwkString === 'string' ? JSON.parse(jwkString) : jwkString;
+  const key = await crypto.subtle.importKey(
+    'jwk',
+    jwk,
+    {
+      name: 'RSA-OAEP',
+      hash: 'SHA-256'
+    },
+    false,
+    [usage]
+  );
+  
+  importedKeys.set(cacheKey, key);
+  if (importedKeys.size > MAX_IMPORTED_KEYS) {
+    const oldestKey = importedKeys.keys().next().value;
+    importedKeys.delete(oldestKey);
+  }
+  
+  return key;
+};
+
+/**
+ * Encrypt data with a fresh AES-GCM key
+ */
+const encryptData = async (data) => {
   // Convert data to string if it's an object
   const dataStr = typeof data === 'object' ? JSON.stringify(data) : String(data);
   
-  // In a real implementation, this would use the Web Crypto API
-  // This is a simplified mock that simulates encryption
-  const encoded = new TextEncoder().encode(dataStr);
-  const encrypted = new Uint8Array(encoded.length);
+  const messageKey = await crypto.subtle.generateKey(
+    {
+      name: 'AES-GCM',
+      length: 256
+    },
+    true,
+    ['encrypt', 'decrypt']
+  );
   
-  // Simple XOR encryption (for demonstration only - NOT secure)
-  for (let i = 0; i < encoded.length; i++) {
-    encrypted[i] = encoded[i] ^ key.charCodeAt(i % key.length);
-  }
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const encryptedBuffer = await crypto.subtle.encrypt(
+    {
+      name: 'AES-GCM',
+      iv
+    },
+    messageKey,
+    new TextEncoder().encode(dataStr)
+  );
   
   return {
-    encryptedData: Array.from(encrypted),
-    iv: crypto.getRandomValues(new Uint8Array(16))
+    messageKey,
+    encryptedMessage: bytesToBase64(encryptedBuffer),
+    iv: bytesToBase64(iv)
   };
 };
 
-const decryptData = (encryptedData, key, iv) => {
-  // In a real implementation, this would use the Web Crypto API
-  // This is a simplified mock that simulates decryption
-  const encrypted = new Uint8Array(encryptedData);
-  const decrypted = new Uint8Array(encrypted.length);
+/**
+ * Decrypt AES-GCM data with a raw message key
+ */
+const decryptData = async (encryptedMessage, rawKey, iv) => {
+  const messageKey = await crypto.subtle.importKey(
+    'raw',
+    rawKey,
+    {
+      name: 'AES-GCM',
+      length: 256
+    },
+    false,
+    ['decrypt']
+  );
   
-  // Simple XOR decryption (for demonstration only - NOT secure)
-  for (let i = 0; i < encrypted.length; i++) {
-    decrypted[i] = encrypted[i] ^ key.charCodeAt(i % key.length);
-  }
+  const decryptedBuffer = await crypto.subtle.decrypt(
+    {
+      name: 'AES-GCM',
+      iv: base64ToBytes(iv)
+    },
+    messageKey,
+    base64ToBytes(encryptedMessage)
+  );
   
-  return new TextDecoder().decode(decrypted);
+  return new TextDecoder().decode(decryptedBuffer);
 };
 
-const encryptGroupMessage = (message, recipients, useCache = true) => {
+/**
+ * Encrypt a message for a group of recipients
+ *
+ * Produces the same envelope as encryptionService.encryptGroupMessage:
+ * an AES-GCM ciphertext plus the message key wrapped with each
+ * recipient's RSA-OAEP public key.
+ */
+const encryptGroupMessage = async (message, recipients, useCache = true) => {
   metrics.totalOperations++;
   const startTime = performance.now();
   
@@ -97,24 +188,33 @@ const encryptGroupMessage = (message, recipients, useCache = true) => {
       metrics.cacheMisses++;
     }
     
-    // Generate a random symmetric key
-    const symmetricKey = Math.random().toString(36).substring(2, 10);
-    
-    // Encrypt the message with the symmetric key
-    const { encryptedData, iv } = encryptData(message, symmetricKey);
+    // Encrypt the message with a fresh symmetric key
+    const { messageKey, encryptedMessage, iv } = await encryptData(message);
+    const rawKey = await crypto.subtle.exportKey('raw', messageKey);
     
-    // Encrypt the symmetric key for each recipient
+    // Wrap the symmetric key for each recipient
     const recipientKeys = {};
-    recipients.forEach(recipient => {
-      // In a real implementation, we would encrypt the symmetric key
-      // with each recipient's public key
-      const publicKey = recipient.publicKey || recipient;
-      recipientKeys[recipient.userId || recipient] = encryptData(symmetricKey, publicKey).encryptedData;
-    });
+    for (const recipient of recipients) {
+      if (!recipient || !recipient.publicKey) {
+        throw new Error(`Missing public key for recipient ${recipient?.userId}`);
+      }
+      
+      const publicKey = await importRsaKey(recipient.publicKey, 'encrypt');
+      const encryptedKey = await crypto.subtle.encrypt(
+        {
+          name: 'RSA-OAEP'
+        },
+        publicKey,
+        rawKey
+      );
+      // One entry per device when the recipient has registered devices
+      const keyId = recipient.deviceId ? `${recipient.userId}:${recipient.deviceId}` : recipient.userId;
+      recipientKeys[keyId] = bytesToBase64(encryptedKey);
+    }
     
     const result = {
-      encryptedMessage: encryptedData,
-      iv: Array.from(iv),
+      encryptedMessage,
+      iv,
       recipientKeys
     };
     
@@ -156,16 +256,30 @@ const encryptGroupMessage = (message, recipients, useCache = true) => {
   }
 };
 
-const decryptMessage = (encryptedMessage, iv, encryptedKey, privateKey) => {
+/**
+ * Decrypt a message using the recipient's wrapped key and RSA private key
+ */
+const decryptMessage = async (encryptedMessage, iv, encryptedKey, privateKey) => {
   metrics.totalOperations++;
   const startTime = performance.now();
   
   try {
-    // Decrypt the symmetric key using the private key
-    const symmetricKey = decryptData(encryptedKey, privateKey);
+    if (!encryptedKey || !privateKey) {
+      throw new Error('Missing encrypted key or private key');
+    }
+    
+    // Unwrap the symmetric key using the private key
+    const rsaKey = await importRsaKey(privateKey, 'decrypt');
+    const rawKey = await crypto.subtle.decrypt(
+      {
+        name: 'RSA-OAEP'
+      },
+      rsaKey,
+      base64ToBytes(encryptedKey)
+    );
     
     // Decrypt the message using the symmetric key
-    const decryptedMessage = decryptData(encryptedMessage, symmetricKey, iv);
+    const decryptedMessage = await decryptData(encryptedMessage, rawKey, iv);
     
     // Calculate and store decryption time
     const endTime = performance.now();
@@ -184,7 +298,7 @@ const decryptMessage = (encryptedMessage, iv, encryptedKey, privateKey) => {
   } catch (error) {
     const endTime = performance.now();
     return { 
-      error: error.message,
+      error: error.message || 'Failed to decrypt message',
       processingTime: endTime - startTime
     };
   }
@@ -225,6 +339,7 @@ const getMetrics = () => {
  */
 const clearCache = () => {
   encryptionCache.clear();
+  importedKeys.clear();
   return { success: true, message: 'Cache cleared' };
 };
 
@@ -244,7 +359,7 @@ const resetMetrics = () => {
 /**
  * Handle messages from the main thread
  */
-self.onmessage = (e) => {
+self.onmessage = async (e) => {
   const { action, data } = e.data;
   const taskId = data?.callbackId;
   const timestamp = data?.timestamp || Date.now();
@@ -252,8 +367,12 @@ self.onmessage = (e) => {
   try {
     switch (action) {
       case 'encrypt':
-        // Encrypt data for a group of recipients
-        const encryptedResult = encryptGroupMessage(data.message, data.recipients);
+        // Encrypt data for a group of recipients. Message ciphertext is never
+        // cached: identical plaintexts must not produce identical payloads.
+        const encryptedResult = await encryptGroupMessage(data.message, data.recipients, false);
+        if (encryptedResult.error) {
+          throw new Error(encryptedResult.error);
+        }
         self.postMessage({ 
           action: 'encrypt_result', 
           encryptedData: {
@@ -267,12 +386,15 @@ self.onmessage = (e) => {
         
       case 'decrypt':
         // Decrypt data using the user's private key
-        const decryptedResult = decryptMessage(
+        const decryptedResult = await decryptMessage(
           data.encryptedMessage,
           data.iv,
           data.encryptedKey,
           data.privateKey
         );
+        if (decryptedResult.error) {
+          throw new Error(decryptedResult.error);
+        }
         self.postMessage({ 
           action: 'decrypt_result', 
           decryptedData: {
@@ -285,9 +407,13 @@ self.onmessage = (e) => {
         break;
         
       case 'encrypt_presence':
-        // Encrypt presence data (typing indicators, read receipts, etc.)
-        // Use aggressive caching for presence data
-        const encryptedPresence = encryptGroupMessage(data.presenceData, data.recipients, true);
+        // Encrypt presence data (typing indicators, read receipts, etc.).
+        // Not cached either: a repeated payload would show the server that
+        // the same status was sent again.
+        const encryptedPresence = await encryptGroupMessage(data.presenceData, data.recipients, false);
+        if (encryptedPresence.error) {
+          throw new Error(encryptedPresence.error);
+        }
         self.postMessage({ 
           action: 'encrypt_presence_result', 
           encryptedData: {
@@ -302,12 +428,15 @@ self.onmessage = (e) => {
         
       case 'decrypt_presence':
         // Decrypt presence data
-        const decryptedPresence = decryptMessage(
+        const decryptedPresence = await decryptMessage(
           data.encryptedData,
           data.iv,
           data.encryptedKey,
           data.privateKey
         );
+        if (decryptedPresence.error) {
+          throw new Error(decryptedPresence.error);
+        }
         self.postMessage({ 
           action: 'decrypt_presence_result', 
           decryptedData: {
@@ -329,12 +458,12 @@ self.onmessage = (e) => {
           }
         }
         
-        // Batch encrypt multiple presence updates
+        // Batch encrypt multiple presence updates, uncached like single ones
         const startBatchTime = performance.now();
-        const batchResults = data.batch.map(item => ({
+        const batchResults = await Promise.all(data.batch.map(async item => ({
           id: item.id,
-          result: encryptGroupMessage(item.data, data.recipients, true)
-        }));
+          result: await encryptGroupMessage(item.data, data.recipients, false)
+        })));
         const endBatchTime = performance.now();
         
         self.postMessage({ 
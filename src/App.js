@@ -18,6 +18,7 @@ import LoadingScreen from './components/common/LoadingScreen';
 import Settings from './pages/Settings';
 import PerformanceSettings from './pages/PerformanceSettings';
 import NotificationSettingsPage from './pages/NotificationSettingsPage';
+import SecuritySettingsPage from './pages/SecuritySettingsPage';
 import DebugPage from './pages/DebugPage';
 
 // Create a client for React Query
@@ -68,6 +69,7 @@ function App() {
                 <Route path="contacts/add" element={<AddContact />} />
                 <Route path="settings" element={<Settings />} />
                 <Route path="settings/notifications" element={<NotificationSettingsPage />} />
+                <Route path="settings/security" element={<SecuritySettingsPage />} />
                 <Route path="performance-settings" element={<PerformanceSettings />} />
                 <Route path="profile" element={<LoadingScreen message="Profile page coming soon" />} />
               </Route>
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import PropTypes from 'prop-types';
 import { 
   Box, 
@@ -9,7 +9,8 @@ import {
   CircularProgress,
   Tooltip,
   Paper,
-  LinearProgress
+  LinearProgress,
+  Button
 } from '@mui/material';
 import {
   Download as DownloadIcon,
@@ -21,11 +22,26 @@ import {
   AudioFile as AudioIcon,
   PictureAsPdf as PdfIcon,
   Code as CodeIcon,
-  Description as TextIcon
+  Description as TextIcon,
+  PlayArrow as PlayIcon,
+  Pause as PauseIcon,
+  LooksOneOutlined as ViewOnceIcon
 } from '@mui/icons-material';
 import { styled } from '@mui/system';
 import { useMedia } from '../context/MediaContext';
 import mediaService from '../services/mediaService';
+import {
+  WAVEFORM_BARS,
+  decodeWaveform,
+  formatDuration,
+  isWebAudioSupported,
+  parseWaveform
+} from '../utils/waveformUtils';
+
+// Playback speeds the player cycles through
+const PLAYBACK_RATES = [1, 1.5, 2];
+// How far the arrow keys move the playback position, in seconds
+const SEEK_STEP = 5;
 
 // Styled components
 const MediaContainer = styled(Box)(({ theme, fullWidth, maxHeight }) => ({
@@ -66,12 +82,6 @@ const MediaVideo = styled('video')(({ maxHeight }) => ({
   display: 'block',
 }));
 
-const MediaAudio = styled('audio')({
-  width: '100%',
-  display: 'block',
-  marginTop: '8px',
-});
-
 const DocumentPreview = styled(Paper)(({ theme }) => ({
   display: 'flex',
   alignItems: 'center',
@@ -119,6 +129,26 @@ const CloseButton = styled(IconButton)(({ theme }) => ({
   zIndex: 2,
 }));
 
+const DecryptingContainer = styled(Box)(({ theme }) => ({
+  position: 'relative',
+  display: 'flex',
+  alignItems: 'center',
+  justifyContent: 'center',
+  backgroundColor: theme.palette.grey[100],
+  borderRadius: theme.shape.borderRadius,
+  width: '100%',
+  minHeight: '150px',
+  overflow: 'hidden',
+}));
+
+const ViewOnceButton = styled(Button)(({ theme }) => ({
+  justifyContent: 'flex-start',
+  textTransform: 'none',
+  color: 'inherit',
+  borderColor: 'currentColor',
+  padding: theme.spacing(1, 2),
+}));
+
 const ErrorContainer = styled(Box)(({ theme }) => ({
   display: 'flex',
   flexDirection: 'column',
@@ -163,6 +193,322 @@ const getFileIcon = (mimeType) => {
   return <FileIcon fontSize="large" />;
 };
 
+/**
+ * Get the URL to show media from
+ * 
+ * Encrypted media is downloaded and decrypted first, and only once enabled,
+ * so large files aren't fetched before they are wanted.
+ * 
+ * @param {Object} media - Media, with its `encryption` if it is encrypted
+ * @param {string} variant - 'file', or 'thumbnail'
+ * @param {boolean} enabled - Whether encrypted media should be decrypted yet
+ * @returns {Object} { url, loading, error }, with no url until it can be shown
+ */
+export const useDecryptedMedia = (media, variant = 'file', enabled = true) => {
+  const id = media?.id;
+  const mimeType = media?.mimeType;
+  const encryption = media?.encryption;
+  const [decrypted, setDecrypted] = useState({ url: null, loading: false, error: null });
+
+  useEffect(() => {
+    if (!encryption || !enabled) {
+      setDecrypted({ url: null, loading: false, error: null });
+      return;
+    }
+
+    let cancelled = false;
+    setDecrypted({ url: null, loading: true, error: null });
+    mediaService.getDecryptedUrl({ id, mimeType, encryption }, variant)
+      .then(url => {
+        if (!cancelled) setDecrypted({ url, loading: false, error: null });
+      })
+      .catch(error => {
+        console.error('Error decrypting media:', error);
+        if (!cancelled) setDecrypted({ url: null, loading: false, error });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [id, mimeType, encryption, variant, enabled]);
+
+  if (!media || encryption) {
+    return decrypted;
+  }
+
+  return {
+    url: variant === 'thumbnail' ? mediaService.getMediaThumbnailUrl(id) : mediaService.getMediaUrl(id),
+    loading: false,
+    error: null
+  };
+};
+
+/**
+ * WaveformPlayer Component
+ * 
+ * Plays audio drawn as a waveform that shows and sets the playback position,
+ * with a playback speed toggle. Voice messages bring their waveform; for
+ * other audio it is computed from the audio itself.
+ * 
+ * @param {Object} props - Component props
+ * @param {string} props.src - Audio URL
+ * @param {Array<number>|string} props.waveform - Levels sent with the audio (optional)
+ * @param {number} props.duration - Duration in seconds, if known (optional)
+ * @param {Function} props.onError - Called when the audio can't be played (optional)
+ */
+export const WaveformPlayer = ({ src, waveform = null, duration = null, onError }) => {
+  const audioRef = useRef(null);
+  const sentLevels = useMemo(() => parseWaveform(waveform), [waveform]);
+  const [decodedLevels, setDecodedLevels] = useState(null);
+  const [playing, setPlaying] = useState(false);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [totalTime, setTotalTime] = useState(Number(duration) || 0);
+  const [rate, setRate] = useState(PLAYBACK_RATES[0]);
+
+  // Draw other audio from its decoded samples
+  useEffect(() => {
+    setDecodedLevels(null);
+    if (sentLevels || !src || !isWebAudioSupported()) return;
+
+    let cancelled = false;
+    fetch(src, { credentials: 'include' })
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.arrayBuffer();
+      })
+      .then(data => decodeWaveform(data))
+      .then(result => {
+        if (cancelled) return;
+        setDecodedLevels(result.waveform);
+        setTotalTime(prev => prev || result.duration);
+      })
+      .catch(error => console.warn('Could not draw waveform:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [src, sentLevels]);
+
+  const levels = sentLevels || decodedLevels || new Array(WAVEFORM_BARS).fill(0);
+  const progress = totalTime > 0 ? Math.min(1, currentTime / totalTime) : 0;
+
+  const togglePlay = (e) => {
+    e.stopPropagation();
+    const audio = audioRef.current;
+    if (!audio) return;
+
+    if (audio.paused) {
+      audio.play().catch(error => {
+        console.error('Error playing audio:', error);
+        onError?.(error);
+      });
+    } else {
+      audio.pause();
+    }
+  };
+
+  const seekTo = (time) => {
+    const audio = audioRef.current;
+    if (!audio || !(totalTime > 0)) return;
+
+    audio.currentTime = Math.min(totalTime, Math.max(0, time));
+    setCurrentTime(audio.currentTime);
+  };
+
+  const handleWaveformClick = (e) => {
+    e.stopPropagation();
+    const rect = e.currentTarget.getBoundingClientRect();
+    seekTo(((e.clientX - rect.left) / rect.width) * totalTime);
+  };
+
+  const handleWaveformKeyDown = (e) => {
+    if (e.key === 'ArrowRight' || e.key === 'ArrowLeft') {
+      e.preventDefault();
+      seekTo(currentTime + (e.key === 'ArrowRight' ? SEEK_STEP : -SEEK_STEP));
+    }
+  };
+
+  const cycleRate = (e) => {
+    e.stopPropagation();
+    const next = PLAYBACK_RATES[(PLAYBACK_RATES.indexOf(rate) + 1) % PLAYBACK_RATES.length];
+    setRate(next);
+    if (audioRef.current) {
+      audioRef.current.playbackRate = next;
+    }
+  };
+
+  const handleLoadedMetadata = (e) => {
+    // Recorded webm audio reports an infinite duration, so a known one wins
+    if (Number.isFinite(e.currentTarget.duration)) {
+      setTotalTime(prev => prev || e.currentTarget.duration);
+    }
+    e.currentTarget.playbackRate = rate;
+  };
+
+  const handleEnded = () => {
+    setPlaying(false);
+    setCurrentTime(0);
+  };
+
+  return (
+    <Box display="flex" alignItems="center" gap={1} sx={{ minWidth: 220 }}>
+      <IconButton size="small" color="inherit" onClick={togglePlay} aria-label={playing ? 'Pause' : 'Play'}>
+        {playing ? <PauseIcon /> : <PlayIcon />}
+      </IconButton>
+      <Box
+        role="slider"
+        tabIndex={0}
+        aria-label="Playback position"
+        aria-valuemin={0}
+        aria-valuemax={Math.round(totalTime)}
+        aria-valuenow={Math.round(currentTime)}
+        onClick={handleWaveformClick}
+        onKeyDown={handleWaveformKeyDown}
+        sx={{ display: 'flex', alignItems: 'center', gap: '2px', height: 32, flexGrow: 1, cursor: 'pointer' }}
+      >
+        {levels.map((level, index) => (
+          <Box
+            key={index}
+            sx={{
+              flex: 1,
+              minWidth: 2,
+              height: `${Math.max(10, level * 100)}%`,
+              borderRadius: 1,
+              bgcolor: 'currentColor',
+              opacity: (index + 0.5) / levels.length <= progress ? 1 : 0.35
+            }}
+          />
+        ))}
+      </Box>
+      <Typography variant="caption" sx={{ minWidth: 32, textAlign: 'right' }}>
+        {formatDuration(playing || currentTime > 0 ? currentTime : totalTime)}
+      </Typography>
+      <Button
+        size="small"
+        color="inherit"
+        onClick={cycleRate}
+        sx={{ minWidth: 40, px: 0.5, textTransform: 'none' }}
+      >
+        {rate}×
+      </Button>
+      <audio
+        ref={audioRef}
+        src={src}
+        preload="metadata"
+        onLoadedMetadata={handleLoadedMetadata}
+        onTimeUpdate={(e) => setCurrentTime(e.currentTarget.currentTime)}
+        onPlay={() => setPlaying(true)}
+        onPause={() => setPlaying(false)}
+        onEnded={handleEnded}
+        onError={onError}
+        hidden
+      />
+    </Box>
+  );
+};
+
+/**
+ * ViewOnceMedia Component
+ * 
+ * Media that may only be opened once. Recipients open it in a full-screen
+ * viewer without download controls; the key is dropped as it opens, so once
+ * the viewer is closed it can't be shown again. Senders see whether it was
+ * opened.
+ * 
+ * @param {Object} props - Component props
+ * @param {Object} props.media - View-once media
+ * @param {boolean} props.isOwn - Whether the current user sent it
+ * @param {Function} props.onOpen - Opens the media for good; resolves to the media with its key, or null
+ */
+export const ViewOnceMedia = ({ media, isOwn = false, onOpen }) => {
+  const [viewing, setViewing] = useState(null);
+  const [opening, setOpening] = useState(false);
+  const file = useDecryptedMedia(viewing, 'file', Boolean(viewing));
+  const kind = media.mediaType === 'video' ? 'video' : 'photo';
+  const openedBy = media.openedBy || [];
+
+  const handleOpen = async () => {
+    setOpening(true);
+    try {
+      const opened = await onOpen();
+      if (opened) {
+        setViewing(opened);
+      }
+    } catch (error) {
+      console.error('Error opening view-once media:', error);
+    } finally {
+      setOpening(false);
+    }
+  };
+
+  const handleClose = () => {
+    mediaService.forgetDecryptedMedia(viewing);
+    setViewing(null);
+  };
+
+  // Nothing in the viewer offers to save what is shown
+  const preventSaving = (e) => e.preventDefault();
+
+  const renderLabel = () => {
+    if (isOwn) {
+      return openedBy.length > 0 ? 'Opened' : `View once ${kind}`;
+    }
+    return media.opened ? 'Opened' : `Tap to view ${kind} once`;
+  };
+
+  return (
+    <>
+      <ViewOnceButton
+        variant="outlined"
+        startIcon={opening ? <CircularProgress size={20} color="inherit" /> : <ViewOnceIcon />}
+        onClick={handleOpen}
+        disabled={isOwn || media.opened || opening || !onOpen}
+      >
+        {renderLabel()}
+      </ViewOnceButton>
+
+      <Dialog
+        open={Boolean(viewing)}
+        onClose={handleClose}
+        fullScreen
+        PaperProps={{ sx: { backgroundColor: 'black' } }}
+      >
+        <DialogContent
+          onContextMenu={preventSaving}
+          sx={{ position: 'relative', padding: 0, display: 'flex', justifyContent: 'center', alignItems: 'center' }}
+        >
+          <CloseButton onClick={handleClose} aria-label="Close">
+            <CloseIcon />
+          </CloseButton>
+
+          {file.error ? (
+            <Typography color="error">Failed to load media</Typography>
+          ) : !file.url ? (
+            <CircularProgress sx={{ color: 'white' }} />
+          ) : kind === 'video' ? (
+            <video
+              src={file.url}
+              controls
+              autoPlay
+              controlsList="nodownload"
+              disablePictureInPicture
+              style={{ maxWidth: '100%', maxHeight: '100vh' }}
+            />
+          ) : (
+            <img
+              src={file.url}
+              alt="View once"
+              draggable={false}
+              onDragStart={preventSaving}
+              style={{ maxWidth: '100%', maxHeight: '100vh', objectFit: 'contain', userSelect: 'none' }}
+            />
+          )}
+        </DialogContent>
+      </Dialog>
+    </>
+  );
+};
+
 /**
  * MediaDisplay Component
  * 
@@ -173,31 +519,58 @@ const MediaDisplay = ({
   inMessage = false, 
   onClick, 
   fullWidth = false, 
-  maxHeight = null 
+  maxHeight = null,
+  isOwn = false,
+  onViewOnceOpen
 }) => {
   const [fullscreen, setFullscreen] = useState(false);
   const [loading, setLoading] = useState(false);
   const [loadError, setLoadError] = useState(false);
+  const [videoRequested, setVideoRequested] = useState(false);
   const { downloadMedia } = useMedia();
 
+  // Encrypted videos are only downloaded once played, and full size images
+  // once opened, when there is a thumbnail to show until then; view-once
+  // media only in its own viewer
+  const viewOnce = media?.viewOnce === true;
+  const encrypted = Boolean(media?.encryption) && !viewOnce;
+  const hasThumbnail = Boolean(media?.encryption?.thumbnail);
+  const kind = media?.mediaType || media?.mimeType?.split('/')[0];
+  const thumbnail = useDecryptedMedia(media, 'thumbnail', hasThumbnail && !viewOnce);
+  const file = useDecryptedMedia(media, 'file', encrypted && (
+    kind === 'audio' ||
+    (kind === 'image' && (fullscreen || !hasThumbnail)) ||
+    (kind === 'video' && videoRequested)
+  ));
+
   useEffect(() => {
     // Reset error state when media changes
     setLoadError(false);
+    setVideoRequested(false);
   }, [media]);
 
   if (!media) return null;
 
+  if (viewOnce) {
+    return <ViewOnceMedia media={media} isOwn={isOwn} onOpen={onViewOnceOpen} />;
+  }
+
   const { id, mediaType, mimeType, filename, originalFilename, size } = media;
-  const mediaUrl = mediaService.getMediaUrl(id);
-  const thumbnailUrl = mediaService.getMediaThumbnailUrl(id);
+  const mediaUrl = file.url;
+  const thumbnailUrl = thumbnail.url;
   const displayName = originalFilename || filename || 'File';
+  const failed = loadError || Boolean(file.error || thumbnail.error);
   
-  const handleDownload = (e) => {
+  const handleDownload = async (e) => {
     if (e) e.stopPropagation();
     setLoading(true);
     
     try {
-      downloadMedia(id, displayName);
+      if (encrypted) {
+        await mediaService.downloadDecryptedMedia(media, displayName);
+      } else {
+        downloadMedia(id, displayName);
+      }
     } catch (error) {
       console.error('Error downloading file:', error);
     } finally {
@@ -227,7 +600,7 @@ const MediaDisplay = ({
   const renderMediaContent = () => {
     const type = getMediaType();
     
-    if (loadError) {
+    if (failed) {
       return (
         <ErrorContainer>
           <Typography color="error" gutterBottom>
@@ -252,6 +625,14 @@ const MediaDisplay = ({
     }
     
     if (type === 'image' || mimeType?.startsWith('image/')) {
+      if (!thumbnailUrl && !mediaUrl) {
+        return (
+          <DecryptingContainer>
+            <CircularProgress size={32} />
+          </DecryptingContainer>
+        );
+      }
+      
       return (
         <MediaImage 
           src={thumbnailUrl || mediaUrl} 
@@ -263,10 +644,37 @@ const MediaDisplay = ({
         />
       );
     } else if (type === 'video' || mimeType?.startsWith('video/')) {
+      if (encrypted && !mediaUrl) {
+        return (
+          <DecryptingContainer>
+            {thumbnailUrl && (
+              <MediaImage src={thumbnailUrl} alt={displayName} maxHeight={maxHeight} />
+            )}
+            <Box position="absolute">
+              {videoRequested ? (
+                <CircularProgress size={32} />
+              ) : (
+                <IconButton
+                  aria-label="Play video"
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    setVideoRequested(true);
+                  }}
+                  sx={{ backgroundColor: 'rgba(0, 0, 0, 0.5)', color: 'white', '&:hover': { backgroundColor: 'rgba(0, 0, 0, 0.7)' } }}
+                >
+                  <PlayIcon fontSize="large" />
+                </IconButton>
+              )}
+            </Box>
+          </DecryptingContainer>
+        );
+      }
+      
       return (
         <MediaVideo 
           src={mediaUrl} 
           controls 
+          autoPlay={encrypted}
           preload="metadata"
           onClick={(e) => e.stopPropagation()}
           onError={handleMediaError}
@@ -274,19 +682,22 @@ const MediaDisplay = ({
         />
       );
     } else if (type === 'audio' || mimeType?.startsWith('audio/')) {
+      // Voice messages are just their waveform, other audio shows its name
+      const isVoice = media.voice === true || media.voice === 'true';
       return (
         <Box>
-          <Box display="flex" alignItems="center" mb={1}>
-            <AudioIcon fontSize="large" color="primary" />
-            <Typography variant="body2" ml={1} noWrap sx={{ maxWidth: '250px' }}>
-              {displayName}
-            </Typography>
-          </Box>
-          <MediaAudio 
-            src={mediaUrl} 
-            controls 
-            preload="metadata"
-            onClick={(e) => e.stopPropagation()}
+          {!isVoice && (
+            <Box display="flex" alignItems="center" mb={1}>
+              <AudioIcon fontSize="large" color="primary" />
+              <Typography variant="body2" ml={1} noWrap sx={{ maxWidth: '250px' }}>
+                {displayName}
+              </Typography>
+            </Box>
+          )}
+          <WaveformPlayer
+            src={mediaUrl}
+            waveform={media.waveform}
+            duration={media.duration}
             onError={handleMediaError}
           />
         </Box>
@@ -329,7 +740,7 @@ const MediaDisplay = ({
     if (type === 'image' || mimeType?.startsWith('image/')) {
       return (
         <img 
-          src={mediaUrl} 
+          src={mediaUrl || thumbnailUrl} 
           alt={displayName} 
           style={{ maxWidth: '100%', maxHeight: '90vh', objectFit: 'contain' }}
           onError={handleMediaError}
@@ -427,11 +838,28 @@ MediaDisplay.propTypes = {
     filename: PropTypes.string,
     originalFilename: PropTypes.string,
     size: PropTypes.number,
+    voice: PropTypes.oneOfType([PropTypes.bool, PropTypes.string]),
+    duration: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+    waveform: PropTypes.oneOfType([PropTypes.arrayOf(PropTypes.number), PropTypes.string]),
+    viewOnce: PropTypes.bool,
+    opened: PropTypes.bool,
+    openedBy: PropTypes.arrayOf(PropTypes.string),
+    encryption: PropTypes.shape({
+      key: PropTypes.string,
+      iv: PropTypes.string,
+      digest: PropTypes.string,
+      thumbnail: PropTypes.shape({
+        iv: PropTypes.string,
+        digest: PropTypes.string
+      })
+    }),
   }).isRequired,
   inMessage: PropTypes.bool,
   onClick: PropTypes.func,
   fullWidth: PropTypes.bool,
-  maxHeight: PropTypes.oneOfType([PropTypes.string, PropTypes.number])
+  maxHeight: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  isOwn: PropTypes.bool,
+  onViewOnceOpen: PropTypes.func
 };
 
 /**
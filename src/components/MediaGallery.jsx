@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import PropTypes from 'prop-types';
 import { 
   Box, 
@@ -33,12 +33,14 @@ import {
   Download as DownloadIcon,
   Delete as DeleteIcon,
   FilterList as FilterIcon,
+  Lock as LockIcon,
   Refresh as RefreshIcon,
   Sort as SortIcon
 } from '@mui/icons-material';
 import { styled } from '@mui/system';
 import { useMedia } from '../context/MediaContext';
-import MediaDisplay from './MediaDisplay';
+import { useMessaging } from '../context/MessagingContext';
+import MediaDisplay, { useDecryptedMedia } from './MediaDisplay';
 import mediaService from '../services/mediaService';
 
 // Styled components
@@ -122,6 +124,64 @@ const StatsBar = styled(Box)(({ theme }) => ({
   backgroundColor: theme.palette.background.default,
 }));
 
+const getMediaType = (mediaItem) => {
+  return mediaItem.mediaType || 
+    (mediaItem.mimeType ? mediaItem.mimeType.split('/')[0] : 'unknown');
+};
+
+const renderMediaTypeIcon = (mediaItem) => {
+  const mediaType = getMediaType(mediaItem);
+  
+  if (mediaType === 'image') {
+    return <ImageIcon fontSize="large" />;
+  } else if (mediaType === 'video') {
+    return <VideoIcon fontSize="large" />;
+  } else if (mediaType === 'audio') {
+    return <AudioIcon fontSize="large" />;
+  } else {
+    return <FileIcon fontSize="large" />;
+  }
+};
+
+/**
+ * Thumbnail of a gallery item, decrypted first if the media is encrypted
+ */
+const MediaThumbnail = ({ mediaItem }) => {
+  const mediaType = getMediaType(mediaItem);
+  const encrypted = Boolean(mediaItem.encryption);
+  const hasThumbnail = encrypted ? Boolean(mediaItem.encryption.thumbnail) : mediaType === 'image';
+  const { url } = useDecryptedMedia(mediaItem, 'thumbnail', hasThumbnail);
+  
+  // Only images and videos have thumbnails
+  if (hasThumbnail && url) {
+    return (
+      <MediaItemImage 
+        src={url} 
+        alt={mediaItem.originalFilename || 'Image'} 
+        loading="lazy"
+      />
+    );
+  }
+  
+  if (hasThumbnail && encrypted) {
+    return (
+      <MediaItemIcon>
+        <CircularProgress size={24} />
+      </MediaItemIcon>
+    );
+  }
+  
+  return (
+    <MediaItemIcon>
+      {renderMediaTypeIcon(mediaItem)}
+    </MediaItemIcon>
+  );
+};
+
+MediaThumbnail.propTypes = {
+  mediaItem: PropTypes.object.isRequired
+};
+
 /**
  * MediaGallery Component
  * 
@@ -146,7 +206,40 @@ const MediaGallery = ({ conversationId, onClose }) => {
     loadingMedia
   } = useMedia();
 
+  const { messages } = useMessaging();
   const { mediaList, pagination, loading, error, filter } = galleryState;
+  
+  // The server only has encrypted media; its keys are in the messages it was sent with
+  const attachments = useMemo(() => {
+    const byId = new Map();
+    (messages[conversationId] || []).forEach(message => {
+      if (message.media?.encryption) {
+        byId.set(message.media.id, message.media);
+      }
+    });
+    return byId;
+  }, [messages, conversationId]);
+  
+  const galleryItems = useMemo(() => {
+    return mediaList.map(mediaItem => {
+      const attachment = attachments.get(mediaItem.id);
+      return attachment ? { ...mediaItem, ...attachment } : mediaItem;
+    });
+  }, [mediaList, attachments]);
+  
+  // Encrypted media can't be shown until the message it was sent with is loaded
+  const isLocked = (mediaItem) => mediaItem.encrypted && !mediaItem.encryption;
+  
+  const saveMedia = (mediaItem) => {
+    const filename = mediaItem.originalFilename || `${mediaItem.mediaType}-file`;
+    if (mediaItem.encryption) {
+      mediaService.downloadDecryptedMedia(mediaItem, filename).catch(err => {
+        console.error('Error downloading media:', err);
+      });
+    } else {
+      downloadMedia(mediaItem.id, filename);
+    }
+  };
 
   // Initial data fetch
   useEffect(() => {
@@ -190,7 +283,9 @@ const MediaGallery = ({ conversationId, onClose }) => {
 
   // Handle media click
   const handleMediaClick = (mediaItem) => {
-    setSelectedMedia(mediaItem);
+    if (!isLocked(mediaItem)) {
+      setSelectedMedia(mediaItem);
+    }
   };
 
   // Handle close preview
@@ -213,11 +308,8 @@ const MediaGallery = ({ conversationId, onClose }) => {
 
   // Handle download
   const handleDownload = () => {
-    if (contextMedia) {
-      downloadMedia(
-        contextMedia.id, 
-        contextMedia.originalFilename || `${contextMedia.mediaType}-file`
-      );
+    if (contextMedia && !isLocked(contextMedia)) {
+      saveMedia(contextMedia);
     }
     handleMenuClose();
   };
@@ -259,45 +351,19 @@ const MediaGallery = ({ conversationId, onClose }) => {
     handleFilterMenuClose();
   };
 
-  // Render media type icon
-  const renderMediaTypeIcon = (mediaItem) => {
-    const mediaType = mediaItem.mediaType || 
-      (mediaItem.mimeType ? mediaItem.mimeType.split('/')[0] : 'unknown');
-    
-    if (mediaType === 'image') {
-      return <ImageIcon fontSize="large" />;
-    } else if (mediaType === 'video') {
-      return <VideoIcon fontSize="large" />;
-    } else if (mediaType === 'audio') {
-      return <AudioIcon fontSize="large" />;
-    } else {
-      return <FileIcon fontSize="large" />;
-    }
-  };
-
   // Render media thumbnail
   const renderMediaThumbnail = (mediaItem) => {
-    const mediaType = mediaItem.mediaType || 
-      (mediaItem.mimeType ? mediaItem.mimeType.split('/')[0] : 'unknown');
-    
-    // Use the thumbnail URL from the media service
-    const thumbnailUrl = mediaService.getMediaThumbnailUrl(mediaItem.id);
-    
-    if (mediaType === 'image') {
+    if (isLocked(mediaItem)) {
       return (
-        <MediaItemImage 
-          src={thumbnailUrl || mediaItem.url} 
-          alt={mediaItem.originalFilename || 'Image'} 
-          loading="lazy"
-        />
+        <Tooltip title="Open the message it was sent with to view">
+          <MediaItemIcon>
+            <LockIcon fontSize="large" />
+          </MediaItemIcon>
+        </Tooltip>
       );
     }
     
-    return (
-      <MediaItemIcon>
-        {renderMediaTypeIcon(mediaItem)}
-      </MediaItemIcon>
-    );
+    return <MediaThumbnail mediaItem={mediaItem} />;
   };
 
   // Render content
@@ -330,7 +396,7 @@ const MediaGallery = ({ conversationId, onClose }) => {
       );
     }
 
-    if (mediaList.length === 0) {
+    if (galleryItems.length === 0) {
       return (
         <EmptyState>
           <Typography variant="body1">
@@ -343,7 +409,7 @@ const MediaGallery = ({ conversationId, onClose }) => {
     return (
       <>
         <Grid container spacing={1} sx={{ p: 1, flexGrow: 1, overflow: 'auto' }}>
-          {mediaList.map((mediaItem) => (
+          {galleryItems.map((mediaItem) => (
             <Grid item xs={4} sm={3} md={2} key={mediaItem.id}>
               <MediaItem onClick={() => handleMediaClick(mediaItem)}>
                 {renderMediaThumbnail(mediaItem)}
@@ -477,10 +543,7 @@ const MediaGallery = ({ conversationId, onClose }) => {
           <Button 
             onClick={() => {
               if (selectedMedia) {
-                downloadMedia(
-                  selectedMedia.id, 
-                  selectedMedia.originalFilename || `${selectedMedia.mediaType}-file`
-                );
+                saveMedia(selectedMedia);
               }
             }}
             startIcon={<DownloadIcon />}
@@ -501,7 +564,7 @@ const MediaGallery = ({ conversationId, onClose }) => {
         open={Boolean(menuAnchorEl)}
         onClose={handleMenuClose}
       >
-        <MenuItem onClick={handleDownload}>
+        <MenuItem onClick={handleDownload} disabled={Boolean(contextMedia && isLocked(contextMedia))}>
           <DownloadIcon fontSize="small" sx={{ mr: 1 }} />
           Download
         </MenuItem>
@@ -25,6 +25,7 @@ import {
 } from '@mui/icons-material';
 import { styled } from '@mui/material/styles';
 import mediaService from '../services/mediaService';
+import { useDecryptedMedia } from './MediaDisplay.jsx';
 
 // Styled components
 const PreviewContainer = styled(Box)(({ theme }) => ({
@@ -106,6 +107,16 @@ const FileIconContainer = styled(Box)(({ theme }) => ({
   color: theme.palette.common.white
 }));
 
+/**
+ * Media element for a file to preview: local files are shown directly,
+ * uploaded ones are only stored encrypted and are decrypted first
+ */
+const PreviewSource = ({ file, component: Component, ...props }) => {
+  const { url } = useDecryptedMedia(file.encryption ? file : null, 'file', !file.previewUrl);
+  
+  return <Component src={file.previewUrl || url || undefined} {...props} />;
+};
+
 /**
  * Media Preview Component
  * 
@@ -189,7 +200,6 @@ const MediaPreview = ({
     if (!file) return null;
     
     const mediaType = file.mediaType || mediaService.getFileTypeFromMime(file.file?.type);
-    const previewUrl = file.previewUrl;
     const isUploading = uploadProgress[file.id] !== undefined && uploadProgress[file.id] < 100;
     const progress = uploadProgress[file.id] || 0;
     const fileName = file.file?.name || file.originalName || 'File';
@@ -213,8 +223,9 @@ const MediaPreview = ({
         
         {mediaType === 'image' && (
           <PreviewContainer>
-            <PreviewImage 
-              src={previewUrl} 
+            <PreviewSource 
+              component={PreviewImage}
+              file={file}
               alt={fileName}
               onClick={() => setExpandedPreview(file)}
             />
@@ -225,8 +236,9 @@ const MediaPreview = ({
         
         {mediaType === 'video' && (
           <PreviewContainer>
-            <PreviewVideo 
-              src={previewUrl} 
+            <PreviewSource 
+              component={PreviewVideo}
+              file={file}
               controls
             />
             {!isUploading && renderActionButtons(file.id)}
@@ -237,8 +249,9 @@ const MediaPreview = ({
         {mediaType === 'audio' && (
           <PreviewContainer>
             <Box sx={{ width: '100%', p: 2 }}>
-              <PreviewAudio 
-                src={previewUrl} 
+              <PreviewSource 
+                component={PreviewAudio}
+                file={file}
                 controls
               />
               <Typography variant="caption" color="textSecondary" sx={{ mt: 1, display: 'block' }}>
@@ -331,7 +344,6 @@ const MediaPreview = ({
     
     const mediaType = expandedPreview.mediaType || 
                       mediaService.getFileTypeFromMime(expandedPreview.file?.type);
-    const previewUrl = expandedPreview.previewUrl;
     
     return (
       <Dialog
@@ -342,8 +354,9 @@ const MediaPreview = ({
       >
         <DialogContent sx={{ p: 1 }}>
           {mediaType === 'image' && (
-            <img 
-              src={previewUrl} 
+            <PreviewSource 
+              component="img"
+              file={expandedPreview}
               alt={expandedPreview.file?.name || 'Image preview'}
               style={{ 
                 maxWidth: '100%', 
@@ -355,8 +368,9 @@ const MediaPreview = ({
           )}
           
           {mediaType === 'video' && (
-            <video 
-              src={previewUrl} 
+            <PreviewSource 
+              component="video"
+              file={expandedPreview}
               controls
               style={{ 
                 maxWidth: '100%', 
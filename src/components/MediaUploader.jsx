@@ -18,7 +18,9 @@ import {
   Snackbar,
   Chip,
   Paper,
-  ButtonGroup
+  ButtonGroup,
+  FormControlLabel,
+  Switch
 } from '@mui/material';
 import {
   AttachFile as AttachFileIcon,
@@ -130,7 +132,14 @@ const Container = styled(Box)(({ theme }) => ({
  * 
  * Allows users to select and upload media files
  */
-const MediaUploader = ({ onMediaSelected, onMediaUploaded, conversationId, disabled, allowMultiple = false }) => {
+const MediaUploader = ({
+  onMediaSelected,
+  onMediaUploaded,
+  onSelectionChange,
+  conversationId,
+  disabled,
+  allowMultiple = false
+}) => {
   const [selectedFiles, setSelectedFiles] = useState([]);
   const [previewUrls, setPreviewUrls] = useState({});
   const [uploading, setUploading] = useState(false);
@@ -144,6 +153,7 @@ const MediaUploader = ({ onMediaSelected, onMediaUploaded, conversationId, disab
   const [uploadSpeed, setUploadSpeed] = useState(null);
   const [timeRemaining, setTimeRemaining] = useState(null);
   const [activeFileIndex, setActiveFileIndex] = useState(0);
+  const [viewOnce, setViewOnce] = useState(false);
   const fileInputRef = useRef(null);
   const { mediaErrors, loadingMedia } = useMedia();
   const uploadStartTimeRef = useRef(null);
@@ -151,6 +161,11 @@ const MediaUploader = ({ onMediaSelected, onMediaUploaded, conversationId, disab
   const speedIntervalRef = useRef(null);
   const totalSizeRef = useRef(0);
 
+  // Tell the parent which files are waiting to be uploaded, e.g. for its draft
+  useEffect(() => {
+    onSelectionChange?.(selectedFiles);
+  }, [selectedFiles, onSelectionChange]);
+
   // Clear error after 5 seconds
   useEffect(() => {
     if (error) {
@@ -259,9 +274,16 @@ const MediaUploader = ({ onMediaSelected, onMediaUploaded, conversationId, disab
     }
   };
 
+  // Only photos and videos can be sent to be viewed once
+  const canViewOnce = selectedFiles.length > 0 && selectedFiles.every(file =>
+    ['image', 'video'].includes(mediaService.getMediaType(file))
+  );
+
   const handleUpload = async () => {
     if (!selectedFiles.length || !conversationId) return;
     
+    const metadata = viewOnce && canViewOnce ? { viewOnce: true } : null;
+    
     setUploading(true);
     setUploadProgress(0);
     setFileProgress({});
@@ -319,7 +341,8 @@ const MediaUploader = ({ onMediaSelected, onMediaUploaded, conversationId, disab
               }
               onMediaUploaded(media);
             }
-          }
+          },
+          metadata
         );
         
         // Show success message
@@ -335,7 +358,8 @@ const MediaUploader = ({ onMediaSelected, onMediaUploaded, conversationId, disab
             setFileProgress({ [file.name]: progress });
             // Update bytes uploaded for speed calculation
             lastUploadedBytesRef.current = file.size * (progress / 100);
-          }
+          },
+          metadata
         );
         
         // Add caption if provided
@@ -376,6 +400,7 @@ const MediaUploader = ({ onMediaSelected, onMediaUploaded, conversationId, disab
     setFileProgress({});
     setCaptions({});
     setFileInfo({});
+    setViewOnce(false);
     setUploadSpeed(null);
     setTimeRemaining(null);
     
@@ -580,6 +605,22 @@ const MediaUploader = ({ onMediaSelected, onMediaUploaded, conversationId, disab
             {selectedFiles.map((file, index) => renderFilePreview(file, index))}
           </Box>
           
+          {canViewOnce && (
+            <Tooltip title="Recipients can open it once, without saving it">
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={viewOnce}
+                    onChange={(e) => setViewOnce(e.target.checked)}
+                    disabled={uploading || disabled}
+                  />
+                }
+                label="View once"
+                sx={{ display: 'flex', mb: 1 }}
+              />
+            </Tooltip>
+          )}
+          
           <ButtonGroup>
             <Button 
               variant="contained" 
@@ -655,6 +696,7 @@ const MediaUploader = ({ onMediaSelected, onMediaUploaded, conversationId, disab
 MediaUploader.propTypes = {
   onMediaSelected: PropTypes.func,
   onMediaUploaded: PropTypes.func.isRequired,
+  onSelectionChange: PropTypes.func,
   conversationId: PropTypes.string.isRequired,
   disabled: PropTypes.bool
 };
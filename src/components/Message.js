@@ -5,18 +5,27 @@ import {
   Paper, 
   Avatar, 
   IconButton,
-  CircularProgress
+  CircularProgress,
+  Tooltip,
+  Badge,
+  Link
 } from '@mui/material';
 import { styled } from '@mui/material/styles';
 import { 
   CheckCircle as SentIcon, 
   DoneAll as ReadIcon,
-  ErrorOutline as ErrorIcon
+  ErrorOutline as ErrorIcon,
+  Lock as LockIcon,
+  LockOpen as LockOpenIcon
 } from '@mui/icons-material';
 import { formatDistanceToNow } from 'date-fns';
 import { useAuth } from '../context/AuthContext';
 import MediaGallery from './MediaGallery';
 import MessageAttachment from './MessageAttachment';
+import EditHistoryDialog from './chat/EditHistoryDialog';
+import FormattedText from './chat/FormattedText';
+import ExpiryCountdown from './chat/ExpiryCountdown';
+import SystemMessage from './chat/SystemMessage';
 
 // Styled components
 const MessageContainer = styled(Box)(({ theme, isOwn }) => ({
@@ -63,6 +72,28 @@ const MessageTime = styled(Typography)(({ theme }) => ({
   marginRight: theme.spacing(0.5)
 }));
 
+const EditedMarker = styled(Typography)(({ theme }) => ({
+  fontSize: '0.75rem',
+  fontStyle: 'italic',
+  color: theme.palette.text.secondary,
+  marginRight: theme.spacing(0.5),
+  cursor: 'pointer',
+  '&:hover': {
+    textDecoration: 'underline'
+  }
+}));
+
+const QuotedMessage = styled(Box, {
+  shouldForwardProp: (prop) => prop !== 'isOwn'
+})(({ theme, isOwn }) => ({
+  padding: theme.spacing(0.5, 1),
+  marginBottom: theme.spacing(1),
+  borderLeft: `3px solid ${isOwn ? theme.palette.primary.contrastText : theme.palette.primary.main}`,
+  borderRadius: theme.shape.borderRadius,
+  backgroundColor: isOwn ? 'rgba(255, 255, 255, 0.15)' : theme.palette.action.hover,
+  cursor: 'pointer'
+}));
+
 const UploadingContainer = styled(Box)(({ theme, isOwn }) => ({
   padding: theme.spacing(2),
   borderRadius: theme.shape.borderRadius,
@@ -82,12 +113,29 @@ const UploadingContainer = styled(Box)(({ theme, isOwn }) => ({
  * @param {Object} props - Component props
  * @param {Object} props.message - Message data
  * @param {boolean} props.isOwn - Whether the message is from the current user
+ * @param {Function} props.onJumpToMessage - Called with the quoted message's ID when its quote is clicked
+ * @param {number} props.replyCount - Number of replies in the thread started by this message
+ * @param {number} props.unreadReplyCount - Number of those replies that are unread
+ * @param {Function} props.onOpenThread - Called when the thread summary is clicked
  */
-const Message = ({ message, isOwn }) => {
+const Message = ({
+  message,
+  isOwn,
+  onJumpToMessage,
+  replyCount = 0,
+  unreadReplyCount = 0,
+  onOpenThread
+}) => {
   const { user } = useAuth();
+  const [showEditHistory, setShowEditHistory] = useState(false);
   
   if (!message) return null;
   
+  // Changes to the conversation, like a new disappearing message timer
+  if (message.control) {
+    return <SystemMessage message={message} isOwn={isOwn} />;
+  }
+  
   // Format timestamp
   const formatTimestamp = (timestamp) => {
     if (!timestamp) return '';
@@ -187,6 +235,44 @@ const Message = ({ message, isOwn }) => {
     return <MessageAttachment attachment={attachments[0]} isOwn={isOwn} />;
   };
   
+  // Render whether the message was actually end-to-end encrypted
+  const renderEncryptionIcon = () => {
+    if (message.isUploading || message.deleted) return null;
+    
+    if (message.isEncrypted) {
+      return (
+        <Tooltip title={message.decryptError ? 'Encrypted, but could not be decrypted' : 'End-to-end encrypted'}>
+          <LockIcon
+            color={message.decryptError ? 'error' : 'inherit'}
+            sx={{ fontSize: '0.9rem', mr: 0.5 }}
+          />
+        </Tooltip>
+      );
+    }
+    
+    return (
+      <Tooltip title="Not encrypted">
+        <LockOpenIcon color="warning" sx={{ fontSize: '0.9rem', mr: 0.5 }} />
+      </Tooltip>
+    );
+  };
+  
+  // Render the message this one replies to
+  const renderQuote = () => {
+    if (!message.replyTo || message.deleted) return null;
+    
+    return (
+      <QuotedMessage isOwn={isOwn} onClick={() => onJumpToMessage?.(message.replyTo.id)}>
+        <Typography variant="caption" sx={{ fontWeight: 'bold', display: 'block' }}>
+          {message.replyTo.senderId === user?.id ? 'You' : message.replyTo.senderName || 'Message'}
+        </Typography>
+        <Typography variant="caption" sx={{ display: 'block', opacity: 0.8 }} noWrap>
+          {message.replyTo.preview}
+        </Typography>
+      </QuotedMessage>
+    );
+  };
+  
   // Render message status icon
   const renderStatusIcon = () => {
     if (message.status === 'error') {
@@ -212,22 +298,50 @@ const Message = ({ message, isOwn }) => {
       
       <Box sx={{ maxWidth: '70%' }}>
         <MessageBubble isOwn={isOwn} hasMedia={hasAttachments || message.isUploading}>
+          {renderQuote()}
           {renderMedia()}
           
-          {message.content && (
-            <Typography variant="body2">
-              {message.content}
+          {message.deleted ? (
+            <Typography variant="body2" sx={{ fontStyle: 'italic', opacity: 0.7 }}>
+              This message was deleted
             </Typography>
+          ) : message.content && (
+            <FormattedText content={message.content} variant="body2" />
           )}
           
           <MessageStatus>
+            {!message.deleted && <ExpiryCountdown message={message} />}
+            {renderEncryptionIcon()}
+            {message.editedAt && (
+              <Tooltip title="Show edit history">
+                <EditedMarker variant="caption" onClick={() => setShowEditHistory(true)}>
+                  edited
+                </EditedMarker>
+              </Tooltip>
+            )}
             <MessageTime variant="caption">
               {formatTimestamp(message.timestamp)}
             </MessageTime>
             {isOwn && renderStatusIcon()}
           </MessageStatus>
         </MessageBubble>
+        
+        {replyCount > 0 && (
+          <Box sx={{ mt: 0.5, textAlign: isOwn ? 'right' : 'left' }}>
+            <Badge color="primary" badgeContent={unreadReplyCount} sx={{ '& .MuiBadge-badge': { right: -12 } }}>
+              <Link component="button" variant="caption" onClick={onOpenThread}>
+                {replyCount === 1 ? '1 reply' : `${replyCount} replies`}
+              </Link>
+            </Badge>
+          </Box>
+        )}
       </Box>
+      
+      <EditHistoryDialog
+        message={message}
+        open={showEditHistory}
+        onClose={() => setShowEditHistory(false)}
+      />
     </MessageContainer>
   );
 };
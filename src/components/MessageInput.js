@@ -10,69 +10,242 @@ import {
   Collapse,
   Paper,
   Button,
-  Typography
+  Typography,
+  Popper,
+  List,
+  ListItemButton,
+  ListItemAvatar,
+  ListItemText,
+  Avatar,
+  Alert
 } from '@mui/material';
 import { 
   Send as SendIcon, 
   InsertEmoticon as EmojiIcon,
   AttachFile as AttachIcon,
   Close as CloseIcon,
-  Image as ImageIcon
+  Image as ImageIcon,
+  Reply as ReplyIcon,
+  TextFormat as TextFormatIcon,
+  ScheduleSend as ScheduleSendIcon
 } from '@mui/icons-material';
 import EmojiPicker from './EmojiPicker';
+import FormattingToolbar, { getShortcutFormat } from './chat/FormattingToolbar';
+import LinkPreviewCard from './chat/LinkPreviewCard';
+import VoiceRecorder from './chat/VoiceRecorder';
+import ScheduleMessageDialog from './chat/ScheduleMessageDialog';
 import MediaUploader from './MediaUploader.jsx';
 import MediaDisplay from './MediaDisplay.jsx';
-import { useMessaging } from '../context/MessagingContext';
 import { useAuth } from '../context/AuthContext';
+import { useMessaging } from '../context/MessagingContext';
+import messageService from '../services/messageService';
+import linkPreviewService from '../services/linkPreviewService';
+import draftService from '../services/draftService';
+import { encodeMentions, getMentionName, getMentionQuery } from '../utils/mentionUtils';
+import { applyFormat, stripMarkdown } from '../utils/markdownUtils';
 import { useTheme } from '@mui/material/styles';
 
+// Wait for typing to pause before fetching a link preview
+const PREVIEW_DELAY = 500;
+
+// What a draft keeps of a file that was about to be attached
+const describeFile = (file) => ({ name: file.name, size: file.size, type: file.type });
+
 /**
  * MessageInput component for typing and sending messages
  * 
  * @param {Object} props - Component props
  * @param {string} props.conversationId - ID of the current conversation
  * @param {Function} props.onOpenGallery - Function to open the media gallery
+ * @param {Object} props.replyTo - Message being replied to (optional)
+ * @param {Function} props.onCancelReply - Called when the reply is cancelled or sent
+ * @param {string} props.threadId - Root message of the thread messages are sent to (optional)
  */
-const MessageInput = ({ conversationId, onOpenGallery }) => {
+const MessageInput = ({ conversationId, onOpenGallery, replyTo = null, onCancelReply, threadId = null }) => {
   const theme = useTheme();
   const { user } = useAuth();
   const { 
     sendMessage, 
-    sendMediaMessage, 
+    sendMediaMessage,
     sendMultipleMediaMessages,
     sendTyping,
+    scheduleMessage,
     addPendingMedia,
     removePendingMedia,
     updatePendingMediaCaption,
     clearPendingMedia,
-    pendingMedia
+    pendingMedia,
+    conversations
   } = useMessaging();
   
   const [message, setMessage] = useState('');
   const [showEmojiPicker, setShowEmojiPicker] = useState(false);
+  const [showFormatting, setShowFormatting] = useState(false);
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [selectedMedia, setSelectedMedia] = useState(null);
   const [uploadedMedia, setUploadedMedia] = useState(null);
+  const [members, setMembers] = useState([]);
+  const [mentionQuery, setMentionQuery] = useState(null);
+  const [mentionIndex, setMentionIndex] = useState(0);
+  const [pickedMentions, setPickedMentions] = useState([]);
+  const [linkPreview, setLinkPreview] = useState(null);
+  const [dismissedPreviewUrl, setDismissedPreviewUrl] = useState(null);
+  const [showSchedule, setShowSchedule] = useState(false);
+  const [pendingFiles, setPendingFiles] = useState([]);
+  const [draftAttachments, setDraftAttachments] = useState([]);
+  const [draftConversationId, setDraftConversationId] = useState(null);
   
   const inputRef = useRef(null);
+  const inputContainerRef = useRef(null);
   
-  // Focus input when conversation changes
+  // Restore the conversation's draft when the conversation changes; thread
+  // replies aren't kept as drafts
   useEffect(() => {
     if (inputRef.current) {
       inputRef.current.focus();
     }
     
-    // Reset state when conversation changes
-    setMessage('');
+    const draft = threadId ? null : draftService.getDraft(conversationId);
+    setMessage(draft?.text || '');
+    setPickedMentions(draft?.mentions || []);
+    setShowFormatting(Boolean(draft?.formatting));
+    setDraftAttachments(draft?.attachments || []);
+    setDraftConversationId(conversationId);
+    
+    // Reset the rest when conversation changes
     setShowEmojiPicker(false);
+    setShowSchedule(false);
     clearPendingMedia();
     setSelectedMedia(null);
     setUploadedMedia(null);
-  }, [conversationId, clearPendingMedia]);
+    setMentionQuery(null);
+    setDismissedPreviewUrl(null);
+  }, [conversationId, threadId, clearPendingMedia]);
+  
+  // Keep the draft up to date, once the one of this conversation was restored
+  useEffect(() => {
+    if (threadId || !conversationId || draftConversationId !== conversationId) return;
+    
+    const pendingNames = pendingFiles.map(file => file.name);
+    draftService.saveDraft(conversationId, {
+      text: message,
+      mentions: pickedMentions,
+      formatting: showFormatting,
+      attachments: [
+        ...draftAttachments.filter(attachment => !pendingNames.includes(attachment.name)),
+        ...pendingFiles.map(describeFile)
+      ]
+    });
+  }, [
+    conversationId,
+    threadId,
+    draftConversationId,
+    message,
+    pickedMentions,
+    showFormatting,
+    draftAttachments,
+    pendingFiles
+  ]);
+  
+  // Load the members that can be mentioned
+  useEffect(() => {
+    if (!conversationId) return;
+    
+    let cancelled = false;
+    messageService.getConversationMembers(conversationId).then(result => {
+      if (!cancelled) {
+        setMembers(result.success ? result.data : []);
+      }
+    });
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [conversationId]);
+  
+  // Preview the first link in the message, unless it was dismissed
+  const previewUrl = linkPreviewService.isAvailable() && linkPreviewService.isEnabled(conversationId)
+    ? linkPreviewService.getPreviewUrl(message)
+    : null;
+  useEffect(() => {
+    if (!previewUrl || previewUrl === dismissedPreviewUrl) {
+      setLinkPreview(null);
+      return;
+    }
+    
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      const result = await linkPreviewService.fetchPreview(previewUrl);
+      if (!cancelled) {
+        setLinkPreview(result.success ? result.data : null);
+      }
+    }, PREVIEW_DELAY);
+    
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [previewUrl, dismissedPreviewUrl]);
+  
+  // A preview fetched for a link that has since been edited away isn't sent
+  const currentPreview = linkPreview?.url === previewUrl ? linkPreview : null;
+  
+  // Files from the draft that haven't been attached again yet
+  const missingAttachments = draftAttachments.filter(attachment => (
+    !pendingFiles.some(file => file.name === attachment.name)
+  ));
+  
+  // Group members kept up to date by the messaging context win over the fetched list
+  const mentionableMembers = conversations.find(conv => conv.id === conversationId)?.members || members;
+  
+  // Members matching the @name being typed
+  const mentionSuggestions = mentionQuery
+    ? mentionableMembers
+      .filter(member => member.userId !== user?.id)
+      .filter(member => getMentionName(member).toLowerCase().includes(mentionQuery.query.toLowerCase()))
+      .slice(0, 5)
+    : [];
+  
+  // Replace the @name being typed by the picked member's name
+  const insertMention = (member) => {
+    const caret = inputRef.current?.selectionStart ?? message.length;
+    const name = getMentionName(member);
+    const before = `${message.slice(0, mentionQuery.start)}@${name} `;
+    
+    setMessage(before + message.slice(caret));
+    setPickedMentions(prev => prev.some(m => m.userId === member.userId) ? prev : [...prev, member]);
+    setMentionQuery(null);
+    
+    // Put the caret after the inserted name
+    requestAnimationFrame(() => {
+      inputRef.current?.focus();
+      inputRef.current?.setSelectionRange(before.length, before.length);
+    });
+  };
+  
+  // What the message quotes, which thread it belongs to and the preview of its
+  // link; the quote keeps a short preview so it can be shown even if the
+  // original isn't loaded
+  const getReferences = () => {
+    if (!replyTo && !threadId && !currentPreview) return null;
+    
+    return {
+      replyTo: replyTo && {
+        id: replyTo.id,
+        senderId: replyTo.senderId,
+        senderName: replyTo.senderName,
+        preview: stripMarkdown(replyTo.content || replyTo.mediaCaption || '📎 Media').slice(0, 100)
+      },
+      threadId,
+      linkPreview: currentPreview
+    };
+  };
   
   // Handle input change
   const handleInputChange = (e) => {
     setMessage(e.target.value);
+    setMentionQuery(getMentionQuery(e.target.value, e.target.selectionStart));
+    setMentionIndex(0);
     
     // Send typing indicator
     if (conversationId) {
@@ -80,6 +253,21 @@ const MessageInput = ({ conversationId, onOpenGallery }) => {
     }
   };
   
+  // Apply a markdown format to the selected text, keeping it selected
+  const handleFormat = (format) => {
+    const input = inputRef.current;
+    const start = input?.selectionStart ?? message.length;
+    const end = input?.selectionEnd ?? message.length;
+    const result = applyFormat(message, start, end, format);
+    
+    setMessage(result.text);
+    setMentionQuery(null);
+    requestAnimationFrame(() => {
+      inputRef.current?.focus();
+      inputRef.current?.setSelectionRange(result.selectionStart, result.selectionEnd);
+    });
+  };
+  
   // Handle emoji selection
   const handleEmojiSelect = (emoji) => {
     setMessage(prev => prev + emoji.native);
@@ -112,27 +300,21 @@ const MessageInput = ({ conversationId, onOpenGallery }) => {
     try {
       setIsSubmitting(true);
       
-      // Create message with media and optional text
-      const messageData = {
-        conversationId,
-        senderId: user.id,
-        content: message.trim(),
-        media: {
-          id: media.id,
-          type: media.mediaType,
-          filename: media.originalFilename || media.filename,
-          mimeType: media.mimeType,
-          size: media.size,
-          caption: message.trim() || media.caption || null
-        }
-      };
-      
-      // Send the message with media
-      await sendMediaMessage(messageData);
+      // Send the already uploaded media with the optional text
+      const caption = message.trim() || media.caption || null;
+      const result = await sendMessage(conversationId, encodeMentions(message.trim(), pickedMentions), {
+        ...media,
+        caption
+      }, getReferences());
+      if (!result.success) return;
       
       // Clear the message input
       setMessage('');
       setUploadedMedia(null);
+      setPickedMentions([]);
+      setDismissedPreviewUrl(null);
+      setDraftAttachments([]);
+      onCancelReply?.();
     } catch (error) {
       console.error('Error sending message with media:', error);
     } finally {
@@ -140,6 +322,18 @@ const MessageInput = ({ conversationId, onOpenGallery }) => {
     }
   };
   
+  // Send a recorded voice message, as a reply or in the thread if there is one
+  const handleVoiceRecorded = async (file, metadata) => {
+    if (!conversationId) return;
+    
+    try {
+      await sendMediaMessage(conversationId, file, '', metadata, getReferences());
+      onCancelReply?.();
+    } catch (error) {
+      console.error('Error sending voice message:', error);
+    }
+  };
+  
   // Handle message submission
   const handleSubmit = async (e) => {
     e?.preventDefault();
@@ -151,9 +345,20 @@ const MessageInput = ({ conversationId, onOpenGallery }) => {
     try {
       setIsSubmitting(true);
       
-      // Send text message
-      await sendMessage(conversationId, message.trim());
-      setMessage('');
+      // Send text message, keeping the text if it could not be sent
+      const result = await sendMessage(
+        conversationId,
+        encodeMentions(message.trim(), pickedMentions),
+        null,
+        getReferences()
+      );
+      if (result.success) {
+        setMessage('');
+        setPickedMentions([]);
+        setDismissedPreviewUrl(null);
+        setDraftAttachments([]);
+        onCancelReply?.();
+      }
     } catch (error) {
       console.error('Error sending message:', error);
     } finally {
@@ -161,6 +366,47 @@ const MessageInput = ({ conversationId, onOpenGallery }) => {
     }
   };
   
+  // Schedule the message for later instead of sending it now
+  const handleSchedule = async (content, schedule) => {
+    const result = await scheduleMessage(
+      conversationId,
+      encodeMentions(content.trim(), pickedMentions),
+      schedule,
+      getReferences()
+    );
+    if (result.success) {
+      setMessage('');
+      setPickedMentions([]);
+      setDismissedPreviewUrl(null);
+      setDraftAttachments([]);
+      onCancelReply?.();
+    }
+    return result;
+  };
+  
+  // Formatting shortcuts, then navigating and picking mention suggestions
+  const handleKeyDown = (e) => {
+    const format = getShortcutFormat(e);
+    if (format) {
+      e.preventDefault();
+      handleFormat(format);
+      return;
+    }
+    
+    if (mentionSuggestions.length === 0) return;
+    
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setMentionIndex(prev => (prev + step + mentionSuggestions.length) % mentionSuggestions.length);
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      insertMention(mentionSuggestions[Math.min(mentionIndex, mentionSuggestions.length - 1)]);
+    } else if (e.key === 'Escape') {
+      setMentionQuery(null);
+    }
+  };
+  
   // Handle keypress (Enter to send)
   const handleKeyPress = (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
@@ -181,6 +427,49 @@ const MessageInput = ({ conversationId, onOpenGallery }) => {
         borderTop: `1px solid ${theme.palette.divider}`
       }}
     >
+      {/* Message being replied to */}
+      {replyTo && (
+        <Box
+          mb={1}
+          p={1}
+          display="flex"
+          alignItems="center"
+          bgcolor={theme.palette.action.hover}
+          borderRadius={1}
+          sx={{ borderLeft: `3px solid ${theme.palette.primary.main}` }}
+        >
+          <ReplyIcon fontSize="small" color="primary" sx={{ mr: 1 }} />
+          <Box flexGrow={1} minWidth={0}>
+            <Typography variant="caption" color="primary" display="block">
+              Replying to {replyTo.senderName || 'message'}
+            </Typography>
+            <Typography variant="body2" color="textSecondary" noWrap>
+              {stripMarkdown(replyTo.content || replyTo.mediaCaption || '📎 Media')}
+            </Typography>
+          </Box>
+          <IconButton size="small" onClick={onCancelReply}>
+            <CloseIcon fontSize="small" />
+          </IconButton>
+        </Box>
+      )}
+      
+      {/* Preview of the link in the message */}
+      {currentPreview && (
+        <LinkPreviewCard
+          preview={currentPreview}
+          onRemove={() => setDismissedPreviewUrl(currentPreview.url)}
+          sx={{ mb: 1, maxWidth: 'none', borderColor: theme.palette.primary.main }}
+        />
+      )}
+      
+      {/* Files the draft was going to attach, which have to be picked again */}
+      {missingAttachments.length > 0 && (
+        <Alert severity="info" onClose={() => setDraftAttachments([])} sx={{ mb: 1 }}>
+          Attach {missingAttachments.map(attachment => attachment.name).join(', ')} again to send{' '}
+          {missingAttachments.length === 1 ? 'it' : 'them'} with this draft.
+        </Alert>
+      )}
+      
       {/* Media preview if selected */}
       {uploadedMedia && (
         <Box mb={1} p={1} bgcolor={theme.palette.grey[100]} borderRadius={1}>
@@ -192,10 +481,15 @@ const MessageInput = ({ conversationId, onOpenGallery }) => {
               <CloseIcon fontSize="small" />
             </IconButton>
           </Box>
-          <MediaDisplay media={uploadedMedia} inMessage={true} />
+          <MediaDisplay media={uploadedMedia} inMessage={true} isOwn />
         </Box>
       )}
       
+      {/* Formatting toolbar */}
+      <Collapse in={showFormatting}>
+        <FormattingToolbar onFormat={handleFormat} disabled={isSubmitting} />
+      </Collapse>
+      
       {/* Emoji picker */}
       <Collapse in={showEmojiPicker}>
         <Paper elevation={3} sx={{ mb: 1 }}>
@@ -204,12 +498,14 @@ const MessageInput = ({ conversationId, onOpenGallery }) => {
       </Collapse>
       
       {/* Input area */}
-      <Box display="flex" alignItems="flex-end">
+      <Box display="flex" alignItems="flex-end" position="relative">
         {/* Media uploader */}
         <MediaUploader
+          key={conversationId}
           conversationId={conversationId}
           onMediaSelected={handleMediaSelected}
           onMediaUploaded={handleMediaUploaded}
+          onSelectionChange={setPendingFiles}
           disabled={isSubmitting}
         />
         
@@ -224,6 +520,17 @@ const MessageInput = ({ conversationId, onOpenGallery }) => {
           </IconButton>
         </Tooltip>
         
+        {/* Formatting button */}
+        <Tooltip title="Formatting">
+          <IconButton
+            color={showFormatting ? "primary" : "default"}
+            onClick={() => setShowFormatting(prev => !prev)}
+            disabled={isSubmitting}
+          >
+            <TextFormatIcon />
+          </IconButton>
+        </Tooltip>
+        
         {/* Gallery button */}
         {onOpenGallery && (
           <Tooltip title="Media Gallery">
@@ -238,13 +545,15 @@ const MessageInput = ({ conversationId, onOpenGallery }) => {
         
         {/* Text input */}
         <TextField
+          ref={inputContainerRef}
           inputRef={inputRef}
           fullWidth
           multiline
           maxRows={4}
-          placeholder="Type a message..."
+          placeholder={threadId ? 'Reply in thread...' : 'Type a message...'}
           value={message}
           onChange={handleInputChange}
+          onKeyDown={handleKeyDown}
           onKeyPress={handleKeyPress}
           disabled={isSubmitting}
           variant="outlined"
@@ -258,23 +567,74 @@ const MessageInput = ({ conversationId, onOpenGallery }) => {
           }}
         />
         
-        {/* Send button */}
-        <Tooltip title="Send">
-          <span>
-            <IconButton 
-              color="primary" 
-              type="submit"
-              disabled={(!message.trim() && !uploadedMedia) || isSubmitting}
-            >
-              {isSubmitting ? (
-                <CircularProgress size={24} color="inherit" />
-              ) : (
-                <SendIcon />
-              )}
+        {/* Mention suggestions */}
+        <Popper
+          open={mentionSuggestions.length > 0}
+          anchorEl={inputContainerRef.current}
+          placement="top-start"
+          sx={{ zIndex: theme.zIndex.modal + 1 }}
+        >
+          <Paper elevation={3} sx={{ mb: 1, minWidth: 220 }}>
+            <List dense disablePadding>
+              {mentionSuggestions.map((member, index) => (
+                <ListItemButton
+                  key={member.userId}
+                  selected={index === mentionIndex}
+                  onMouseDown={(e) => e.preventDefault()}
+                  onClick={() => insertMention(member)}
+                >
+                  <ListItemAvatar sx={{ minWidth: 40 }}>
+                    <Avatar src={member.avatarUrl} sx={{ width: 28, height: 28 }}>
+                      {getMentionName(member).charAt(0).toUpperCase()}
+                    </Avatar>
+                  </ListItemAvatar>
+                  <ListItemText
+                    primary={getMentionName(member)}
+                    secondary={member.username && member.fullName ? `@${member.username}` : null}
+                  />
+                </ListItemButton>
+              ))}
+            </List>
+          </Paper>
+        </Popper>
+        
+        {/* Send later, for text only as media is uploaded right away */}
+        {message.trim() && !uploadedMedia && !isSubmitting && (
+          <Tooltip title="Send later">
+            <IconButton onClick={() => setShowSchedule(true)}>
+              <ScheduleSendIcon />
             </IconButton>
-          </span>
-        </Tooltip>
+          </Tooltip>
+        )}
+        
+        {/* Send button, or voice recorder while there is nothing to send */}
+        {message.trim() || uploadedMedia || isSubmitting ? (
+          <Tooltip title="Send">
+            <span>
+              <IconButton 
+                color="primary" 
+                type="submit"
+                disabled={isSubmitting}
+              >
+                {isSubmitting ? (
+                  <CircularProgress size={24} color="inherit" />
+                ) : (
+                  <SendIcon />
+                )}
+              </IconButton>
+            </span>
+          </Tooltip>
+        ) : (
+          <VoiceRecorder onRecorded={handleVoiceRecorded} disabled={!conversationId} />
+        )}
       </Box>
+      
+      <ScheduleMessageDialog
+        open={showSchedule}
+        initialContent={message}
+        onSubmit={handleSchedule}
+        onClose={() => setShowSchedule(false)}
+      />
     </Box>
   );
 };
@@ -0,0 +1,67 @@
+import React, { useState, useEffect } from 'react';
+import { Autocomplete, TextField, Chip, Avatar } from '@mui/material';
+import contactService from '../../services/contactService';
+
+// Contacts may come back with a separate user ID next to their contact ID
+const getContactUserId = (contact) => contact.userId || contact.id;
+
+/**
+ * ContactPicker Component
+ *
+ * Picks several of the current user's contacts, e.g. to add to a group.
+ *
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.value - Picked contacts
+ * @param {Function} props.onChange - Called with the picked contacts
+ * @param {Array<string>} props.excludeIds - User IDs that can't be picked, e.g. existing members
+ * @param {boolean} props.disabled - Disable picking
+ */
+const ContactPicker = ({ value, onChange, excludeIds = [], disabled = false }) => {
+  const [contacts, setContacts] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    contactService.getContacts().then(response => {
+      if (cancelled) return;
+      setContacts(response.success ? response.data : []);
+      setLoading(false);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const options = contacts.filter(contact => !excludeIds.includes(getContactUserId(contact)));
+
+  return (
+    <Autocomplete
+      multiple
+      options={options}
+      value={value}
+      loading={loading}
+      disabled={disabled}
+      onChange={(e, contacts) => onChange(contacts)}
+      getOptionLabel={(contact) => contact.name || contact.username}
+      isOptionEqualToValue={(option, picked) => getContactUserId(option) === getContactUserId(picked)}
+      renderTags={(picked, getTagProps) => picked.map((contact, index) => (
+        <Chip
+          {...getTagProps({ index })}
+          key={getContactUserId(contact)}
+          avatar={<Avatar src={contact.avatar}>{(contact.name || contact.username).charAt(0)}</Avatar>}
+          label={contact.name || contact.username}
+          size="small"
+        />
+      ))}
+      renderInput={(params) => (
+        <TextField {...params} label="Members" placeholder="Search contacts" />
+      )}
+      noOptionsText={loading ? 'Loading contacts…' : 'No contacts to add'}
+    />
+  );
+};
+
+export { getContactUserId };
+export default ContactPicker;
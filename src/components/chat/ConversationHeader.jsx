@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   Box,
   Paper,
@@ -7,11 +7,19 @@ import {
   IconButton,
   Badge,
   Tooltip,
+  Alert,
+  Button,
   useTheme
 } from '@mui/material';
 import ArrowBackIcon from '@mui/icons-material/ArrowBack';
 import MoreVertIcon from '@mui/icons-material/MoreVert';
 import LockIcon from '@mui/icons-material/Lock';
+import VerifiedUserIcon from '@mui/icons-material/VerifiedUser';
+import GppMaybeIcon from '@mui/icons-material/GppMaybe';
+import ShieldOutlinedIcon from '@mui/icons-material/ShieldOutlined';
+
+import verificationService from '../../services/verificationService';
+import SafetyNumberDialog from '../security/SafetyNumberDialog';
 
 import PresenceIndicator from './PresenceIndicator';
 import EncryptedPresenceControls from './EncryptedPresenceControls';
@@ -36,6 +44,31 @@ const ConversationHeader = ({
   }
 }) => {
   const theme = useTheme();
+  const [verificationStatus, setVerificationStatus] = useState('unverified');
+  const [verifyOpen, setVerifyOpen] = useState(false);
+  const recipientId = recipient?.id;
+  
+  // Track whether the recipient's keys are verified and still unchanged
+  useEffect(() => {
+    if (!recipientId) return undefined;
+    
+    let cancelled = false;
+    const refreshStatus = () => {
+      verificationService.getVerificationStatus(recipientId)
+        .then(status => {
+          if (!cancelled) setVerificationStatus(status);
+        })
+        .catch(error => console.error('Error checking key verification:', error));
+    };
+    
+    refreshStatus();
+    const unsubscribe = verificationService.subscribe(refreshStatus);
+    
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [recipientId]);
   
   if (!conversation || !recipient) {
     return (
@@ -59,66 +92,106 @@ const ConversationHeader = ({
   }
   
   return (
-    <Paper
-      elevation={1}
-      sx={{
-        p: 2,
-        display: 'flex',
-        alignItems: 'center',
-        borderRadius: 0,
-        bgcolor: '#6200ee',
-        color: 'white'
-      }}
-    >
-      <IconButton edge="start" color="inherit" onClick={onBack} sx={{ mr: 1 }}>
-        <ArrowBackIcon />
-      </IconButton>
-      
-      <Badge
-        overlap="circular"
-        anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
-        badgeContent={
-          <PresenceIndicator
-            userId={recipient.id}
-            status={recipient.status || 'offline'}
-            size="small"
-          />
-        }
+    <>
+      <Paper
+        elevation={1}
+        sx={{
+          p: 2,
+          display: 'flex',
+          alignItems: 'center',
+          borderRadius: 0,
+          bgcolor: '#6200ee',
+          color: 'white'
+        }}
       >
-        <Avatar
-          src={recipient.avatar}
-          alt={recipient.displayName || recipient.username}
-          sx={{ width: 40, height: 40 }}
+        <IconButton edge="start" color="inherit" onClick={onBack} sx={{ mr: 1 }}>
+          <ArrowBackIcon />
+        </IconButton>
+      
+        <Badge
+          overlap="circular"
+          anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+          badgeContent={
+            <PresenceIndicator
+              userId={recipient.id}
+              status={recipient.status || 'offline'}
+              size="small"
+            />
+          }
         >
-          {(recipient.displayName || recipient.username || '?').charAt(0)}
-        </Avatar>
-      </Badge>
+          <Avatar
+            src={recipient.avatar}
+            alt={recipient.displayName || recipient.username}
+            sx={{ width: 40, height: 40 }}
+          >
+            {(recipient.displayName || recipient.username || '?').charAt(0)}
+          </Avatar>
+        </Badge>
       
-      <Box sx={{ ml: 2, flexGrow: 1 }}>
-        <Typography variant="subtitle1" fontWeight="bold">
-          {recipient.displayName || recipient.username}
-        </Typography>
-        <Typography variant="caption" sx={{ opacity: 0.8 }}>
-          {recipient.status || 'offline'}
-        </Typography>
-      </Box>
+        <Box sx={{ ml: 2, flexGrow: 1 }}>
+          <Typography variant="subtitle1" fontWeight="bold">
+            {recipient.displayName || recipient.username}
+          </Typography>
+          <Typography variant="caption" sx={{ opacity: 0.8 }}>
+            {recipient.status || 'offline'}
+          </Typography>
+        </Box>
       
-      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
-        {encryptionEnabled && (
-          <Tooltip title="End-to-end encrypted">
-            <LockIcon sx={{ fontSize: 20 }} />
-          </Tooltip>
-        )}
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          {encryptionEnabled && (
+            <Tooltip title="End-to-end encrypted">
+              <LockIcon sx={{ fontSize: 20 }} />
+            </Tooltip>
+          )}
         
-        <EncryptedPresenceStatus encryptedFeatures={encryptedFeatures} />
+          <EncryptedPresenceStatus encryptedFeatures={encryptedFeatures} />
         
-        <EncryptedPresenceControls conversationId={conversation.id} />
+          <EncryptedPresenceControls conversationId={conversation.id} />
         
-        <IconButton color="inherit" onClick={onMenuOpen}>
-          <MoreVertIcon />
-        </IconButton>
-      </Box>
-    </Paper>
+          <Tooltip
+            title={
+              verificationStatus === 'verified'
+                ? 'Verified'
+                : verificationStatus === 'changed'
+                  ? 'Safety number changed'
+                  : 'Verify safety number'
+            }
+          >
+            <IconButton color="inherit" onClick={() => setVerifyOpen(true)}>
+              {verificationStatus === 'verified' && <VerifiedUserIcon />}
+              {verificationStatus === 'changed' && <GppMaybeIcon sx={{ color: theme.palette.warning.light }} />}
+              {verificationStatus === 'unverified' && <ShieldOutlinedIcon />}
+            </IconButton>
+          </Tooltip>
+        
+          <IconButton color="inherit" onClick={onMenuOpen}>
+            <MoreVertIcon />
+          </IconButton>
+        </Box>
+      </Paper>
+    
+      {verificationStatus === 'changed' && (
+        <Alert
+          severity="warning"
+          sx={{ borderRadius: 0 }}
+          action={
+            <Button color="inherit" size="small" onClick={() => setVerifyOpen(true)}>
+              Verify
+            </Button>
+          }
+        >
+          {recipient.displayName || recipient.username}'s encryption keys have changed since you verified them.
+          Messages to them are held back until you verify them again.
+        </Alert>
+      )}
+    
+      <SafetyNumberDialog
+        open={verifyOpen}
+        onClose={() => setVerifyOpen(false)}
+        contact={recipient}
+        status={verificationStatus}
+      />
+    </>
   );
 };
 
@@ -0,0 +1,91 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import { useMessaging } from '../../context/MessagingContext';
+import ContactPicker, { getContactUserId } from './ContactPicker';
+
+/**
+ * CreateGroupDialog Component
+ *
+ * Starts a group conversation with some of the current user's contacts.
+ * The creator becomes the group's first admin.
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.open - Whether the dialog is shown
+ * @param {Function} props.onClose - Called when the dialog is closed
+ */
+const CreateGroupDialog = ({ open, onClose }) => {
+  const { createGroup } = useMessaging();
+  const [name, setName] = useState('');
+  const [members, setMembers] = useState([]);
+  const [creating, setCreating] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Start empty every time the dialog opens
+  useEffect(() => {
+    if (open) {
+      setName('');
+      setMembers([]);
+      setError(null);
+    }
+  }, [open]);
+
+  const handleCreate = async () => {
+    setCreating(true);
+    setError(null);
+
+    const result = await createGroup(name, members.map(getContactUserId));
+
+    setCreating(false);
+    if (result.success) {
+      onClose();
+    } else {
+      setError(result.error);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={creating ? undefined : onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>New group</DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        <TextField
+          autoFocus
+          fullWidth
+          label="Group name"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          disabled={creating}
+          inputProps={{ maxLength: 100 }}
+          sx={{ mt: 1, mb: 2 }}
+        />
+        <ContactPicker value={members} onChange={setMembers} disabled={creating} />
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={creating}>Cancel</Button>
+        <Button
+          variant="contained"
+          onClick={handleCreate}
+          disabled={creating || !name.trim() || members.length === 0}
+          startIcon={creating ? <CircularProgress size={16} /> : null}
+        >
+          Create
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default CreateGroupDialog;
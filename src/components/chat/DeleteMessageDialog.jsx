@@ -0,0 +1,86 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  Button,
+  Alert
+} from '@mui/material';
+import { useMessaging } from '../../context/MessagingContext';
+import messageService from '../../services/messageService';
+
+/**
+ * DeleteMessageDialog Component
+ * 
+ * Asks whether a message should be deleted for everyone or only for the
+ * current user. Deleting for everyone is only offered to the sender, for a
+ * limited time after sending.
+ * 
+ * @param {Object} props - Component props
+ * @param {Object} props.message - Message being deleted, or null when closed
+ * @param {Function} props.onClose - Called when the dialog is closed
+ */
+const DeleteMessageDialog = ({ message, onClose }) => {
+  const { deleteMessage } = useMessaging();
+  const [deleting, setDeleting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setError(null);
+  }, [message]);
+
+  if (!message) return null;
+
+  // Messages still in the outbox were never delivered to anyone
+  const isQueued = message.id === message.clientId;
+  const canDeleteForEveryone = !isQueued && messageService.canDeleteForEveryone(message);
+
+  const handleDelete = async (forEveryone) => {
+    setDeleting(true);
+    setError(null);
+
+    const result = await deleteMessage(message.conversationId, message.id, forEveryone);
+
+    setDeleting(false);
+    if (result.success) {
+      onClose();
+    } else {
+      setError(result.error);
+    }
+  };
+
+  return (
+    <Dialog open onClose={deleting ? undefined : onClose} maxWidth="xs" fullWidth>
+      <DialogTitle>Delete message?</DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        <DialogContentText>
+          {isQueued
+            ? 'This message has not been sent yet and will be discarded.'
+            : canDeleteForEveryone
+              ? 'Delete this message for everyone in the conversation, or only from your devices.'
+              : 'This message will be deleted from your devices. Other members will still see it.'}
+        </DialogContentText>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={deleting}>Cancel</Button>
+        <Button color="error" onClick={() => handleDelete(false)} disabled={deleting}>
+          {isQueued ? 'Delete' : 'Delete for me'}
+        </Button>
+        {canDeleteForEveryone && (
+          <Button color="error" variant="contained" onClick={() => handleDelete(true)} disabled={deleting}>
+            Delete for everyone
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default DeleteMessageDialog;
@@ -0,0 +1,63 @@
+import React from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  List,
+  ListItem,
+  ListItemText,
+  Divider
+} from '@mui/material';
+import { format } from 'date-fns';
+
+/**
+ * EditHistoryDialog Component
+ * 
+ * Lists every version of an edited message, newest first.
+ * 
+ * @param {Object} props - Component props
+ * @param {Object} props.message - Edited message, with its previous versions in `editHistory`
+ * @param {boolean} props.open - Whether the dialog is open
+ * @param {Function} props.onClose - Called when the dialog is closed
+ */
+const EditHistoryDialog = ({ message, open, onClose }) => {
+  if (!message) return null;
+
+  const versions = [
+    { version: message.version || 1, content: message.content, editedAt: message.editedAt || message.timestamp },
+    ...[...(message.editHistory || [])].reverse()
+  ];
+
+  const formatDate = (date) => {
+    return date ? format(new Date(date), 'PPp') : '';
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="xs" fullWidth>
+      <DialogTitle>Edit history</DialogTitle>
+      <DialogContent dividers>
+        <List disablePadding>
+          {versions.map((version, index) => (
+            <React.Fragment key={version.version}>
+              {index > 0 && <Divider component="li" />}
+              <ListItem disableGutters>
+                <ListItemText
+                  primary={version.content}
+                  secondary={`${index === 0 ? 'Current' : `Version ${version.version}`} · ${formatDate(version.editedAt)}`}
+                  primaryTypographyProps={{ sx: { wordBreak: 'break-word' } }}
+                />
+              </ListItem>
+            </React.Fragment>
+          ))}
+        </List>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default EditHistoryDialog;
@@ -0,0 +1,97 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import { useMessaging } from '../../context/MessagingContext';
+
+/**
+ * EditMessageDialog Component
+ * 
+ * Lets the current user change the text of one of their messages.
+ * 
+ * @param {Object} props - Component props
+ * @param {Object} props.message - Message being edited, or null when closed
+ * @param {Function} props.onClose - Called when the dialog is closed
+ */
+const EditMessageDialog = ({ message, onClose }) => {
+  const { editMessage } = useMessaging();
+  const [content, setContent] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Start from the current text whenever another message is edited
+  useEffect(() => {
+    setContent(message?.content || '');
+    setError(null);
+  }, [message]);
+
+  const handleSave = async () => {
+    if (content.trim() === message.content) {
+      onClose();
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+
+    const result = await editMessage(message.conversationId, message.id, content);
+
+    setSaving(false);
+    if (result.success) {
+      onClose();
+    } else {
+      setError(result.error);
+    }
+  };
+
+  const handleKeyPress = (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      handleSave();
+    }
+  };
+
+  return (
+    <Dialog open={!!message} onClose={saving ? undefined : onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Edit message</DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        <TextField
+          autoFocus
+          fullWidth
+          multiline
+          maxRows={6}
+          margin="dense"
+          value={content}
+          onChange={(e) => setContent(e.target.value)}
+          onKeyPress={handleKeyPress}
+          disabled={saving}
+        />
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={saving}>Cancel</Button>
+        <Button
+          variant="contained"
+          onClick={handleSave}
+          disabled={saving || !content.trim()}
+          startIcon={saving && <CircularProgress size={16} color="inherit" />}
+        >
+          Save
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default EditMessageDialog;
@@ -22,11 +22,14 @@ import encryptionService from '../../services/encryptionService';
 import encryptedPresenceService from '../../services/encryptedPresenceService';
 import performanceService from '../../services/performanceService';
 import workerService from '../../services/workerService';
+import keyVaultService from '../../services/keyVaultService';
+import deviceService from '../../services/deviceService';
 import { useAuth } from '../../contexts/AuthContext';
 import PresenceIndicator from './PresenceIndicator';
 import MessageStatus from './MessageStatus';
 import TypingIndicator from './TypingIndicator';
 import ConversationHeader from './ConversationHeader';
+import PinnedMessagesBanner from './PinnedMessagesBanner';
 import MessageReactions from '../messages/MessageReactions';
 
 /**
@@ -96,18 +99,13 @@ const EncryptedConversation = ({
   useEffect(() => {
     const initializeEncryption = async () => {
       try {
-        // Check if user has encryption keys
-        const userKeysString = localStorage.getItem('userKeys');
-        if (!userKeysString) {
+        // Initialize encrypted presence service from the key vault
+        const initialized = await encryptedPresenceService.init(user.id);
+        if (!initialized) {
           setEncryptionError('Encryption keys not found');
           return;
         }
         
-        const userKeys = JSON.parse(userKeysString);
-        
-        // Initialize encrypted presence service
-        encryptedPresenceService.init(userKeys, user.id);
-        
         // Optimize for device capabilities
         await encryptedPresenceService.optimizeForDevice();
         
@@ -318,16 +316,18 @@ const EncryptedConversation = ({
       
       // Encrypt message if encryption is ready
       if (encryptionReady && recipientKeys.length > 0) {
-        // Get user's keys
-        const userKeysString = localStorage.getItem('userKeys');
-        const userKeys = JSON.parse(userKeysString);
+        // Sending requires an unlocked key vault
+        await keyVaultService.requestUnlock();
+        
+        // Encrypt for every device of every participant
+        const deviceRecipients = await deviceService.expandRecipients(recipientKeys);
         
         // Try to use Web Worker for encryption if available
         if (workerService.isWebWorkerSupported()) {
           try {
             const encryptedData = await workerService.encryptWithWorker(
               newMessage,
-              recipientKeys
+              deviceRecipients
             );
             
             // Send encrypted message
@@ -352,7 +352,7 @@ const EncryptedConversation = ({
         // Fallback to main thread encryption
         const encryptedData = await encryptionService.encryptGroupMessage(
           newMessage,
-          recipientKeys
+          deviceRecipients
         );
         
         // Send encrypted message
@@ -427,6 +427,8 @@ const EncryptedConversation = ({
         encryptedFeatures={encryptedFeatures}
       />
       
+      {conversation && <PinnedMessagesBanner conversationId={conversation.id} />}
+      
       {/* Messages */}
       <Box sx={{ 
         flexGrow: 1, 
@@ -0,0 +1,54 @@
+import React, { useState, useEffect } from 'react';
+import { Box, Tooltip } from '@mui/material';
+import { TimerOutlined as TimerIcon } from '@mui/icons-material';
+import disappearingService from '../../services/disappearingService';
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+
+// Tick only as often as the shown time can change
+const getTickInterval = (remaining) => {
+  if (remaining <= MINUTE) return SECOND;
+  if (remaining <= HOUR) return MINUTE / 4;
+  return MINUTE;
+};
+
+/**
+ * ExpiryCountdown Component
+ *
+ * Shows how long is left before a disappearing message disappears.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.message - Message with its `expiresIn` and timestamp
+ * @param {Object} props.sx - Additional styles
+ */
+const ExpiryCountdown = ({ message, sx = {} }) => {
+  const expiresAt = disappearingService.getExpiresAt(message);
+  const [now, setNow] = useState(Date.now());
+
+  const remaining = expiresAt === null ? 0 : expiresAt - now;
+
+  useEffect(() => {
+    if (expiresAt === null || remaining <= 0) return;
+
+    const timer = setTimeout(() => setNow(Date.now()), getTickInterval(remaining));
+    return () => clearTimeout(timer);
+  }, [expiresAt, remaining]);
+
+  if (expiresAt === null) return null;
+
+  return (
+    <Tooltip title={`Disappears ${new Date(expiresAt).toLocaleString()}`}>
+      <Box
+        component="span"
+        sx={{ display: 'inline-flex', alignItems: 'center', mr: 0.5, verticalAlign: 'middle', ...sx }}
+      >
+        <TimerIcon sx={{ fontSize: '0.8rem', mr: 0.25 }} />
+        {disappearingService.formatRemaining(remaining)}
+      </Box>
+    </Tooltip>
+  );
+};
+
+export default ExpiryCountdown;
@@ -0,0 +1,151 @@
+import React from 'react';
+import { Box, Link, Typography } from '@mui/material';
+import { useAuth } from '../../context/AuthContext';
+import { parseMarkdown, highlightCode } from '../../utils/markdownUtils';
+
+// Code blocks are always dark, so their colours don't depend on the bubble
+const CODE_COLORS = {
+  keyword: '#c792ea',
+  string: '#c3e88d',
+  number: '#f78c6c',
+  comment: '#7f8aa8'
+};
+
+/**
+ * FormattedText Component
+ *
+ * Renders message text with its markdown formatting and mentions; mentions
+ * of the current user stand out more. Everything is rendered as React
+ * elements, never as HTML.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.content - Message text with markdown and mention tokens
+ * @param {string} props.variant - Typography variant
+ * @param {Object} props.sx - Additional styles
+ */
+const FormattedText = ({ content, variant = 'body1', sx = {} }) => {
+  const { user } = useAuth();
+
+  const renderInline = (nodes) => nodes.map((node, index) => {
+    switch (node.type) {
+      case 'mention':
+        return (
+          <Box
+            key={index}
+            component="span"
+            sx={{
+              fontWeight: 'bold',
+              ...(node.userId === user?.id && {
+                bgcolor: 'warning.light',
+                color: 'warning.contrastText',
+                borderRadius: 0.5,
+                px: 0.25
+              })
+            }}
+          >
+            @{node.name}
+          </Box>
+        );
+      case 'bold':
+        return <strong key={index}>{renderInline(node.children)}</strong>;
+      case 'italic':
+        return <em key={index}>{renderInline(node.children)}</em>;
+      case 'strike':
+        return <s key={index}>{renderInline(node.children)}</s>;
+      case 'code':
+        return (
+          <Box
+            key={index}
+            component="code"
+            sx={{ fontFamily: 'monospace', fontSize: '0.9em', bgcolor: 'action.selected', borderRadius: 0.5, px: 0.5 }}
+          >
+            {node.text}
+          </Box>
+        );
+      case 'link':
+        return (
+          <Link key={index} href={node.href} target="_blank" rel="noopener noreferrer" color="inherit" underline="always">
+            {renderInline(node.children)}
+          </Link>
+        );
+      default:
+        return <React.Fragment key={index}>{node.text}</React.Fragment>;
+    }
+  });
+
+  const renderBlocks = (blocks) => blocks.map((block, index) => {
+    const spacing = { mt: index > 0 ? 0.75 : 0, mb: 0 };
+
+    switch (block.type) {
+      case 'code':
+        return (
+          <Box
+            key={index}
+            component="pre"
+            sx={{
+              ...spacing,
+              p: 1,
+              borderRadius: 1,
+              bgcolor: 'grey.900',
+              color: 'grey.100',
+              fontFamily: 'monospace',
+              fontSize: '0.85em',
+              overflowX: 'auto',
+              whiteSpace: 'pre'
+            }}
+          >
+            <code>
+              {highlightCode(block.code, block.language).map((token, tokenIndex) => (
+                token.type ? (
+                  <span key={tokenIndex} style={{ color: CODE_COLORS[token.type] }}>{token.text}</span>
+                ) : (
+                  <React.Fragment key={tokenIndex}>{token.text}</React.Fragment>
+                )
+              ))}
+            </code>
+          </Box>
+        );
+      case 'quote':
+        return (
+          <Box
+            key={index}
+            component="blockquote"
+            sx={{ ...spacing, mx: 0, pl: 1, borderLeft: 3, borderColor: 'divider', opacity: 0.85 }}
+          >
+            {renderBlocks(block.children)}
+          </Box>
+        );
+      case 'list':
+        return (
+          <Box
+            key={index}
+            component={block.ordered ? 'ol' : 'ul'}
+            start={block.ordered ? block.start : undefined}
+            sx={{ ...spacing, pl: 3 }}
+          >
+            {block.items.map((item, itemIndex) => (
+              <li key={itemIndex}>{renderInline(item)}</li>
+            ))}
+          </Box>
+        );
+      default:
+        return (
+          <Box key={index} component="p" sx={spacing}>
+            {renderInline(block.children)}
+          </Box>
+        );
+    }
+  });
+
+  return (
+    <Typography
+      variant={variant}
+      component="div"
+      sx={{ whiteSpace: 'pre-wrap', wordBreak: 'break-word', ...sx }}
+    >
+      {renderBlocks(parseMarkdown(content))}
+    </Typography>
+  );
+};
+
+export default FormattedText;
@@ -0,0 +1,76 @@
+import React from 'react';
+import { Box, IconButton, Tooltip } from '@mui/material';
+import {
+  FormatBold as BoldIcon,
+  FormatItalic as ItalicIcon,
+  StrikethroughS as StrikeIcon,
+  Code as CodeIcon,
+  DataObject as CodeBlockIcon,
+  Link as LinkIcon,
+  FormatListBulleted as BulletListIcon,
+  FormatListNumbered as NumberedListIcon,
+  FormatQuote as QuoteIcon
+} from '@mui/icons-material';
+
+const isMac = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform);
+const MOD = isMac ? '⌘' : 'Ctrl';
+
+// Shortcuts are matched on the physical key, so they work on any layout
+const FORMATS = [
+  { format: 'bold', label: 'Bold', Icon: BoldIcon, code: 'KeyB', shortcut: `${MOD}+B` },
+  { format: 'italic', label: 'Italic', Icon: ItalicIcon, code: 'KeyI', shortcut: `${MOD}+I` },
+  { format: 'strike', label: 'Strikethrough', Icon: StrikeIcon, code: 'KeyX', shift: true, shortcut: `${MOD}+Shift+X` },
+  { format: 'code', label: 'Code', Icon: CodeIcon, code: 'KeyE', shortcut: `${MOD}+E` },
+  { format: 'codeBlock', label: 'Code block', Icon: CodeBlockIcon, code: 'KeyC', shift: true, alt: true, shortcut: `${MOD}+Alt+Shift+C` },
+  { format: 'link', label: 'Link', Icon: LinkIcon, code: 'KeyK', shortcut: `${MOD}+K` },
+  { format: 'bulletList', label: 'Bulleted list', Icon: BulletListIcon, code: 'Digit8', shift: true, shortcut: `${MOD}+Shift+8` },
+  { format: 'numberedList', label: 'Numbered list', Icon: NumberedListIcon, code: 'Digit7', shift: true, shortcut: `${MOD}+Shift+7` },
+  { format: 'quote', label: 'Quote', Icon: QuoteIcon, code: 'Digit9', shift: true, shortcut: `${MOD}+Shift+9` }
+];
+
+/**
+ * Get the format a key press is the shortcut for
+ * @param {KeyboardEvent} event - Key down event
+ * @returns {string|null} - Format for applyFormat, or null
+ */
+export const getShortcutFormat = (event) => {
+  if (!(isMac ? event.metaKey : event.ctrlKey)) return null;
+
+  const match = FORMATS.find(({ code, shift = false, alt = false }) => (
+    event.code === code && event.shiftKey === shift && event.altKey === alt
+  ));
+  return match?.format || null;
+};
+
+/**
+ * FormattingToolbar Component
+ *
+ * Buttons for the markdown formats messages support.
+ *
+ * @param {Object} props - Component props
+ * @param {Function} props.onFormat - Called with the picked format
+ * @param {boolean} props.disabled - Whether the buttons are disabled
+ */
+const FormattingToolbar = ({ onFormat, disabled = false }) => {
+  return (
+    <Box sx={{ display: 'flex', flexWrap: 'wrap', mb: 0.5 }}>
+      {FORMATS.map(({ format, label, Icon, shortcut }) => (
+        <Tooltip key={format} title={`${label} (${shortcut})`}>
+          <span>
+            <IconButton
+              size="small"
+              disabled={disabled}
+              // Keep the selection in the input
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => onFormat(format)}
+            >
+              <Icon fontSize="small" />
+            </IconButton>
+          </span>
+        </Tooltip>
+      ))}
+    </Box>
+  );
+};
+
+export default FormattingToolbar;
@@ -0,0 +1,285 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  Alert,
+  Avatar,
+  Box,
+  Chip,
+  IconButton,
+  List,
+  ListItem,
+  ListItemAvatar,
+  ListItemText,
+  Menu,
+  MenuItem,
+  Typography,
+  Divider,
+  Tooltip
+} from '@mui/material';
+import {
+  MoreVert as MoreVertIcon,
+  PhotoCamera as PhotoCameraIcon
+} from '@mui/icons-material';
+import { useAuth } from '../../context/AuthContext';
+import { useMessaging } from '../../context/MessagingContext';
+import groupService from '../../services/groupService';
+import ContactPicker, { getContactUserId } from './ContactPicker';
+
+/**
+ * GroupSettingsDialog Component
+ *
+ * Shows a group's members. Admins can rename the group, change its avatar,
+ * add and remove members and grant or revoke admin rights; everyone can
+ * leave. Messages sent after a member is removed are no longer encrypted
+ * for them.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.conversation - Group conversation, or null when closed
+ * @param {Function} props.onClose - Called when the dialog is closed
+ */
+const GroupSettingsDialog = ({ conversation, onClose }) => {
+  const { user } = useAuth();
+  const {
+    loadGroupMembers,
+    renameGroup,
+    updateGroupAvatar,
+    addGroupMembers,
+    removeGroupMember,
+    setGroupMemberRole,
+    leaveGroup
+  } = useMessaging();
+  const [name, setName] = useState('');
+  const [newMembers, setNewMembers] = useState([]);
+  const [memberMenu, setMemberMenu] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const avatarInputRef = useRef(null);
+
+  const conversationId = conversation?.id;
+
+  // Fetch the current members whenever another group is opened
+  useEffect(() => {
+    if (!conversationId) return;
+
+    setNewMembers([]);
+    setError(null);
+    loadGroupMembers(conversationId).then(result => {
+      if (!result.success) {
+        setError(result.error);
+      }
+    });
+  }, [conversationId, loadGroupMembers]);
+
+  useEffect(() => {
+    setName(conversation?.name || '');
+  }, [conversation?.name]);
+
+  if (!conversation) return null;
+
+  const members = conversation.members || [];
+  const isAdmin = groupService.isAdmin(members, user?.id);
+  const mustHandOver = groupService.isLastAdmin(members, user?.id) && members.length > 1;
+
+  // Run a group action, keeping the dialog open to show what went wrong
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+
+    const result = await action();
+
+    setBusy(false);
+    if (!result.success) {
+      setError(result.error);
+    }
+    return result;
+  };
+
+  const handleRename = () => run(() => renameGroup(conversation.id, name));
+
+  const handleAvatarChange = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (file) {
+      run(() => updateGroupAvatar(conversation.id, file));
+    }
+  };
+
+  const handleAddMembers = async () => {
+    const result = await run(() => addGroupMembers(conversation.id, newMembers.map(getContactUserId)));
+    if (result.success) {
+      setNewMembers([]);
+    }
+  };
+
+  const handleMemberAction = (action) => {
+    const { member } = memberMenu;
+    setMemberMenu(null);
+
+    if (action === 'remove') {
+      run(() => removeGroupMember(conversation.id, member.userId));
+    } else {
+      const role = member.role === groupService.ROLES.ADMIN
+        ? groupService.ROLES.MEMBER
+        : groupService.ROLES.ADMIN;
+      run(() => setGroupMemberRole(conversation.id, member.userId, role));
+    }
+  };
+
+  const handleLeave = async () => {
+    const result = await run(() => leaveGroup(conversation.id));
+    if (result.success) {
+      onClose();
+    }
+  };
+
+  return (
+    <Dialog open onClose={busy ? undefined : onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Group settings</DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mt: 1, mb: 2 }}>
+          <Box sx={{ position: 'relative' }}>
+            <Avatar src={conversation.avatar} alt={conversation.name} sx={{ width: 64, height: 64 }}>
+              {conversation.name?.charAt(0)}
+            </Avatar>
+            {isAdmin && (
+              <Tooltip title="Change avatar">
+                <IconButton
+                  size="small"
+                  onClick={() => avatarInputRef.current?.click()}
+                  disabled={busy}
+                  sx={{ position: 'absolute', right: -8, bottom: -8, bgcolor: 'background.paper' }}
+                >
+                  <PhotoCameraIcon fontSize="small" />
+                </IconButton>
+              </Tooltip>
+            )}
+            <input
+              ref={avatarInputRef}
+              type="file"
+              accept="image/*"
+              hidden
+              onChange={handleAvatarChange}
+            />
+          </Box>
+          {isAdmin ? (
+            <Box sx={{ display: 'flex', flexGrow: 1, gap: 1 }}>
+              <TextField
+                fullWidth
+                size="small"
+                label="Group name"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                disabled={busy}
+                inputProps={{ maxLength: 100 }}
+              />
+              <Button
+                onClick={handleRename}
+                disabled={busy || !name.trim() || name.trim() === conversation.name}
+              >
+                Save
+              </Button>
+            </Box>
+          ) : (
+            <Typography variant="h6">{conversation.name}</Typography>
+          )}
+        </Box>
+
+        <Divider />
+        <Typography variant="subtitle2" sx={{ mt: 2 }}>
+          {members.length} {members.length === 1 ? 'member' : 'members'}
+        </Typography>
+        <List dense>
+          {members.map(member => {
+            const isSelf = member.userId === user?.id;
+            const memberName = member.fullName || member.username || member.userId;
+
+            return (
+              <ListItem
+                key={member.userId}
+                secondaryAction={isAdmin && !isSelf && (
+                  <IconButton
+                    edge="end"
+                    disabled={busy}
+                    onClick={(e) => setMemberMenu({ anchor: e.currentTarget, member })}
+                  >
+                    <MoreVertIcon />
+                  </IconButton>
+                )}
+              >
+                <ListItemAvatar>
+                  <Avatar src={member.avatar}>{memberName.charAt(0)}</Avatar>
+                </ListItemAvatar>
+                <ListItemText
+                  primary={isSelf ? `${memberName} (you)` : memberName}
+                  secondary={member.username && member.username !== memberName ? `@${member.username}` : null}
+                />
+                {member.role === groupService.ROLES.ADMIN && (
+                  <Chip label="Admin" size="small" color="primary" variant="outlined" sx={{ mr: isAdmin && !isSelf ? 2 : 0 }} />
+                )}
+              </ListItem>
+            );
+          })}
+        </List>
+
+        <Menu
+          anchorEl={memberMenu?.anchor}
+          open={Boolean(memberMenu)}
+          onClose={() => setMemberMenu(null)}
+        >
+          <MenuItem onClick={() => handleMemberAction('role')}>
+            {memberMenu?.member.role === groupService.ROLES.ADMIN ? 'Remove admin rights' : 'Make admin'}
+          </MenuItem>
+          <MenuItem onClick={() => handleMemberAction('remove')} sx={{ color: 'error.main' }}>
+            Remove from group
+          </MenuItem>
+        </Menu>
+
+        {isAdmin && (
+          <Box sx={{ display: 'flex', alignItems: 'flex-start', gap: 1, mt: 1 }}>
+            <Box sx={{ flexGrow: 1 }}>
+              <ContactPicker
+                value={newMembers}
+                onChange={setNewMembers}
+                excludeIds={members.map(member => member.userId)}
+                disabled={busy}
+              />
+            </Box>
+            <Button
+              variant="outlined"
+              onClick={handleAddMembers}
+              disabled={busy || newMembers.length === 0}
+              sx={{ mt: 1 }}
+            >
+              Add
+            </Button>
+          </Box>
+        )}
+
+        {mustHandOver && (
+          <Typography variant="caption" color="text.secondary" component="p" sx={{ mt: 2 }}>
+            You are the only admin. Make another member an admin before leaving.
+          </Typography>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button color="error" onClick={handleLeave} disabled={busy || mustHandOver} sx={{ mr: 'auto' }}>
+          Leave group
+        </Button>
+        <Button onClick={onClose} disabled={busy}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default GroupSettingsDialog;
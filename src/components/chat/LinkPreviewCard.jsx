@@ -0,0 +1,88 @@
+import React from 'react';
+import { Box, IconButton, Link, Typography } from '@mui/material';
+import { Close as CloseIcon } from '@mui/icons-material';
+
+const getHostname = (url) => {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (error) {
+    return url;
+  }
+};
+
+/**
+ * LinkPreviewCard Component
+ *
+ * Shows the title, description and image of a link. The image is embedded in
+ * the preview, so showing it doesn't request anything.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.preview - { url, title, description, siteName, image }
+ * @param {Function} props.onRemove - Called to drop the preview before sending (optional)
+ * @param {Object} props.sx - Additional styles
+ */
+const LinkPreviewCard = ({ preview, onRemove, sx = {} }) => {
+  return (
+    <Box
+      sx={{
+        display: 'flex',
+        alignItems: 'stretch',
+        gap: 1,
+        p: 1,
+        borderLeft: '3px solid currentColor',
+        borderRadius: 1,
+        bgcolor: 'action.hover',
+        maxWidth: 400,
+        ...sx
+      }}
+    >
+      {preview.image && (
+        <Box
+          component="img"
+          src={preview.image}
+          alt=""
+          sx={{ width: 64, height: 64, objectFit: 'cover', borderRadius: 1, flexShrink: 0 }}
+        />
+      )}
+      <Box sx={{ minWidth: 0, flexGrow: 1 }}>
+        <Typography variant="caption" sx={{ display: 'block', opacity: 0.8 }} noWrap>
+          {preview.siteName || getHostname(preview.url)}
+        </Typography>
+        {preview.title && (
+          <Link
+            href={preview.url}
+            target="_blank"
+            rel="noopener noreferrer"
+            color="inherit"
+            variant="subtitle2"
+            sx={{ display: 'block', fontWeight: 'bold' }}
+            noWrap
+          >
+            {preview.title}
+          </Link>
+        )}
+        {preview.description && (
+          <Typography
+            variant="body2"
+            sx={{
+              opacity: 0.85,
+              display: '-webkit-box',
+              WebkitLineClamp: 2,
+              WebkitBoxOrient: 'vertical',
+              overflow: 'hidden'
+            }}
+          >
+            {preview.description}
+          </Typography>
+        )}
+      </Box>
+      {onRemove && (
+        <IconButton size="small" onClick={onRemove} sx={{ alignSelf: 'flex-start' }}>
+          <CloseIcon fontSize="small" />
+        </IconButton>
+      )}
+    </Box>
+  );
+};
+
+export default LinkPreviewCard;
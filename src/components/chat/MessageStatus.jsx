@@ -4,9 +4,11 @@ import { styled } from '@mui/material/styles';
 import DoneIcon from '@mui/icons-material/Done';
 import DoneAllIcon from '@mui/icons-material/DoneAll';
 import AccessTimeIcon from '@mui/icons-material/AccessTime';
+import ScheduleSendIcon from '@mui/icons-material/ScheduleSend';
 import ErrorOutlineIcon from '@mui/icons-material/ErrorOutline';
 import LockIcon from '@mui/icons-material/Lock';
 import presenceService from '../../services/presenceService';
+import outboxService from '../../services/outboxService';
 
 // Styled components for status indicators
 const StatusContainer = styled(Box)(({ theme }) => ({
@@ -18,18 +20,21 @@ const StatusContainer = styled(Box)(({ theme }) => ({
 /**
  * MessageStatus Component
  * 
- * Displays the current status of a message (sending, sent, delivered, read, failed)
- * with appropriate icons and colors
+ * Displays the current status of a message (pending, sending, sent, delivered,
+ * read, failed) with appropriate icons and colors. Failed messages can be
+ * clicked to retry them.
  * 
  * @param {Object} props - Component props
  * @param {string} props.messageId - Message ID to display status for
  * @param {boolean} props.isEncrypted - Whether the message is encrypted
+ * @param {Function} props.onRetry - Called when a failed message is clicked (defaults to retrying it from the outbox)
  * @param {string} props.size - Size of the icon (small, medium, large)
  * @param {Object} props.sx - Additional styles
  */
 const MessageStatus = ({ 
   messageId, 
   isEncrypted = false,
+  onRetry,
   size = 'small', 
   sx = {} 
 }) => {
@@ -51,7 +56,7 @@ const MessageStatus = ({
     const messageStatus = presenceService.getMessageStatus(messageId);
     if (messageStatus) {
       setStatus(messageStatus.status);
-      updateTooltipText(messageStatus.status, messageStatus.timestamp);
+      updateTooltipText(messageStatus.status, messageStatus.error);
     } else {
       // Default to sending if no status found
       setStatus(presenceService.DELIVERY_STATUS.SENDING);
@@ -62,7 +67,7 @@ const MessageStatus = ({
     const unsubscribe = presenceService.subscribeToMessageStatusChanges((id, newStatus, userId) => {
       if (id === messageId) {
         setStatus(newStatus);
-        updateTooltipText(newStatus);
+        updateTooltipText(newStatus, presenceService.getMessageStatus(id)?.error);
       }
     });
 
@@ -73,8 +78,11 @@ const MessageStatus = ({
   }, [messageId]);
 
   // Update tooltip text based on status
-  const updateTooltipText = (status) => {
+  const updateTooltipText = (status, error) => {
     switch (status) {
+      case presenceService.DELIVERY_STATUS.PENDING:
+        setTooltipText('Waiting to send. It will go out when you are back online.');
+        break;
       case presenceService.DELIVERY_STATUS.SENDING:
         setTooltipText('Sending...');
         break;
@@ -88,7 +96,7 @@ const MessageStatus = ({
         setTooltipText('Read');
         break;
       case presenceService.DELIVERY_STATUS.FAILED:
-        setTooltipText('Failed to send. Tap to retry.');
+        setTooltipText(error ? `Failed to send: ${error} Tap to retry.` : 'Failed to send. Tap to retry.');
         break;
       default:
         setTooltipText('');
@@ -106,6 +114,8 @@ const MessageStatus = ({
     };
 
     switch (status) {
+      case presenceService.DELIVERY_STATUS.PENDING:
+        return <ScheduleSendIcon {...iconProps} sx={{ ...iconProps.sx, color: '#bdbdbd' }} />;
       case presenceService.DELIVERY_STATUS.SENDING:
         return <AccessTimeIcon {...iconProps} sx={{ ...iconProps.sx, color: '#bdbdbd' }} />;
       case presenceService.DELIVERY_STATUS.SENT:
@@ -121,10 +131,28 @@ const MessageStatus = ({
     }
   };
 
+  const isFailed = status === presenceService.DELIVERY_STATUS.FAILED;
+
+  // Retry a failed message
+  const handleClick = (event) => {
+    if (!isFailed) return;
+    event.stopPropagation();
+
+    if (onRetry) {
+      onRetry(messageId);
+    } else {
+      outboxService.retry(messageId);
+    }
+  };
+
   return (
     <StatusContainer sx={{ ...sx }}>
       <Tooltip title={tooltipText} arrow>
-        <Box sx={{ display: 'flex', alignItems: 'center' }}>
+        <Box
+          onClick={handleClick}
+          role={isFailed ? 'button' : undefined}
+          sx={{ display: 'flex', alignItems: 'center', cursor: isFailed ? 'pointer' : 'default' }}
+        >
           {renderStatusIcon()}
           
           {/* Show encryption icon if message is encrypted */}
@@ -0,0 +1,96 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  IconButton,
+  Tooltip
+} from '@mui/material';
+import {
+  PushPin as PushPinIcon,
+  Close as CloseIcon
+} from '@mui/icons-material';
+import { useMessaging } from '../../context/MessagingContext';
+import { stripMarkdown } from '../../utils/markdownUtils';
+import { toPlainText } from '../../utils/mentionUtils';
+
+/**
+ * PinnedMessagesBanner Component
+ *
+ * Shows the messages pinned in a conversation, one at a time under its
+ * header. Clicking the banner jumps to the pinned message and moves on to
+ * the next pin, so every pin can be reached in turn.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.conversationId - Conversation ID
+ */
+const PinnedMessagesBanner = ({ conversationId }) => {
+  const { pins, messages, focusMessage, unpinMessage } = useMessaging();
+  const [index, setIndex] = useState(0);
+  const [unpinning, setUnpinning] = useState(false);
+
+  const conversationPins = pins[conversationId] || [];
+
+  // Start again from the newest pin in every conversation, and when it changes
+  const newestPinId = conversationPins[0]?.messageId;
+  useEffect(() => {
+    setIndex(0);
+  }, [conversationId, newestPinId]);
+
+  if (conversationPins.length === 0) return null;
+
+  const current = conversationPins[Math.min(index, conversationPins.length - 1)];
+  // The loaded copy has any edits made since the pins were fetched
+  const message = (messages[conversationId] || []).find(msg => msg.id === current.messageId) || current.message;
+  const preview = message
+    ? stripMarkdown(toPlainText(message.content || '')).trim() || '📎 Media'
+    : 'Message not available on this device';
+
+  const handleClick = () => {
+    focusMessage(conversationId, current.messageId, message?.threadId);
+    setIndex(prev => (prev + 1) % conversationPins.length);
+  };
+
+  const handleUnpin = async (e) => {
+    e.stopPropagation();
+    setUnpinning(true);
+    await unpinMessage(conversationId, current.messageId);
+    setUnpinning(false);
+  };
+
+  return (
+    <Box
+      onClick={handleClick}
+      sx={{
+        px: 2,
+        py: 1,
+        display: 'flex',
+        alignItems: 'center',
+        borderBottom: 1,
+        borderColor: 'divider',
+        bgcolor: 'background.paper',
+        cursor: 'pointer'
+      }}
+    >
+      <PushPinIcon color="primary" fontSize="small" sx={{ mr: 1.5 }} />
+      <Box sx={{ flexGrow: 1, minWidth: 0 }}>
+        <Typography variant="caption" color="primary" sx={{ fontWeight: 600, display: 'block' }}>
+          {conversationPins.length === 1
+            ? 'Pinned message'
+            : `Pinned message ${Math.min(index, conversationPins.length - 1) + 1} of ${conversationPins.length}`}
+        </Typography>
+        <Typography variant="body2" color="text.secondary" noWrap>
+          {preview}
+        </Typography>
+      </Box>
+      <Tooltip title="Unpin">
+        <span>
+          <IconButton size="small" onClick={handleUnpin} disabled={unpinning}>
+            <CloseIcon fontSize="small" />
+          </IconButton>
+        </span>
+      </Tooltip>
+    </Box>
+  );
+};
+
+export default PinnedMessagesBanner;
@@ -0,0 +1,144 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  List,
+  ListItemButton,
+  ListItemText,
+  IconButton,
+  Tooltip,
+  Typography,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import { Star as StarIcon } from '@mui/icons-material';
+import { useMessaging } from '../../context/MessagingContext';
+import { stripMarkdown } from '../../utils/markdownUtils';
+import { toPlainText } from '../../utils/mentionUtils';
+
+const formatSavedDate = (date) => {
+  return new Date(date).toLocaleDateString([], { day: 'numeric', month: 'short', year: 'numeric' });
+};
+
+/**
+ * SavedMessagesDialog Component
+ *
+ * Lists the messages the current user starred, from every conversation,
+ * most recently starred first. Picking one opens its conversation at it.
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.open - Whether the dialog is open
+ * @param {Function} props.onClose - Called when the dialog is closed
+ */
+const SavedMessagesDialog = ({ open, onClose }) => {
+  const {
+    conversations,
+    starredMessages,
+    loadStarredMessages,
+    unstarMessage,
+    focusMessage
+  } = useMessaging();
+  const [loading, setLoading] = useState(false);
+  const [unstarringId, setUnstarringId] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Catch up with messages starred on other devices
+  useEffect(() => {
+    if (!open) return;
+
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    loadStarredMessages().then(result => {
+      if (cancelled) return;
+      setLoading(false);
+      if (!result.success) {
+        setError(result.error);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [open, loadStarredMessages]);
+
+  const getConversationName = (conversationId) => {
+    return conversations.find(conv => conv.id === conversationId)?.name || 'Unknown conversation';
+  };
+
+  const handleSelect = (message) => {
+    if (focusMessage(message.conversationId, message.id, message.threadId)) {
+      onClose();
+    } else {
+      setError('You are no longer in this conversation');
+    }
+  };
+
+  const handleUnstar = async (e, message) => {
+    e.stopPropagation();
+    setUnstarringId(message.id);
+    setError(null);
+
+    const result = await unstarMessage(message.id);
+
+    setUnstarringId(null);
+    if (!result.success) {
+      setError(result.error);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Saved messages</DialogTitle>
+      <DialogContent dividers>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        {starredMessages.length === 0 ? (
+          loading ? (
+            <CircularProgress size={24} sx={{ display: 'block', mx: 'auto' }} />
+          ) : (
+            <Typography color="text.secondary" align="center">
+              Star a message to find it here again. Only you can see your saved messages.
+            </Typography>
+          )
+        ) : (
+          <List disablePadding>
+            {starredMessages.map(message => (
+              <ListItemButton key={message.id} onClick={() => handleSelect(message)} sx={{ px: 1 }}>
+                <ListItemText
+                  primary={stripMarkdown(toPlainText(message.content || '')).trim() || '📎 Media'}
+                  primaryTypographyProps={{ noWrap: true }}
+                  secondary={`${getConversationName(message.conversationId)} · ${formatSavedDate(message.timestamp)}`}
+                />
+                <Tooltip title="Remove from saved">
+                  <span>
+                    <IconButton
+                      edge="end"
+                      onClick={(e) => handleUnstar(e, message)}
+                      disabled={unstarringId === message.id}
+                    >
+                      {unstarringId === message.id
+                        ? <CircularProgress size={16} />
+                        : <StarIcon fontSize="small" color="warning" />}
+                    </IconButton>
+                  </span>
+                </Tooltip>
+              </ListItemButton>
+            ))}
+          </List>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default SavedMessagesDialog;
@@ -0,0 +1,168 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  Alert,
+  Box,
+  Typography,
+  CircularProgress
+} from '@mui/material';
+import {
+  formatInTimeZone,
+  getLocalTimeZone,
+  getTimeZones,
+  toZonedInputValue,
+  zonedTimeToUtc
+} from '../../utils/timeZoneUtils';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// 9:00 tomorrow, as it reads in a time zone
+const getTomorrowMorning = (timeZone) => {
+  const today = toZonedInputValue(new Date(), timeZone).slice(0, 10);
+  const tomorrow = new Date(Date.parse(`${today}T00:00:00Z`) + DAY);
+  return `${tomorrow.toISOString().slice(0, 10)}T09:00`;
+};
+
+const formatTimeZoneName = (timeZone) => timeZone.replace(/_/g, ' ');
+
+/**
+ * ScheduleMessageDialog Component
+ *
+ * Picks when a message is sent, as a date and time in a chosen time zone,
+ * such as the start of the recipient's workday, and shows what that is in
+ * the current user's own time zone.
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.open - Whether the dialog is open
+ * @param {string} props.initialContent - Text of the message when scheduling a new one
+ * @param {Object} props.scheduled - Scheduled message being changed (optional)
+ * @param {Function} props.onSubmit - Called with the text and { sendAt, timeZone }; resolves to a result
+ * @param {Function} props.onClose - Called when the dialog is closed
+ */
+const ScheduleMessageDialog = ({ open, initialContent = '', scheduled = null, onSubmit, onClose }) => {
+  const localTimeZone = getLocalTimeZone();
+  const timeZones = useMemo(() => getTimeZones(), []);
+
+  const [content, setContent] = useState('');
+  const [timeZone, setTimeZone] = useState(localTimeZone);
+  const [value, setValue] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Start from the scheduled message, or from 9:00 tomorrow for a new one
+  useEffect(() => {
+    if (!open) return;
+
+    const initialTimeZone = scheduled?.timeZone && timeZones.includes(scheduled.timeZone)
+      ? scheduled.timeZone
+      : localTimeZone;
+    setContent(scheduled ? scheduled.content : initialContent);
+    setTimeZone(initialTimeZone);
+    setValue(scheduled
+      ? toZonedInputValue(scheduled.sendAt, initialTimeZone)
+      : getTomorrowMorning(initialTimeZone));
+    setError(null);
+  }, [open, scheduled, initialContent, localTimeZone, timeZones]);
+
+  const sendAt = zonedTimeToUtc(value, timeZone);
+  const isInFuture = sendAt !== null && sendAt.getTime() > Date.now();
+
+  const handleSubmit = async () => {
+    if (!isInFuture) {
+      setError('Pick a time in the future');
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+
+    const result = await onSubmit(content, { sendAt, timeZone });
+
+    setSaving(false);
+    if (result.success) {
+      onClose();
+    } else {
+      setError(result.error);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={saving ? undefined : onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>{scheduled ? 'Edit scheduled message' : 'Send later'}</DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        <TextField
+          fullWidth
+          multiline
+          maxRows={6}
+          margin="dense"
+          label="Message"
+          value={content}
+          onChange={(e) => setContent(e.target.value)}
+          disabled={saving}
+        />
+        <Box display="flex" gap={2} flexWrap="wrap" mt={1}>
+          <TextField
+            type="datetime-local"
+            margin="dense"
+            label="Date and time"
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+            disabled={saving}
+            InputLabelProps={{ shrink: true }}
+            inputProps={{ min: toZonedInputValue(new Date(), timeZone) }}
+            sx={{ flex: '1 1 200px' }}
+          />
+          <TextField
+            select
+            margin="dense"
+            label="Time zone"
+            helperText="The date and time are read in this time zone"
+            value={timeZone}
+            onChange={(e) => setTimeZone(e.target.value)}
+            disabled={saving}
+            SelectProps={{ native: true }}
+            sx={{ flex: '1 1 200px' }}
+          >
+            {timeZones.map(zone => (
+              <option key={zone} value={zone}>
+                {formatTimeZoneName(zone)}{zone === localTimeZone ? ' (your time zone)' : ''}
+              </option>
+            ))}
+          </TextField>
+        </Box>
+        {sendAt && (
+          <Typography variant="body2" color={isInFuture ? 'text.secondary' : 'error'} sx={{ mt: 1 }}>
+            {isInFuture ? 'Sends' : 'Already past:'} {formatInTimeZone(sendAt, timeZone)}
+            {timeZone !== localTimeZone && ` (${formatInTimeZone(sendAt, localTimeZone)} your time)`}
+          </Typography>
+        )}
+        <Typography variant="caption" color="text.secondary" display="block" sx={{ mt: 1 }}>
+          The message is encrypted now and sent by the server at that time, even if you are offline.
+        </Typography>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={saving}>Cancel</Button>
+        <Button
+          variant="contained"
+          onClick={handleSubmit}
+          disabled={saving || !content.trim() || !sendAt}
+          startIcon={saving && <CircularProgress size={16} color="inherit" />}
+        >
+          {scheduled ? 'Save' : 'Schedule'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ScheduleMessageDialog;
@@ -0,0 +1,172 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  List,
+  ListItem,
+  ListItemText,
+  IconButton,
+  Tooltip,
+  Typography,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import {
+  Edit as EditIcon,
+  Close as CancelIcon
+} from '@mui/icons-material';
+import { useMessaging } from '../../context/MessagingContext';
+import ScheduleMessageDialog from './ScheduleMessageDialog';
+import { formatInTimeZone, getLocalTimeZone } from '../../utils/timeZoneUtils';
+import { stripMarkdown } from '../../utils/markdownUtils';
+import { toPlainText } from '../../utils/mentionUtils';
+
+/**
+ * ScheduledMessagesDialog Component
+ *
+ * Lists the current user's messages scheduled in a conversation, with when
+ * they will be sent, and lets them be edited or cancelled until then.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.conversationId - Conversation ID, or null when closed
+ * @param {Function} props.onClose - Called when the dialog is closed
+ */
+const ScheduledMessagesDialog = ({ conversationId, onClose }) => {
+  const {
+    scheduledMessages,
+    loadScheduledMessages,
+    updateScheduledMessage,
+    cancelScheduledMessage
+  } = useMessaging();
+  const [loading, setLoading] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [cancellingId, setCancellingId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const localTimeZone = getLocalTimeZone();
+  const scheduled = (conversationId && scheduledMessages[conversationId]) || [];
+
+  // Catch up with messages sent or changed from other devices
+  useEffect(() => {
+    if (!conversationId) return;
+
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    loadScheduledMessages(conversationId).then(result => {
+      if (cancelled) return;
+      setLoading(false);
+      if (!result.success) {
+        setError(result.error);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [conversationId, loadScheduledMessages]);
+
+  const handleCancel = async (entry) => {
+    setCancellingId(entry.id);
+    setError(null);
+
+    const result = await cancelScheduledMessage(conversationId, entry.id);
+
+    setCancellingId(null);
+    if (!result.success) {
+      setError(result.error);
+    }
+  };
+
+  const describeSchedule = (entry) => {
+    const sendsAt = formatInTimeZone(entry.sendAt, entry.timeZone || localTimeZone);
+    return entry.timeZone && entry.timeZone !== localTimeZone
+      ? `${sendsAt} (${formatInTimeZone(entry.sendAt, localTimeZone)} your time)`
+      : sendsAt;
+  };
+
+  return (
+    <>
+      <Dialog open={!!conversationId} onClose={onClose} maxWidth="sm" fullWidth>
+        <DialogTitle>Scheduled messages</DialogTitle>
+        <DialogContent dividers>
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {error}
+            </Alert>
+          )}
+          {scheduled.length === 0 ? (
+            loading ? (
+              <CircularProgress size={24} sx={{ display: 'block', mx: 'auto' }} />
+            ) : (
+              <Typography color="text.secondary" align="center">
+                No messages are scheduled in this conversation.
+              </Typography>
+            )
+          ) : (
+            <List disablePadding>
+              {scheduled.map(entry => (
+                <ListItem
+                  key={entry.id}
+                  disableGutters
+                  secondaryAction={
+                    <>
+                      <Tooltip title="Edit">
+                        <span>
+                          <IconButton
+                            onClick={() => setEditing(entry)}
+                            disabled={!!entry.decryptError || cancellingId === entry.id}
+                          >
+                            <EditIcon fontSize="small" />
+                          </IconButton>
+                        </span>
+                      </Tooltip>
+                      <Tooltip title="Cancel">
+                        <span>
+                          <IconButton
+                            edge="end"
+                            onClick={() => handleCancel(entry)}
+                            disabled={cancellingId === entry.id}
+                          >
+                            {cancellingId === entry.id
+                              ? <CircularProgress size={16} />
+                              : <CancelIcon fontSize="small" />}
+                          </IconButton>
+                        </span>
+                      </Tooltip>
+                    </>
+                  }
+                  sx={{ pr: 10 }}
+                >
+                  <ListItemText
+                    primary={stripMarkdown(toPlainText(entry.content || ''))}
+                    primaryTypographyProps={{ noWrap: true }}
+                    secondary={entry.status === 'failed'
+                      ? 'Could not be sent. Edit it to try again.'
+                      : `Sends ${describeSchedule(entry)}`}
+                    secondaryTypographyProps={{ color: entry.status === 'failed' ? 'error' : 'text.secondary' }}
+                  />
+                </ListItem>
+              ))}
+            </List>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={onClose}>Close</Button>
+        </DialogActions>
+      </Dialog>
+
+      <ScheduleMessageDialog
+        open={!!editing}
+        scheduled={editing}
+        onSubmit={(content, schedule) => updateScheduledMessage(conversationId, editing.id, content, schedule)}
+        onClose={() => setEditing(null)}
+      />
+    </>
+  );
+};
+
+export default ScheduledMessagesDialog;
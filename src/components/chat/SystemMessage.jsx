@@ -0,0 +1,52 @@
+import React from 'react';
+import { Box, Typography } from '@mui/material';
+import { TimerOutlined as TimerIcon } from '@mui/icons-material';
+import disappearingService from '../../services/disappearingService';
+
+/**
+ * Describe a control message from the point of view of the current user
+ */
+const describe = (message, isOwn) => {
+  const actor = isOwn ? 'You' : message.senderName || 'Someone';
+
+  if (message.control?.type === disappearingService.TIMER_CONTROL) {
+    return disappearingService.describeTimerChange(message.control.expiresIn, actor);
+  }
+  return message.content;
+};
+
+/**
+ * SystemMessage Component
+ *
+ * Shows a change to the conversation, such as a new disappearing message
+ * timer, centred in the timeline instead of in a bubble.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.message - Message with its `control`
+ * @param {boolean} props.isOwn - Whether the current user made the change
+ * @param {Object} props.sx - Additional styles
+ */
+const SystemMessage = ({ message, isOwn = false, sx = {} }) => {
+  return (
+    <Box sx={{ display: 'flex', justifyContent: 'center', px: 2, pb: 2, ...sx }}>
+      <Typography
+        variant="caption"
+        color="text.secondary"
+        sx={{
+          display: 'inline-flex',
+          alignItems: 'center',
+          gap: 0.5,
+          px: 1.5,
+          py: 0.5,
+          borderRadius: 2,
+          bgcolor: 'action.hover'
+        }}
+      >
+        <TimerIcon sx={{ fontSize: '0.9rem' }} />
+        {describe(message, isOwn)}
+      </Typography>
+    </Box>
+  );
+};
+
+export default SystemMessage;
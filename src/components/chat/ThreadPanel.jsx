@@ -0,0 +1,145 @@
+import React, { useEffect, useRef } from 'react';
+import {
+  Drawer,
+  Box,
+  Paper,
+  Typography,
+  IconButton,
+  Divider
+} from '@mui/material';
+import { Close as CloseIcon } from '@mui/icons-material';
+import { useAuth } from '../../context/AuthContext';
+import { useMessaging } from '../../context/MessagingContext';
+import MediaDisplay from '../MediaDisplay.jsx';
+import MessageInput from '../MessageInput';
+import FormattedText from './FormattedText';
+import LinkPreviewCard from './LinkPreviewCard';
+import linkPreviewService from '../../services/linkPreviewService';
+
+/**
+ * A message in the thread panel, in a compact layout that fits its width
+ */
+const ThreadMessage = ({ message, isOwn, showLinkPreview, onViewOnceOpen }) => (
+  <Box sx={{ display: 'flex', flexDirection: 'column', alignItems: isOwn ? 'flex-end' : 'flex-start', px: 2, py: 0.5 }}>
+    {!isOwn && (
+      <Typography variant="caption" color="text.secondary" sx={{ ml: 1 }}>
+        {message.senderName || 'Unknown'}
+      </Typography>
+    )}
+    <Paper
+      elevation={1}
+      sx={{
+        px: 1.5,
+        py: 1,
+        maxWidth: '85%',
+        borderRadius: 2,
+        wordBreak: 'break-word',
+        bgcolor: isOwn ? 'primary.main' : 'background.paper',
+        color: isOwn ? 'primary.contrastText' : 'text.primary'
+      }}
+    >
+      {message.deleted ? (
+        <Typography variant="body2" sx={{ fontStyle: 'italic', opacity: 0.7 }}>
+          This message was deleted
+        </Typography>
+      ) : (
+        <>
+          {message.media && (
+            <MediaDisplay
+              media={message.media}
+              isOwn={isOwn}
+              onViewOnceOpen={() => onViewOnceOpen(message.id)}
+            />
+          )}
+          {message.content && <FormattedText content={message.content} variant="body2" />}
+          {showLinkPreview && message.linkPreview && <LinkPreviewCard preview={message.linkPreview} sx={{ mt: 1 }} />}
+        </>
+      )}
+      <Typography variant="caption" sx={{ display: 'block', textAlign: 'right', opacity: 0.7 }}>
+        {message.editedAt && !message.deleted && 'edited · '}
+        {new Date(message.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+      </Typography>
+    </Paper>
+  </Box>
+);
+
+/**
+ * ThreadPanel Component
+ * 
+ * Side panel showing the thread that is open in the messaging context: its
+ * root message, every reply, and an input for replying in the thread.
+ */
+const ThreadPanel = () => {
+  const { user } = useAuth();
+  const { activeThread, messages, closeThread, getThreadReplies, openViewOnceMedia } = useMessaging();
+  const repliesEndRef = useRef(null);
+
+  const conversationId = activeThread?.conversationId;
+  const root = activeThread
+    ? (messages[conversationId] || []).find(msg => msg.id === activeThread.rootId)
+    : null;
+  const replies = activeThread ? getThreadReplies(conversationId, activeThread.rootId) : [];
+  const showLinkPreviews = linkPreviewService.isEnabled(conversationId);
+  const openMedia = (messageId) => openViewOnceMedia(conversationId, messageId);
+
+  // Keep the newest reply in view
+  useEffect(() => {
+    repliesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [replies.length]);
+
+  return (
+    <Drawer
+      anchor="right"
+      open={!!activeThread}
+      onClose={closeThread}
+      PaperProps={{ sx: { width: { xs: '100%', sm: 400 }, display: 'flex', flexDirection: 'column' } }}
+    >
+      <Box sx={{ display: 'flex', alignItems: 'center', p: 2, borderBottom: 1, borderColor: 'divider' }}>
+        <Typography variant="h6" sx={{ flexGrow: 1 }}>
+          Thread
+        </Typography>
+        <IconButton onClick={closeThread}>
+          <CloseIcon />
+        </IconButton>
+      </Box>
+
+      <Box sx={{ flexGrow: 1, overflow: 'auto', py: 1 }}>
+        {root ? (
+          <ThreadMessage
+            message={root}
+            isOwn={root.senderId === user?.id}
+            showLinkPreview={showLinkPreviews}
+            onViewOnceOpen={openMedia}
+          />
+        ) : (
+          <Typography variant="body2" color="text.secondary" sx={{ px: 2 }}>
+            The original message is not loaded.
+          </Typography>
+        )}
+
+        <Divider sx={{ my: 1 }}>
+          <Typography variant="caption" color="text.secondary">
+            {replies.length === 1 ? '1 reply' : `${replies.length} replies`}
+          </Typography>
+        </Divider>
+
+        {replies.map(reply => (
+          <ThreadMessage
+            key={reply.clientId || reply.id}
+            message={reply}
+            isOwn={reply.senderId === user?.id}
+            showLinkPreview={showLinkPreviews}
+            onViewOnceOpen={openMedia}
+          />
+        ))}
+        <div ref={repliesEndRef} />
+      </Box>
+
+      {activeThread && (
+        <MessageInput conversationId={conversationId} threadId={activeThread.rootId} />
+      )}
+    </Drawer>
+  );
+};
+
+export default ThreadPanel;
@@ -0,0 +1,396 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Box, IconButton, Tooltip, Typography } from '@mui/material';
+import {
+  Mic as MicIcon,
+  Send as SendIcon,
+  Stop as StopIcon,
+  Delete as DeleteIcon,
+  Lock as LockIcon,
+  ChevronLeft as ChevronLeftIcon
+} from '@mui/icons-material';
+import { WaveformPlayer } from '../MediaDisplay.jsx';
+import { decodeWaveform, formatDuration, resampleWaveform } from '../../utils/waveformUtils';
+
+// Dragging this far left cancels, this far up locks the recording (px)
+const CANCEL_DISTANCE = 100;
+const LOCK_DISTANCE = 60;
+// Presses shorter than this are taps, which start a locked recording (ms)
+const TAP_THRESHOLD = 300;
+// Held recordings shorter than this are dropped as accidental (s)
+const MIN_DURATION = 1;
+const MAX_DURATION = 5 * 60;
+const HINT_DURATION = 2500;
+// Bars of the live level meter
+const METER_BARS = 32;
+
+// Formats in order of preference; Safari only records mp4
+const RECORDING_TYPES = ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/mp4'];
+const FILE_EXTENSIONS = { 'audio/webm': 'webm', 'audio/ogg': 'ogg', 'audio/mp4': 'm4a' };
+
+const isRecordingSupported = () => {
+  return typeof window !== 'undefined' &&
+    typeof window.MediaRecorder !== 'undefined' &&
+    Boolean(navigator.mediaDevices?.getUserMedia);
+};
+
+/**
+ * VoiceRecorder Component
+ *
+ * Records voice messages: hold the microphone to record and release to send,
+ * slide left to cancel, or slide up (or just tap) to lock the recording and
+ * review it before sending.
+ *
+ * Its panel covers the input row, so the parent has to be positioned.
+ *
+ * @param {Object} props - Component props
+ * @param {Function} props.onRecorded - Called with the audio file and { voice, duration, waveform }
+ * @param {boolean} props.disabled - Whether recording is disabled
+ */
+const VoiceRecorder = ({ onRecorded, disabled = false }) => {
+  // idle, starting, recording (held), locked, processing or preview
+  const [mode, setMode] = useState('idle');
+  const [elapsed, setElapsed] = useState(0);
+  const [meter, setMeter] = useState([]);
+  const [dragX, setDragX] = useState(0);
+  const [preview, setPreview] = useState(null);
+  const [hint, setHint] = useState(null);
+
+  const modeRef = useRef('idle');
+  const recorderRef = useRef(null);
+  const streamRef = useRef(null);
+  const chunksRef = useRef([]);
+  const audioContextRef = useRef(null);
+  const frameRef = useRef(null);
+  const startedAtRef = useRef(0);
+  const levelsRef = useRef([]);
+  const pressRef = useRef(null);
+  const releasedRef = useRef(false);
+  const onRecordedRef = useRef(onRecorded);
+  onRecordedRef.current = onRecorded;
+
+  const changeMode = (next) => {
+    modeRef.current = next;
+    setMode(next);
+  };
+
+  const showHint = (text) => {
+    setHint(text);
+    setTimeout(() => setHint(current => (current === text ? null : current)), HINT_DURATION);
+  };
+
+  // Release the microphone and stop metering
+  const releaseInput = () => {
+    cancelAnimationFrame(frameRef.current);
+    streamRef.current?.getTracks().forEach(track => track.stop());
+    streamRef.current = null;
+    audioContextRef.current?.close?.();
+    audioContextRef.current = null;
+  };
+
+  useEffect(() => {
+    return () => {
+      if (recorderRef.current?.state === 'recording') {
+        recorderRef.current.onstop = null;
+        recorderRef.current.stop();
+      }
+      releaseInput();
+    };
+  }, []);
+
+  useEffect(() => {
+    return () => {
+      if (preview) URL.revokeObjectURL(preview.url);
+    };
+  }, [preview]);
+
+  // Sample the input level for the meter and as a fallback waveform
+  const startMeter = (stream) => {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return;
+
+    const context = new AudioContextClass();
+    const analyser = context.createAnalyser();
+    analyser.fftSize = 1024;
+    context.createMediaStreamSource(stream).connect(analyser);
+    audioContextRef.current = context;
+
+    const samples = new Float32Array(analyser.fftSize);
+    let lastSample = 0;
+    const sample = (now) => {
+      const seconds = (Date.now() - startedAtRef.current) / 1000;
+      if (now - lastSample >= 100) {
+        lastSample = now;
+        analyser.getFloatTimeDomainData(samples);
+        const rms = Math.sqrt(samples.reduce((sum, value) => sum + value * value, 0) / samples.length);
+        levelsRef.current.push(Math.min(1, rms * 4));
+        setMeter(levelsRef.current.slice(-METER_BARS));
+        setElapsed(seconds);
+      }
+
+      if (seconds >= MAX_DURATION) {
+        finish(false);
+      } else {
+        frameRef.current = requestAnimationFrame(sample);
+      }
+    };
+    frameRef.current = requestAnimationFrame(sample);
+  };
+
+  const start = async () => {
+    changeMode('starting');
+    releasedRef.current = false;
+
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      const mimeType = RECORDING_TYPES.find(type => window.MediaRecorder.isTypeSupported?.(type));
+      const recorder = new window.MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+
+      streamRef.current = stream;
+      recorderRef.current = recorder;
+      chunksRef.current = [];
+      levelsRef.current = [];
+      recorder.ondataavailable = (e) => {
+        if (e.data.size > 0) chunksRef.current.push(e.data);
+      };
+      recorder.start(250);
+
+      startedAtRef.current = Date.now();
+      setElapsed(0);
+      setMeter([]);
+      startMeter(stream);
+
+      // A tap released while the permission prompt was open locks the recording
+      changeMode(releasedRef.current ? 'locked' : 'recording');
+    } catch (error) {
+      console.error('Could not start recording:', error);
+      releaseInput();
+      changeMode('idle');
+      showHint(error.name === 'NotAllowedError' ? 'Microphone access was denied' : 'Could not access the microphone');
+    }
+  };
+
+  // Stop recording and turn it into a file with its waveform
+  const stopRecording = () => {
+    const recorder = recorderRef.current;
+    const duration = (Date.now() - startedAtRef.current) / 1000;
+
+    return new Promise(resolve => {
+      recorder.onstop = async () => {
+        releaseInput();
+        const type = (recorder.mimeType || 'audio/webm').split(';')[0];
+        const blob = new Blob(chunksRef.current, { type });
+        const file = new File([blob], `voice-message-${Date.now()}.${FILE_EXTENSIONS[type] || 'webm'}`, { type });
+
+        let metadata = { voice: true, duration, waveform: resampleWaveform(levelsRef.current) };
+        try {
+          const decoded = await decodeWaveform(await blob.arrayBuffer());
+          metadata = { voice: true, duration: decoded.duration || duration, waveform: decoded.waveform };
+        } catch (error) {
+          // The levels sampled while recording will do
+          console.warn('Could not decode the recording:', error);
+        }
+        resolve({ file, metadata });
+      };
+      recorder.stop();
+    });
+  };
+
+  const cancel = () => {
+    if (recorderRef.current?.state === 'recording') {
+      recorderRef.current.onstop = null;
+      recorderRef.current.stop();
+    }
+    releaseInput();
+    setPreview(null);
+    setDragX(0);
+    changeMode('idle');
+  };
+
+  // Send the recording, or keep it for review
+  const finish = async (send) => {
+    if (!['recording', 'locked'].includes(modeRef.current)) return;
+    cancelAnimationFrame(frameRef.current);
+    changeMode('processing');
+    setDragX(0);
+
+    const recording = await stopRecording();
+    if (send) {
+      changeMode('idle');
+      onRecordedRef.current(recording.file, recording.metadata);
+    } else {
+      setPreview({ ...recording, url: URL.createObjectURL(recording.file) });
+      changeMode('preview');
+    }
+  };
+
+  const sendPreview = () => {
+    const { file, metadata } = preview;
+    setPreview(null);
+    changeMode('idle');
+    onRecorded(file, metadata);
+  };
+
+  const handlePointerDown = (e) => {
+    if (disabled || modeRef.current !== 'idle') return;
+
+    e.preventDefault();
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    pressRef.current = { x: e.clientX, y: e.clientY, at: Date.now() };
+    start();
+  };
+
+  const handlePointerMove = (e) => {
+    if (modeRef.current !== 'recording' || !pressRef.current) return;
+
+    const dx = e.clientX - pressRef.current.x;
+    const dy = e.clientY - pressRef.current.y;
+    if (dx < -CANCEL_DISTANCE) {
+      cancel();
+    } else if (dy < -LOCK_DISTANCE) {
+      setDragX(0);
+      changeMode('locked');
+    } else {
+      setDragX(Math.min(0, dx));
+    }
+  };
+
+  const handlePointerUp = () => {
+    const press = pressRef.current;
+    pressRef.current = null;
+    if (!press) return;
+
+    if (modeRef.current === 'starting') {
+      releasedRef.current = true;
+    } else if (modeRef.current === 'recording') {
+      if (Date.now() - press.at < TAP_THRESHOLD) {
+        changeMode('locked');
+      } else if ((Date.now() - startedAtRef.current) / 1000 < MIN_DURATION) {
+        cancel();
+        showHint('Hold to record, release to send');
+      } else {
+        finish(true);
+      }
+    }
+  };
+
+  if (!isRecordingSupported()) {
+    return (
+      <Tooltip title="Voice messages are not supported in this browser">
+        <span>
+          <IconButton disabled>
+            <MicIcon />
+          </IconButton>
+        </span>
+      </Tooltip>
+    );
+  }
+
+  const isRecording = ['starting', 'recording', 'locked', 'processing'].includes(mode);
+
+  return (
+    <>
+      {(mode !== 'idle' || hint) && (
+        <Box
+          sx={{
+            position: 'absolute',
+            top: 0,
+            bottom: 0,
+            left: 0,
+            right: 48,
+            display: 'flex',
+            alignItems: 'center',
+            gap: 1,
+            px: 1,
+            bgcolor: 'background.paper',
+            zIndex: 1
+          }}
+        >
+          {mode === 'idle' ? (
+            <Typography variant="body2" color="text.secondary">{hint}</Typography>
+          ) : mode === 'preview' ? (
+            <>
+              <Tooltip title="Delete">
+                <IconButton color="error" onClick={cancel}>
+                  <DeleteIcon />
+                </IconButton>
+              </Tooltip>
+              <Box sx={{ flexGrow: 1, color: 'primary.main' }}>
+                <WaveformPlayer
+                  src={preview.url}
+                  waveform={preview.metadata.waveform}
+                  duration={preview.metadata.duration}
+                />
+              </Box>
+            </>
+          ) : (
+            <>
+              {mode === 'locked' ? (
+                <Tooltip title="Delete">
+                  <IconButton color="error" onClick={cancel}>
+                    <DeleteIcon />
+                  </IconButton>
+                </Tooltip>
+              ) : (
+                <Box sx={{ width: 10, height: 10, mx: 1, borderRadius: '50%', bgcolor: 'error.main', flexShrink: 0 }} />
+              )}
+              <Typography variant="body2" sx={{ minWidth: 36 }}>
+                {formatDuration(elapsed)}
+              </Typography>
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: '2px', height: 24, flexGrow: 1, overflow: 'hidden' }}>
+                {meter.map((level, index) => (
+                  <Box
+                    key={index}
+                    sx={{ width: 3, height: `${Math.max(10, level * 100)}%`, borderRadius: 1, bgcolor: 'error.main', flexShrink: 0 }}
+                  />
+                ))}
+              </Box>
+              {mode === 'locked' ? (
+                <Tooltip title="Stop and review">
+                  <IconButton onClick={() => finish(false)}>
+                    <StopIcon />
+                  </IconButton>
+                </Tooltip>
+              ) : (
+                <Box
+                  sx={{ display: 'flex', alignItems: 'center', color: 'text.secondary', transform: `translateX(${dragX}px)` }}
+                >
+                  <ChevronLeftIcon fontSize="small" />
+                  <Typography variant="caption" noWrap>Slide to cancel</Typography>
+                  <LockIcon fontSize="small" sx={{ ml: 1, opacity: 0.6 }} />
+                </Box>
+              )}
+            </>
+          )}
+        </Box>
+      )}
+
+      {mode === 'locked' || mode === 'preview' ? (
+        <Tooltip title="Send">
+          <IconButton color="primary" onClick={mode === 'locked' ? () => finish(true) : sendPreview}>
+            <SendIcon />
+          </IconButton>
+        </Tooltip>
+      ) : (
+        <Tooltip title={isRecording ? '' : 'Hold to record, tap to lock'}>
+          <span>
+            <IconButton
+              color={isRecording ? 'error' : 'default'}
+              disabled={disabled || mode === 'processing'}
+              onPointerDown={handlePointerDown}
+              onPointerMove={handlePointerMove}
+              onPointerUp={handlePointerUp}
+              onPointerCancel={cancel}
+              onContextMenu={(e) => e.preventDefault()}
+              sx={{ touchAction: 'none' }}
+              aria-label="Record voice message"
+            >
+              <MicIcon />
+            </IconButton>
+          </span>
+        </Tooltip>
+      )}
+    </>
+  );
+};
+
+export default VoiceRecorder;
@@ -4,6 +4,7 @@ import { Box, useMediaQuery } from '@mui/material';
 import { useTheme } from '@mui/material/styles';
 import Sidebar from './Sidebar';
 import Header from './Header';
+import KeyVaultDialog from '../security/KeyVaultDialog';
 
 // Main layout component for authenticated pages
 const MainLayout = () => {
@@ -53,6 +54,9 @@ const MainLayout = () => {
           <Outlet />
         </Box>
       </Box>
+
+      {/* Passphrase prompt for the key vault */}
+      <KeyVaultDialog />
     </Box>
   );
 };
@@ -0,0 +1,85 @@
+import React from 'react';
+import {
+  Box,
+  List,
+  ListItemButton,
+  ListItemText,
+  Typography,
+  CircularProgress
+} from '@mui/material';
+import { AttachFile as AttachFileIcon } from '@mui/icons-material';
+
+// Format a result's date compactly: time for today, date otherwise
+const formatResultDate = (timestamp) => {
+  const date = new Date(timestamp);
+  if (Number.isNaN(date.getTime())) return '';
+
+  return date.toDateString() === new Date().toDateString()
+    ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : date.toLocaleDateString();
+};
+
+/**
+ * SearchResults Component
+ *
+ * Lists messages found by the sidebar search.
+ *
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.results - Matching messages, newest first
+ * @param {boolean} props.searching - Whether a search is running
+ * @param {string} props.error - Why the search failed, if it did
+ * @param {Function} props.getConversationName - Returns the name of a conversation by ID
+ * @param {Function} props.onSelect - Called with the picked result
+ */
+const SearchResults = ({ results, searching, error, getConversationName, onSelect }) => {
+  if (searching && results.length === 0) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', p: 2 }}>
+        <CircularProgress size={24} />
+      </Box>
+    );
+  }
+
+  if (error || results.length === 0) {
+    return (
+      <Box sx={{ px: 2, py: 1 }}>
+        <Typography variant="body2" color={error ? 'error' : 'text.secondary'}>
+          {error || 'No messages found'}
+        </Typography>
+        <Typography variant="caption" color="text.secondary">
+          Try "a phrase", from:name, after:2024-01-31, before:2024-02-01 or has:media
+        </Typography>
+      </Box>
+    );
+  }
+
+  return (
+    <List dense sx={{ overflow: 'auto' }}>
+      {results.map(result => (
+        <ListItemButton key={result.id} onClick={() => onSelect(result)} sx={{ alignItems: 'flex-start' }}>
+          <ListItemText
+            primary={
+              <Box sx={{ display: 'flex', justifyContent: 'space-between', gap: 1 }}>
+                <Typography variant="subtitle2" noWrap>
+                  {getConversationName(result.conversationId)}
+                </Typography>
+                <Typography variant="caption" color="text.secondary" sx={{ flexShrink: 0 }}>
+                  {formatResultDate(result.timestamp)}
+                </Typography>
+              </Box>
+            }
+            secondary={
+              <Typography variant="body2" color="text.secondary" noWrap component="span" sx={{ display: 'flex', alignItems: 'center' }}>
+                {result.hasMedia && <AttachFileIcon sx={{ fontSize: 14, mr: 0.5 }} />}
+                {result.senderName && `${result.senderName}: `}
+                {result.text || result.caption}
+              </Typography>
+            }
+          />
+        </ListItemButton>
+      ))}
+    </List>
+  );
+};
+
+export default SearchResults;
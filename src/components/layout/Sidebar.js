@@ -15,6 +15,8 @@ import {
   InputBase,
   Badge,
   Tooltip,
+  Alert,
+  Button,
   alpha
 } from '@mui/material';
 import {
@@ -27,10 +29,16 @@ import {
 } from '@mui/icons-material';
 import { styled } from '@mui/material/styles';
 import { useAuth } from '../../context/AuthContext';
+import { useMessaging } from '../../context/MessagingContext';
+import messageService from '../../services/messageService';
+import SearchResults from './SearchResults';
 
 // Drawer width
 const drawerWidth = 280;
 
+// Wait for a pause in typing before searching
+const SEARCH_DELAY = 250;
+
 // Styled search component
 const Search = styled('div')(({ theme }) => ({
   position: 'relative',
@@ -75,7 +83,37 @@ const Sidebar = ({ open, onClose, isMobile }) => {
   const navigate = useNavigate();
   const location = useLocation();
   const { user } = useAuth();
+  const { conversations, focusMessage, historyLocked, unlockHistory } = useMessaging();
   const [searchQuery, setSearchQuery] = useState('');
+  const [searchResults, setSearchResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const [searchError, setSearchError] = useState(null);
+
+  // Search the messages decrypted on this device as the user types
+  useEffect(() => {
+    if (!searchQuery.trim()) {
+      setSearchResults([]);
+      setSearchError(null);
+      setSearching(false);
+      return;
+    }
+
+    let cancelled = false;
+    setSearching(true);
+    const timer = setTimeout(async () => {
+      const response = await messageService.searchMessages(searchQuery);
+      if (cancelled) return;
+
+      setSearchResults(response.success ? response.data : []);
+      setSearchError(response.success ? null : response.error);
+      setSearching(false);
+    }, SEARCH_DELAY);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [searchQuery]);
 
   // Navigation items
   const navItems = [
@@ -97,6 +135,21 @@ const Sidebar = ({ open, onClose, isMobile }) => {
     setSearchQuery(e.target.value);
   };
 
+  const getConversationName = (conversationId) => {
+    return conversations.find(conv => conv.id === conversationId)?.name || 'Conversation';
+  };
+
+  // Open the conversation at the picked message
+  const handleResultSelect = (result) => {
+    if (!focusMessage(result.conversationId, result.id, result.threadId)) {
+      setSearchError('That conversation is no longer available');
+      return;
+    }
+
+    setSearchQuery('');
+    handleNavigation('/');
+  };
+
   // Drawer content
   const drawerContent = (
     <>
@@ -150,50 +203,75 @@ const Sidebar = ({ open, onClose, isMobile }) => {
             <SearchIcon />
           </SearchIconWrapper>
           <StyledInputBase
-            placeholder="Search…"
-            inputProps={{ 'aria-label': 'search' }}
+            placeholder="Search messages…"
+            inputProps={{ 'aria-label': 'search messages' }}
             value={searchQuery}
             onChange={handleSearch}
+            onKeyDown={(e) => e.key === 'Escape' && setSearchQuery('')}
           />
         </Search>
       </Box>
 
-      <List>
-        {navItems.map((item) => (
-          <ListItem key={item.text} disablePadding>
-            <ListItemButton
-              selected={location.pathname === item.path}
-              onClick={() => handleNavigation(item.path)}
-              sx={{
-                py: 1.5,
-                '&.Mui-selected': {
-                  backgroundColor: (theme) => 
-                    theme.palette.mode === 'dark' 
-                      ? alpha(theme.palette.primary.main, 0.2) 
-                      : alpha(theme.palette.primary.main, 0.1),
-                  '&:hover': {
+      {historyLocked && (
+        <Alert
+          severity="info"
+          sx={{ mx: 2, mb: 1 }}
+          action={
+            <Button color="inherit" size="small" onClick={unlockHistory}>
+              Unlock
+            </Button>
+          }
+        >
+          History saved on this device and message search are unavailable until the key vault is unlocked.
+        </Alert>
+      )}
+
+      {searchQuery.trim() ? (
+        <SearchResults
+          results={searchResults}
+          searching={searching}
+          error={searchError}
+          getConversationName={getConversationName}
+          onSelect={handleResultSelect}
+        />
+      ) : (
+        <List>
+          {navItems.map((item) => (
+            <ListItem key={item.text} disablePadding>
+              <ListItemButton
+                selected={location.pathname === item.path}
+                onClick={() => handleNavigation(item.path)}
+                sx={{
+                  py: 1.5,
+                  '&.Mui-selected': {
                     backgroundColor: (theme) => 
                       theme.palette.mode === 'dark' 
-                        ? alpha(theme.palette.primary.main, 0.3) 
-                        : alpha(theme.palette.primary.main, 0.2),
+                        ? alpha(theme.palette.primary.main, 0.2) 
+                        : alpha(theme.palette.primary.main, 0.1),
+                    '&:hover': {
+                      backgroundColor: (theme) => 
+                        theme.palette.mode === 'dark' 
+                          ? alpha(theme.palette.primary.main, 0.3) 
+                          : alpha(theme.palette.primary.main, 0.2),
+                    },
                   },
-                },
-              }}
-            >
-              <ListItemIcon>
-                {item.badge > 0 ? (
-                  <Badge badgeContent={item.badge} color="error">
-                    {item.icon}
-                  </Badge>
-                ) : (
-                  item.icon
-                )}
-              </ListItemIcon>
-              <ListItemText primary={item.text} />
-            </ListItemButton>
-          </ListItem>
-        ))}
-      </List>
+                }}
+              >
+                <ListItemIcon>
+                  {item.badge > 0 ? (
+                    <Badge badgeContent={item.badge} color="error">
+                      {item.icon}
+                    </Badge>
+                  ) : (
+                    item.icon
+                  )}
+                </ListItemIcon>
+                <ListItemText primary={item.text} />
+              </ListItemButton>
+            </ListItem>
+          ))}
+        </List>
+      )}
 
       <Box sx={{ flexGrow: 1 }} />
 
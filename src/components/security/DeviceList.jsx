@@ -0,0 +1,158 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText,
+  IconButton,
+  Chip,
+  Alert,
+  CircularProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  Button,
+  Tooltip
+} from '@mui/material';
+import {
+  Devices as DevicesIcon,
+  Computer as ComputerIcon,
+  PhoneAndroid as PhoneAndroidIcon,
+  Delete as DeleteIcon
+} from '@mui/icons-material';
+import { formatDistanceToNow } from 'date-fns';
+import deviceService from '../../services/deviceService';
+
+const isMobileDevice = (name = '') => /Android|iOS|iPadOS/.test(name);
+
+/**
+ * Device List
+ *
+ * Lists the devices that receive the user's messages and lets them revoke
+ * devices they no longer use.
+ */
+const DeviceList = () => {
+  const [devices, setDevices] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [deviceToRevoke, setDeviceToRevoke] = useState(null);
+  const [revoking, setRevoking] = useState(false);
+
+  const loadDevices = useCallback(async () => {
+    setLoading(true);
+    const result = await deviceService.getDevices();
+    if (result.success) {
+      setDevices(result.data);
+      setError(null);
+    } else {
+      setError(result.error);
+    }
+    setLoading(false);
+  }, []);
+
+  useEffect(() => {
+    loadDevices();
+  }, [loadDevices]);
+
+  const handleRevoke = async () => {
+    setRevoking(true);
+    const result = await deviceService.revokeDevice(deviceToRevoke.deviceId);
+    setRevoking(false);
+    setDeviceToRevoke(null);
+
+    if (result.success) {
+      loadDevices();
+    } else {
+      setError(result.error);
+    }
+  };
+
+  return (
+    <Paper elevation={2} sx={{ p: 3, mb: 3, borderRadius: 2 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
+        <DevicesIcon color="primary" sx={{ mr: 2 }} />
+        <Typography variant="h6">Devices</Typography>
+      </Box>
+
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Each device has its own encryption keys. Messages are encrypted for every device listed
+        here, so revoke any device you no longer use.
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {loading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', p: 2 }}>
+          <CircularProgress size={32} />
+        </Box>
+      ) : devices.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          No devices registered yet.
+        </Typography>
+      ) : (
+        <List disablePadding>
+          {devices.map(device => (
+            <ListItem
+              key={device.deviceId}
+              disableGutters
+              secondaryAction={
+                !device.current && (
+                  <Tooltip title="Revoke device">
+                    <IconButton edge="end" onClick={() => setDeviceToRevoke(device)}>
+                      <DeleteIcon />
+                    </IconButton>
+                  </Tooltip>
+                )
+              }
+            >
+              <ListItemIcon sx={{ minWidth: '40px' }}>
+                {isMobileDevice(device.name) ? <PhoneAndroidIcon /> : <ComputerIcon />}
+              </ListItemIcon>
+              <ListItemText
+                primary={
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                    {device.name || 'Unknown device'}
+                    {device.current && <Chip label="This device" size="small" color="primary" />}
+                  </Box>
+                }
+                secondary={[
+                  device.createdAt && `Added ${formatDistanceToNow(new Date(device.createdAt), { addSuffix: true })}`,
+                  device.lastSeenAt && `last active ${formatDistanceToNow(new Date(device.lastSeenAt), { addSuffix: true })}`
+                ].filter(Boolean).join(', ')}
+              />
+            </ListItem>
+          ))}
+        </List>
+      )}
+
+      <Dialog open={!!deviceToRevoke} onClose={() => setDeviceToRevoke(null)}>
+        <DialogTitle>Revoke device?</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            {deviceToRevoke?.name || 'This device'} will stop receiving new messages. Messages it
+            already received stay on that device.
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDeviceToRevoke(null)} disabled={revoking}>
+            Cancel
+          </Button>
+          <Button color="error" variant="contained" onClick={handleRevoke} disabled={revoking}>
+            {revoking ? <CircularProgress size={24} /> : 'Revoke'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Paper>
+  );
+};
+
+export default DeviceList;
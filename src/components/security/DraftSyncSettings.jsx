@@ -0,0 +1,66 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  FormControlLabel,
+  Switch,
+  Alert
+} from '@mui/material';
+import { EditNote as EditNoteIcon } from '@mui/icons-material';
+import draftService from '../../services/draftService';
+
+/**
+ * Draft Sync Settings
+ *
+ * Lets the user carry unsent drafts over to their other devices. Drafts are
+ * encrypted for the user's own devices before they leave this one.
+ */
+const DraftSyncSettings = () => {
+  const [enabled, setEnabled] = useState(draftService.isSyncEnabled());
+  const [syncing, setSyncing] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    return draftService.subscribe(() => setEnabled(draftService.isSyncEnabled()));
+  }, []);
+
+  const handleToggle = async (e) => {
+    setSyncing(true);
+    setError(null);
+
+    const result = await draftService.setSyncEnabled(e.target.checked);
+
+    setSyncing(false);
+    if (!result.success) {
+      setError(result.error);
+    }
+  };
+
+  return (
+    <Paper elevation={2} sx={{ p: 3, mb: 3, borderRadius: 2 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
+        <EditNoteIcon color="primary" sx={{ mr: 2 }} />
+        <Typography variant="h6">Drafts</Typography>
+      </Box>
+
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Unsent messages are always kept on this device. Sync them to pick up where you left off on
+        your other devices; they are encrypted so only your devices can read them.
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      <FormControlLabel
+        control={<Switch checked={enabled} onChange={handleToggle} disabled={syncing} />}
+        label="Sync drafts across my devices"
+      />
+    </Paper>
+  );
+};
+
+export default DraftSyncSettings;
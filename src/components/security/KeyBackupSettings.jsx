@@ -0,0 +1,287 @@
+import React, { useState, useRef } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  Button,
+  TextField,
+  FormControlLabel,
+  Checkbox,
+  Alert,
+  CircularProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions
+} from '@mui/material';
+import {
+  Backup as BackupIcon,
+  CloudDownload as CloudDownloadIcon,
+  CloudUpload as CloudUploadIcon
+} from '@mui/icons-material';
+import backupService from '../../services/backupService';
+
+const downloadBackup = (backup) => {
+  const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `swickr-key-backup-${backup.createdAt.slice(0, 10)}.json`;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Key Backup Settings
+ *
+ * Exports the user's keys to a passphrase-encrypted file and restores them
+ * from one, so losing this browser does not mean losing old messages.
+ */
+const KeyBackupSettings = () => {
+  const fileInputRef = useRef(null);
+  const [dialog, setDialog] = useState(null);
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [withRecoveryCode, setWithRecoveryCode] = useState(true);
+  const [recoveryCode, setRecoveryCode] = useState(null);
+  const [backupToRestore, setBackupToRestore] = useState(null);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  const closeDialog = () => {
+    setDialog(null);
+    setPassphrase('');
+    setConfirmation('');
+    setRecoveryCode(null);
+    setBackupToRestore(null);
+    setError(null);
+  };
+
+  const handleCreate = async () => {
+    if (passphrase !== confirmation) {
+      setError('Passphrases do not match');
+      return;
+    }
+
+    setWorking(true);
+    setError(null);
+    const result = await backupService.createBackup(passphrase, withRecoveryCode);
+    setWorking(false);
+
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+
+    downloadBackup(result.data.backup);
+    if (result.data.recoveryCode) {
+      setRecoveryCode(result.data.recoveryCode);
+    } else {
+      closeDialog();
+      setSuccess('Backup downloaded. Keep it somewhere safe.');
+    }
+  };
+
+  const handleFileChosen = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (!file) return;
+
+    const result = await backupService.readBackupFile(file);
+    if (result.success) {
+      setBackupToRestore(result.data);
+      setDialog('restore');
+      setError(null);
+    } else {
+      setSuccess(null);
+      setError(result.error);
+    }
+  };
+
+  const handleRestore = async () => {
+    setWorking(true);
+    setError(null);
+    const result = await backupService.restoreBackup(backupToRestore, passphrase);
+    setWorking(false);
+
+    if (result.success) {
+      closeDialog();
+      setSuccess('Keys restored. Earlier messages can be decrypted on this device again.');
+    } else {
+      setError(result.error);
+    }
+  };
+
+  return (
+    <Paper elevation={2} sx={{ p: 3, mb: 3, borderRadius: 2 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
+        <BackupIcon color="primary" sx={{ mr: 2 }} />
+        <Typography variant="h6">Key Backup</Typography>
+      </Box>
+
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Your keys only exist on your devices. Without a backup, clearing this browser means
+        your earlier messages can no longer be decrypted.
+      </Typography>
+
+      {!dialog && error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {success && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess(null)}>
+          {success}
+        </Alert>
+      )}
+
+      <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap' }}>
+        <Button
+          variant="contained"
+          startIcon={<CloudDownloadIcon />}
+          onClick={() => {
+            setSuccess(null);
+            setDialog('create');
+          }}
+        >
+          Create backup
+        </Button>
+        <Button
+          variant="outlined"
+          startIcon={<CloudUploadIcon />}
+          onClick={() => fileInputRef.current?.click()}
+        >
+          Restore from backup
+        </Button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          hidden
+          onChange={handleFileChosen}
+        />
+      </Box>
+
+      {/* Create backup */}
+      <Dialog open={dialog === 'create'} onClose={working ? undefined : closeDialog} maxWidth="xs" fullWidth>
+        <DialogTitle>{recoveryCode ? 'Save your recovery code' : 'Create key backup'}</DialogTitle>
+        <DialogContent>
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {error}
+            </Alert>
+          )}
+
+          {recoveryCode ? (
+            <>
+              <DialogContentText sx={{ mb: 2 }}>
+                The backup file has been downloaded. This recovery code can also unlock it if you
+                forget the passphrase. Write it down; it will not be shown again.
+              </DialogContentText>
+              <Typography
+                variant="h6"
+                align="center"
+                sx={{ fontFamily: 'monospace', wordBreak: 'break-all', p: 2, bgcolor: 'action.hover', borderRadius: 1 }}
+              >
+                {recoveryCode}
+              </Typography>
+            </>
+          ) : (
+            <>
+              <DialogContentText sx={{ mb: 2 }}>
+                Choose a passphrase for the backup file. Anyone with the file and the passphrase
+                can read your messages.
+              </DialogContentText>
+              <TextField
+                autoFocus
+                fullWidth
+                type="password"
+                label="Backup passphrase"
+                autoComplete="new-password"
+                value={passphrase}
+                onChange={(e) => setPassphrase(e.target.value)}
+                helperText={`At least ${backupService.MIN_PASSPHRASE_LENGTH} characters`}
+                sx={{ mb: 2 }}
+              />
+              <TextField
+                fullWidth
+                type="password"
+                label="Confirm passphrase"
+                autoComplete="new-password"
+                value={confirmation}
+                onChange={(e) => setConfirmation(e.target.value)}
+                sx={{ mb: 1 }}
+              />
+              <FormControlLabel
+                control={
+                  <Checkbox
+                    checked={withRecoveryCode}
+                    onChange={(e) => setWithRecoveryCode(e.target.checked)}
+                  />
+                }
+                label="Also create a recovery code"
+              />
+            </>
+          )}
+        </DialogContent>
+        <DialogActions>
+          {recoveryCode ? (
+            <Button variant="contained" onClick={closeDialog}>
+              I have saved it
+            </Button>
+          ) : (
+            <>
+              <Button onClick={closeDialog} disabled={working}>
+                Cancel
+              </Button>
+              <Button variant="contained" onClick={handleCreate} disabled={working || !passphrase}>
+                {working ? <CircularProgress size={24} /> : 'Create backup'}
+              </Button>
+            </>
+          )}
+        </DialogActions>
+      </Dialog>
+
+      {/* Restore backup */}
+      <Dialog open={dialog === 'restore'} onClose={working ? undefined : closeDialog} maxWidth="xs" fullWidth>
+        <DialogTitle>Restore key backup</DialogTitle>
+        <DialogContent>
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {error}
+            </Alert>
+          )}
+
+          <DialogContentText sx={{ mb: 2 }}>
+            Backup created {backupToRestore && new Date(backupToRestore.createdAt).toLocaleString()}.
+            Restoring replaces the encryption keys on this device.
+          </DialogContentText>
+          <TextField
+            autoFocus
+            fullWidth
+            type="password"
+            label={backupService.hasRecoveryCode(backupToRestore) ? 'Passphrase or recovery code' : 'Passphrase'}
+            autoComplete="off"
+            value={passphrase}
+            onChange={(e) => setPassphrase(e.target.value)}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={closeDialog} disabled={working}>
+            Cancel
+          </Button>
+          <Button variant="contained" onClick={handleRestore} disabled={working || !passphrase}>
+            {working ? <CircularProgress size={24} /> : 'Restore'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Paper>
+  );
+};
+
+export default KeyBackupSettings;
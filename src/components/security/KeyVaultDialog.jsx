@@ -0,0 +1,136 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  TextField,
+  Button,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import keyVaultService from '../../services/keyVaultService';
+
+/**
+ * Key Vault Dialog
+ *
+ * Asks for the key vault passphrase whenever something needs the user's
+ * private key while the vault is locked, or asks for a new passphrase
+ * the first time keys are stored (including migrating older keys).
+ */
+const KeyVaultDialog = () => {
+  const [open, setOpen] = useState(false);
+  const [mode, setMode] = useState('unlock');
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (!keyVaultService.isSupported()) {
+      return undefined;
+    }
+
+    const handleStateChange = async ({ unlockRequested }) => {
+      if (unlockRequested) {
+        setMode(await keyVaultService.isInitialized() ? 'unlock' : 'setup');
+        setPassphrase('');
+        setConfirmation('');
+        setError(null);
+      }
+      setOpen(unlockRequested);
+    };
+
+    const unsubscribe = keyVaultService.subscribe(handleStateChange);
+
+    // Keys left in localStorage by older versions get moved in right away
+    if (keyVaultService.hasLegacyKeys()) {
+      keyVaultService.requestUnlock().catch(() => {});
+    }
+
+    return unsubscribe;
+  }, []);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+
+    if (mode === 'setup' && passphrase !== confirmation) {
+      setError('Passphrases do not match');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      setError(null);
+
+      if (mode === 'setup') {
+        await keyVaultService.setup(passphrase);
+      } else {
+        await keyVaultService.unlock(passphrase);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={() => keyVaultService.cancelUnlock()} maxWidth="xs" fullWidth>
+      <form onSubmit={handleSubmit}>
+        <DialogTitle>
+          {mode === 'setup' ? 'Protect your encryption keys' : 'Unlock your encryption keys'}
+        </DialogTitle>
+        <DialogContent>
+          <DialogContentText sx={{ mb: 2 }}>
+            {mode === 'setup'
+              ? 'Choose a passphrase to encrypt your private keys on this device. You will need it to read and send encrypted messages after the vault locks.'
+              : 'Enter your passphrase to read and send encrypted messages.'}
+          </DialogContentText>
+
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {error}
+            </Alert>
+          )}
+
+          <TextField
+            autoFocus
+            fullWidth
+            type="password"
+            label="Passphrase"
+            autoComplete={mode === 'setup' ? 'new-password' : 'current-password'}
+            value={passphrase}
+            onChange={(e) => setPassphrase(e.target.value)}
+            helperText={mode === 'setup'
+              ? `At least ${keyVaultService.MIN_PASSPHRASE_LENGTH} characters`
+              : undefined}
+            sx={{ mb: 2 }}
+          />
+
+          {mode === 'setup' && (
+            <TextField
+              fullWidth
+              type="password"
+              label="Confirm passphrase"
+              autoComplete="new-password"
+              value={confirmation}
+              onChange={(e) => setConfirmation(e.target.value)}
+            />
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => keyVaultService.cancelUnlock()} disabled={submitting}>
+            Not now
+          </Button>
+          <Button type="submit" variant="contained" disabled={submitting || !passphrase}>
+            {submitting ? <CircularProgress size={24} /> : (mode === 'setup' ? 'Save' : 'Unlock')}
+          </Button>
+        </DialogActions>
+      </form>
+    </Dialog>
+  );
+};
+
+export default KeyVaultDialog;
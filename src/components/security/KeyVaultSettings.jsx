@@ -0,0 +1,119 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  Button,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Alert
+} from '@mui/material';
+import {
+  VpnKey as VpnKeyIcon,
+  Lock as LockIcon,
+  LockOpen as LockOpenIcon
+} from '@mui/icons-material';
+import keyVaultService from '../../services/keyVaultService';
+
+// Auto-lock choices in minutes (0 = never)
+const AUTO_LOCK_OPTIONS = [
+  { value: 5, label: 'After 5 minutes' },
+  { value: 15, label: 'After 15 minutes' },
+  { value: 60, label: 'After 1 hour' },
+  { value: 240, label: 'After 4 hours' },
+  { value: 0, label: 'Never' }
+];
+
+/**
+ * Key Vault Settings
+ *
+ * Shows whether the key vault is unlocked and lets the user lock it or
+ * change how long it stays unlocked without being used.
+ */
+const KeyVaultSettings = () => {
+  const [unlocked, setUnlocked] = useState(keyVaultService.isUnlocked());
+  const [autoLockMinutes, setAutoLockMinutes] = useState(keyVaultService.getAutoLockTimeout());
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    return keyVaultService.subscribe(state => setUnlocked(state.unlocked));
+  }, []);
+
+  const handleAutoLockChange = (event) => {
+    setAutoLockMinutes(event.target.value);
+    keyVaultService.setAutoLockTimeout(event.target.value);
+  };
+
+  const handleUnlock = async () => {
+    try {
+      setError(null);
+      await keyVaultService.requestUnlock();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (!keyVaultService.isSupported()) {
+    return (
+      <Alert severity="warning" sx={{ mb: 3 }}>
+        This browser cannot store encryption keys securely (IndexedDB and Web Crypto are required).
+      </Alert>
+    );
+  }
+
+  return (
+    <Paper elevation={2} sx={{ p: 3, mb: 3, borderRadius: 2 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
+        <VpnKeyIcon color="primary" sx={{ mr: 2 }} />
+        <Typography variant="h6">Key Vault</Typography>
+      </Box>
+
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Your private keys are stored encrypted with your passphrase. While the vault is
+        locked, encrypted messages cannot be read or sent.
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 3 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center' }}>
+          {unlocked ? <LockOpenIcon color="success" sx={{ mr: 1 }} /> : <LockIcon color="action" sx={{ mr: 1 }} />}
+          <Typography>{unlocked ? 'Unlocked' : 'Locked'}</Typography>
+        </Box>
+        {unlocked ? (
+          <Button variant="outlined" onClick={() => keyVaultService.lock()}>
+            Lock now
+          </Button>
+        ) : (
+          <Button variant="contained" onClick={handleUnlock}>
+            Unlock
+          </Button>
+        )}
+      </Box>
+
+      <FormControl fullWidth size="small">
+        <InputLabel id="key-vault-auto-lock-label">Auto-lock</InputLabel>
+        <Select
+          labelId="key-vault-auto-lock-label"
+          label="Auto-lock"
+          value={autoLockMinutes}
+          onChange={handleAutoLockChange}
+        >
+          {AUTO_LOCK_OPTIONS.map(option => (
+            <MenuItem key={option.value} value={option.value}>
+              {option.label}
+            </MenuItem>
+          ))}
+        </Select>
+      </FormControl>
+    </Paper>
+  );
+};
+
+export default KeyVaultSettings;
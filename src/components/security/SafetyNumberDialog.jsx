@@ -0,0 +1,181 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  Box,
+  Typography,
+  TextField,
+  Button,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import { QRCodeSVG } from 'qrcode.react';
+import verificationService from '../../services/verificationService';
+
+/**
+ * Safety Number Dialog
+ *
+ * Shows the safety number and QR code shared with a contact so both
+ * users can compare them in person or over another trusted channel.
+ */
+const SafetyNumberDialog = ({ open, onClose, contact, status }) => {
+  const [safety, setSafety] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [scannedPayload, setScannedPayload] = useState('');
+  const [scanResult, setScanResult] = useState(null);
+
+  useEffect(() => {
+    if (!open || !contact) {
+      return;
+    }
+
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    setScannedPayload('');
+    setScanResult(null);
+
+    verificationService.getSafetyNumber(contact.id)
+      .then(result => {
+        if (!cancelled) setSafety(result);
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [open, contact]);
+
+  const handleCheckPayload = async () => {
+    try {
+      const matches = await verificationService.checkQrPayload(contact.id, scannedPayload);
+      setScanResult(matches);
+      if (matches) {
+        verificationService.markVerified(contact.id, safety.contactFingerprint);
+      }
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleMarkVerified = () => {
+    verificationService.markVerified(contact.id, safety.contactFingerprint);
+    onClose();
+  };
+
+  const handleClearVerification = () => {
+    verificationService.clearVerification(contact.id);
+    onClose();
+  };
+
+  const contactName = contact?.displayName || contact?.username || 'this contact';
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="xs" fullWidth>
+      <DialogTitle>Verify safety number</DialogTitle>
+      <DialogContent>
+        {status === 'changed' && (
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            The safety number with {contactName} has changed since you verified it, so
+            messages to them are held back. Compare it again, or clear the verification
+            to send without it.
+          </Alert>
+        )}
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        {loading && (
+          <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+            <CircularProgress />
+          </Box>
+        )}
+
+        {!loading && safety && (
+          <>
+            <DialogContentText sx={{ mb: 2 }}>
+              Compare these numbers with {contactName}, or scan the code on their device.
+              If they match, your messages are end-to-end encrypted with the right keys.
+            </DialogContentText>
+
+            <Box sx={{ display: 'flex', justifyContent: 'center', mb: 2 }}>
+              <Box sx={{ p: 1.5, bgcolor: '#fff', borderRadius: 1 }}>
+                <QRCodeSVG value={safety.qrPayload} size={180} />
+              </Box>
+            </Box>
+
+            <Box
+              sx={{
+                display: 'grid',
+                gridTemplateColumns: 'repeat(4, 1fr)',
+                gap: 1,
+                mb: 2,
+                textAlign: 'center'
+              }}
+            >
+              {safety.groups.map((group, index) => (
+                <Typography key={index} variant="body1" sx={{ fontFamily: 'monospace', letterSpacing: 1 }}>
+                  {group}
+                </Typography>
+              ))}
+            </Box>
+
+            <TextField
+              fullWidth
+              size="small"
+              label="Scanned code"
+              placeholder="Paste the code scanned from their device"
+              value={scannedPayload}
+              onChange={(e) => {
+                setScannedPayload(e.target.value);
+                setScanResult(null);
+              }}
+              InputProps={{
+                endAdornment: (
+                  <Button size="small" onClick={handleCheckPayload} disabled={!scannedPayload}>
+                    Check
+                  </Button>
+                )
+              }}
+            />
+
+            {scanResult !== null && (
+              <Alert severity={scanResult ? 'success' : 'error'} sx={{ mt: 2 }}>
+                {scanResult
+                  ? `${contactName} is now verified.`
+                  : 'The codes do not match. You may not be talking to the right person.'}
+              </Alert>
+            )}
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        {status !== 'unverified' && (
+          <Button color="inherit" onClick={handleClearVerification}>
+            Clear verification
+          </Button>
+        )}
+        <Button onClick={onClose}>Close</Button>
+        {safety && status !== 'verified' && (
+          <Button variant="contained" onClick={handleMarkVerified}>
+            Mark as verified
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default SafetyNumberDialog;
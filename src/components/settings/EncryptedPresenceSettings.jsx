@@ -15,6 +15,8 @@ import LockIcon from '@mui/icons-material/Lock';
 import socketService from '../../services/socketService';
 import encryptionService from '../../services/encryptionService';
 import encryptedPresenceService from '../../services/encryptedPresenceService';
+import keyVaultService from '../../services/keyVaultService';
+import messageService from '../../services/messageService';
 import { useAuth } from '../../contexts/AuthContext';
 
 /**
@@ -41,16 +43,14 @@ const EncryptedPresenceSettings = () => {
         // Check if Web Crypto API is available
         const webCryptoAvailable = encryptionService.isWebCryptoAvailable();
         
-        // Check if user has encryption keys
-        const userKeys = localStorage.getItem('userKeys');
-        const hasKeys = !!userKeys;
+        // Check if user has encryption keys (readable while the vault is locked)
+        const hasKeys = webCryptoAvailable && !!(await keyVaultService.getPublicKey());
         
-        setEncryptionAvailable(webCryptoAvailable && hasKeys);
+        setEncryptionAvailable(hasKeys);
         
         // If encryption is available, initialize encrypted presence service
-        if (webCryptoAvailable && hasKeys && user) {
-          const parsedKeys = JSON.parse(userKeys);
-          encryptedPresenceService.init(parsedKeys, user.id);
+        if (hasKeys && user) {
+          await encryptedPresenceService.init(user.id);
           
           // Get current preferences from socket
           socketService.emit('get_encrypted_presence_preferences');
@@ -103,18 +103,14 @@ const EncryptedPresenceSettings = () => {
       setLoading(true);
       setError(null);
       
-      // Generate new key pair
-      const keyPair = await encryptionService.generateKeyPair();
-      
-      // Store keys locally
-      localStorage.setItem('userKeys', JSON.stringify(keyPair));
-      
-      // Update public key on server
-      // Note: This requires an API endpoint to update the user's public key
-      // await api.post('/users/update-public-key', { publicKey: keyPair.publicKey });
+      // Generate keys into the key vault and publish the public key
+      const result = await messageService.generateEncryptionKeys();
+      if (!result.success) {
+        throw new Error(result.error);
+      }
       
       // Initialize encrypted presence service with new keys
-      encryptedPresenceService.init(keyPair, user.id);
+      await encryptedPresenceService.init(user.id);
       
       setEncryptionAvailable(true);
       setSuccess(true);
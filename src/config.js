@@ -20,6 +20,13 @@ export const COMMON_EMOJIS = ['👍', '👎', '❤️', '😂', '😮', '😢',
 // Maximum file upload size in bytes (5MB)
 export const MAX_UPLOAD_SIZE = 5 * 1024 * 1024;
 
+// How long after sending a message its sender can still delete it for everyone (ms)
+export const DELETE_FOR_EVERYONE_WINDOW =
+  Number(process.env.REACT_APP_DELETE_FOR_EVERYONE_MINUTES || 60) * 60 * 1000;
+
+// Proxy that fetches link previews for the sender; previews are off without one
+export const LINK_PREVIEW_PROXY_URL = process.env.REACT_APP_LINK_PREVIEW_PROXY_URL || null;
+
 // Performance targets
 export const PERFORMANCE_TARGETS = {
   messageLatency: 500, // ms
@@ -1,6 +1,10 @@
 import React, { createContext, useState, useContext, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import authService from '../services/authService';
+import keyVaultService from '../services/keyVaultService';
+import messageCacheService from '../services/messageCacheService';
+import searchIndexService from '../services/searchIndexService';
+import draftService from '../services/draftService';
 
 // Create context for authentication
 const AuthContext = createContext();
@@ -119,6 +123,16 @@ export const AuthProvider = ({ children }) => {
 
   // Logout function
   const handleLogout = async () => {
+    // Drop unlocked keys and opened drafts from memory straight away. Session
+    // keys, queued messages and drafts are sealed per user, so they are kept
+    // for the next login.
+    keyVaultService.lock();
+    draftService.clear();
+    
+    // Cached messages and their search index belong to this account only
+    messageCacheService.clear();
+    searchIndexService.reset();
+    
     try {
       setLoading(true);
       
@@ -1,5 +1,6 @@
 import React, { createContext, useContext, useState, useCallback, useReducer } from 'react';
 import mediaService from '../services/mediaService';
+import viewOnceService from '../services/viewOnceService';
 
 // Create context
 const MediaContext = createContext();
@@ -217,9 +218,10 @@ export const MediaProvider = ({ children }) => {
       // Get media for conversation
       const result = await mediaService.getConversationMedia(conversationId, options);
 
-      // Process media items to add thumbnail URLs if not present
+      // Process media items to add thumbnail URLs if not present; view-once
+      // media is never kept around or shown in the gallery
       if (result.media && Array.isArray(result.media)) {
-        result.media = processMediaItems(result.media);
+        result.media = processMediaItems(result.media.filter(media => !viewOnceService.isViewOnce(media.id)));
       }
 
       // Update state based on append flag
@@ -1,16 +1,121 @@
-import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
+import { v4 as uuidv4 } from 'uuid';
 import { useAuth } from './AuthContext';
 import socketService from '../services/socketService';
 import messageService from '../services/messageService';
 import mediaService from '../services/mediaService';
-import { v4 as uuidv4 } from 'uuid';
+import sessionService from '../services/sessionService';
+import deviceService from '../services/deviceService';
+import encryptionPolicyService from '../services/encryptionPolicyService';
+import outboxService from '../services/outboxService';
+import messageCacheService from '../services/messageCacheService';
+import keyVaultService from '../services/keyVaultService';
+import groupService from '../services/groupService';
+import searchIndexService from '../services/searchIndexService';
+import disappearingService from '../services/disappearingService';
+import viewOnceService from '../services/viewOnceService';
+import draftService from '../services/draftService';
+import pinService from '../services/pinService';
+import NotificationContext from './NotificationContext';
+import { getMentionedUserIds } from '../utils/mentionUtils';
+import { extractLinks, stripMarkdown } from '../utils/markdownUtils';
 
 // Create messaging context
 const MessagingContext = createContext();
 
+// Order messages oldest first
+const byTimestamp = (a, b) => new Date(a.timestamp || 0) - new Date(b.timestamp || 0);
+
+// Apply an edit to a message, keeping the version it replaces in its edit history
+const applyMessageEdit = (message, edit) => {
+  const currentVersion = message.version || 1;
+  const version = edit.version || currentVersion + 1;
+  if (message.deleted || version <= currentVersion) return message;
+  
+  return {
+    ...message,
+    content: edit.content,
+    linkPreview: edit.linkPreview || null,
+    isEncrypted: edit.isEncrypted,
+    version,
+    editedAt: edit.editedAt,
+    updatedAt: edit.updatedAt || message.updatedAt,
+    editHistory: [
+      ...(message.editHistory || []),
+      { version: currentVersion, content: message.content, editedAt: message.editedAt || message.timestamp }
+    ]
+  };
+};
+
+// Replace a message deleted for everyone by a tombstone that keeps its place
+// in the history but none of its content
+const toTombstone = (message, deletedAt) => ({
+  id: message.id,
+  clientId: message.clientId,
+  conversationId: message.conversationId,
+  senderId: message.senderId,
+  senderName: message.senderName,
+  timestamp: message.timestamp,
+  updatedAt: message.updatedAt,
+  content: '',
+  deleted: true,
+  deletedAt: deletedAt || new Date().toISOString()
+});
+
+// Build the message shown in the UI for a message still in the outbox
+const outboxRecordToMessage = (record, user) => {
+  const media = record.uploadedMedia || record.media;
+  const attachment = mediaService.toAttachment(media);
+  
+  return {
+    id: record.clientId,
+    clientId: record.clientId,
+    conversationId: record.conversationId,
+    senderId: user.id,
+    senderName: user.fullName || user.username,
+    content: record.type === 'media' ? record.caption : record.content,
+    timestamp: new Date(record.createdAt).toISOString(),
+    status: record.status,
+    error: record.lastError,
+    read: false,
+    ...(record.type === 'media' && {
+      isUploading: !record.uploadedMedia,
+      uploadProgress: 0,
+      mediaCaption: record.caption || record.file?.name
+    }),
+    ...(media && {
+      mediaId: media.id || media.mediaId,
+      mediaType: media.mediaType,
+      mediaUrl: media.url || media.mediaUrl
+    }),
+    ...(attachment && { media: attachment }),
+    ...(record.references && {
+      replyTo: record.references.replyTo,
+      threadId: record.references.threadId,
+      linkPreview: record.references.linkPreview,
+      expiresIn: record.references.expiresIn,
+      control: record.references.control
+    })
+  };
+};
+
+// Timers can't wait longer than this many milliseconds
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+// Messages still in the outbox only start to disappear once they are sent
+const isExpired = (message, now) => message.id !== message.clientId && disappearingService.isExpired(message, now);
+
+// A link preview is only kept as long as the text still has its link
+const keepLinkPreview = (linkPreview, text) => {
+  return linkPreview && extractLinks(text).includes(linkPreview.url) ? linkPreview : null;
+};
+
 // Messaging provider component
 export const MessagingProvider = ({ children }) => {
   const { user, isAuthenticated } = useAuth();
+  
+  // Optional, so messaging also works where notifications aren't provided
+  const notifyMention = useContext(NotificationContext)?.notifyMention;
   const [conversations, setConversations] = useState([]);
   const [activeConversation, setActiveConversation] = useState(null);
   const [messages, setMessages] = useState({});
@@ -21,6 +126,31 @@ export const MessagingProvider = ({ children }) => {
   const [error, setError] = useState(null);
   const [mediaUploads, setMediaUploads] = useState({});
   const [pendingMedia, setPendingMedia] = useState([]);
+  const [encryptionBlocked, setEncryptionBlocked] = useState({});
+  const [historyLocked, setHistoryLocked] = useState(false);
+  const [messageHistory, setMessageHistory] = useState({});
+  const [activeThread, setActiveThread] = useState(null);
+  const [threadUnreadCounts, setThreadUnreadCounts] = useState({});
+  const [focusedMessage, setFocusedMessage] = useState(null);
+  const [scheduledMessages, setScheduledMessages] = useState({});
+  const [pins, setPins] = useState({});
+  const [starredMessages, setStarredMessages] = useState([]);
+  
+  // Latest messages, for socket handlers that are registered only once
+  const messagesRef = useRef(messages);
+  useEffect(() => {
+    messagesRef.current = messages;
+  }, [messages]);
+  
+  const conversationsRef = useRef(conversations);
+  useEffect(() => {
+    conversationsRef.current = conversations;
+  }, [conversations]);
+  
+  const activeThreadRef = useRef(activeThread);
+  useEffect(() => {
+    activeThreadRef.current = activeThread;
+  }, [activeThread]);
 
   // Initialize socket connection when user is authenticated
   useEffect(() => {
@@ -28,8 +158,13 @@ export const MessagingProvider = ({ children }) => {
       // Initialize socket connection
       socketService.init(user.token);
       
-      // Load conversations
-      loadConversations();
+      // Load conversations, from the cache if the vault gets unlocked
+      unlockHistory().then(loadConversations);
+      
+      // Make sure forward-secret session keys exist and are published,
+      // and that this device is registered to receive messages
+      sessionService.init();
+      deviceService.registerDevice();
       
       // Set up socket event listeners
       const unsubscribeMessage = socketService.on('message', handleIncomingMessage);
@@ -61,17 +196,192 @@ export const MessagingProvider = ({ children }) => {
     }
   }, [isAuthenticated, user]);
 
+  // Add a message to the end of a conversation
+  const addMessage = useCallback((conversationId, message) => {
+    setMessages(prev => {
+      const conversationMessages = prev[conversationId] || [];
+      return {
+        ...prev,
+        [conversationId]: [...conversationMessages, message]
+      };
+    });
+  }, []);
+
+  // Update a message that was sent from this device
+  const updateMessage = useCallback((conversationId, clientId, changes) => {
+    setMessages(prev => {
+      const conversationMessages = prev[conversationId];
+      if (!conversationMessages) return prev;
+      
+      return {
+        ...prev,
+        [conversationId]: conversationMessages.map(msg =>
+          msg.clientId === clientId ? { ...msg, ...changes } : msg
+        )
+      };
+    });
+  }, []);
+
+  // Clear a conversation's blocked state, e.g. after its policy changed
+  const clearEncryptionBlocked = useCallback((conversationId) => {
+    setEncryptionBlocked(prev => {
+      if (!(conversationId in prev)) return prev;
+      const { [conversationId]: _, ...rest } = prev;
+      return rest;
+    });
+  }, []);
+
+  // Keep messages in the outbox in sync with their copies in the UI
+  useEffect(() => {
+    if (!isAuthenticated || !user) return;
+    
+    const unsubscribe = outboxService.subscribe(({ type, record, result, error, progress }) => {
+      const { conversationId, clientId } = record;
+      
+      switch (type) {
+        case 'progress':
+          updateMessage(conversationId, clientId, { uploadProgress: progress });
+          setMediaUploads(prev => prev[clientId] ? {
+            ...prev,
+            [clientId]: { ...prev[clientId], progress }
+          } : prev);
+          break;
+        case 'sent': {
+          const sentMessage = {
+            ...outboxRecordToMessage(record, user),
+            id: result?.messageId || result?.id || clientId,
+            status: 'sent',
+            error: null,
+            isUploading: false,
+            isEncrypted: result?.isEncrypted
+          };
+          clearEncryptionBlocked(conversationId);
+          updateMessage(conversationId, clientId, sentMessage);
+          messageCacheService.saveMessages([sentMessage]);
+          searchIndexService.indexMessages([sentMessage]);
+          setMediaUploads(prev => prev[clientId] ? {
+            ...prev,
+            [clientId]: { ...prev[clientId], status: 'complete', progress: 100 }
+          } : prev);
+          break;
+        }
+        case 'failed':
+          if (error?.code === encryptionPolicyService.ENCRYPTION_REQUIRED) {
+            // Remember why this conversation can't send under its "required" policy
+            setEncryptionBlocked(prev => ({ ...prev, [conversationId]: error.reason }));
+          }
+          updateMessage(conversationId, clientId, { status: 'failed', error: record.lastError });
+          break;
+        case 'removed':
+          setMessages(prev => {
+            const updated = {};
+            Object.entries(prev).forEach(([convId, list]) => {
+              updated[convId] = list.filter(msg => msg.clientId !== clientId);
+            });
+            return updated;
+          });
+          break;
+        default:
+          // queued, pending and sending
+          updateMessage(conversationId, clientId, {
+            status: type === 'sending' ? 'sending' : 'pending',
+            error: record.lastError
+          });
+      }
+    });
+    
+    const stopOutbox = outboxService.init();
+    
+    return () => {
+      unsubscribe();
+      stopOutbox();
+    };
+  }, [isAuthenticated, user, updateMessage, clearEncryptionBlocked]);
+
+  // Keep the pinned and starred copies of a message in step with it; without
+  // a message, they are dropped because it is gone
+  const updateSavedCopies = useCallback((messageId, message = null) => {
+    setPins(prev => {
+      const updated = {};
+      Object.entries(prev).forEach(([convId, list]) => {
+        updated[convId] = message
+          ? list.map(pin => pin.messageId === messageId ? { ...pin, message } : pin)
+          : list.filter(pin => pin.messageId !== messageId);
+      });
+      return updated;
+    });
+    setStarredMessages(prev => message
+      ? prev.map(saved => saved.id === messageId ? { ...message, starredAt: saved.starredAt } : saved)
+      : prev.filter(saved => saved.id !== messageId));
+  }, []);
+
+  // Remove disappeared messages from this device, with their decrypted media
+  const forgetMessages = useCallback((expired) => {
+    if (expired.length === 0) return;
+    
+    const expiredIds = expired.map(message => message.id);
+    messageCacheService.removeMessages(expiredIds);
+    searchIndexService.removeMessages(expiredIds);
+    expiredIds.forEach(messageId => updateSavedCopies(messageId));
+    
+    expired.forEach(message => {
+      if (message.media) {
+        mediaService.forgetDecryptedMedia(message.media);
+      }
+      
+      // Nobody can see the attachment any more, so the sender doesn't keep it either
+      const mediaId = message.mediaId || message.media?.id;
+      if (mediaId && message.senderId === user?.id) {
+        mediaService.deleteMedia(mediaId).catch(err => {
+          console.error('Error deleting disappeared media:', err);
+        });
+      }
+    });
+  }, [user, updateSavedCopies]);
+
+  // The cache is sealed with the key vault, which is locked at every launch,
+  // so the passphrase is asked for before the cache is read
+  const unlockHistory = async () => {
+    try {
+      if (!messageCacheService.isSupported() || !(await keyVaultService.isInitialized())) {
+        return;
+      }
+      await keyVaultService.requestUnlock();
+    } catch (err) {
+      // Dismissed: everything comes from the server until the vault is unlocked
+      setHistoryLocked(true);
+    }
+  };
+
+  useEffect(() => {
+    if (!isAuthenticated) return undefined;
+    return keyVaultService.subscribe(({ unlocked }) => {
+      if (unlocked) {
+        setHistoryLocked(false);
+        draftService.load();
+      }
+    });
+  }, [isAuthenticated]);
+
   // Load user conversations
   const loadConversations = async () => {
     try {
-      setLoading(true);
       setError(null);
       
+      // Show cached conversations straight away
+      const cached = await messageCacheService.getConversations();
+      if (cached.length > 0) {
+        setConversations(prev => prev.length > 0 ? prev : cached);
+      } else {
+        setLoading(true);
+      }
+      
       // Get conversations from API
       const response = await messageService.getConversations();
       
       if (response.success) {
         setConversations(response.data);
+        messageCacheService.saveConversations(response.data);
         
         // Initialize unread counts
         const counts = {};
@@ -79,7 +389,7 @@ export const MessagingProvider = ({ children }) => {
           counts[conv.id] = conv.unread_count || 0;
         });
         setUnreadCounts(counts);
-      } else {
+      } else if (cached.length === 0) {
         setError('Failed to load conversations');
       }
     } catch (err) {
@@ -92,29 +402,91 @@ export const MessagingProvider = ({ children }) => {
   // Load messages for a conversation
   const loadMessages = async (conversationId) => {
     try {
-      setLoading(true);
       setError(null);
       
-      // Get messages from API
-      const response = await messageService.getMessages(conversationId);
+      // Messages still waiting in the outbox come after the ones the server has
+      const queued = (await outboxService.getMessages(conversationId))
+        .map(record => outboxRecordToMessage(record, user));
       
-      if (response.success) {
-        // Update messages state
+      // Show cached history straight away, without what disappeared since
+      const now = Date.now();
+      const stored = await messageCacheService.getMessages(conversationId);
+      const cached = stored.filter(message => !isExpired(message, now));
+      forgetMessages(stored.filter(message => isExpired(message, now)));
+      if (cached.length > 0) {
         setMessages(prev => ({
           ...prev,
-          [conversationId]: response.data
+          [conversationId]: [...cached, ...queued]
         }));
-        
-        // Mark messages as read
-        if (response.data.length > 0) {
-          markConversationAsRead(conversationId);
-        }
-        
-        return response.data;
       } else {
-        setError('Failed to load messages');
-        return [];
+        setLoading(true);
       }
+      
+      // Only fetch (and decrypt) what changed since the last sync
+      const cursor = await messageCacheService.getCursor(conversationId);
+      const response = await messageService.syncMessages(conversationId, cursor);
+      
+      if (!response.success) {
+        // Offline: the cached history is all there is
+        if (cached.length === 0) {
+          setError('Failed to load messages');
+        }
+        return cached;
+      }
+      
+      // Messages already in the cache were decrypted before, unless they changed since
+      const cachedById = new Map(cached.map(message => [message.id, message]));
+      const changed = response.data.messages.filter(message => {
+        const cachedMessage = cachedById.get(message.id);
+        return !cachedMessage || (message.updatedAt && message.updatedAt !== cachedMessage.updatedAt);
+      });
+      
+      // Edited messages keep the versions this device saw before; messages
+      // deleted for everyone are never decrypted
+      const fresh = (await messageService.decryptMessages(changed.filter(message => !message.deleted)))
+        .concat(changed.filter(message => message.deleted).map(message => toTombstone(message, message.deletedAt)))
+        .map(message => {
+          const previous = cachedById.get(message.id);
+          return {
+            ...message,
+            conversationId: message.conversationId || conversationId,
+            ...(previous && !message.decryptError && !message.deleted && {
+              editHistory: applyMessageEdit(previous, message).editHistory
+            })
+          };
+        });
+      
+      // Timer changes made while this device was away, by members proven to have made them
+      fresh.filter(message => message.control && message.authenticated).forEach(message => {
+        disappearingService.applyTimerChange(conversationId, message.control.expiresIn, message.timestamp);
+      });
+      
+      const live = fresh.filter(message => !isExpired(message, now));
+      forgetMessages(fresh.filter(message => isExpired(message, now)));
+      
+      // Messages deleted for everyone while this device was away
+      fresh.filter(message => message.deleted && cachedById.has(message.id)).forEach(message => {
+        forgetDeleted(cachedById.get(message.id));
+      });
+      
+      await messageCacheService.saveMessages(live);
+      await messageCacheService.setCursor(conversationId, response.data.cursor);
+      
+      const freshIds = new Set(fresh.map(message => message.id));
+      const merged = [...cached.filter(message => !freshIds.has(message.id)), ...live].sort(byTimestamp);
+      
+      // Update messages state
+      setMessages(prev => ({
+        ...prev,
+        [conversationId]: [...merged, ...queued]
+      }));
+      
+      // Mark messages as read
+      if (fresh.length > 0) {
+        markConversationAsRead(conversationId);
+      }
+      
+      return merged;
     } catch (err) {
       setError('Error loading messages: ' + (err.message || 'Unknown error'));
       return [];
@@ -123,21 +495,112 @@ export const MessagingProvider = ({ children }) => {
     }
   };
 
+  // Load the page of messages before the oldest one shown
+  const loadOlderMessages = async (conversationId) => {
+    const history = messageHistory[conversationId] || {};
+    if (history.loadingOlder || history.hasMore === false) {
+      return 0;
+    }
+    
+    const loaded = (messages[conversationId] || []).filter(message => message.id !== message.clientId);
+    const oldest = loaded[0];
+    if (!oldest) {
+      return 0;
+    }
+    
+    setMessageHistory(prev => ({
+      ...prev,
+      [conversationId]: { ...prev[conversationId], loadingOlder: true }
+    }));
+    
+    try {
+      const response = await messageService.getMessagesBefore(conversationId, oldest.timestamp);
+      
+      if (!response.success) {
+        // Offline: keep hasMore so scrolling up tries again later
+        return 0;
+      }
+      
+      const loadedIds = new Set(loaded.map(message => message.id));
+      const unseen = response.data.messages.filter(message => !loadedIds.has(message.id));
+      const older = (await messageService.decryptMessages(unseen.filter(message => !message.deleted)))
+        .concat(unseen.filter(message => message.deleted).map(message => toTombstone(message, message.deletedAt)))
+        .map(message => ({ ...message, conversationId: message.conversationId || conversationId }))
+        .filter(message => !isExpired(message, Date.now()))
+        .sort(byTimestamp);
+      
+      await messageCacheService.saveMessages(older);
+      
+      setMessages(prev => ({
+        ...prev,
+        [conversationId]: [...older, ...(prev[conversationId] || [])]
+      }));
+      setMessageHistory(prev => ({
+        ...prev,
+        [conversationId]: { ...prev[conversationId], hasMore: response.data.hasMore && unseen.length > 0 }
+      }));
+      
+      return older.length;
+    } catch (err) {
+      console.error('Error loading older messages:', err);
+      return 0;
+    } finally {
+      setMessageHistory(prev => ({
+        ...prev,
+        [conversationId]: { ...prev[conversationId], loadingOlder: false }
+      }));
+    }
+  };
+
   // Handle incoming message
-  const handleIncomingMessage = useCallback((message) => {
-    console.log('Handling incoming message:', message);
+  const handleIncomingMessage = useCallback(async (incomingMessage) => {
+    console.log('Handling incoming message:', incomingMessage);
     
     // Determine conversation ID
-    const conversationId = message.conversationId || message.senderId;
+    const conversationId = incomingMessage.conversationId || incomingMessage.senderId;
     
     if (!conversationId) {
-      console.error('Message missing conversationId or senderId:', message);
+      console.error('Message missing conversationId or senderId:', incomingMessage);
       return;
     }
     
-    // Add message to state
+    // Decrypt once and keep the result, so it never has to be decrypted again
+    const message = {
+      ...await messageService.decryptMessage(incomingMessage),
+      conversationId
+    };
+    
+    if (message.control && message.authenticated) {
+      disappearingService.applyTimerChange(conversationId, message.control.expiresIn, message.timestamp);
+    }
+    
+    // One of our scheduled messages that the server just sent
+    if (message.clientId && message.senderId === user?.id) {
+      setScheduledMessages(prev => {
+        const scheduled = prev[conversationId];
+        if (!scheduled?.some(entry => entry.clientId === message.clientId)) return prev;
+        
+        return {
+          ...prev,
+          [conversationId]: scheduled.filter(entry => entry.clientId !== message.clientId)
+        };
+      });
+    }
+    
+    // Delivered after its timer already ran out
+    if (isExpired(message, Date.now())) return;
+    
+    messageCacheService.saveMessages([message]);
+    searchIndexService.indexMessages([message]);
+    
+    // Add message to state, skipping server echoes of messages already shown
     setMessages(prev => {
       const conversationMessages = prev[conversationId] || [];
+      const isDuplicate = conversationMessages.some(msg =>
+        msg.id === message.id || (message.clientId && msg.clientId === message.clientId)
+      );
+      if (isDuplicate) return prev;
+      
       return {
         ...prev,
         [conversationId]: [...conversationMessages, message]
@@ -150,8 +613,8 @@ export const MessagingProvider = ({ children }) => {
       
       // Determine last message text
       const lastMessageText = message.media 
-        ? (message.content?.trim() ? message.content.trim() : '📷 Image') 
-        : message.content;
+        ? (message.content?.trim() ? stripMarkdown(message.content.trim()) : '📷 Image') 
+        : stripMarkdown(message.content);
       
       if (existingConvIndex >= 0) {
         // Update existing conversation
@@ -178,6 +641,27 @@ export const MessagingProvider = ({ children }) => {
       }
     });
     
+    // Our own messages, e.g. sent from another device, and timer changes are never unread
+    if (message.senderId === user?.id || message.control) return;
+    
+    // Mentions are only visible after decryption, so they're detected here
+    if (!message.deleted && getMentionedUserIds(message.content).includes(user?.id)) {
+      notifyMention?.(message);
+    }
+    
+    // Thread replies are unread in their thread, not in the conversation
+    if (message.threadId) {
+      if (activeThreadRef.current?.rootId === message.threadId) {
+        messageService.markAsRead(message.id);
+      } else {
+        setThreadUnreadCounts(prev => ({
+          ...prev,
+          [message.threadId]: (prev[message.threadId] || 0) + 1
+        }));
+      }
+      return;
+    }
+    
     // Increment unread count if not in active conversation
     if (!activeConversation || activeConversation.id !== conversationId) {
       setUnreadCounts(prev => ({
@@ -188,7 +672,7 @@ export const MessagingProvider = ({ children }) => {
       // Send read receipt if in active conversation
       messageService.markAsRead(message.id);
     }
-  }, [activeConversation]);
+  }, [activeConversation, user, notifyMention]);
 
   // Handle typing indicator
   const handleTypingIndicator = useCallback((data) => {
@@ -269,48 +753,29 @@ export const MessagingProvider = ({ children }) => {
     }));
   }, []);
 
-  // Send a message
-  const sendMessage = async (conversationId, content, media = null) => {
+  // Messages take the conversation's disappearing message timer from when they are written
+  const withTimer = (conversationId, references) => {
+    const expiresIn = disappearingService.getTimer(conversationId);
+    return expiresIn && !references?.control ? { ...references, expiresIn } : references;
+  };
+
+  // Send a message through the outbox, so it survives being offline;
+  // references are { replyTo, threadId, linkPreview } for replies, thread messages and previewed links
+  const sendMessage = async (conversationId, content, media = null, references = null) => {
     try {
       setError(null);
       
-      // Send message via service
-      const result = await messageService.sendMessage(conversationId, content, media);
+      const record = await outboxService.enqueueMessage(conversationId, content, media, withTimer(conversationId, references));
       
-      if (result.success) {
-        // Optimistically add message to UI
-        const newMessage = {
-          id: result.messageId || `temp-${Date.now()}`,
-          conversationId,
-          senderId: user.id,
-          senderName: user.fullName || user.username,
-          content,
-          timestamp: new Date().toISOString(),
-          status: 'sent',
-          read: false,
-          ...(media && { 
-            mediaId: media.mediaId,
-            mediaType: media.mediaType,
-            mediaUrl: media.mediaUrl
-          })
-        };
-        
-        setMessages(prev => {
-          const conversationMessages = prev[conversationId] || [];
-          return {
-            ...prev,
-            [conversationId]: [...conversationMessages, newMessage]
-          };
-        });
-        
-        // Update conversation with last message
-        updateConversationLastMessage(conversationId, content, media);
-        
-        return { success: true, messageId: result.messageId };
-      } else {
-        setError(result.error || 'Failed to send message');
-        return { success: false, error: result.error };
-      }
+      // Optimistically add message to UI
+      addMessage(conversationId, outboxRecordToMessage(record, user));
+      
+      // Update conversation with last message
+      updateConversationLastMessage(conversationId, content, media);
+      
+      outboxService.flush();
+      
+      return { success: true, clientId: record.clientId };
     } catch (err) {
       const errorMessage = 'Error sending message: ' + (err.message || 'Unknown error');
       setError(errorMessage);
@@ -341,6 +806,7 @@ export const MessagingProvider = ({ children }) => {
             timestamp: new Date().toISOString(),
             status: 'sent',
             read: false,
+            isEncrypted: result.data.isEncrypted,
             ...(media && { 
               mediaId: media.mediaId,
               mediaType: media.mediaType,
@@ -373,16 +839,16 @@ export const MessagingProvider = ({ children }) => {
   };
 
   // Update conversation's last message
-  const updateConversationLastMessage = (conversationId, content, media) => {
+  const updateConversationLastMessage = useCallback((conversationId, content, media) => {
     setConversations(prev => {
       const existingConvIndex = prev.findIndex(c => c.id === conversationId);
       
       // Determine last message text based on media type
-      let lastMessageText = content;
+      let lastMessageText = stripMarkdown(content);
       
       if (media) {
         if (content?.trim()) {
-          lastMessageText = content.trim();
+          lastMessageText = stripMarkdown(content.trim());
         } else {
           // Use appropriate emoji based on media type
           switch (media.mediaType) {
@@ -393,7 +859,7 @@ export const MessagingProvider = ({ children }) => {
               lastMessageText = '🎥 Video';
               break;
             case 'audio':
-              lastMessageText = '🎵 Audio';
+              lastMessageText = media.voice ? '🎤 Voice message' : '🎵 Audio';
               break;
             case 'document':
               lastMessageText = '📄 Document';
@@ -417,71 +883,882 @@ export const MessagingProvider = ({ children }) => {
       
       return prev;
     });
+  }, []);
+
+  // Find a loaded or cached message
+  const findMessage = useCallback(async (conversationId, messageId) => {
+    const loaded = (messagesRef.current[conversationId] || []).find(msg => msg.id === messageId);
+    return loaded || messageCacheService.getMessage(messageId);
+  }, []);
+
+  // Newest message that reached the server, which is what the conversation list shows
+  const getLastMessage = useCallback((conversationId, excludeId = null) => {
+    const sent = (messagesRef.current[conversationId] || []).filter(msg =>
+      msg.id !== msg.clientId && msg.id !== excludeId
+    );
+    return sent[sent.length - 1] || null;
+  }, []);
+
+  // Remove messages whose disappearing message timers ran out
+  const purgeExpiredMessages = useCallback(() => {
+    const now = Date.now();
+    const expired = Object.values(messagesRef.current).flat().filter(message => isExpired(message, now));
+    if (expired.length === 0) return;
+    
+    const expiredIds = new Set(expired.map(message => message.id));
+    
+    // Conversations whose last message disappeared show the one before it
+    Object.keys(messagesRef.current).forEach(conversationId => {
+      if (!expiredIds.has(getLastMessage(conversationId)?.id)) return;
+      
+      const previous = (messagesRef.current[conversationId] || [])
+        .filter(msg => msg.id !== msg.clientId && !expiredIds.has(msg.id))
+        .pop();
+      updateConversationLastMessage(
+        conversationId,
+        previous?.deleted ? 'This message was deleted' : previous?.content || '',
+        previous?.mediaType ? previous : null
+      );
+    });
+    
+    setMessages(prev => {
+      const updated = {};
+      Object.entries(prev).forEach(([convId, list]) => {
+        updated[convId] = list.filter(msg => !expiredIds.has(msg.id));
+      });
+      return updated;
+    });
+    forgetMessages(expired);
+  }, [getLastMessage, updateConversationLastMessage, forgetMessages]);
+
+  // Purge each message as soon as its timer runs out
+  useEffect(() => {
+    const nextExpiry = Object.values(messages).flat().reduce((soonest, message) => {
+      const expiresAt = message.id !== message.clientId ? disappearingService.getExpiresAt(message) : null;
+      return expiresAt !== null && (soonest === null || expiresAt < soonest) ? expiresAt : soonest;
+    }, null);
+    if (nextExpiry === null) return;
+    
+    const timer = setTimeout(purgeExpiredMessages, Math.min(Math.max(nextExpiry - Date.now(), 0), MAX_TIMEOUT));
+    return () => clearTimeout(timer);
+  }, [messages, purgeExpiredMessages]);
+
+  // Pinned and starred messages disappear on time too, also when their
+  // conversation isn't loaded
+  useEffect(() => {
+    const saved = [
+      ...Object.values(pins).flat().map(pin => pin.message).filter(Boolean),
+      ...starredMessages
+    ];
+    const nextExpiry = saved.reduce((soonest, message) => {
+      const expiresAt = disappearingService.getExpiresAt(message);
+      return expiresAt !== null && (soonest === null || expiresAt < soonest) ? expiresAt : soonest;
+    }, null);
+    if (nextExpiry === null) return;
+    
+    const timer = setTimeout(() => {
+      const now = Date.now();
+      const expired = new Map(saved
+        .filter(message => disappearingService.isExpired(message, now))
+        .map(message => [message.id, message]));
+      forgetMessages(Array.from(expired.values()));
+    }, Math.min(Math.max(nextExpiry - Date.now(), 0), MAX_TIMEOUT));
+    return () => clearTimeout(timer);
+  }, [pins, starredMessages, forgetMessages]);
+
+  /**
+   * Change a conversation's disappearing message timer for every member
+   * @param {string} conversationId - Conversation ID
+   * @param {number} expiresIn - Seconds new messages are kept for, or 0 to turn it off
+   * @returns {Promise<Object>} Result of sending the change
+   */
+  const setDisappearingTimer = async (conversationId, expiresIn) => {
+    const control = disappearingService.createTimerControl(expiresIn);
+    disappearingService.applyTimerChange(conversationId, control.expiresIn, Date.now());
+    
+    // The text is what clients that don't know the control show instead
+    return sendMessage(conversationId, disappearingService.describeTimerChange(control.expiresIn), null, { control });
   };
 
-  // Send media message
-  const sendMediaMessage = async (conversationId, file, caption = '') => {
-    try {
-      // Validate file
-      const validation = mediaService.validateFile(file);
-      if (!validation.success) {
-        throw new Error(validation.message);
+  // Show an edit of a message everywhere it appears
+  const applyEdit = useCallback(async (conversationId, original, edit) => {
+    const edited = applyMessageEdit(original, edit);
+    if (edited === original) return;
+    
+    setMessages(prev => {
+      const conversationMessages = prev[conversationId];
+      if (!conversationMessages) return prev;
+      
+      return {
+        ...prev,
+        [conversationId]: conversationMessages.map(msg => msg.id === edited.id ? edited : msg)
+      };
+    });
+    await messageCacheService.saveMessages([edited]);
+    searchIndexService.indexMessages([edited]);
+    updateSavedCopies(edited.id, edited);
+    
+    // The conversation list shows the last message, so it needs the new text too
+    if (getLastMessage(conversationId)?.id === edited.id) {
+      updateConversationLastMessage(conversationId, edited.content, edited.mediaType ? edited : null);
+    }
+  }, [getLastMessage, updateConversationLastMessage, updateSavedCopies]);
+
+  // Handle a message edited by its sender, on another device or by someone else
+  const handleMessageEdit = useCallback(async (data) => {
+    const { conversationId, messageId } = data;
+    
+    const original = await findMessage(conversationId, messageId);
+    if (!original || (data.version && data.version <= (original.version || 1))) {
+      // Unknown message, or an edit this device already has (e.g. its own)
+      return;
+    }
+    
+    // Edits by anyone but the author, or that can't be read, are dropped
+    const edit = await messageService.decryptEdit(original, data);
+    if (!edit) {
+      return;
+    }
+    
+    await applyEdit(conversationId, original, edit);
+  }, [findMessage, applyEdit]);
+
+  useEffect(() => {
+    if (!isAuthenticated) return;
+    return socketService.on('message:edit', handleMessageEdit);
+  }, [isAuthenticated, handleMessageEdit]);
+
+  /**
+   * Edit one of the current user's messages
+   * @param {string} conversationId - Conversation ID
+   * @param {string} messageId - Message ID
+   * @param {string} content - New message content
+   * @returns {Promise<Object>} Result of the edit
+   */
+  const editMessage = async (conversationId, messageId, content) => {
+    const text = content.trim();
+    if (!text) {
+      return { success: false, error: 'Message cannot be empty' };
+    }
+    
+    const original = await findMessage(conversationId, messageId);
+    if (!original || original.senderId !== user?.id) {
+      return { success: false, error: 'Only your own messages can be edited' };
+    }
+    
+    // The link preview is kept as long as the link is
+    const linkPreview = original.linkPreview && extractLinks(text).includes(original.linkPreview.url)
+      ? original.linkPreview
+      : null;
+    const result = await messageService.editMessage(messageId, conversationId, text, {
+      replyTo: original.replyTo,
+      threadId: original.threadId,
+      linkPreview,
+      // The key of encrypted media is only in the content, so every version needs it
+      attachment: mediaService.toAttachment(original.media),
+      // ...and so does the timer, which keeps counting from when the message was sent
+      expiresIn: original.expiresIn
+    });
+    if (!result.success) {
+      return result;
+    }
+    
+    await applyEdit(conversationId, original, { ...result.data, content: text, linkPreview });
+    return { success: true };
+  };
+
+  // Keep a conversation's scheduled messages due soonest first
+  const updateScheduledMessages = useCallback((conversationId, update) => {
+    setScheduledMessages(prev => ({
+      ...prev,
+      [conversationId]: update(prev[conversationId] || [])
+        .sort((a, b) => new Date(a.sendAt) - new Date(b.sendAt))
+    }));
+  }, []);
+  
+  /**
+   * Load the current user's messages scheduled in a conversation, encrypting
+   * again any that were encrypted for an older member list
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<Object>} Result with the scheduled messages
+   */
+  const loadScheduledMessages = useCallback(async (conversationId) => {
+    const result = await messageService.refreshScheduledMessages(conversationId);
+    if (result.success) {
+      setScheduledMessages(prev => ({ ...prev, [conversationId]: result.data }));
+    }
+    return result;
+  }, []);
+  
+  /**
+   * Schedule a message for the server to send at a given time, so it goes out
+   * even if this device is offline by then. It is encrypted now, for the
+   * current members, with the conversation's current disappearing timer, and
+   * again whenever the members change before it is sent.
+   * @param {string} conversationId - Conversation ID
+   * @param {string} content - Message content
+   * @param {Object} schedule - When to send it, as { sendAt, timeZone }
+   * @param {Object} references - { replyTo, threadId, linkPreview } (optional)
+   * @returns {Promise<Object>} Result of scheduling
+   */
+  const scheduleMessage = async (conversationId, content, schedule, references = null) => {
+    const text = content.trim();
+    if (!text) {
+      return { success: false, error: 'Message cannot be empty' };
+    }
+    if (!(new Date(schedule.sendAt).getTime() > Date.now())) {
+      return { success: false, error: 'Pick a time in the future' };
+    }
+    
+    // The message the server sends keeps this ID, so it can be matched when it arrives
+    const clientId = uuidv4();
+    const timedReferences = withTimer(conversationId, references && {
+      ...references,
+      linkPreview: keepLinkPreview(references.linkPreview, text)
+    });
+    const result = await messageService.scheduleMessage(conversationId, text, schedule, clientId, timedReferences);
+    if (!result.success) {
+      return result;
+    }
+    
+    updateScheduledMessages(conversationId, scheduled => [
+      ...scheduled,
+      {
+        status: 'scheduled',
+        ...result.data,
+        ...timedReferences,
+        conversationId,
+        clientId,
+        senderId: user?.id,
+        content: text,
+        sendAt: new Date(schedule.sendAt).toISOString(),
+        timeZone: schedule.timeZone
       }
+    ]);
+    return { success: true };
+  };
+  
+  /**
+   * Change the text or time of a message that is not sent yet
+   * @param {string} conversationId - Conversation ID
+   * @param {string} scheduledId - Scheduled message ID
+   * @param {string} content - New message content
+   * @param {Object} schedule - When to send it, as { sendAt, timeZone }
+   * @returns {Promise<Object>} Result of the change
+   */
+  const updateScheduledMessage = async (conversationId, scheduledId, content, schedule) => {
+    const text = content.trim();
+    if (!text) {
+      return { success: false, error: 'Message cannot be empty' };
+    }
+    if (!(new Date(schedule.sendAt).getTime() > Date.now())) {
+      return { success: false, error: 'Pick a time in the future' };
+    }
+    
+    const original = (scheduledMessages[conversationId] || []).find(entry => entry.id === scheduledId);
+    if (!original) {
+      return { success: false, error: 'This message was already sent or cancelled' };
+    }
+    
+    const references = {
+      replyTo: original.replyTo,
+      threadId: original.threadId,
+      linkPreview: keepLinkPreview(original.linkPreview, text),
+      expiresIn: original.expiresIn
+    };
+    const result = await messageService.updateScheduledMessage(scheduledId, conversationId, text, schedule, references);
+    if (!result.success) {
+      return result;
+    }
+    
+    updateScheduledMessages(conversationId, scheduled => scheduled.map(entry => entry.id === scheduledId ? {
+      ...entry,
+      status: 'scheduled',
+      error: null,
+      ...result.data,
+      ...references,
+      content: text,
+      sendAt: new Date(schedule.sendAt).toISOString(),
+      timeZone: schedule.timeZone
+    } : entry));
+    return { success: true };
+  };
+  
+  /**
+   * Cancel a message that is not sent yet
+   * @param {string} conversationId - Conversation ID
+   * @param {string} scheduledId - Scheduled message ID
+   * @returns {Promise<Object>} Result of cancelling
+   */
+  const cancelScheduledMessage = async (conversationId, scheduledId) => {
+    const result = await messageService.cancelScheduledMessage(scheduledId);
+    if (result.success) {
+      updateScheduledMessages(conversationId, scheduled => scheduled.filter(entry => entry.id !== scheduledId));
+    }
+    return result;
+  };
+  
+  // Drop what is kept of a deleted message besides the message itself
+  const forgetDeleted = useCallback((message) => {
+    updateSavedCopies(message.id);
+    if (message.media) {
+      mediaService.forgetDecryptedMedia(message.media);
+    }
+  }, [updateSavedCopies]);
 
-      // Create a unique ID for tracking this upload
-      const uploadId = uuidv4();
+  // Replace a message deleted for everyone by its tombstone
+  const applyDeletion = useCallback(async (conversationId, original, deletedAt) => {
+    const tombstone = toTombstone({ ...original, conversationId }, deletedAt);
+    
+    setMessages(prev => {
+      const conversationMessages = prev[conversationId];
+      if (!conversationMessages) return prev;
       
-      // Add to media uploads tracking
-      setMediaUploads(prev => ({
+      return {
         ...prev,
-        [uploadId]: {
-          file,
-          progress: 0,
-          status: 'uploading',
-          conversationId,
-          caption
-        }
+        [conversationId]: conversationMessages.map(msg => msg.id === tombstone.id ? tombstone : msg)
+      };
+    });
+    await messageCacheService.saveMessages([tombstone]);
+    searchIndexService.removeMessages([tombstone.id]);
+    forgetDeleted(original);
+    
+    if (getLastMessage(conversationId)?.id === tombstone.id) {
+      updateConversationLastMessage(conversationId, 'This message was deleted', null);
+    }
+  }, [getLastMessage, updateConversationLastMessage, forgetDeleted]);
+
+  // Handle a message deleted for everyone by its sender
+  const handleMessageDeleted = useCallback(async ({ conversationId, messageId, deletedAt }) => {
+    const original = await findMessage(conversationId, messageId);
+    if (!original || original.deleted) return;
+    
+    await applyDeletion(conversationId, original, deletedAt);
+  }, [findMessage, applyDeletion]);
+
+  useEffect(() => {
+    if (!isAuthenticated) return;
+    return socketService.on('message:deleted', handleMessageDeleted);
+  }, [isAuthenticated, handleMessageDeleted]);
+
+  /**
+   * Delete a message, for everyone or only for the current user
+   * @param {string} conversationId - Conversation ID
+   * @param {string} messageId - Message ID
+   * @param {boolean} forEveryone - Delete for every member instead of just the current user
+   * @returns {Promise<Object>} Result of the deletion
+   */
+  const deleteMessage = async (conversationId, messageId, forEveryone = false) => {
+    const original = await findMessage(conversationId, messageId);
+    if (!original) {
+      return { success: false, error: 'Message not found' };
+    }
+    
+    // Messages that never left the outbox only exist on this device
+    if (original.id === original.clientId) {
+      await outboxService.discard(original.clientId);
+      forgetDeleted(original);
+      return { success: true };
+    }
+    
+    if (forEveryone && !messageService.canDeleteForEveryone(original)) {
+      return { success: false, error: 'This message can no longer be deleted for everyone' };
+    }
+    
+    const result = await messageService.deleteMessage(messageId, conversationId, forEveryone);
+    if (!result.success) {
+      return result;
+    }
+    
+    if (forEveryone) {
+      await applyDeletion(conversationId, original);
+      
+      // Nobody can see the attachment any more, so it doesn't need to be kept
+      const mediaId = original.mediaId || original.media?.id;
+      if (mediaId) {
+        mediaService.deleteMedia(mediaId).catch(err => {
+          console.error('Error deleting message media:', err);
+        });
+      }
+    } else {
+      const previous = getLastMessage(conversationId, messageId);
+      const wasLast = getLastMessage(conversationId)?.id === messageId;
+      
+      setMessages(prev => ({
+        ...prev,
+        [conversationId]: (prev[conversationId] || []).filter(msg => msg.id !== messageId)
       }));
+      await messageCacheService.removeMessages([messageId]);
+      searchIndexService.removeMessages([messageId]);
+      forgetDeleted(original);
+      
+      if (wasLast) {
+        updateConversationLastMessage(
+          conversationId,
+          previous?.deleted ? 'This message was deleted' : previous?.content || '',
+          previous?.mediaType ? previous : null
+        );
+      }
+    }
+    
+    return { success: true };
+  };
 
-      // Track upload progress
-      const onProgress = (progress) => {
-        setMediaUploads(prev => ({
-          ...prev,
-          [uploadId]: {
-            ...prev[uploadId],
-            progress
-          }
-        }));
+  // Replace a message with a changed copy, in the list and in the cache
+  const replaceMessage = useCallback(async (conversationId, message) => {
+    setMessages(prev => {
+      const conversationMessages = prev[conversationId];
+      if (!conversationMessages) return prev;
+      
+      return {
+        ...prev,
+        [conversationId]: conversationMessages.map(msg => msg.id === message.id ? message : msg)
       };
+    });
+    await messageCacheService.saveMessages([message]);
+  }, []);
 
-      // Upload the file
-      const mediaData = await mediaService.uploadMedia(
-        file,
+  /**
+   * Open view-once media sent by someone else. Its key is dropped right away,
+   * so it can't be opened again, and the sender is told it was opened.
+   * @param {string} conversationId - Conversation ID
+   * @param {string} messageId - Message ID
+   * @returns {Promise<Object|null>} The media with its key, to show this one time, or null
+   */
+  const openViewOnceMedia = async (conversationId, messageId) => {
+    const original = await findMessage(conversationId, messageId);
+    const media = original?.media;
+    if (!media?.viewOnce || media.opened || original.senderId === user?.id) {
+      return null;
+    }
+    
+    // The server keeps track of who opened it, so no other device of ours can open it again
+    const recorded = await mediaService.markViewOnceOpened(media.id).then(() => true, err => {
+      if (err.response?.status === 409) return false;
+      throw err;
+    });
+    
+    viewOnceService.markOpened(media.id);
+    await replaceMessage(conversationId, { ...original, media: viewOnceService.toOpened(media) });
+    if (!recorded) {
+      return null;
+    }
+    socketService.sendMediaOpened({
+      conversationId,
+      messageId,
+      userId: user?.id,
+      openedAt: new Date().toISOString()
+    });
+    
+    return media;
+  };
+
+  // Note who opened view-once media we sent, and delete it once everyone has
+  const handleMediaOpened = useCallback(async ({ conversationId, messageId, userId }) => {
+    const original = await findMessage(conversationId, messageId);
+    const openedBy = original?.media?.openedBy || [];
+    if (!original?.media?.viewOnce || original.senderId !== user?.id || openedBy.includes(userId)) return;
+    
+    await replaceMessage(conversationId, {
+      ...original,
+      media: { ...original.media, openedBy: [...openedBy, userId] }
+    });
+    
+    const conversation = conversationsRef.current.find(entry => entry.id === conversationId);
+    const recipientCount = Math.max(1, (conversation?.memberCount || 2) - 1);
+    if (openedBy.length + 1 >= recipientCount) {
+      mediaService.deleteMedia(original.media.id).catch(err => {
+        console.error('Error deleting opened view-once media:', err);
+      });
+    }
+  }, [findMessage, replaceMessage, user]);
+
+  useEffect(() => {
+    if (!isAuthenticated) return;
+    return socketService.on('media:opened', handleMediaOpened);
+  }, [isAuthenticated, handleMediaOpened]);
+  
+  /**
+   * Load the messages pinned in a conversation
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<Object>} Result with the pins
+   */
+  const loadPins = useCallback(async (conversationId) => {
+    const result = await pinService.getPins(conversationId);
+    if (result.success) {
+      setPins(prev => ({ ...prev, [conversationId]: result.data }));
+    }
+    return result;
+  }, []);
+
+  // Show a pin first, with the message as this device has it
+  const addPin = useCallback(async (pin) => {
+    const message = await findMessage(pin.conversationId, pin.messageId);
+    if (message?.deleted || (message && isExpired(message, Date.now()))) return;
+    
+    setPins(prev => {
+      const conversationPins = prev[pin.conversationId] || [];
+      if (conversationPins.some(existing => existing.messageId === pin.messageId)) return prev;
+      
+      return {
+        ...prev,
+        [pin.conversationId]: [
+          {
+            messageId: pin.messageId,
+            pinnedBy: pin.pinnedBy,
+            pinnedAt: pin.pinnedAt || new Date().toISOString(),
+            message: message || null
+          },
+          ...conversationPins
+        ]
+      };
+    });
+  }, [findMessage]);
+
+  const removePin = useCallback((conversationId, messageId) => {
+    setPins(prev => ({
+      ...prev,
+      [conversationId]: (prev[conversationId] || []).filter(pin => pin.messageId !== messageId)
+    }));
+  }, []);
+
+  /**
+   * Pin a message at the top of its conversation, for every member
+   * @param {string} conversationId - Conversation ID
+   * @param {string} messageId - Message ID
+   * @returns {Promise<Object>} Result of pinning
+   */
+  const pinMessage = async (conversationId, messageId) => {
+    const result = await pinService.pinMessage(conversationId, messageId);
+    if (result.success) {
+      await addPin({ ...result.data, pinnedBy: result.data.pinnedBy || user?.id });
+    }
+    return result;
+  };
+
+  /**
+   * Unpin a message, for every member
+   * @param {string} conversationId - Conversation ID
+   * @param {string} messageId - Message ID
+   * @returns {Promise<Object>} Result of unpinning
+   */
+  const unpinMessage = async (conversationId, messageId) => {
+    const result = await pinService.unpinMessage(conversationId, messageId);
+    if (result.success) {
+      removePin(conversationId, messageId);
+    }
+    return result;
+  };
+
+  // Handle a message pinned or unpinned by another member, or on another device
+  const handleMessagePinned = useCallback((pin) => {
+    addPin(pin);
+  }, [addPin]);
+
+  const handleMessageUnpinned = useCallback(({ conversationId, messageId }) => {
+    removePin(conversationId, messageId);
+  }, [removePin]);
+
+  useEffect(() => {
+    if (!isAuthenticated) return;
+    
+    const unsubscribePinned = socketService.on('message:pinned', handleMessagePinned);
+    const unsubscribeUnpinned = socketService.on('message:unpinned', handleMessageUnpinned);
+    return () => {
+      unsubscribePinned();
+      unsubscribeUnpinned();
+    };
+  }, [isAuthenticated, handleMessagePinned, handleMessageUnpinned]);
+
+  /**
+   * Load the messages the current user starred, from every conversation
+   * @returns {Promise<Object>} Result with the starred messages
+   */
+  const loadStarredMessages = useCallback(async () => {
+    const result = await pinService.getStarredMessages();
+    if (result.success) {
+      setStarredMessages(result.data);
+    }
+    return result;
+  }, []);
+
+  useEffect(() => {
+    if (!isAuthenticated) return;
+    loadStarredMessages();
+  }, [isAuthenticated, loadStarredMessages]);
+
+  /**
+   * Star a message, to find it again under saved messages; only the current
+   * user sees their stars
+   * @param {string} conversationId - Conversation ID
+   * @param {string} messageId - Message ID
+   * @returns {Promise<Object>} Result of starring
+   */
+  const starMessage = async (conversationId, messageId) => {
+    const original = await findMessage(conversationId, messageId);
+    if (!original) {
+      return { success: false, error: 'Message not found' };
+    }
+    
+    const result = await pinService.starMessage(messageId);
+    if (result.success) {
+      setStarredMessages(prev => [
+        { ...original, conversationId, starredAt: result.data.starredAt },
+        ...prev.filter(saved => saved.id !== messageId)
+      ]);
+    }
+    return result;
+  };
+
+  /**
+   * Remove a message from the current user's saved messages
+   * @param {string} messageId - Message ID
+   * @returns {Promise<Object>} Result of unstarring
+   */
+  const unstarMessage = async (messageId) => {
+    const result = await pinService.unstarMessage(messageId);
+    if (result.success) {
+      setStarredMessages(prev => prev.filter(saved => saved.id !== messageId));
+    }
+    return result;
+  };
+  
+  // Open the drafts sealed on this device, and pick up the ones written on the
+  // user's other devices, also when coming back to this tab
+  useEffect(() => {
+    if (!isAuthenticated) return;
+    
+    draftService.load().then(() => draftService.syncDrafts());
+    const handleFocus = () => draftService.syncDrafts();
+    window.addEventListener('focus', handleFocus);
+    return () => window.removeEventListener('focus', handleFocus);
+  }, [isAuthenticated]);
+
+  // Merge changes into a conversation, in the list and where it is open
+  const updateConversation = useCallback((conversationId, changes) => {
+    setConversations(prev => prev.map(conv =>
+      conv.id === conversationId ? { ...conv, ...changes } : conv
+    ));
+    setActiveConversation(prev => prev?.id === conversationId ? { ...prev, ...changes } : prev);
+  }, []);
+
+  // Forget a conversation the current user is no longer a member of
+  const removeConversation = useCallback((conversationId) => {
+    setConversations(prev => prev.filter(conv => conv.id !== conversationId));
+    setActiveConversation(prev => prev?.id === conversationId ? null : prev);
+    setActiveThread(prev => prev?.conversationId === conversationId ? null : prev);
+    setMessages(prev => {
+      if (!(conversationId in prev)) return prev;
+      const { [conversationId]: _, ...rest } = prev;
+      return rest;
+    });
+    setUnreadCounts(prev => {
+      if (!(conversationId in prev)) return prev;
+      const { [conversationId]: _, ...rest } = prev;
+      return rest;
+    });
+    
+    socketService.leaveConversation(conversationId);
+    messageCacheService.removeConversation(conversationId);
+  }, []);
+
+  // Handle a group renamed or given a new avatar by one of its admins
+  const handleConversationUpdated = useCallback(({ conversationId, name, avatar }) => {
+    updateConversation(conversationId, {
+      ...(name !== undefined && { name }),
+      ...(avatar !== undefined && { avatar })
+    });
+  }, [updateConversation]);
+
+  // Handle members being added or removed, leaving, or changing role
+  const handleMembersChanged = useCallback(({ conversationId, members }) => {
+    if (!members.some(member => member.userId === user?.id)) {
+      removeConversation(conversationId);
+      return;
+    }
+    
+    updateConversation(conversationId, { members, memberCount: members.length });
+    
+    // Messages scheduled earlier were encrypted for the old members
+    loadScheduledMessages(conversationId);
+  }, [user, updateConversation, removeConversation, loadScheduledMessages]);
+
+  useEffect(() => {
+    if (!isAuthenticated) return;
+    
+    const unsubscribeUpdated = socketService.on('conversation:updated', handleConversationUpdated);
+    const unsubscribeMembers = socketService.on('conversation:members', handleMembersChanged);
+    
+    return () => {
+      unsubscribeUpdated();
+      unsubscribeMembers();
+    };
+  }, [isAuthenticated, handleConversationUpdated, handleMembersChanged]);
+
+  /**
+   * Create a group conversation and open it
+   * @param {string} name - Group name
+   * @param {Array<string>} memberIds - User IDs to add besides the current user
+   * @returns {Promise<Object>} Result with the new conversation
+   */
+  const createGroup = async (name, memberIds) => {
+    if (!name.trim()) {
+      return { success: false, error: 'Group name cannot be empty' };
+    }
+    if (memberIds.length === 0) {
+      return { success: false, error: 'Add at least one member' };
+    }
+    
+    const result = await groupService.createGroup(name, memberIds);
+    if (!result.success) {
+      return result;
+    }
+    
+    const conversation = result.data;
+    setConversations(prev => [conversation, ...prev.filter(conv => conv.id !== conversation.id)]);
+    setActiveConversationAndMarkRead(conversation);
+    return { success: true, data: conversation };
+  };
+
+  /**
+   * Load the members of a group into its conversation
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<Object>} Result with the members
+   */
+  const loadGroupMembers = useCallback(async (conversationId) => {
+    const result = await messageService.getConversationMembers(conversationId);
+    if (result.success) {
+      updateConversation(conversationId, { members: result.data, memberCount: result.data.length });
+    }
+    return result;
+  }, [updateConversation]);
+
+  /**
+   * Rename a group
+   * @param {string} conversationId - Conversation ID
+   * @param {string} name - New name
+   * @returns {Promise<Object>} Result of the rename
+   */
+  const renameGroup = async (conversationId, name) => {
+    if (!name.trim()) {
+      return { success: false, error: 'Group name cannot be empty' };
+    }
+    
+    const result = await groupService.renameGroup(conversationId, name);
+    if (result.success) {
+      updateConversation(conversationId, { name: result.data?.name || name.trim() });
+    }
+    return result;
+  };
+
+  /**
+   * Upload a new avatar for a group
+   * @param {string} conversationId - Conversation ID
+   * @param {File} file - Image file
+   * @returns {Promise<Object>} Result with the avatar URL
+   */
+  const updateGroupAvatar = async (conversationId, file) => {
+    const result = await groupService.updateAvatar(conversationId, file);
+    if (result.success) {
+      updateConversation(conversationId, { avatar: result.data.avatar });
+    }
+    return result;
+  };
+
+  // Apply the member list returned by a membership change. Messages are
+  // encrypted for the server's current member list, so removed members get
+  // no key for anything sent from now on.
+  const applyMembers = (conversationId, result) => {
+    if (result.success && result.data?.members) {
+      handleMembersChanged({ conversationId, members: result.data.members });
+    }
+    return result;
+  };
+
+  /**
+   * Add members to a group (admins only)
+   * @param {string} conversationId - Conversation ID
+   * @param {Array<string>} userIds - User IDs to add
+   * @returns {Promise<Object>} Result with the members
+   */
+  const addGroupMembers = async (conversationId, userIds) => {
+    return applyMembers(conversationId, await groupService.addMembers(conversationId, userIds));
+  };
+
+  /**
+   * Remove a member from a group (admins only)
+   * @param {string} conversationId - Conversation ID
+   * @param {string} userId - User ID to remove
+   * @returns {Promise<Object>} Result with the members
+   */
+  const removeGroupMember = async (conversationId, userId) => {
+    return applyMembers(conversationId, await groupService.removeMember(conversationId, userId));
+  };
+
+  /**
+   * Make a member an admin, or an admin a regular member (admins only)
+   * @param {string} conversationId - Conversation ID
+   * @param {string} userId - User ID
+   * @param {string} role - One of groupService.ROLES
+   * @returns {Promise<Object>} Result with the members
+   */
+  const setGroupMemberRole = async (conversationId, userId, role) => {
+    return applyMembers(conversationId, await groupService.setMemberRole(conversationId, userId, role));
+  };
+
+  /**
+   * Leave a group and remove it from this device
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<Object>} Result of leaving
+   */
+  const leaveGroup = async (conversationId) => {
+    const result = await groupService.leaveGroup(conversationId);
+    if (result.success) {
+      removeConversation(conversationId);
+    }
+    return result;
+  };
+
+  // Send a media message through the outbox, so it survives being offline;
+  // metadata describes recorded voice messages and references are as for sendMessage
+  const sendMediaMessage = async (conversationId, file, caption = '', metadata = null, references = null) => {
+    try {
+      // Validate file
+      const validation = mediaService.validateFile(file);
+      if (!validation.valid) {
+        throw new Error(validation.error);
+      }
+
+      const record = await outboxService.enqueueMedia(
         conversationId,
+        file,
         caption,
-        onProgress
+        metadata,
+        withTimer(conversationId, references)
       );
-
-      // Update upload status to complete
+      
+      // Track the upload under the message's client ID
       setMediaUploads(prev => ({
         ...prev,
-        [uploadId]: {
-          ...prev[uploadId],
-          status: 'complete',
-          progress: 100,
-          mediaId: mediaData.mediaId,
-          mediaUrl: mediaData.mediaUrl,
-          mediaType: mediaData.mediaType
+        [record.clientId]: {
+          file,
+          progress: 0,
+          status: 'uploading',
+          conversationId,
+          caption
         }
       }));
+      
+      // Optimistically add message to UI
+      addMessage(conversationId, outboxRecordToMessage(record, user));
+      updateConversationLastMessage(conversationId, caption, {
+        mediaType: mediaService.getMediaType(file),
+        voice: metadata?.voice
+      });
+      
+      outboxService.flush();
 
-      // If the upload includes a message ID, fetch the new message
-      if (mediaData.messageId) {
-        // Fetch the latest messages to include the new media message
-        await loadMessages(conversationId);
-      }
-
-      return mediaData;
+      return { success: true, clientId: record.clientId };
     } catch (error) {
       console.error('Error sending media message:', error);
       throw error;
@@ -495,10 +1772,10 @@ export const MessagingProvider = ({ children }) => {
       const invalidFiles = [];
       files.forEach(file => {
         const validation = mediaService.validateFile(file.file);
-        if (!validation.success) {
+        if (!validation.valid) {
           invalidFiles.push({
             file: file.file,
-            error: validation.message
+            error: validation.error
           });
         }
       });
@@ -511,69 +1788,12 @@ export const MessagingProvider = ({ children }) => {
         };
       }
 
-      // Create upload tracking entries for all files
-      const uploadIds = {};
-      files.forEach(file => {
-        const uploadId = uuidv4();
-        uploadIds[file.id] = uploadId;
-        
-        setMediaUploads(prev => ({
-          ...prev,
-          [uploadId]: {
-            file: file.file,
-            progress: 0,
-            status: 'uploading',
-            conversationId,
-            caption: file.caption || captions[file.id] || ''
-          }
-        }));
-      });
-
-      // Track upload progress for each file
-      const onProgress = (fileId, progress) => {
-        const uploadId = uploadIds[fileId];
-        if (uploadId) {
-          setMediaUploads(prev => ({
-            ...prev,
-            [uploadId]: {
-              ...prev[uploadId],
-              progress
-            }
-          }));
-        }
-      };
-
-      // Upload all files
-      const uploadPromises = files.map(file => {
+      // Queue them in order; the outbox sends them one after another
+      const results = [];
+      for (const file of files) {
         const caption = file.caption || captions[file.id] || '';
-        return mediaService.uploadMedia(
-          file.file,
-          conversationId,
-          caption,
-          (progress) => onProgress(file.id, progress)
-        ).then(mediaData => {
-          const uploadId = uploadIds[file.id];
-          if (uploadId) {
-            setMediaUploads(prev => ({
-              ...prev,
-              [uploadId]: {
-                ...prev[uploadId],
-                status: 'complete',
-                progress: 100,
-                mediaId: mediaData.mediaId,
-                mediaUrl: mediaData.mediaUrl,
-                mediaType: mediaData.mediaType
-              }
-            }));
-          }
-          return mediaData;
-        });
-      });
-
-      const results = await Promise.all(uploadPromises);
-      
-      // Fetch the latest messages to include the new media messages
-      await loadMessages(conversationId);
+        results.push(await sendMediaMessage(conversationId, file.file, caption));
+      }
 
       return {
         success: true,
@@ -616,20 +1836,25 @@ export const MessagingProvider = ({ children }) => {
     );
   };
 
-  // Clear all pending media
-  const clearPendingMedia = () => {
-    // Clean up object URLs
-    pendingMedia.forEach(file => {
-      if (file.previewUrl) {
-        URL.revokeObjectURL(file.previewUrl);
-      }
+  // Clear all pending media; stable, as components clear it from effects
+  const clearPendingMedia = useCallback(() => {
+    setPendingMedia(prev => {
+      // Clean up object URLs
+      prev.forEach(file => {
+        if (file.previewUrl) {
+          URL.revokeObjectURL(file.previewUrl);
+        }
+      });
+      
+      return [];
     });
-    
-    setPendingMedia([]);
-  };
+  }, []);
 
   // Cancel a media upload in progress
   const cancelMediaUpload = (uploadId) => {
+    // Uploads are queued under their message's client ID
+    outboxService.discard(uploadId);
+    
     setMediaUploads(prev => {
       const newUploads = { ...prev };
       delete newUploads[uploadId];
@@ -689,12 +1914,68 @@ export const MessagingProvider = ({ children }) => {
   const setActiveConversationAndMarkRead = (conversation) => {
     setActiveConversation(conversation);
     
+    // Threads belong to the conversation they were opened in
+    if (activeThread && activeThread.conversationId !== conversation?.id) {
+      setActiveThread(null);
+    }
+    
     if (conversation) {
       // Mark conversation as read when activated
       markConversationAsRead(conversation.id);
+      
+      // Show cached messages at once and sync anything newer
+      loadMessages(conversation.id);
+      loadScheduledMessages(conversation.id);
+      loadPins(conversation.id);
     }
   };
 
+  // Replies in a thread, oldest first
+  const getThreadReplies = (conversationId, rootId) => {
+    return (messages[conversationId] || []).filter(msg => msg.threadId === rootId);
+  };
+
+  // Show a thread in the side panel and mark its replies as read
+  const openThread = (conversationId, rootId) => {
+    setActiveThread({ conversationId, rootId });
+    setThreadUnreadCounts(prev => {
+      if (!prev[rootId]) return prev;
+      const { [rootId]: _, ...rest } = prev;
+      return rest;
+    });
+  };
+
+  const closeThread = () => {
+    setActiveThread(null);
+  };
+
+  /**
+   * Open a conversation at a specific message, e.g. a search result
+   * @param {string} conversationId - Conversation ID
+   * @param {string} messageId - Message ID
+   * @param {string} threadId - Thread the message is a reply in (optional)
+   * @returns {boolean} False if the conversation is not available any more
+   */
+  const focusMessage = (conversationId, messageId, threadId = null) => {
+    const conversation = conversations.find(conv => conv.id === conversationId);
+    if (!conversation) return false;
+    
+    if (activeConversation?.id !== conversationId) {
+      setActiveConversationAndMarkRead(conversation);
+    }
+    
+    // Replies are shown in their thread, next to the thread's first message
+    if (threadId) {
+      openThread(conversationId, threadId);
+    }
+    setFocusedMessage({ conversationId, messageId: threadId || messageId });
+    return true;
+  };
+
+  const clearFocusedMessage = useCallback(() => {
+    setFocusedMessage(null);
+  }, []);
+
   // Check if a user is typing in a conversation
   const isUserTyping = (conversationId) => {
     if (!conversationId) return false;
@@ -741,11 +2022,50 @@ export const MessagingProvider = ({ children }) => {
     error,
     mediaUploads,
     pendingMedia,
+    encryptionBlocked,
+    clearEncryptionBlocked,
+    historyLocked,
+    unlockHistory,
     setActiveConversation: setActiveConversationAndMarkRead,
     loadConversations,
     loadMessages,
+    loadOlderMessages,
+    messageHistory,
     sendMessage,
     sendDirectMessage,
+    editMessage,
+    deleteMessage,
+    setDisappearingTimer,
+    openViewOnceMedia,
+    scheduledMessages,
+    loadScheduledMessages,
+    scheduleMessage,
+    updateScheduledMessage,
+    cancelScheduledMessage,
+    pins,
+    loadPins,
+    pinMessage,
+    unpinMessage,
+    starredMessages,
+    loadStarredMessages,
+    starMessage,
+    unstarMessage,
+    createGroup,
+    loadGroupMembers,
+    renameGroup,
+    updateGroupAvatar,
+    addGroupMembers,
+    removeGroupMember,
+    setGroupMemberRole,
+    leaveGroup,
+    activeThread,
+    threadUnreadCounts,
+    openThread,
+    closeThread,
+    getThreadReplies,
+    focusedMessage,
+    focusMessage,
+    clearFocusedMessage,
     sendMediaMessage,
     sendMultipleMediaMessages,
     addPendingMedia,
@@ -1,7 +1,8 @@
-import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
 import axios from 'axios';
 import { useAuth } from './AuthContext';
 import { useSocket } from './SocketContext';
+import { stripMarkdown } from '../utils/markdownUtils';
 import { 
   registerServiceWorker, 
   subscribeToPushNotifications, 
@@ -36,6 +37,37 @@ api.interceptors.request.use(
 
 const NotificationContext = createContext();
 
+// Notifications raised on this device, e.g. for mentions in encrypted
+// messages, which the server can't see
+const LOCAL_ID_PREFIX = 'local-';
+
+const isLocalNotification = (id) => {
+  return typeof id === 'string' && id.startsWith(LOCAL_ID_PREFIX);
+};
+
+/**
+ * Check if the current time falls within the configured quiet hours
+ * @param {Object} settings - Notification settings
+ * @returns {boolean} True if notifications should be silent now
+ */
+const isQuietHours = (settings) => {
+  if (!settings.quietHoursEnabled) return false;
+  
+  const now = new Date();
+  const minutes = now.getHours() * 60 + now.getMinutes();
+  const toMinutes = (time) => {
+    const [hours, mins] = (time || '00:00').split(':').map(Number);
+    return hours * 60 + mins;
+  };
+  const start = toMinutes(settings.quietHoursStart);
+  const end = toMinutes(settings.quietHoursEnd);
+  
+  // Quiet hours usually span midnight
+  return start <= end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+};
+
 /**
  * Custom hook to use the notification context
  * @returns {Object} Notification context value
@@ -59,6 +91,7 @@ export const NotificationProvider = ({ children }) => {
   
   // State for notifications and settings
   const [notifications, setNotifications] = useState([]);
+  const [localNotifications, setLocalNotifications] = useState([]);
   const [unreadCount, setUnreadCount] = useState(0);
   const [settings, setSettings] = useState({
     enabled: true,
@@ -71,6 +104,13 @@ export const NotificationProvider = ({ children }) => {
     quietHoursEnd: '08:00'
   });
   const [loading, setLoading] = useState(false);
+  
+  // Latest settings, for notifications raised from long-lived socket handlers
+  const settingsRef = useRef(settings);
+  useEffect(() => {
+    settingsRef.current = settings;
+  }, [settings]);
+  
   const [pushEnabled, setPushEnabled] = useState(false);
   const [serviceWorkerRegistration, setServiceWorkerRegistration] = useState(null);
   const [performanceMetrics, setPerformanceMetrics] = useState(null);
@@ -105,6 +145,7 @@ export const NotificationProvider = ({ children }) => {
       fetchPerformanceMetrics();
     } else {
       setNotifications([]);
+      setLocalNotifications([]);
       setUnreadCount(0);
       setPerformanceMetrics(null);
     }
@@ -336,6 +377,17 @@ export const NotificationProvider = ({ children }) => {
   const markAsRead = async (id) => {
     if (!isAuthenticated) return;
     
+    if (isLocalNotification(id)) {
+      setLocalNotifications(prev => 
+        prev.map(notification => 
+          notification.id === id 
+            ? { ...notification, read: true } 
+            : notification
+        )
+      );
+      return;
+    }
+    
     try {
       await api.put(`/notifications/${id}/read`);
       
@@ -373,6 +425,9 @@ export const NotificationProvider = ({ children }) => {
       setNotifications(prev => 
         prev.map(notification => ({ ...notification, read: true }))
       );
+      setLocalNotifications(prev => 
+        prev.map(notification => ({ ...notification, read: true }))
+      );
       
       // Reset unread count
       setUnreadCount(0);
@@ -389,6 +444,11 @@ export const NotificationProvider = ({ children }) => {
   const deleteNotification = async (id) => {
     if (!isAuthenticated) return;
     
+    if (isLocalNotification(id)) {
+      setLocalNotifications(prev => prev.filter(notification => notification.id !== id));
+      return;
+    }
+    
     try {
       await api.delete(`/notifications/${id}`);
       
@@ -403,6 +463,48 @@ export const NotificationProvider = ({ children }) => {
     }
   };
   
+  /**
+   * Notify the user that they were mentioned in a message
+   *
+   * Message contents are end-to-end encrypted, so mentions can only be
+   * detected after decryption on this device. These notifications follow the
+   * "Mentions" setting, whatever the "New messages" setting is.
+   * @param {Object} message - Decrypted message mentioning the user
+   * @returns {Object|null} The notification, or null if mentions are muted
+   */
+  const notifyMention = useCallback((message) => {
+    const current = settingsRef.current;
+    if (!current.enabled || !current.mentions || isQuietHours(current)) {
+      return null;
+    }
+    
+    const notification = {
+      id: `${LOCAL_ID_PREFIX}mention-${message.id}`,
+      type: 'mention',
+      title: `${message.senderName || 'Someone'} mentioned you`,
+      body: stripMarkdown(message.content),
+      read: false,
+      local: true,
+      createdAt: new Date().toISOString(),
+      data: {
+        conversationId: message.conversationId,
+        messageId: message.id,
+        url: '/'
+      }
+    };
+    
+    setLocalNotifications(prev => 
+      prev.some(existing => existing.id === notification.id) ? prev : [notification, ...prev]
+    );
+    
+    // Also show it outside the app when the tab is in the background
+    if (typeof Notification !== 'undefined' && Notification.permission === 'granted' && document.hidden) {
+      new Notification(notification.title, { body: notification.body, tag: notification.id });
+    }
+    
+    return notification;
+  }, []);
+  
   /**
    * Update notification settings
    * @param {Object} updatedSettings - Updated settings object
@@ -567,8 +669,10 @@ export const NotificationProvider = ({ children }) => {
   
   // Context value
   const value = {
-    notifications,
-    unreadCount,
+    notifications: [...localNotifications, ...notifications].sort((a, b) => 
+      new Date(b.createdAt || 0) - new Date(a.createdAt || 0)
+    ),
+    unreadCount: unreadCount + localNotifications.filter(notification => !notification.read).length,
     settings,
     loading,
     pushEnabled,
@@ -587,6 +691,7 @@ export const NotificationProvider = ({ children }) => {
     getPerformanceTestStatus,
     trackNotificationEvent,
     handleNotificationClick,
+    notifyMention,
     sendTestNotification,
     resetPerformanceMetrics
   };
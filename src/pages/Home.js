@@ -1,4 +1,5 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { Virtuoso } from 'react-virtuoso';
 import {
   Box,
   Typography,
@@ -17,7 +18,15 @@ import {
   useMediaQuery,
   Collapse,
   Dialog,
-  Tooltip
+  Tooltip,
+  Menu,
+  MenuItem,
+  ListItemIcon,
+  ListSubheader,
+  Alert,
+  Button,
+  Fab,
+  Snackbar
 } from '@mui/material';
 import { styled, useTheme } from '@mui/material/styles';
 import {
@@ -27,14 +36,50 @@ import {
   MoreVert as MoreVertIcon,
   ArrowBack as ArrowBackIcon,
   Close as CloseIcon,
-  Image as ImageIcon
+  Image as ImageIcon,
+  Lock as LockIcon,
+  LockOpen as LockOpenIcon,
+  Check as CheckIcon,
+  KeyboardArrowDown as KeyboardArrowDownIcon,
+  Edit as EditIcon,
+  DeleteOutline as DeleteIcon,
+  Reply as ReplyIcon,
+  Forum as ForumIcon,
+  GroupAdd as GroupAddIcon,
+  Group as GroupIcon,
+  TimerOutlined as TimerIcon,
+  ScheduleSend as ScheduleSendIcon,
+  PushPin as PushPinIcon,
+  PushPinOutlined as PushPinOutlinedIcon,
+  Star as StarIcon,
+  StarBorder as StarBorderIcon
 } from '@mui/icons-material';
 import { useAuth } from '../context/AuthContext';
 import { useMessaging } from '../context/MessagingContext';
+import encryptionPolicyService from '../services/encryptionPolicyService';
+import linkPreviewService from '../services/linkPreviewService';
+import disappearingService from '../services/disappearingService';
+import draftService from '../services/draftService';
+import { stripMarkdown } from '../utils/markdownUtils';
+import { toPlainText } from '../utils/mentionUtils';
 import MediaUploader from '../components/MediaUploader.jsx';
 import MediaDisplay from '../components/MediaDisplay.jsx';
 import MediaGallery from '../components/MediaGallery.jsx';
 import MessageInput from '../components/MessageInput.js';
+import MessageStatus from '../components/chat/MessageStatus';
+import EditMessageDialog from '../components/chat/EditMessageDialog';
+import EditHistoryDialog from '../components/chat/EditHistoryDialog';
+import DeleteMessageDialog from '../components/chat/DeleteMessageDialog';
+import ThreadPanel from '../components/chat/ThreadPanel';
+import FormattedText from '../components/chat/FormattedText';
+import CreateGroupDialog from '../components/chat/CreateGroupDialog';
+import GroupSettingsDialog from '../components/chat/GroupSettingsDialog';
+import LinkPreviewCard from '../components/chat/LinkPreviewCard';
+import ExpiryCountdown from '../components/chat/ExpiryCountdown';
+import SystemMessage from '../components/chat/SystemMessage';
+import ScheduledMessagesDialog from '../components/chat/ScheduledMessagesDialog';
+import PinnedMessagesBanner from '../components/chat/PinnedMessagesBanner';
+import SavedMessagesDialog from '../components/chat/SavedMessagesDialog';
 
 // Styled components
 const ChatContainer = styled(Box)(({ theme }) => ({
@@ -44,12 +89,23 @@ const ChatContainer = styled(Box)(({ theme }) => ({
   overflow: 'hidden',
 }));
 
+// Virtuoso needs a stable index origin it can count down from as older
+// messages are prepended
+const FIRST_ITEM_INDEX = 1000000;
+
 const MessageList = styled(Box)(({ theme }) => ({
   flexGrow: 1,
-  overflow: 'auto',
-  padding: theme.spacing(2),
+  position: 'relative',
+  minHeight: 0,
 }));
 
+// Shown above the oldest message while more history is loading
+const MessageListHeader = ({ context }) => (
+  <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}>
+    {context?.loadingOlder && <CircularProgress size={24} />}
+  </Box>
+);
+
 const MessageBubble = styled(Paper, {
   shouldForwardProp: (prop) => prop !== 'isOwn'
 })(({ theme, isOwn }) => ({
@@ -83,6 +139,17 @@ const MessageTime = styled(Typography, {
   textAlign: 'right',
 }));
 
+// Statuses of messages still in the outbox
+const OUTBOX_STATUSES = ['pending', 'sending', 'failed'];
+
+const POLICY_LABELS = {
+  [encryptionPolicyService.POLICIES.REQUIRED]: 'Required',
+  [encryptionPolicyService.POLICIES.PREFERRED]: 'Preferred',
+  [encryptionPolicyService.POLICIES.OFF]: 'Off'
+};
+
+const isGroup = (conversation) => conversation?.type === 'group';
+
 const ChatInputContainer = styled(Box)(({ theme }) => ({
   padding: theme.spacing(2),
   backgroundColor: theme.palette.background.paper,
@@ -102,27 +169,119 @@ const Home = () => {
     sendTypingIndicator,
     isUserTyping,
     isUserOnline,
-    formatLastSeen
+    formatLastSeen,
+    encryptionBlocked,
+    clearEncryptionBlocked,
+    loadOlderMessages,
+    messageHistory,
+    threadUnreadCounts,
+    openThread,
+    getThreadReplies,
+    focusedMessage,
+    clearFocusedMessage,
+    setDisappearingTimer: changeDisappearingTimer,
+    openViewOnceMedia,
+    scheduledMessages,
+    pins,
+    pinMessage,
+    unpinMessage,
+    starredMessages,
+    starMessage,
+    unstarMessage
   } = useMessaging();
   const isMobile = useMediaQuery(theme.breakpoints.down('md'));
   const [messageInput, setMessageInput] = useState('');
   const [typingTimeout, setTypingTimeout] = useState(null);
-  const messagesEndRef = useRef(null);
+  const virtuosoRef = useRef(null);
+  const listOriginRef = useRef({ conversationId: null, firstKey: null, firstItemIndex: FIRST_ITEM_INDEX });
+  const [atBottom, setAtBottom] = useState(true);
   const [showMediaUploader, setShowMediaUploader] = useState(false);
   const [mediaUploadProgress, setMediaUploadProgress] = useState({});
   const [mediaUploadError, setMediaUploadError] = useState(null);
   const [selectedMedia, setSelectedMedia] = useState(null);
   const [showMediaGallery, setShowMediaGallery] = useState(false);
+  const [menuAnchor, setMenuAnchor] = useState(null);
+  const [encryptionPolicy, setEncryptionPolicy] = useState(encryptionPolicyService.DEFAULT_POLICY);
+  const [editingMessage, setEditingMessage] = useState(null);
+  const [historyMessage, setHistoryMessage] = useState(null);
+  const [deletingMessage, setDeletingMessage] = useState(null);
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [highlightedId, setHighlightedId] = useState(null);
+  const [pendingJump, setPendingJump] = useState(null);
+  const [jumpNotice, setJumpNotice] = useState(null);
+  const [showCreateGroup, setShowCreateGroup] = useState(false);
+  const [showGroupSettings, setShowGroupSettings] = useState(false);
+  const [showScheduled, setShowScheduled] = useState(false);
+  const [showSaved, setShowSaved] = useState(false);
+  const [linkPreviewsEnabled, setLinkPreviewsEnabled] = useState(true);
+  const [disappearingTimer, setDisappearingTimer] = useState(0);
+  const [drafts, setDrafts] = useState(() => draftService.getDrafts());
 
-  // Scroll to bottom of messages
-  const scrollToBottom = () => {
-    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  // Keep the active conversation's encryption policy in sync
+  useEffect(() => {
+    if (!activeConversation) return;
+
+    const updatePolicy = () => {
+      setEncryptionPolicy(encryptionPolicyService.getPolicy(activeConversation.id));
+    };
+    updatePolicy();
+
+    return encryptionPolicyService.subscribe(updatePolicy);
+  }, [activeConversation]);
+
+  // ...and whether it shows link previews
+  useEffect(() => {
+    if (!activeConversation) return;
+
+    const updateLinkPreviews = () => {
+      setLinkPreviewsEnabled(linkPreviewService.isEnabled(activeConversation.id));
+    };
+    updateLinkPreviews();
+
+    return linkPreviewService.subscribe(updateLinkPreviews);
+  }, [activeConversation]);
+
+  // ...and its disappearing message timer
+  useEffect(() => {
+    if (!activeConversation) return;
+
+    const updateTimer = () => {
+      setDisappearingTimer(disappearingService.getTimer(activeConversation.id));
+    };
+    updateTimer();
+
+    return disappearingService.subscribe(updateTimer);
+  }, [activeConversation]);
+
+  // Unsent text of every conversation, to preview in the list
+  useEffect(() => {
+    return draftService.subscribe(() => setDrafts(draftService.getDrafts()));
+  }, []);
+
+  // A conversation's draft, if it has one and isn't open, or else its last message
+  const renderLastMessage = (conversation) => {
+    const draft = activeConversation?.id !== conversation.id && drafts[conversation.id];
+    if (!draft) return conversation.lastMessage;
+
+    return (
+      <>
+        <Box component="span" sx={{ color: 'error.main' }}>Draft: </Box>
+        {stripMarkdown(toPlainText(draft.text)).trim() || `📎 ${draft.attachments[0].name}`}
+      </>
+    );
   };
 
-  // Effect to scroll to bottom when messages change
+  // A reply belongs to the conversation it was started in
+  const activeConversationId = activeConversation?.id;
   useEffect(() => {
-    scrollToBottom();
-  }, [messages]);
+    setReplyingTo(null);
+    setShowGroupSettings(false);
+  }, [activeConversationId]);
+
+  // Scroll to the newest message
+  const scrollToBottom = () => {
+    virtuosoRef.current?.scrollToIndex({ index: 'LAST', behavior: 'smooth' });
+  };
 
   // Format timestamp
   const formatTime = (date) => {
@@ -270,10 +429,334 @@ const Home = () => {
     }
   };
 
-  // Get conversation messages
+  // Get conversation messages; thread replies are shown in the thread panel
   const getConversationMessages = () => {
     if (!activeConversation) return [];
-    return messages[activeConversation.id] || [];
+    return (messages[activeConversation.id] || []).filter(message => !message.threadId);
+  };
+
+  // Scroll to a message in the list and briefly highlight it
+  const highlightMessage = useCallback((index, messageId, behavior = 'smooth') => {
+    virtuosoRef.current?.scrollToIndex({ index, align: 'center', behavior });
+    setHighlightedId(messageId);
+    setTimeout(() => setHighlightedId(current => (current === messageId ? null : current)), 2000);
+  }, []);
+
+  // Scroll to a quoted message, once it has been loaded
+  const jumpToMessage = (messageId) => {
+    setPendingJump({ conversationId: activeConversationId, messageId });
+  };
+
+  // Page back through older messages until the quoted one is found
+  useEffect(() => {
+    if (!pendingJump) return;
+    if (pendingJump.conversationId !== activeConversationId) {
+      setPendingJump(null);
+      return;
+    }
+
+    const conversationMessages = (messages[activeConversationId] || []).filter(message => !message.threadId);
+    const index = conversationMessages.findIndex(message => message.id === pendingJump.messageId);
+    if (index >= 0) {
+      setPendingJump(null);
+      highlightMessage(index, pendingJump.messageId);
+      return;
+    }
+
+    const history = messageHistory[activeConversationId] || {};
+    if (history.loadingOlder) return;
+
+    const giveUp = () => {
+      setPendingJump(null);
+      setJumpNotice('The original message is not available. It may have been deleted, or could not be loaded.');
+    };
+    if (history.hasMore === false) {
+      giveUp();
+      return;
+    }
+    loadOlderMessages(activeConversationId).then(count => {
+      if (count === 0) {
+        giveUp();
+      }
+    });
+  }, [pendingJump, activeConversationId, messages, messageHistory, loadOlderMessages, highlightMessage]);
+
+  // Show a message opened from elsewhere, e.g. a search result, once it has loaded
+  useEffect(() => {
+    if (!focusedMessage || focusedMessage.conversationId !== activeConversationId) return;
+
+    const conversationMessages = (messages[activeConversationId] || []).filter(message => !message.threadId);
+    const index = conversationMessages.findIndex(message => message.id === focusedMessage.messageId);
+    if (index < 0) return;
+
+    clearFocusedMessage();
+    // Let the list render the conversation before scrolling it
+    setTimeout(() => highlightMessage(index, focusedMessage.messageId, 'auto'), 0);
+  }, [focusedMessage, activeConversationId, messages, clearFocusedMessage, highlightMessage]);
+
+  // Replies and threads need the message's server ID
+  const canReply = (message) => message.id !== message.clientId && !message.deleted;
+
+  const getMessageKey = (message) => message.clientId || message.id;
+
+  const isPinned = (message) => (pins[activeConversation.id] || []).some(pin => pin.messageId === message.id);
+
+  const isStarred = (message) => starredMessages.some(saved => saved.id === message.id);
+
+  // Pins are shared with every member, stars only kept for the current user
+  const handleTogglePin = async (message) => {
+    const result = isPinned(message)
+      ? await unpinMessage(activeConversation.id, message.id)
+      : await pinMessage(activeConversation.id, message.id);
+    if (!result.success) {
+      console.error('Failed to change pin:', result.error);
+    }
+  };
+
+  const handleToggleStar = async (message) => {
+    const result = isStarred(message)
+      ? await unstarMessage(message.id)
+      : await starMessage(activeConversation.id, message.id);
+    if (!result.success) {
+      console.error('Failed to change star:', result.error);
+    }
+  };
+
+  // Work out the index of the first message, so that when older messages are
+  // prepended the list keeps its scroll position instead of jumping
+  const getFirstItemIndex = (conversationMessages) => {
+    const origin = listOriginRef.current;
+    const firstKey = conversationMessages.length > 0 ? getMessageKey(conversationMessages[0]) : null;
+
+    if (origin.conversationId !== activeConversation.id) {
+      listOriginRef.current = { conversationId: activeConversation.id, firstKey, firstItemIndex: FIRST_ITEM_INDEX };
+    } else if (firstKey !== origin.firstKey) {
+      const previousFirst = conversationMessages.findIndex(message => getMessageKey(message) === origin.firstKey);
+      listOriginRef.current = {
+        ...origin,
+        firstKey,
+        firstItemIndex: previousFirst > 0 ? origin.firstItemIndex - previousFirst : origin.firstItemIndex
+      };
+    }
+
+    return listOriginRef.current.firstItemIndex;
+  };
+
+  // Only our own messages that reached the server and could be read can be edited
+  const isEditable = (message) => {
+    return message.senderId === user.id && message.id !== message.clientId && !message.decryptError && !message.deleted;
+  };
+
+  // Link to the thread started by a message, with its unread replies
+  const renderThreadSummary = (message) => {
+    const replyCount = getThreadReplies(activeConversation.id, message.id).length;
+    if (replyCount === 0) return null;
+
+    return (
+      <Badge color="primary" badgeContent={threadUnreadCounts[message.id] || 0} sx={{ mt: 0.5 }}>
+        <Button
+          size="small"
+          startIcon={<ForumIcon fontSize="small" />}
+          onClick={() => openThread(activeConversation.id, message.id)}
+          sx={{ textTransform: 'none', py: 0 }}
+        >
+          {replyCount === 1 ? '1 reply' : `${replyCount} replies`}
+        </Button>
+      </Badge>
+    );
+  };
+
+  // Render one message of the active conversation
+  const renderMessage = (message) => message.control ? (
+    <SystemMessage message={message} isOwn={message.senderId === user.id} />
+  ) : (
+    <Box
+      sx={{
+        display: 'flex',
+        flexDirection: 'column',
+        alignItems: message.senderId === user.id ? 'flex-end' : 'flex-start',
+        px: 2,
+        pb: 2,
+      }}
+    >
+      <MessageBubble
+        isOwn={message.senderId === user.id}
+        sx={highlightedId === message.id ? { outline: `2px solid ${theme.palette.secondary.main}` } : undefined}
+      >
+        {message.replyTo && !message.deleted && (
+          <Tooltip title={getConversationMessages().some(m => m.id === message.replyTo.id) ? 'Go to message' : 'Load and go to message'}>
+            <Box
+              onClick={() => jumpToMessage(message.replyTo.id)}
+              sx={{
+                mb: 1,
+                px: 1,
+                py: 0.5,
+                borderLeft: '3px solid currentColor',
+                borderRadius: 1,
+                bgcolor: 'action.hover',
+                cursor: 'pointer'
+              }}
+            >
+              <Typography variant="caption" sx={{ fontWeight: 'bold', display: 'block' }}>
+                {message.replyTo.senderId === user.id ? 'You' : message.replyTo.senderName || 'Message'}
+              </Typography>
+              <Typography variant="caption" sx={{ display: 'block', opacity: 0.8 }} noWrap>
+                {message.replyTo.preview}
+              </Typography>
+            </Box>
+          </Tooltip>
+        )}
+        {message.deleted ? (
+          <Typography variant="body1" sx={{ fontStyle: 'italic', opacity: 0.7 }}>
+            This message was deleted
+          </Typography>
+        ) : message.media ? (
+          <>
+            <MediaDisplay 
+              media={message.media} 
+              isOwn={message.senderId === user.id} 
+              onViewOnceOpen={() => openViewOnceMedia(activeConversation.id, message.id)}
+            />
+            {message.content && (
+              <FormattedText content={message.content} sx={{ mt: 1 }} />
+            )}
+          </>
+        ) : (
+          <FormattedText content={message.content} />
+        )}
+        {!message.deleted && message.linkPreview && linkPreviewsEnabled && (
+          <LinkPreviewCard preview={message.linkPreview} sx={{ mt: 1 }} />
+        )}
+        <MessageTime isOwn={message.senderId === user.id}>
+          {!message.deleted && <ExpiryCountdown message={message} />}
+          {!message.deleted && (
+            <Tooltip title={message.isEncrypted ? 'End-to-end encrypted' : 'Not encrypted'}>
+              {message.isEncrypted ? (
+                <LockIcon sx={{ fontSize: '0.8rem', mr: 0.5, verticalAlign: 'middle' }} />
+              ) : (
+                <LockOpenIcon color="warning" sx={{ fontSize: '0.8rem', mr: 0.5, verticalAlign: 'middle' }} />
+              )}
+            </Tooltip>
+          )}
+          {message.editedAt && (
+            <Tooltip title="Show edit history">
+              <Box
+                component="span"
+                onClick={() => setHistoryMessage(message)}
+                sx={{ mr: 0.5, fontStyle: 'italic', cursor: 'pointer' }}
+              >
+                edited
+              </Box>
+            </Tooltip>
+          )}
+          {formatTime(message.timestamp)}
+          {isEditable(message) && (
+            <Tooltip title="Edit">
+              <IconButton
+                size="small"
+                color="inherit"
+                onClick={() => setEditingMessage({ ...message, conversationId: activeConversation.id })}
+                sx={{ p: 0.25, ml: 0.5 }}
+              >
+                <EditIcon sx={{ fontSize: '0.8rem' }} />
+              </IconButton>
+            </Tooltip>
+          )}
+          {canReply(message) && (
+            <>
+              <Tooltip title="Reply">
+                <IconButton
+                  size="small"
+                  color="inherit"
+                  onClick={() => setReplyingTo(message)}
+                  sx={{ p: 0.25, ml: 0.5 }}
+                >
+                  <ReplyIcon sx={{ fontSize: '0.8rem' }} />
+                </IconButton>
+              </Tooltip>
+              <Tooltip title="Reply in thread">
+                <IconButton
+                  size="small"
+                  color="inherit"
+                  onClick={() => openThread(activeConversation.id, message.id)}
+                  sx={{ p: 0.25, ml: 0.5 }}
+                >
+                  <ForumIcon sx={{ fontSize: '0.8rem' }} />
+                </IconButton>
+              </Tooltip>
+              <Tooltip title={isPinned(message) ? 'Unpin' : 'Pin'}>
+                <IconButton
+                  size="small"
+                  color="inherit"
+                  onClick={() => handleTogglePin(message)}
+                  sx={{ p: 0.25, ml: 0.5 }}
+                >
+                  {isPinned(message)
+                    ? <PushPinIcon sx={{ fontSize: '0.8rem' }} />
+                    : <PushPinOutlinedIcon sx={{ fontSize: '0.8rem' }} />}
+                </IconButton>
+              </Tooltip>
+              <Tooltip title={isStarred(message) ? 'Remove from saved' : 'Save'}>
+                <IconButton
+                  size="small"
+                  color="inherit"
+                  onClick={() => handleToggleStar(message)}
+                  sx={{ p: 0.25, ml: 0.5 }}
+                >
+                  {isStarred(message)
+                    ? <StarIcon sx={{ fontSize: '0.8rem', color: 'warning.main' }} />
+                    : <StarBorderIcon sx={{ fontSize: '0.8rem' }} />}
+                </IconButton>
+              </Tooltip>
+            </>
+          )}
+          <Tooltip title="Delete">
+            <IconButton
+              size="small"
+              color="inherit"
+              onClick={() => setDeletingMessage({ ...message, conversationId: activeConversation.id })}
+              sx={{ p: 0.25, ml: 0.5 }}
+            >
+              <DeleteIcon sx={{ fontSize: '0.8rem' }} />
+            </IconButton>
+          </Tooltip>
+          {message.senderId === user.id && message.clientId && OUTBOX_STATUSES.includes(message.status) ? (
+            <MessageStatus
+              messageId={message.clientId}
+              sx={{ display: 'inline-flex', verticalAlign: 'middle' }}
+            />
+          ) : message.senderId === user.id && !message.deleted && (
+            <Box component="span" sx={{ ml: 0.5, opacity: 0.7 }}>
+              {message.status === 'sending' ? '•' : 
+               message.status === 'sent' ? '••' : 
+               message.status === 'delivered' ? '•••' : 
+               message.read ? '✓✓' : '✓'}
+            </Box>
+          )}
+        </MessageTime>
+      </MessageBubble>
+      {renderThreadSummary(message)}
+    </Box>
+  );
+
+  // Handle encryption policy change
+  const handlePolicyChange = (policy) => {
+    encryptionPolicyService.setPolicy(activeConversation.id, policy);
+    clearEncryptionBlocked(activeConversation.id);
+    setMenuAnchor(null);
+  };
+
+  const handleLinkPreviewsToggle = () => {
+    linkPreviewService.setEnabled(activeConversation.id, !linkPreviewsEnabled);
+    setMenuAnchor(null);
+  };
+
+  // Tell every member about the new timer
+  const handleDisappearingTimerChange = (expiresIn) => {
+    if (expiresIn !== disappearingTimer) {
+      changeDisappearingTimer(activeConversation.id, expiresIn);
+    }
+    setMenuAnchor(null);
   };
 
   // Handle opening media gallery
@@ -300,10 +783,22 @@ const Home = () => {
             height: '100%',
           }}
         >
-          <Box sx={{ p: 2 }}>
+          <Box sx={{ p: 2, display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
             <Typography variant="h6" sx={{ fontWeight: 600 }}>
               Messages
             </Typography>
+            <Box>
+              <Tooltip title="Saved messages">
+                <IconButton size="small" onClick={() => setShowSaved(true)} sx={{ mr: 0.5 }}>
+                  <StarBorderIcon />
+                </IconButton>
+              </Tooltip>
+              <Tooltip title="New group">
+                <IconButton size="small" onClick={() => setShowCreateGroup(true)}>
+                  <GroupAddIcon />
+                </IconButton>
+              </Tooltip>
+            </Box>
           </Box>
           <Divider />
           <List sx={{ flexGrow: 1, overflow: 'auto', p: 0 }}>
@@ -361,7 +856,7 @@ const Home = () => {
                           maxWidth: '180px',
                         }}
                       >
-                        {conversation.lastMessage}
+                        {renderLastMessage(conversation)}
                       </Typography>
                       {conversation.unread > 0 && (
                         <Badge
@@ -419,19 +914,90 @@ const Home = () => {
                   <Typography variant="body2" color="text.secondary">
                     {isUserTyping(activeConversation.id) 
                       ? 'Typing...' 
-                      : isUserOnline(activeConversation.id) 
-                        ? 'Online' 
-                        : 'Last seen at'/*formatLastSeen(activeConversation.id)*/}
+                      : isGroup(activeConversation)
+                        ? `${activeConversation.memberCount || activeConversation.members?.length || 0} members`
+                        : isUserOnline(activeConversation.id) 
+                          ? 'Online' 
+                          : 'Last seen at'/*formatLastSeen(activeConversation.id)*/}
                   </Typography>
                 </Box>
+                {disappearingTimer > 0 && (
+                  <Tooltip title={`Disappearing messages: ${disappearingService.formatTimer(disappearingTimer)}`}>
+                    <TimerIcon color="action" fontSize="small" sx={{ mr: 1 }} />
+                  </Tooltip>
+                )}
                 <Tooltip title="Media Gallery">
                   <IconButton onClick={handleOpenMediaGallery}>
                     <ImageIcon />
                   </IconButton>
                 </Tooltip>
-                <IconButton>
+                <IconButton onClick={(e) => setMenuAnchor(e.currentTarget)}>
                   <MoreVertIcon />
                 </IconButton>
+                <Menu
+                  anchorEl={menuAnchor}
+                  open={Boolean(menuAnchor)}
+                  onClose={() => setMenuAnchor(null)}
+                >
+                  {isGroup(activeConversation) && (
+                    <MenuItem
+                      onClick={() => {
+                        setMenuAnchor(null);
+                        setShowGroupSettings(true);
+                      }}
+                    >
+                      <ListItemIcon>
+                        <GroupIcon fontSize="small" />
+                      </ListItemIcon>
+                      Group settings
+                    </MenuItem>
+                  )}
+                  <MenuItem
+                    onClick={() => {
+                      setMenuAnchor(null);
+                      setShowScheduled(true);
+                    }}
+                  >
+                    <ListItemIcon>
+                      <ScheduleSendIcon fontSize="small" />
+                    </ListItemIcon>
+                    Scheduled messages
+                    {scheduledMessages[activeConversation.id]?.length > 0 &&
+                      ` (${scheduledMessages[activeConversation.id].length})`}
+                  </MenuItem>
+                  <MenuItem onClick={handleLinkPreviewsToggle}>
+                    <ListItemIcon>
+                      {linkPreviewsEnabled && <CheckIcon fontSize="small" />}
+                    </ListItemIcon>
+                    Link previews
+                  </MenuItem>
+                  <ListSubheader>Disappearing messages</ListSubheader>
+                  {[0, ...disappearingService.TIMER_OPTIONS].map(expiresIn => (
+                    <MenuItem
+                      key={expiresIn}
+                      selected={expiresIn === disappearingTimer}
+                      onClick={() => handleDisappearingTimerChange(expiresIn)}
+                    >
+                      <ListItemIcon>
+                        {expiresIn === disappearingTimer && <CheckIcon fontSize="small" />}
+                      </ListItemIcon>
+                      {disappearingService.formatTimer(expiresIn)}
+                    </MenuItem>
+                  ))}
+                  <ListSubheader>Encryption</ListSubheader>
+                  {Object.entries(POLICY_LABELS).map(([policy, label]) => (
+                    <MenuItem
+                      key={policy}
+                      selected={policy === encryptionPolicy}
+                      onClick={() => handlePolicyChange(policy)}
+                    >
+                      <ListItemIcon>
+                        {policy === encryptionPolicy && <CheckIcon fontSize="small" />}
+                      </ListItemIcon>
+                      {label}
+                    </MenuItem>
+                  ))}
+                </Menu>
               </>
             ) : (
               <Typography variant="subtitle1" sx={{ fontWeight: 600 }}>
@@ -443,54 +1009,73 @@ const Home = () => {
           {/* Messages */}
           {activeConversation ? (
             <>
+              <PinnedMessagesBanner conversationId={activeConversation.id} />
               <MessageList>
-                {getConversationMessages().map((message) => (
-                  <Box
-                    key={message.id}
-                    sx={{
-                      display: 'flex',
-                      flexDirection: 'column',
-                      alignItems: message.senderId === user.id ? 'flex-end' : 'flex-start',
-                      mb: 2,
-                    }}
-                  >
-                    <MessageBubble isOwn={message.senderId === user.id}>
-                      {message.media ? (
-                        <>
-                          <MediaDisplay 
-                            media={message.media} 
-                            isOwn={message.senderId === user.id} 
-                          />
-                          {message.content && (
-                            <Typography variant="body1" sx={{ mt: 1 }}>
-                              {message.content}
-                            </Typography>
-                          )}
-                        </>
-                      ) : (
-                        <Typography variant="body1">{message.content}</Typography>
-                      )}
-                      <MessageTime isOwn={message.senderId === user.id}>
-                        {formatTime(message.timestamp)}
-                        {message.senderId === user.id && (
-                          <Box component="span" sx={{ ml: 0.5, opacity: 0.7 }}>
-                            {message.status === 'sending' ? '•' : 
-                             message.status === 'sent' ? '••' : 
-                             message.status === 'delivered' ? '•••' : 
-                             message.read ? '✓✓' : '✓'}
-                          </Box>
-                        )}
-                      </MessageTime>
-                    </MessageBubble>
-                  </Box>
-                ))}
-                <div ref={messagesEndRef} />
+                <Virtuoso
+                  key={activeConversation.id}
+                  ref={virtuosoRef}
+                  style={{ height: '100%' }}
+                  data={getConversationMessages()}
+                  firstItemIndex={getFirstItemIndex(getConversationMessages())}
+                  initialTopMostItemIndex={Math.max(getConversationMessages().length - 1, 0)}
+                  startReached={() => loadOlderMessages(activeConversation.id)}
+                  followOutput={(isAtBottom) => (isAtBottom ? 'smooth' : false)}
+                  atBottomStateChange={setAtBottom}
+                  computeItemKey={(index, message) => getMessageKey(message)}
+                  itemContent={(index, message) => renderMessage(message)}
+                  context={{ loadingOlder: messageHistory[activeConversation.id]?.loadingOlder }}
+                  components={{ Header: MessageListHeader }}
+                />
+
+                {/* Jump back to the newest message after scrolling up */}
+                {!atBottom && (
+                  <Tooltip title="Jump to latest">
+                    <Fab
+                      size="small"
+                      color="primary"
+                      onClick={scrollToBottom}
+                      sx={{ position: 'absolute', right: 16, bottom: 16 }}
+                    >
+                      <KeyboardArrowDownIcon />
+                    </Fab>
+                  </Tooltip>
+                )}
               </MessageList>
 
+              <Snackbar
+                open={Boolean(jumpNotice)}
+                autoHideDuration={4000}
+                onClose={() => setJumpNotice(null)}
+                message={jumpNotice}
+                anchorOrigin={{ vertical: 'top', horizontal: 'center' }}
+              />
+
+              {/* Messages can't be sent while required encryption is failing */}
+              {encryptionBlocked[activeConversation.id] && (
+                <Alert
+                  severity="error"
+                  sx={{ borderRadius: 0 }}
+                  action={
+                    <Button
+                      color="inherit"
+                      size="small"
+                      onClick={() => handlePolicyChange(encryptionPolicyService.POLICIES.PREFERRED)}
+                    >
+                      Allow unencrypted
+                    </Button>
+                  }
+                >
+                  Encryption is required in this conversation, so your message was not sent.{' '}
+                  {encryptionBlocked[activeConversation.id]}
+                </Alert>
+              )}
+
               {/* Use the updated MessageInput component */}
               <MessageInput 
                 conversationId={activeConversation.id}
                 onOpenGallery={handleOpenMediaGallery}
+                replyTo={replyingTo}
+                onCancelReply={() => setReplyingTo(null)}
               />
             </>
           ) : (
@@ -533,6 +1118,25 @@ const Home = () => {
           />
         )}
       </Dialog>
+
+      <EditMessageDialog message={editingMessage} onClose={() => setEditingMessage(null)} />
+      <DeleteMessageDialog message={deletingMessage} onClose={() => setDeletingMessage(null)} />
+      <CreateGroupDialog open={showCreateGroup} onClose={() => setShowCreateGroup(false)} />
+      <GroupSettingsDialog
+        conversation={showGroupSettings && isGroup(activeConversation) ? activeConversation : null}
+        onClose={() => setShowGroupSettings(false)}
+      />
+      <ScheduledMessagesDialog
+        conversationId={showScheduled && activeConversation ? activeConversation.id : null}
+        onClose={() => setShowScheduled(false)}
+      />
+      <SavedMessagesDialog open={showSaved} onClose={() => setShowSaved(false)} />
+      <ThreadPanel />
+      <EditHistoryDialog
+        message={historyMessage}
+        open={!!historyMessage}
+        onClose={() => setHistoryMessage(null)}
+      />
     </Box>
   );
 };
@@ -0,0 +1,53 @@
+import React from 'react';
+import {
+  Container,
+  Typography,
+  Box,
+  IconButton
+} from '@mui/material';
+import { ArrowBack as ArrowBackIcon } from '@mui/icons-material';
+import { useNavigate } from 'react-router-dom';
+import KeyVaultSettings from '../components/security/KeyVaultSettings';
+import DeviceList from '../components/security/DeviceList';
+import KeyBackupSettings from '../components/security/KeyBackupSettings';
+import DraftSyncSettings from '../components/security/DraftSyncSettings';
+
+/**
+ * SecuritySettingsPage Component
+ *
+ * Page for managing encryption keys and other security settings
+ */
+const SecuritySettingsPage = () => {
+  const navigate = useNavigate();
+
+  return (
+    <Container maxWidth="md" sx={{ py: 3 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', mb: 3 }}>
+        <IconButton
+          edge="start"
+          onClick={() => navigate('/settings')}
+          sx={{ mr: 2 }}
+        >
+          <ArrowBackIcon />
+        </IconButton>
+        <Typography variant="h4" component="h1">
+          Security & Privacy
+        </Typography>
+      </Box>
+
+      {/* Key Vault */}
+      <KeyVaultSettings />
+
+      {/* Key Backup */}
+      <KeyBackupSettings />
+
+      {/* Devices */}
+      <DeviceList />
+
+      {/* Drafts */}
+      <DraftSyncSettings />
+    </Container>
+  );
+};
+
+export default SecuritySettingsPage;
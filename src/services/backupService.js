@@ -0,0 +1,287 @@
+import axios from 'axios';
+import encryptionService from './encryptionService';
+import keyVaultService from './keyVaultService';
+import sessionService from './sessionService';
+import deviceService from './deviceService';
+
+// API base URL
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+
+// Create axios instance with default config
+const api = axios.create({
+  baseURL: API_URL,
+  headers: {
+    'Content-Type': 'application/json'
+  }
+});
+
+// Add request interceptor to include auth token
+api.interceptors.request.use(
+  (config) => {
+    const tokens = localStorage.getItem('tokens');
+    if (tokens) {
+      const { accessToken } = JSON.parse(tokens);
+      if (accessToken) {
+        config.headers.Authorization = `Bearer ${accessToken}`;
+      }
+    }
+    return config;
+  },
+  (error) => Promise.reject(error)
+);
+
+const BACKUP_FORMAT = 'swickr-key-backup';
+const BACKUP_VERSION = 1;
+const MIN_PASSPHRASE_LENGTH = 12;
+
+// Crockford base32, without characters that are easy to misread
+const RECOVERY_CODE_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const RECOVERY_CODE_LENGTH = 32;
+
+const getCurrentUserId = () => {
+  const user = JSON.parse(localStorage.getItem('user') || '{}');
+  return user.id;
+};
+
+/**
+ * Generate a recovery code like "7K2M-QX9D-..." (160 bits)
+ */
+const generateRecoveryCode = () => {
+  const bytes = window.crypto.getRandomValues(new Uint8Array(RECOVERY_CODE_LENGTH));
+  const code = Array.from(bytes, byte => RECOVERY_CODE_ALPHABET[byte % RECOVERY_CODE_ALPHABET.length]).join('');
+  return code.match(/.{4}/g).join('-');
+};
+
+const normalizeRecoveryCode = (code) => {
+  return code.toUpperCase().replace(/[^0-9A-Z]/g, '');
+};
+
+/**
+ * Header fields authenticated together with the backup contents
+ */
+const backupAssociatedData = (backup) => {
+  return JSON.stringify({
+    format: backup.format,
+    version: backup.version,
+    userId: backup.userId,
+    publicKey: backup.publicKey,
+    createdAt: backup.createdAt
+  });
+};
+
+/**
+ * Check that a private key really belongs to a public key
+ */
+const keyPairMatches = async ({ publicKey, privateKey }) => {
+  try {
+    const probe = await encryptionService.encryptGroupMessage('swickr-backup-check', [
+      { userId: 'probe', publicKey }
+    ]);
+    const decrypted = await encryptionService.decryptGroupMessage(
+      probe,
+      'probe',
+      await encryptionService.importPrivateKey(privateKey)
+    );
+    return decrypted === 'swickr-backup-check';
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Backup Service
+ *
+ * Exports the user's key material as a passphrase-encrypted backup file,
+ * optionally unlockable with a recovery code as well, and restores it on
+ * a new browser so earlier messages can be decrypted again.
+ */
+const backupService = {
+  MIN_PASSPHRASE_LENGTH,
+
+  /**
+   * Create an encrypted backup of the user's keys
+   * @param {string} passphrase - Backup passphrase
+   * @param {boolean} withRecoveryCode - Also allow unlocking with a generated recovery code
+   * @returns {Promise<Object>} Response with the backup file contents and recovery code
+   */
+  createBackup: async (passphrase, withRecoveryCode = false) => {
+    try {
+      if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        throw new Error(`Backup passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+      }
+
+      const keyPair = await keyVaultService.exportKeyPair();
+      if (!keyPair) {
+        throw new Error('Encryption keys not found. Please generate new keys in settings.');
+      }
+
+      const payload = JSON.stringify({
+        keyPair,
+        sessionIdentity: await sessionService.exportIdentity(),
+        messageKeys: await sessionService.exportMessageKeys()
+      });
+
+      const backup = {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        userId: getCurrentUserId(),
+        publicKey: keyPair.publicKey,
+        createdAt: new Date().toISOString()
+      };
+
+      // The contents are encrypted once; each unlock method wraps the same content key
+      const contentKey = await encryptionService.generateMessageKey();
+      const { encryptedMessage, iv } = await encryptionService.encryptMessage(
+        payload,
+        contentKey,
+        backupAssociatedData(backup)
+      );
+      const exportedKey = await encryptionService.exportMessageKey(contentKey);
+
+      const recoveryCode = withRecoveryCode ? generateRecoveryCode() : null;
+      backup.keySlots = [
+        { type: 'passphrase', ...await encryptionService.encryptWithPassphrase(exportedKey, passphrase) }
+      ];
+      if (recoveryCode) {
+        backup.keySlots.push({
+          type: 'recovery-code',
+          ...await encryptionService.encryptWithPassphrase(exportedKey, normalizeRecoveryCode(recoveryCode))
+        });
+      }
+      backup.iv = iv;
+      backup.ciphertext = encryptedMessage;
+
+      return { success: true, data: { backup, recoveryCode } };
+    } catch (error) {
+      console.error('Create backup error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  /**
+   * Read and validate a backup file chosen by the user
+   * @param {File} file - Backup file
+   * @returns {Promise<Object>} Response with the parsed backup
+   */
+  readBackupFile: async (file) => {
+    try {
+      let backup;
+      try {
+        backup = JSON.parse(await file.text());
+      } catch (error) {
+        throw new Error('This file is not a Swickr key backup');
+      }
+
+      backupService.validateBackup(backup);
+      return { success: true, data: backup };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  /**
+   * Check a backup's structure before asking for its passphrase
+   * @param {Object} backup - Parsed backup file
+   * @throws {Error} Describing what is wrong with the backup
+   */
+  validateBackup: (backup) => {
+    if (backup?.format !== BACKUP_FORMAT) {
+      throw new Error('This file is not a Swickr key backup');
+    }
+
+    if (backup.version !== BACKUP_VERSION) {
+      throw new Error(`Unsupported backup version ${backup.version}`);
+    }
+
+    const slotsValid = Array.isArray(backup.keySlots) && backup.keySlots.length > 0 &&
+      backup.keySlots.every(slot => slot.salt && slot.iv && slot.ciphertext && slot.iterations > 0);
+    if (!slotsValid || !backup.iv || !backup.ciphertext || !backup.publicKey) {
+      throw new Error('The backup file is incomplete or damaged');
+    }
+
+    const currentUserId = getCurrentUserId();
+    if (currentUserId && backup.userId !== currentUserId) {
+      throw new Error('This backup belongs to a different account');
+    }
+  },
+
+  /**
+   * Check whether a backup can be unlocked with a recovery code
+   * @param {Object} backup - Parsed backup file
+   * @returns {boolean} True if the backup has a recovery code slot
+   */
+  hasRecoveryCode: (backup) => {
+    return !!backup?.keySlots?.some(slot => slot.type === 'recovery-code');
+  },
+
+  /**
+   * Decrypt a backup and restore its keys on this device
+   *
+   * The restored private key is re-encrypted under this device's key vault
+   * passphrase, the session identity replaces the local one, and the public
+   * key is published again.
+   *
+   * @param {Object} backup - Parsed backup file
+   * @param {string} secret - Backup passphrase or recovery code
+   * @returns {Promise<Object>} Result of the restore
+   */
+  restoreBackup: async (backup, secret) => {
+    try {
+      backupService.validateBackup(backup);
+
+      let exportedKey = null;
+      for (const slot of backup.keySlots) {
+        const slotSecret = slot.type === 'recovery-code' ? normalizeRecoveryCode(secret) : secret;
+        try {
+          exportedKey = await encryptionService.decryptWithPassphrase(slot, slotSecret);
+          break;
+        } catch (error) {
+          // Wrong secret for this slot, try the next one
+        }
+      }
+      if (!exportedKey) {
+        throw new Error('Incorrect passphrase or recovery code');
+      }
+
+      let payload;
+      try {
+        payload = JSON.parse(await encryptionService.decryptMessage(
+          backup.ciphertext,
+          backup.iv,
+          await encryptionService.importMessageKey(exportedKey),
+          backupAssociatedData(backup)
+        ));
+      } catch (error) {
+        throw new Error('The backup file is incomplete or damaged');
+      }
+
+      if (payload.keyPair?.publicKey !== backup.publicKey || !(await keyPairMatches(payload.keyPair))) {
+        throw new Error('The keys in this backup do not match');
+      }
+
+      // Re-encrypt the private key under the local vault passphrase
+      await keyVaultService.requestUnlock();
+      await keyVaultService.storeKeyPair(payload.keyPair);
+
+      if (payload.sessionIdentity) {
+        await sessionService.importIdentity(payload.sessionIdentity);
+      }
+      if (payload.messageKeys) {
+        await sessionService.importMessageKeys(payload.messageKeys);
+      }
+
+      await api.post('/users/update-public-key', { publicKey: payload.keyPair.publicKey });
+      await deviceService.registerDevice();
+
+      return { success: true };
+    } catch (error) {
+      console.error('Restore backup error:', error);
+      return {
+        success: false,
+        error: error.response?.data?.error?.message || error.message
+      };
+    }
+  }
+};
+
+export default backupService;
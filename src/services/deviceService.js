@@ -0,0 +1,255 @@
+import axios from 'axios';
+import keyVaultService from './keyVaultService';
+import encryptionService from './encryptionService';
+
+// API base URL
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+
+// Create axios instance with default config
+const api = axios.create({
+  baseURL: API_URL,
+  headers: {
+    'Content-Type': 'application/json'
+  }
+});
+
+// Add request interceptor to include auth token
+api.interceptors.request.use(
+  (config) => {
+    const tokens = localStorage.getItem('tokens');
+    if (tokens) {
+      const { accessToken } = JSON.parse(tokens);
+      if (accessToken) {
+        config.headers.Authorization = `Bearer ${accessToken}`;
+      }
+    }
+    return config;
+  },
+  (error) => Promise.reject(error)
+);
+
+// Local storage keys
+const DEVICE_ID_STORAGE_KEY = 'deviceId';
+const REGISTRATION_STORAGE_KEY = 'deviceRegistration';
+
+// How long fetched device lists are reused when encrypting
+const DEVICE_CACHE_TTL = 60 * 1000;
+
+const deviceCache = new Map();
+
+const getCurrentUserId = () => {
+  const user = JSON.parse(localStorage.getItem('user') || '{}');
+  return user.id;
+};
+
+/**
+ * Describe this browser, e.g. "Chrome on macOS"
+ */
+const describeDevice = () => {
+  const userAgent = navigator.userAgent || '';
+
+  const browser = [
+    ['Edg/', 'Edge'],
+    ['OPR/', 'Opera'],
+    ['Firefox/', 'Firefox'],
+    ['Chrome/', 'Chrome'],
+    ['Safari/', 'Safari']
+  ].find(([token]) => userAgent.includes(token));
+
+  const platform = [
+    ['Android', 'Android'],
+    ['iPhone', 'iOS'],
+    ['iPad', 'iPadOS'],
+    ['Mac OS X', 'macOS'],
+    ['Windows', 'Windows'],
+    ['Linux', 'Linux']
+  ].find(([token]) => userAgent.includes(token));
+
+  return `${browser ? browser[1] : 'Browser'} on ${platform ? platform[1] : 'unknown device'}`;
+};
+
+/**
+ * Device Service
+ *
+ * Every browser a user signs in from is a separate device with its own key
+ * pair. Devices are registered with the server so senders can encrypt each
+ * message for every device of every member.
+ */
+const deviceService = {
+  /**
+   * Get this device's ID, creating one on first use
+   * @returns {string} Device ID
+   */
+  getDeviceId: () => {
+    let deviceId = localStorage.getItem(DEVICE_ID_STORAGE_KEY);
+    if (!deviceId) {
+      deviceId = Array.from(window.crypto.getRandomValues(new Uint8Array(16)))
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+      localStorage.setItem(DEVICE_ID_STORAGE_KEY, deviceId);
+    }
+    return deviceId;
+  },
+
+  /**
+   * Register this device and its public key with the server
+   *
+   * The device's key pair is generated the first time, once the user has set
+   * up encryption. Registering is skipped when the same key is already
+   * registered for this device.
+   *
+   * @returns {Promise<Object>} Result of the registration
+   */
+  registerDevice: async () => {
+    try {
+      if (!(await keyVaultService.getPublicKey())) {
+        return { success: false, error: 'Encryption keys not found' };
+      }
+
+      let publicKey = await keyVaultService.getDevicePublicKey();
+      if (!publicKey) {
+        const keyPair = await encryptionService.generateKeyPair();
+        await keyVaultService.requestUnlock();
+        await keyVaultService.storeDeviceKeyPair(keyPair);
+        publicKey = keyPair.publicKey;
+      }
+
+      const deviceId = deviceService.getDeviceId();
+      const registration = JSON.parse(localStorage.getItem(REGISTRATION_STORAGE_KEY) || 'null');
+      if (registration?.deviceId === deviceId && registration?.publicKey === publicKey) {
+        return { success: true };
+      }
+
+      await api.post('/users/devices', {
+        deviceId,
+        name: describeDevice(),
+        publicKey
+      });
+
+      localStorage.setItem(REGISTRATION_STORAGE_KEY, JSON.stringify({
+        deviceId,
+        publicKey,
+        registeredAt: Date.now()
+      }));
+      deviceCache.delete(getCurrentUserId());
+
+      return { success: true };
+    } catch (error) {
+      console.error('Register device error:', error);
+      return {
+        success: false,
+        error: error.response?.data?.error?.message || 'Failed to register device'
+      };
+    }
+  },
+
+  /**
+   * Get the current user's devices
+   * @returns {Promise<Object>} Response with the device list
+   */
+  getDevices: async () => {
+    try {
+      const response = await api.get('/users/devices');
+      const currentDeviceId = deviceService.getDeviceId();
+      const devices = (response.data.devices || []).map(device => ({
+        ...device,
+        current: device.deviceId === currentDeviceId
+      }));
+      return { success: true, data: devices };
+    } catch (error) {
+      console.error('Get devices error:', error);
+      return {
+        success: false,
+        error: error.response?.data?.error?.message || 'Failed to fetch devices'
+      };
+    }
+  },
+
+  /**
+   * Revoke one of the current user's other devices
+   * @param {string} deviceId - Device ID
+   * @returns {Promise<Object>} Result of the revocation
+   */
+  revokeDevice: async (deviceId) => {
+    if (deviceId === deviceService.getDeviceId()) {
+      return { success: false, error: 'Log out to remove this device' };
+    }
+
+    try {
+      await api.delete(`/users/devices/${deviceId}`);
+      deviceCache.delete(getCurrentUserId());
+      return { success: true };
+    } catch (error) {
+      console.error('Revoke device error:', error);
+      return {
+        success: false,
+        error: error.response?.data?.error?.message || 'Failed to revoke device'
+      };
+    }
+  },
+
+  /**
+   * Get a user's active devices, cached briefly
+   * @param {string} userId - User ID
+   * @returns {Promise<Array<Object>>} Devices with deviceId and publicKey
+   */
+  getUserDevices: async (userId) => {
+    const cached = deviceCache.get(userId);
+    if (cached && Date.now() - cached.fetchedAt < DEVICE_CACHE_TTL) {
+      return cached.devices;
+    }
+
+    const response = await api.get(`/users/${userId}/devices`);
+    const devices = (response.data.devices || []).filter(device => device.publicKey && !device.revokedAt);
+    deviceCache.set(userId, { devices, fetchedAt: Date.now() });
+    return devices;
+  },
+
+  /**
+   * Expand message recipients into one entry per device
+   *
+   * Each device has its own key, so the user-level key is only used for
+   * recipients without any registered device (older clients). Otherwise a
+   * revoked device that still has the user key could keep reading.
+   *
+   * @param {Array<Object>} recipients - Recipients with userId and publicKey
+   * @returns {Promise<Array<Object>>} Recipients with userId, publicKey and deviceId where known
+   */
+  expandRecipients: async (recipients) => {
+    const currentUserId = getCurrentUserId();
+    const expanded = [];
+
+    for (const recipient of recipients) {
+      let devices;
+      try {
+        devices = await deviceService.getUserDevices(recipient.userId);
+      } catch (error) {
+        console.warn(`Could not fetch devices for user ${recipient.userId}:`, error);
+        throw new Error('The devices of some members could not be loaded.');
+      }
+
+      // This device can always read its own messages, registered yet or not
+      if (recipient.userId === currentUserId) {
+        const deviceId = deviceService.getDeviceId();
+        const publicKey = await keyVaultService.getDevicePublicKey();
+        if (publicKey && !devices.some(device => device.deviceId === deviceId)) {
+          devices = [...devices, { deviceId, publicKey }];
+        }
+      }
+
+      devices.forEach(device => expanded.push({
+        userId: recipient.userId,
+        deviceId: device.deviceId,
+        publicKey: device.publicKey
+      }));
+
+      if (devices.length === 0 && recipient.publicKey) {
+        expanded.push({ userId: recipient.userId, publicKey: recipient.publicKey });
+      }
+    }
+
+    return expanded;
+  }
+};
+
+export default deviceService;
@@ -0,0 +1,206 @@
+// Local storage key for per-conversation disappearing message timers
+const TIMER_STORAGE_KEY = 'disappearingTimers';
+
+// Control message type announcing a new timer to the other members
+const TIMER_CONTROL = 'disappearing-timer';
+
+const MINUTE = 60;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+const WEEK = 7 * DAY;
+
+// Timers offered in the conversation menu, in seconds
+const TIMER_OPTIONS = [30, 5 * MINUTE, HOUR, 8 * HOUR, DAY, WEEK, 4 * WEEK];
+
+const MIN_TIMER = TIMER_OPTIONS[0];
+const MAX_TIMER = TIMER_OPTIONS[TIMER_OPTIONS.length - 1];
+
+const UNITS = [
+  { seconds: WEEK, name: 'week', short: 'w' },
+  { seconds: DAY, name: 'day', short: 'd' },
+  { seconds: HOUR, name: 'hour', short: 'h' },
+  { seconds: MINUTE, name: 'minute', short: 'm' },
+  { seconds: 1, name: 'second', short: 's' }
+];
+
+const listeners = new Set();
+
+const readTimers = () => {
+  try {
+    return JSON.parse(localStorage.getItem(TIMER_STORAGE_KEY) || '{}');
+  } catch (error) {
+    console.error('Failed to read disappearing message timers:', error);
+    return {};
+  }
+};
+
+const writeTimers = (timers) => {
+  localStorage.setItem(TIMER_STORAGE_KEY, JSON.stringify(timers));
+  listeners.forEach(listener => listener(timers));
+};
+
+const toTime = (value) => {
+  const time = new Date(value).getTime();
+  return Number.isFinite(time) ? time : null;
+};
+
+/**
+ * Disappearing Messages Service
+ *
+ * Keeps each conversation's disappearing message timer. A member changes it
+ * by sending a control message inside the encrypted content; every member
+ * applies the most recent change that is authenticated as coming from the
+ * member who sent it, and stamps the timer onto the messages it
+ * sends, so each message carries its own expiry no matter when it's read.
+ */
+const disappearingService = {
+  TIMER_CONTROL,
+  TIMER_OPTIONS,
+
+  /**
+   * Get the disappearing message timer of a conversation
+   * @param {string} conversationId - Conversation ID
+   * @returns {number} Seconds messages are kept for, or 0 when they don't disappear
+   */
+  getTimer: (conversationId) => {
+    if (!conversationId) {
+      return 0;
+    }
+    return readTimers()[conversationId]?.expiresIn || 0;
+  },
+
+  /**
+   * Apply a timer change, unless a more recent one was applied already
+   * @param {string} conversationId - Conversation ID
+   * @param {number} expiresIn - New timer in seconds, or 0 to turn it off
+   * @param {string|number} changedAt - When the change was made
+   * @returns {boolean} Whether the change was applied
+   */
+  applyTimerChange: (conversationId, expiresIn, changedAt) => {
+    const timers = readTimers();
+    const current = timers[conversationId];
+    const time = toTime(changedAt) ?? Date.now();
+    if (current && current.changedAt > time) {
+      return false;
+    }
+
+    timers[conversationId] = {
+      expiresIn: disappearingService.sanitizeTimer(expiresIn) || 0,
+      changedAt: time
+    };
+    writeTimers(timers);
+    return true;
+  },
+
+  /**
+   * Create the control message content announcing a timer
+   * @param {number} expiresIn - Timer in seconds, or 0 to turn it off
+   * @returns {Object} Control for the message's references
+   */
+  createTimerControl: (expiresIn) => ({
+    type: TIMER_CONTROL,
+    expiresIn: disappearingService.sanitizeTimer(expiresIn) || 0
+  }),
+
+  /**
+   * Only accept whole-second timers within the supported range
+   * @param {*} value - Timer received from another client
+   * @returns {number|null} Timer in seconds, or null
+   */
+  sanitizeTimer: (value) => {
+    return Number.isInteger(value) && value >= MIN_TIMER && value <= MAX_TIMER ? value : null;
+  },
+
+  /**
+   * Only accept control messages this client understands
+   * @param {*} control - Control received from another client
+   * @returns {Object|null} { type, expiresIn }, or null
+   */
+  sanitizeControl: (control) => {
+    if (control?.type !== TIMER_CONTROL) {
+      return null;
+    }
+    return { type: TIMER_CONTROL, expiresIn: disappearingService.sanitizeTimer(control.expiresIn) || 0 };
+  },
+
+  /**
+   * Get when a message disappears, counting from when it was sent
+   * @param {Object} message - Message with its `expiresIn` and timestamp
+   * @returns {number|null} Expiry time in milliseconds, or null if it doesn't disappear
+   */
+  getExpiresAt: (message) => {
+    const sentAt = toTime(message?.timestamp);
+    if (!message?.expiresIn || sentAt === null) {
+      return null;
+    }
+    return sentAt + message.expiresIn * 1000;
+  },
+
+  /**
+   * Check whether a message has disappeared
+   * @param {Object} message - Message
+   * @param {number} now - Current time in milliseconds (optional)
+   * @returns {boolean} Whether its timer ran out
+   */
+  isExpired: (message, now = Date.now()) => {
+    const expiresAt = disappearingService.getExpiresAt(message);
+    return expiresAt !== null && expiresAt <= now;
+  },
+
+  /**
+   * Describe a timer, e.g. "5 minutes"
+   * @param {number} expiresIn - Timer in seconds
+   * @returns {string} Timer in its largest whole unit, or "Off"
+   */
+  formatTimer: (expiresIn) => {
+    if (!expiresIn) {
+      return 'Off';
+    }
+
+    const unit = UNITS.find(candidate => expiresIn % candidate.seconds === 0);
+    const count = expiresIn / unit.seconds;
+    return `${count} ${unit.name}${count === 1 ? '' : 's'}`;
+  },
+
+  /**
+   * Describe the time left before a message disappears, e.g. "4m"
+   * @param {number} remaining - Time left in milliseconds
+   * @returns {string} Time left in its largest unit, rounded up
+   */
+  formatRemaining: (remaining) => {
+    const seconds = Math.max(Math.ceil(remaining / 1000), 0);
+    const unit = UNITS.find(candidate => seconds >= candidate.seconds) || UNITS[UNITS.length - 1];
+    return `${Math.ceil(seconds / unit.seconds)}${unit.short}`;
+  },
+
+  /**
+   * Describe a timer change for the timeline
+   * @param {number} expiresIn - New timer in seconds
+   * @param {string} actor - Who changed it, e.g. "You" (optional)
+   * @returns {string} Description of the change
+   */
+  describeTimerChange: (expiresIn, actor = null) => {
+    const change = expiresIn
+      ? `set disappearing messages to ${disappearingService.formatTimer(expiresIn)}`
+      : 'turned off disappearing messages';
+
+    if (actor) {
+      return `${actor} ${change}`;
+    }
+    return expiresIn
+      ? `Disappearing messages set to ${disappearingService.formatTimer(expiresIn)}`
+      : 'Disappearing messages turned off';
+  },
+
+  /**
+   * Subscribe to timer changes
+   * @param {Function} listener - Called with all stored timers
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe: (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+};
+
+export default disappearingService;
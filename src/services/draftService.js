@@ -0,0 +1,382 @@
+import axios from 'axios';
+import encryptionService from './encryptionService';
+import keyVaultService from './keyVaultService';
+import deviceService from './deviceService';
+
+// API base URL
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+
+// Create axios instance with default config
+const api = axios.create({
+  baseURL: API_URL,
+  headers: {
+    'Content-Type': 'application/json'
+  }
+});
+
+// Add request interceptor to include auth token
+api.interceptors.request.use(
+  (config) => {
+    const tokens = localStorage.getItem('tokens');
+    if (tokens) {
+      const { accessToken } = JSON.parse(tokens);
+      if (accessToken) {
+        config.headers.Authorization = `Bearer ${accessToken}`;
+      }
+    }
+    return config;
+  },
+  (error) => Promise.reject(error)
+);
+
+// Local storage keys, each followed by the user ID
+const DRAFTS_STORAGE_KEY = 'messageDrafts';
+const SYNC_STORAGE_KEY = 'draftSync';
+
+// Wait for typing to pause before uploading a draft
+const SYNC_DELAY = 2000;
+
+const listeners = new Set();
+const uploadTimers = new Map();
+
+// The current user's drafts, as opened with the key vault. Until they are
+// loaded, nothing is written over the sealed copy on this device.
+let loadedDrafts = { userId: null, drafts: {}, loaded: false };
+let lastWrite = Promise.resolve();
+
+const getCurrentUserId = () => JSON.parse(localStorage.getItem('user') || '{}').id;
+
+const getStorageKey = (key, userId = getCurrentUserId()) => `${key}:${userId}`;
+
+// Drafts by conversation ID; a cleared draft is kept as an empty one, so an
+// older copy synced from another device doesn't bring it back
+const readDrafts = () => {
+  return loadedDrafts.userId === getCurrentUserId() ? { ...loadedDrafts.drafts } : {};
+};
+
+/**
+ * Encrypt drafts with the key vault's data key, like queued messages, and
+ * store them for the user. While the vault is locked they are only kept in
+ * memory, and stored once it is unlocked.
+ */
+const sealDrafts = (userId, drafts) => {
+  lastWrite = lastWrite.then(async () => {
+    try {
+      const key = await keyVaultService.getDataKey({ prompt: false });
+      const { ciphertext, iv } = await encryptionService.encryptBytes(
+        new TextEncoder().encode(JSON.stringify(drafts)),
+        key
+      );
+      localStorage.setItem(
+        getStorageKey(DRAFTS_STORAGE_KEY, userId),
+        JSON.stringify({ iv, data: encryptionService.toBase64(ciphertext) })
+      );
+    } catch (error) {
+      console.warn('Key vault unavailable, keeping drafts in memory:', error.message);
+    }
+  });
+  return lastWrite;
+};
+
+const openDrafts = async (sealed, key) => {
+  const data = await encryptionService.decryptBytes(encryptionService.fromBase64(sealed.data), sealed.iv, key);
+  return JSON.parse(new TextDecoder().decode(data));
+};
+
+const writeDrafts = (drafts) => {
+  const userId = getCurrentUserId();
+  const loaded = loadedDrafts.userId === userId && loadedDrafts.loaded;
+  loadedDrafts = { userId, drafts, loaded };
+  if (loaded) {
+    sealDrafts(userId, drafts);
+  }
+  listeners.forEach(listener => listener());
+};
+
+// Keep the most recently changed copy of each draft
+const mergeDrafts = (...sources) => {
+  const merged = {};
+  sources.forEach(drafts => Object.entries(drafts).forEach(([conversationId, draft]) => {
+    if (!(merged[conversationId]?.updatedAt > draft.updatedAt)) {
+      merged[conversationId] = draft;
+    }
+  }));
+  return merged;
+};
+
+const sanitizeAttachment = (attachment) => ({
+  name: String(attachment?.name || ''),
+  size: Number(attachment?.size) || 0,
+  type: String(attachment?.type || '')
+});
+
+// Only what a draft is made of, from this device or another one
+const sanitizeDraft = (draft, updatedAt) => ({
+  text: typeof draft?.text === 'string' ? draft.text : '',
+  mentions: Array.isArray(draft?.mentions)
+    ? draft.mentions
+      .filter(member => typeof member?.userId === 'string')
+      .map(({ userId, username, fullName }) => ({ userId, username, fullName }))
+    : [],
+  formatting: Boolean(draft?.formatting),
+  attachments: Array.isArray(draft?.attachments) ? draft.attachments.map(sanitizeAttachment) : [],
+  updatedAt
+});
+
+const isEmpty = (draft) => !draft || (!draft.text.trim() && draft.attachments.length === 0);
+
+// Whether two drafts would restore the same composer
+const isSameDraft = (a, b) => {
+  return JSON.stringify({ ...a, updatedAt: 0 }) === JSON.stringify({ ...b, updatedAt: 0 });
+};
+
+/**
+ * Encrypt a draft for every device of the current user, and only for them
+ */
+const encryptForOwnDevices = async (content) => {
+  const userId = getCurrentUserId();
+  const publicKey = await keyVaultService.getPublicKey();
+  if (!userId || !publicKey) {
+    throw new Error('Encryption keys not found');
+  }
+
+  const recipients = await deviceService.expandRecipients([{ userId, publicKey }]);
+  return encryptionService.encryptGroupMessage(content, recipients);
+};
+
+// Drafts are synced in the background, so a locked key vault is left locked
+const decryptFromOwnDevice = async (data) => {
+  const userKeys = await keyVaultService.getKeyPair({ prompt: false });
+  if (!userKeys) {
+    throw new Error('Key vault is locked');
+  }
+
+  return encryptionService.decryptGroupMessage(
+    {
+      encryptedMessage: data.encryptedContent,
+      iv: data.iv,
+      recipientKeys: data.recipientKeys
+    },
+    getCurrentUserId(),
+    userKeys.privateKey,
+    deviceService.getDeviceId(),
+    (await keyVaultService.getDeviceKeyPair({ prompt: false }))?.privateKey
+  );
+};
+
+const uploadDraft = async (conversationId) => {
+  const draft = readDrafts()[conversationId];
+  if (!draft) return;
+
+  try {
+    const encryptedData = await encryptForOwnDevices(JSON.stringify(draft));
+    await api.put(`/drafts/${conversationId}`, {
+      encryptedContent: encryptedData.encryptedMessage,
+      iv: encryptedData.iv,
+      recipientKeys: encryptedData.recipientKeys,
+      updatedAt: draft.updatedAt
+    });
+  } catch (error) {
+    console.warn('Failed to sync draft:', error);
+  }
+};
+
+const scheduleUpload = (conversationId) => {
+  if (!draftService.isSyncEnabled()) return;
+
+  clearTimeout(uploadTimers.get(conversationId));
+  uploadTimers.set(conversationId, setTimeout(() => {
+    uploadTimers.delete(conversationId);
+    uploadDraft(conversationId);
+  }, SYNC_DELAY));
+};
+
+/**
+ * Draft Service
+ *
+ * Keeps what was typed but not sent in each conversation, with the members
+ * it mentions, whether the formatting toolbar was open and which files were
+ * about to be attached, so nothing is lost when switching conversations or
+ * reloading. Drafts are kept per user and sealed with the key vault on this
+ * device. When sync is turned on, they are also encrypted for the user's own
+ * devices and stored on the server, where the most recently changed copy of
+ * each draft wins.
+ */
+const draftService = {
+  /**
+   * Open the drafts stored for the current user, once the key vault is
+   * unlocked, and merge them with the ones written since
+   * @returns {Promise<boolean>} Whether the drafts could be opened
+   */
+  load: async () => {
+    const userId = getCurrentUserId();
+    if (!userId) return false;
+    if (loadedDrafts.userId === userId && loadedDrafts.loaded) return true;
+
+    try {
+      const key = await keyVaultService.getDataKey({ prompt: false });
+      const sealed = JSON.parse(localStorage.getItem(getStorageKey(DRAFTS_STORAGE_KEY, userId)) || 'null');
+      const stored = sealed ? await openDrafts(sealed, key) : {};
+
+      // Drafts from before they were sealed go to whoever opens them first
+      const legacy = JSON.parse(localStorage.getItem(DRAFTS_STORAGE_KEY) || '{}');
+      const written = loadedDrafts.userId === userId ? loadedDrafts.drafts : {};
+      if (getCurrentUserId() !== userId) return false;
+
+      loadedDrafts = { userId, drafts: mergeDrafts(legacy, stored, written), loaded: true };
+      await sealDrafts(userId, loadedDrafts.drafts);
+      localStorage.removeItem(DRAFTS_STORAGE_KEY);
+      listeners.forEach(listener => listener());
+      return true;
+    } catch (error) {
+      console.warn('Failed to load drafts:', error.message);
+      return false;
+    }
+  },
+
+  /**
+   * Get the draft of a conversation
+   * @param {string} conversationId - Conversation ID
+   * @returns {Object|null} { text, mentions, formatting, attachments, updatedAt }, or null if there is none
+   */
+  getDraft: (conversationId) => {
+    const draft = readDrafts()[conversationId];
+    return isEmpty(draft) ? null : draft;
+  },
+
+  /**
+   * Get every conversation's draft
+   * @returns {Object} Drafts by conversation ID
+   */
+  getDrafts: () => {
+    const drafts = readDrafts();
+    return Object.fromEntries(Object.entries(drafts).filter(([, draft]) => !isEmpty(draft)));
+  },
+
+  /**
+   * Save the draft of a conversation; an empty draft clears it
+   * @param {string} conversationId - Conversation ID
+   * @param {Object} draft - { text, mentions, formatting, attachments }, where
+   *   attachments only describe the files as { name, size, type }
+   */
+  saveDraft: (conversationId, draft) => {
+    const drafts = readDrafts();
+    const previous = drafts[conversationId];
+    const next = sanitizeDraft(draft, Date.now());
+
+    if (previous ? isSameDraft(previous, next) : isEmpty(next)) return;
+
+    drafts[conversationId] = next;
+    writeDrafts(drafts);
+    scheduleUpload(conversationId);
+  },
+
+  /**
+   * Clear the draft of a conversation, e.g. once it was sent
+   * @param {string} conversationId - Conversation ID
+   */
+  clearDraft: (conversationId) => {
+    draftService.saveDraft(conversationId, null);
+  },
+
+  /**
+   * Check whether drafts are synced across the user's devices
+   * @returns {boolean} Whether sync is on
+   */
+  isSyncEnabled: () => {
+    // Turned on before the setting was kept per user
+    const legacy = localStorage.getItem(SYNC_STORAGE_KEY);
+    if (legacy !== null && getCurrentUserId()) {
+      if (localStorage.getItem(getStorageKey(SYNC_STORAGE_KEY)) === null) {
+        localStorage.setItem(getStorageKey(SYNC_STORAGE_KEY), legacy);
+      }
+      localStorage.removeItem(SYNC_STORAGE_KEY);
+    }
+    return localStorage.getItem(getStorageKey(SYNC_STORAGE_KEY)) === 'true';
+  },
+
+  /**
+   * Turn syncing drafts across the user's devices on or off
+   * @param {boolean} enabled - Whether to sync
+   * @returns {Promise<Object>} Result of the first sync when turned on
+   */
+  setSyncEnabled: async (enabled) => {
+    localStorage.setItem(getStorageKey(SYNC_STORAGE_KEY), String(enabled));
+    listeners.forEach(listener => listener());
+    return enabled ? draftService.syncDrafts() : { success: true };
+  },
+
+  /**
+   * Merge the drafts stored on the server with this device's, keeping the
+   * most recently changed copy of each, and upload the ones that are newer here
+   * @returns {Promise<Object>} Response with success status
+   */
+  syncDrafts: async () => {
+    if (!draftService.isSyncEnabled()) {
+      return { success: true };
+    }
+
+    try {
+      // Merge into the drafts stored here, not over them
+      await draftService.load();
+
+      const response = await api.get('/drafts');
+      const drafts = readDrafts();
+      const remoteUpdatedAt = {};
+      let changed = false;
+
+      for (const remote of response.data.drafts || []) {
+        remoteUpdatedAt[remote.conversationId] = remote.updatedAt;
+        if (drafts[remote.conversationId]?.updatedAt >= remote.updatedAt) continue;
+
+        try {
+          const draft = JSON.parse(await decryptFromOwnDevice(remote));
+          drafts[remote.conversationId] = sanitizeDraft(draft, remote.updatedAt);
+          changed = true;
+        } catch (error) {
+          console.warn('Failed to read synced draft:', error);
+        }
+      }
+
+      if (changed) {
+        writeDrafts(drafts);
+      }
+
+      // Drafts changed here since they were last uploaded
+      await Promise.all(Object.entries(drafts)
+        .filter(([conversationId, draft]) => !(remoteUpdatedAt[conversationId] >= draft.updatedAt))
+        .map(([conversationId]) => uploadDraft(conversationId)));
+
+      return { success: true };
+    } catch (error) {
+      console.error('Sync drafts error:', error);
+      return {
+        success: false,
+        error: error.response?.data?.error?.message || 'Failed to sync drafts'
+      };
+    }
+  },
+
+  /**
+   * Forget the drafts opened in memory, e.g. on logout; they stay sealed on
+   * this device for the user's next login
+   */
+  clear: () => {
+    uploadTimers.forEach(timer => clearTimeout(timer));
+    uploadTimers.clear();
+    loadedDrafts = { userId: null, drafts: {}, loaded: false };
+    listeners.forEach(listener => listener());
+  },
+
+  /**
+   * Listen for changes to drafts or to whether they are synced
+   * @param {Function} listener - Called after every change
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe: (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+};
+
+export default draftService;
@@ -1,6 +1,7 @@
 import socketService from './socketService';
 import encryptionService from './encryptionService';
 import performanceService from './performanceService';
+import keyVaultService from './keyVaultService';
 
 /**
  * Encrypted Presence Service
@@ -21,15 +22,24 @@ class EncryptedPresenceService {
     
     // Initialize socket event listeners
     this._initSocketListeners();
+    
+    // Follow the key vault so keys are dropped as soon as it locks
+    keyVaultService.subscribe(async ({ unlocked }) => {
+      this.userKeys = unlocked && this.userId
+        ? await keyVaultService.getKeyPair({ prompt: false })
+        : null;
+    });
   }
   
   /**
-   * Initialize the encrypted presence service with user keys
+   * Initialize the encrypted presence service with keys from the key vault
    * 
-   * @param {Object} userKeys - User's encryption keys
    * @param {string} userId - User's ID
+   * @returns {Promise<boolean>} Whether initialization succeeded
    */
-  init(userKeys, userId) {
+  async init(userId) {
+    const userKeys = userId ? await keyVaultService.getKeyPair() : null;
+    
     if (!userKeys || !userId) {
       console.error('Cannot initialize encrypted presence service: missing keys or userId');
       return false;
@@ -182,14 +192,21 @@ class EncryptedPresenceService {
     }
     
     try {
+      // Payloads from encryptGroupMessage carry encryptedMessage
+      const encryptedMessage = encryptedData.encryptedMessage || encryptedData.encryptedContent;
+      
       // Generate cache key for this decryption operation
-      const cacheKey = `decrypt:${encryptedData.iv}:${encryptedData.encryptedContent.substring(0, 20)}`;
+      const cacheKey = `decrypt:${encryptedData.iv}:${encryptedMessage.substring(0, 20)}`;
       
       // Use performance service to cache decryption results
       return await performanceService.cacheOperation(cacheKey, async () => {
-        const decryptedContent = await encryptionService.decryptMessage(
-          encryptedData.encryptedContent,
-          encryptedData.iv,
+        const decryptedContent = await encryptionService.decryptGroupMessage(
+          {
+            encryptedMessage,
+            iv: encryptedData.iv,
+            recipientKeys: encryptedData.recipientKeys
+          },
+          this.userId,
           this.userKeys.privateKey
         );
         
@@ -0,0 +1,102 @@
+// Local storage key for per-conversation encryption policies
+const POLICY_STORAGE_KEY = 'encryptionPolicies';
+
+/**
+ * How a conversation handles messages that cannot be encrypted
+ * - required: refuse to send them
+ * - preferred: send them unencrypted, marked as such
+ * - off: never encrypt
+ */
+const POLICIES = {
+  REQUIRED: 'required',
+  PREFERRED: 'preferred',
+  OFF: 'off'
+};
+
+const DEFAULT_POLICY = POLICIES.REQUIRED;
+
+// Error code for messages blocked by the "required" policy
+const ENCRYPTION_REQUIRED = 'ENCRYPTION_REQUIRED';
+
+const listeners = new Set();
+
+const readPolicies = () => {
+  try {
+    return JSON.parse(localStorage.getItem(POLICY_STORAGE_KEY) || '{}');
+  } catch (error) {
+    console.error('Failed to read encryption policies:', error);
+    return {};
+  }
+};
+
+const writePolicies = (policies) => {
+  localStorage.setItem(POLICY_STORAGE_KEY, JSON.stringify(policies));
+  listeners.forEach(listener => listener(policies));
+};
+
+/**
+ * Encryption Policy Service
+ *
+ * Stores whether each conversation requires, prefers or skips end-to-end
+ * encryption. Conversations without an explicit policy require it.
+ */
+const encryptionPolicyService = {
+  POLICIES,
+  DEFAULT_POLICY,
+  ENCRYPTION_REQUIRED,
+
+  /**
+   * Get the encryption policy for a conversation
+   * @param {string} conversationId - Conversation ID
+   * @returns {string} One of POLICIES
+   */
+  getPolicy: (conversationId) => {
+    if (!conversationId) {
+      return DEFAULT_POLICY;
+    }
+    return readPolicies()[conversationId] || DEFAULT_POLICY;
+  },
+
+  /**
+   * Set the encryption policy for a conversation
+   * @param {string} conversationId - Conversation ID
+   * @param {string} policy - One of POLICIES
+   */
+  setPolicy: (conversationId, policy) => {
+    if (!Object.values(POLICIES).includes(policy)) {
+      throw new Error(`Unknown encryption policy: ${policy}`);
+    }
+
+    const policies = readPolicies();
+    if (policy === DEFAULT_POLICY) {
+      delete policies[conversationId];
+    } else {
+      policies[conversationId] = policy;
+    }
+    writePolicies(policies);
+  },
+
+  /**
+   * Create the error thrown when a required encryption cannot be performed
+   * @param {string} reason - Why the message could not be encrypted
+   * @returns {Error} Error with code ENCRYPTION_REQUIRED
+   */
+  createRequiredError: (reason) => {
+    const error = new Error(`Message not sent: encryption is required in this conversation. ${reason}`);
+    error.code = ENCRYPTION_REQUIRED;
+    error.reason = reason;
+    return error;
+  },
+
+  /**
+   * Subscribe to policy changes
+   * @param {Function} listener - Called with all stored policies
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe: (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+};
+
+export default encryptionPolicyService;
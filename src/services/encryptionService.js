@@ -1,5 +1,8 @@
 import CryptoJS from 'crypto-js';
 
+// PBKDF2 iterations for passphrase-derived keys (OWASP recommendation for SHA-256)
+const PASSPHRASE_ITERATIONS = 600000;
+
 /**
  * Encryption Service
  * 
@@ -214,9 +217,10 @@ const encryptionService = {
    * 
    * @param {string} message - Message to encrypt
    * @param {CryptoKey} key - Symmetric key for encryption
+   * @param {string} additionalData - Optional data to authenticate alongside the message
    * @returns {Promise<Object>} Object containing encrypted message and IV
    */
-  encryptMessage: async (message, key) => {
+  encryptMessage: async (message, key, additionalData = null) => {
     try {
       // Generate a random initialization vector
       const iv = window.crypto.getRandomValues(new Uint8Array(12));
@@ -230,6 +234,7 @@ const encryptionService = {
         {
           name: 'AES-GCM',
           iv,
+          ...(additionalData && { additionalData: encoder.encode(additionalData) })
         },
         key,
         messageBuffer
@@ -255,9 +260,10 @@ const encryptionService = {
    * @param {string} encryptedMessage - Encrypted message as base64 string
    * @param {string} ivString - Initialization vector as base64 string
    * @param {CryptoKey} key - Symmetric key for decryption
+   * @param {string} additionalData - Optional data that was authenticated alongside the message
    * @returns {Promise<string>} Decrypted message
    */
-  decryptMessage: async (encryptedMessage, ivString, key) => {
+  decryptMessage: async (encryptedMessage, ivString, key, additionalData = null) => {
     try {
       // Convert from base64 strings
       const encryptedBuffer = Uint8Array.from(atob(encryptedMessage), c => c.charCodeAt(0));
@@ -268,6 +274,7 @@ const encryptionService = {
         {
           name: 'AES-GCM',
           iv,
+          ...(additionalData && { additionalData: new TextEncoder().encode(additionalData) })
         },
         key,
         encryptedBuffer
@@ -282,11 +289,65 @@ const encryptionService = {
     }
   },
 
+  /**
+   * Encrypt binary data, such as a file, with a symmetric key
+   *
+   * @param {ArrayBuffer|Uint8Array} data - Data to encrypt
+   * @param {CryptoKey} key - Symmetric key for encryption
+   * @returns {Promise<Object>} Object containing the ciphertext as an ArrayBuffer and the IV as base64
+   */
+  encryptBytes: async (data, key) => {
+    try {
+      const iv = window.crypto.getRandomValues(new Uint8Array(12));
+      const ciphertext = await window.crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, data);
+
+      return {
+        ciphertext,
+        iv: encryptionService.toBase64(iv)
+      };
+    } catch (error) {
+      console.error('Error encrypting data:', error);
+      throw new Error('Failed to encrypt data');
+    }
+  },
+
+  /**
+   * Decrypt binary data encrypted with encryptBytes
+   *
+   * @param {ArrayBuffer|Uint8Array} ciphertext - Encrypted data
+   * @param {string} ivString - Initialization vector as base64 string
+   * @param {CryptoKey} key - Symmetric key for decryption
+   * @returns {Promise<ArrayBuffer>} Decrypted data
+   */
+  decryptBytes: async (ciphertext, ivString, key) => {
+    try {
+      return await window.crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: encryptionService.fromBase64(ivString) },
+        key,
+        ciphertext
+      );
+    } catch (error) {
+      console.error('Error decrypting data:', error);
+      throw new Error('Failed to decrypt data');
+    }
+  },
+
+  /**
+   * Compute the SHA-256 digest of binary data
+   *
+   * @param {ArrayBuffer|Uint8Array} data - Data to digest
+   * @returns {Promise<string>} Digest as base64 string
+   */
+  digest: async (data) => {
+    const hash = await window.crypto.subtle.digest('SHA-256', data);
+    return encryptionService.toBase64(hash);
+  },
+
   /**
    * Encrypt a message for multiple recipients
    * 
    * @param {string} message - Message to encrypt
-   * @param {Array<Object>} recipients - Array of recipient objects with userId and publicKey
+   * @param {Array<Object>} recipients - Array of recipient objects with userId, publicKey and optional deviceId
    * @returns {Promise<Object>} Object containing encrypted message data
    */
   encryptGroupMessage: async (message, recipients) => {
@@ -301,7 +362,8 @@ const encryptionService = {
       const recipientKeys = {};
       for (const recipient of recipients) {
         const publicKey = await encryptionService.importPublicKey(recipient.publicKey);
-        recipientKeys[recipient.userId] = await encryptionService.encryptMessageKey(messageKey, publicKey);
+        const keyId = encryptionService.getRecipientKeyId(recipient.userId, recipient.deviceId);
+        recipientKeys[keyId] = await encryptionService.encryptMessageKey(messageKey, publicKey);
       }
       
       return {
@@ -321,18 +383,38 @@ const encryptionService = {
    * @param {Object} encryptedData - Object containing encrypted message data
    * @param {string} userId - Current user's ID
    * @param {CryptoKey} privateKey - User's private key
+   * @param {string} deviceId - Current device ID (optional)
+   * @param {CryptoKey} devicePrivateKey - Current device's private key (optional)
    * @returns {Promise<string>} Decrypted message
    */
-  decryptGroupMessage: async (encryptedData, userId, privateKey) => {
+  decryptGroupMessage: async (encryptedData, userId, privateKey, deviceId = null, devicePrivateKey = null) => {
     try {
-      // Extract the encrypted key for this user
-      const encryptedKey = encryptedData.recipientKeys[userId];
-      if (!encryptedKey) {
+      // The key for this device, or for the user on older messages. Devices
+      // used the user's key pair before they had their own.
+      const deviceEntry = deviceId && encryptedData.recipientKeys[encryptionService.getRecipientKeyId(userId, deviceId)];
+      const userEntry = encryptedData.recipientKeys[userId];
+      const attempts = [
+        deviceEntry && devicePrivateKey && [deviceEntry, devicePrivateKey],
+        deviceEntry && privateKey && [deviceEntry, privateKey],
+        userEntry && privateKey && [userEntry, privateKey]
+      ].filter(Boolean);
+      if (attempts.length === 0) {
         throw new Error('No encrypted key found for this user');
       }
       
       // Decrypt the message key
-      const messageKey = await encryptionService.decryptMessageKey(encryptedKey, privateKey);
+      let messageKey = null;
+      for (const [encryptedKey, key] of attempts) {
+        try {
+          messageKey = await encryptionService.decryptMessageKey(encryptedKey, key);
+          break;
+        } catch (error) {
+          // Wrapped for the other key
+        }
+      }
+      if (!messageKey) {
+        throw new Error('No key of this device can decrypt the message');
+      }
       
       // Decrypt the message
       return await encryptionService.decryptMessage(
@@ -346,6 +428,275 @@ const encryptionService = {
     }
   },
 
+  /**
+   * Get the recipientKeys entry name for a recipient
+   *
+   * @param {string} userId - Recipient user ID
+   * @param {string} deviceId - Recipient device ID (optional)
+   * @returns {string} Entry name, per device when a device ID is given
+   */
+  getRecipientKeyId: (userId, deviceId = null) => {
+    return deviceId ? `${userId}:${deviceId}` : userId;
+  },
+
+  /**
+   * Encode binary data as a base64 string
+   *
+   * @param {ArrayBuffer|Uint8Array} buffer - Data to encode
+   * @returns {string} Base64 string
+   */
+  toBase64: (buffer) => {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+      binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary);
+  },
+
+  /**
+   * Decode a base64 string into bytes
+   *
+   * @param {string} base64 - Base64 string
+   * @returns {Uint8Array} Decoded bytes
+   */
+  fromBase64: (base64) => {
+    return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+  },
+
+  /**
+   * Generate an ECDH P-256 key pair for key agreement
+   *
+   * @returns {Promise<Object>} Object with raw base64 public key and JWK private key
+   */
+  generateECDHKeyPair: async () => {
+    try {
+      const keyPair = await window.crypto.subtle.generateKey(
+        {
+          name: 'ECDH',
+          namedCurve: 'P-256'
+        },
+        true,
+        ['deriveBits']
+      );
+
+      const publicKey = await window.crypto.subtle.exportKey('raw', keyPair.publicKey);
+      const privateKey = await window.crypto.subtle.exportKey('jwk', keyPair.privateKey);
+
+      return {
+        publicKey: encryptionService.toBase64(publicKey),
+        privateKey: JSON.stringify(privateKey)
+      };
+    } catch (error) {
+      console.error('Error generating ECDH key pair:', error);
+      throw new Error('Failed to generate key agreement keys');
+    }
+  },
+
+  /**
+   * Generate an ECDSA P-256 key pair used to sign prekeys
+   *
+   * @returns {Promise<Object>} Object with raw base64 public key and JWK private key
+   */
+  generateSigningKeyPair: async () => {
+    try {
+      const keyPair = await window.crypto.subtle.generateKey(
+        {
+          name: 'ECDSA',
+          namedCurve: 'P-256'
+        },
+        true,
+        ['sign', 'verify']
+      );
+
+      const publicKey = await window.crypto.subtle.exportKey('raw', keyPair.publicKey);
+      const privateKey = await window.crypto.subtle.exportKey('jwk', keyPair.privateKey);
+
+      return {
+        publicKey: encryptionService.toBase64(publicKey),
+        privateKey: JSON.stringify(privateKey)
+      };
+    } catch (error) {
+      console.error('Error generating signing key pair:', error);
+      throw new Error('Failed to generate signing keys');
+    }
+  },
+
+  /**
+   * Sign data with an ECDSA private key
+   *
+   * @param {string} privateKeyJwk - ECDSA private key in JWK format as a string
+   * @param {Uint8Array} data - Data to sign
+   * @returns {Promise<string>} Signature as base64 string
+   */
+  sign: async (privateKeyJwk, data) => {
+    try {
+      const privateKey = await window.crypto.subtle.importKey(
+        'jwk',
+        JSON.parse(privateKeyJwk),
+        {
+          name: 'ECDSA',
+          namedCurve: 'P-256'
+        },
+        false,
+        ['sign']
+      );
+      const signature = await window.crypto.subtle.sign(
+        {
+          name: 'ECDSA',
+          hash: 'SHA-256'
+        },
+        privateKey,
+        data
+      );
+      return encryptionService.toBase64(signature);
+    } catch (error) {
+      console.error('Error signing data:', error);
+      throw new Error('Failed to sign data');
+    }
+  },
+
+  /**
+   * Verify an ECDSA signature
+   *
+   * @param {string} publicKeyBase64 - Raw ECDSA public key as base64 string
+   * @param {string} signatureBase64 - Signature as base64 string
+   * @param {Uint8Array} data - Signed data
+   * @returns {Promise<boolean>} True if the signature is valid
+   */
+  verify: async (publicKeyBase64, signatureBase64, data) => {
+    try {
+      const publicKey = await window.crypto.subtle.importKey(
+        'raw',
+        encryptionService.fromBase64(publicKeyBase64),
+        {
+          name: 'ECDSA',
+          namedCurve: 'P-256'
+        },
+        false,
+        ['verify']
+      );
+      return await window.crypto.subtle.verify(
+        {
+          name: 'ECDSA',
+          hash: 'SHA-256'
+        },
+        publicKey,
+        encryptionService.fromBase64(signatureBase64),
+        data
+      );
+    } catch (error) {
+      console.error('Error verifying signature:', error);
+      return false;
+    }
+  },
+
+  /**
+   * Compute an ECDH shared secret
+   *
+   * @param {string} privateKeyJwk - Own ECDH private key in JWK format as a string
+   * @param {string} publicKeyBase64 - Peer's raw ECDH public key as base64 string
+   * @returns {Promise<Uint8Array>} 32-byte shared secret
+   */
+  deriveSharedSecret: async (privateKeyJwk, publicKeyBase64) => {
+    try {
+      const privateKey = await window.crypto.subtle.importKey(
+        'jwk',
+        JSON.parse(privateKeyJwk),
+        {
+          name: 'ECDH',
+          namedCurve: 'P-256'
+        },
+        false,
+        ['deriveBits']
+      );
+      const publicKey = await window.crypto.subtle.importKey(
+        'raw',
+        encryptionService.fromBase64(publicKeyBase64),
+        {
+          name: 'ECDH',
+          namedCurve: 'P-256'
+        },
+        false,
+        []
+      );
+      const bits = await window.crypto.subtle.deriveBits(
+        {
+          name: 'ECDH',
+          public: publicKey
+        },
+        privateKey,
+        256
+      );
+      return new Uint8Array(bits);
+    } catch (error) {
+      console.error('Error deriving shared secret:', error);
+      throw new Error('Failed to derive shared secret');
+    }
+  },
+
+  /**
+   * Derive key material with HKDF-SHA256
+   *
+   * @param {Uint8Array} inputKeyMaterial - Input key material
+   * @param {Uint8Array} salt - Salt
+   * @param {string} info - Context string
+   * @param {number} length - Number of bytes to derive
+   * @returns {Promise<Uint8Array>} Derived bytes
+   */
+  hkdf: async (inputKeyMaterial, salt, info, length = 32) => {
+    try {
+      const baseKey = await window.crypto.subtle.importKey(
+        'raw',
+        inputKeyMaterial,
+        'HKDF',
+        false,
+        ['deriveBits']
+      );
+      const bits = await window.crypto.subtle.deriveBits(
+        {
+          name: 'HKDF',
+          hash: 'SHA-256',
+          salt,
+          info: new TextEncoder().encode(info)
+        },
+        baseKey,
+        length * 8
+      );
+      return new Uint8Array(bits);
+    } catch (error) {
+      console.error('Error deriving HKDF key material:', error);
+      throw new Error('Failed to derive key material');
+    }
+  },
+
+  /**
+   * Compute HMAC-SHA256
+   *
+   * @param {Uint8Array} keyBytes - HMAC key
+   * @param {Uint8Array} data - Data to authenticate
+   * @returns {Promise<Uint8Array>} 32-byte MAC
+   */
+  hmac: async (keyBytes, data) => {
+    try {
+      const key = await window.crypto.subtle.importKey(
+        'raw',
+        keyBytes,
+        {
+          name: 'HMAC',
+          hash: 'SHA-256'
+        },
+        false,
+        ['sign']
+      );
+      const mac = await window.crypto.subtle.sign('HMAC', key, data);
+      return new Uint8Array(mac);
+    } catch (error) {
+      console.error('Error computing HMAC:', error);
+      throw new Error('Failed to compute HMAC');
+    }
+  },
+
   /**
    * Fallback encryption using CryptoJS (for browsers without Web Crypto API)
    * 
@@ -379,6 +730,83 @@ const encryptionService = {
     }
   },
 
+  /**
+   * Derive an AES-GCM key from a passphrase with PBKDF2
+   * 
+   * @param {string} passphrase - Passphrase
+   * @param {Uint8Array} salt - Random salt
+   * @param {number} iterations - PBKDF2 iterations
+   * @param {Array<string>} usages - Key usages
+   * @returns {Promise<CryptoKey>} Derived non-extractable key
+   */
+  deriveKeyFromPassphrase: async (passphrase, salt, iterations = PASSPHRASE_ITERATIONS, usages = ['encrypt', 'decrypt']) => {
+    try {
+      const baseKey = await window.crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(passphrase),
+        'PBKDF2',
+        false,
+        ['deriveKey']
+      );
+      
+      return await window.crypto.subtle.deriveKey(
+        {
+          name: 'PBKDF2',
+          salt,
+          iterations,
+          hash: 'SHA-256'
+        },
+        baseKey,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        usages
+      );
+    } catch (error) {
+      console.error('Error deriving key from passphrase:', error);
+      throw new Error('Failed to derive key from passphrase');
+    }
+  },
+
+  /**
+   * Encrypt data with a passphrase (PBKDF2 + AES-GCM)
+   * 
+   * Web Crypto counterpart of encryptWithPassword for data that has to
+   * withstand offline guessing, such as key backups.
+   * 
+   * @param {string} message - Message to encrypt
+   * @param {string} passphrase - Passphrase
+   * @returns {Promise<Object>} Salt, iterations, IV and ciphertext as base64 strings
+   */
+  encryptWithPassphrase: async (message, passphrase) => {
+    const salt = window.crypto.getRandomValues(new Uint8Array(16));
+    const key = await encryptionService.deriveKeyFromPassphrase(passphrase, salt);
+    const { encryptedMessage, iv } = await encryptionService.encryptMessage(message, key);
+    
+    return {
+      salt: encryptionService.toBase64(salt),
+      iterations: PASSPHRASE_ITERATIONS,
+      iv,
+      ciphertext: encryptedMessage
+    };
+  },
+
+  /**
+   * Decrypt data encrypted with encryptWithPassphrase
+   * 
+   * @param {Object} encryptedData - Salt, iterations, IV and ciphertext
+   * @param {string} passphrase - Passphrase
+   * @returns {Promise<string>} Decrypted message
+   */
+  decryptWithPassphrase: async (encryptedData, passphrase) => {
+    const key = await encryptionService.deriveKeyFromPassphrase(
+      passphrase,
+      encryptionService.fromBase64(encryptedData.salt),
+      encryptedData.iterations
+    );
+    
+    return encryptionService.decryptMessage(encryptedData.ciphertext, encryptedData.iv, key);
+  },
+
   /**
    * Check if the Web Crypto API is available
    * 
@@ -0,0 +1,224 @@
+import axios from 'axios';
+
+// API base URL
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+
+// Create axios instance with default config
+const api = axios.create({
+  baseURL: API_URL,
+  headers: {
+    'Content-Type': 'application/json'
+  }
+});
+
+// Add request interceptor to include auth token
+api.interceptors.request.use(
+  (config) => {
+    const tokens = localStorage.getItem('tokens');
+    if (tokens) {
+      const { accessToken } = JSON.parse(tokens);
+      if (accessToken) {
+        config.headers.Authorization = `Bearer ${accessToken}`;
+      }
+    }
+    return config;
+  },
+  (error) => Promise.reject(error)
+);
+
+const ROLES = {
+  ADMIN: 'admin',
+  MEMBER: 'member'
+};
+
+const getCurrentUserId = () => {
+  const user = JSON.parse(localStorage.getItem('user') || '{}');
+  return user.id;
+};
+
+/**
+ * Group Service
+ *
+ * Creates and manages group conversations. Messages are encrypted for the
+ * member list the server reports at send time, together with its key epoch;
+ * every membership change starts a new epoch, so the server can turn away
+ * messages that were encrypted for a member list that is no longer current.
+ */
+const groupService = {
+  ROLES,
+
+  /**
+   * Create a group conversation
+   * @param {string} name - Group name
+   * @param {Array<string>} memberIds - User IDs to add besides the creator
+   * @returns {Promise<Object>} Response with the new conversation
+   */
+  createGroup: async (name, memberIds) => {
+    try {
+      const response = await api.post('/conversations', {
+        type: 'group',
+        name: name.trim(),
+        memberIds
+      });
+      return { success: true, data: response.data };
+    } catch (error) {
+      console.error('Create group error:', error);
+      return {
+        success: false,
+        error: error.response?.data?.error?.message || 'Failed to create group'
+      };
+    }
+  },
+
+  /**
+   * Rename a group
+   * @param {string} conversationId - Conversation ID
+   * @param {string} name - New name
+   * @returns {Promise<Object>} Response with the updated conversation
+   */
+  renameGroup: async (conversationId, name) => {
+    try {
+      const response = await api.put(`/conversations/${conversationId}`, { name: name.trim() });
+      return { success: true, data: response.data };
+    } catch (error) {
+      console.error('Rename group error:', error);
+      return {
+        success: false,
+        error: error.response?.data?.error?.message || 'Failed to rename group'
+      };
+    }
+  },
+
+  /**
+   * Upload a new group avatar
+   * @param {string} conversationId - Conversation ID
+   * @param {File} file - Image file
+   * @returns {Promise<Object>} Response with the avatar URL
+   */
+  updateAvatar: async (conversationId, file) => {
+    if (!file.type?.startsWith('image/')) {
+      return { success: false, error: 'The avatar must be an image' };
+    }
+
+    try {
+      const formData = new FormData();
+      formData.append('avatar', file);
+
+      const response = await api.post(`/conversations/${conversationId}/avatar`, formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data'
+        }
+      });
+      return { success: true, data: { avatar: response.data.avatar || response.data.avatarUrl } };
+    } catch (error) {
+      console.error('Update group avatar error:', error);
+      return {
+        success: false,
+        error: error.response?.data?.error?.message || 'Failed to update group avatar'
+      };
+    }
+  },
+
+  /**
+   * Add members to a group
+   * @param {string} conversationId - Conversation ID
+   * @param {Array<string>} userIds - User IDs to add
+   * @returns {Promise<Object>} Response with the members and the new key epoch
+   */
+  addMembers: async (conversationId, userIds) => {
+    try {
+      const response = await api.post(`/conversations/${conversationId}/members`, { userIds });
+      return { success: true, data: response.data };
+    } catch (error) {
+      console.error('Add group members error:', error);
+      return {
+        success: false,
+        error: error.response?.data?.error?.message || 'Failed to add members'
+      };
+    }
+  },
+
+  /**
+   * Remove a member from a group
+   * @param {string} conversationId - Conversation ID
+   * @param {string} userId - User ID to remove
+   * @returns {Promise<Object>} Response with the members and the new key epoch
+   */
+  removeMember: async (conversationId, userId) => {
+    try {
+      const response = await api.delete(`/conversations/${conversationId}/members/${userId}`);
+      return { success: true, data: response.data };
+    } catch (error) {
+      console.error('Remove group member error:', error);
+      return {
+        success: false,
+        error: error.response?.data?.error?.message || 'Failed to remove member'
+      };
+    }
+  },
+
+  /**
+   * Make a member an admin, or an admin a regular member
+   * @param {string} conversationId - Conversation ID
+   * @param {string} userId - User ID
+   * @param {string} role - One of ROLES
+   * @returns {Promise<Object>} Response with the members
+   */
+  setMemberRole: async (conversationId, userId, role) => {
+    if (!Object.values(ROLES).includes(role)) {
+      return { success: false, error: 'Invalid role' };
+    }
+
+    try {
+      const response = await api.put(`/conversations/${conversationId}/members/${userId}`, { role });
+      return { success: true, data: response.data };
+    } catch (error) {
+      console.error('Set member role error:', error);
+      return {
+        success: false,
+        error: error.response?.data?.error?.message || 'Failed to change member role'
+      };
+    }
+  },
+
+  /**
+   * Leave a group
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<Object>} Result of leaving
+   */
+  leaveGroup: async (conversationId) => {
+    try {
+      await api.post(`/conversations/${conversationId}/leave`);
+      return { success: true };
+    } catch (error) {
+      console.error('Leave group error:', error);
+      return {
+        success: false,
+        error: error.response?.data?.error?.message || 'Failed to leave group'
+      };
+    }
+  },
+
+  /**
+   * Check if a user administers a group
+   * @param {Array<Object>} members - Group members
+   * @param {string} userId - User ID (defaults to the current user)
+   * @returns {boolean} True if the user is an admin
+   */
+  isAdmin: (members, userId = getCurrentUserId()) => {
+    return members.some(member => member.userId === userId && member.role === ROLES.ADMIN);
+  },
+
+  /**
+   * Check if removing or demoting a member would leave the group without an admin
+   * @param {Array<Object>} members - Group members
+   * @param {string} userId - Member that would lose admin rights
+   * @returns {boolean} True if they are the only admin
+   */
+  isLastAdmin: (members, userId) => {
+    const admins = members.filter(member => member.role === ROLES.ADMIN);
+    return admins.length === 1 && admins[0].userId === userId;
+  }
+};
+
+export default groupService;
@@ -0,0 +1,704 @@
+import encryptionService from './encryptionService';
+import { isIndexedDbSupported, openDatabase, runTransaction } from '../utils/indexedDbUtils';
+
+// IndexedDB layout, with every record ID prefixed by the user it belongs to
+const DB_NAME = 'swickr-key-vault';
+const DB_VERSION = 1;
+const STORE_NAME = 'vault';
+const META_ID = 'meta';
+const USER_KEYS_ID = 'userKeys';
+const DEVICE_KEYS_ID = 'deviceKeys';
+const DATA_KEY_ID = 'dataKey';
+const RECORD_IDS = [META_ID, USER_KEYS_ID, DEVICE_KEYS_ID, DATA_KEY_ID];
+
+// Where keys lived before the vault existed
+const LEGACY_STORAGE_KEY = 'userKeys';
+const SETTINGS_STORAGE_KEY = 'keyVaultSettings';
+
+const PBKDF2_ITERATIONS = 600000;
+const MIN_PASSPHRASE_LENGTH = 8;
+const DEFAULT_AUTO_LOCK_MINUTES = 15;
+const VERIFIER_TEXT = 'swickr-key-vault';
+
+const RSA_ALGORITHM = {
+  name: 'RSA-OAEP',
+  hash: 'SHA-256'
+};
+
+// Unlocked state only ever lives in memory
+let wrappingKey = null;
+let unlockedUserId = null;
+let unlockedKeys = null;
+let unlockedDeviceKeys = null;
+let dataKeyPromise = null;
+let autoLockTimer = null;
+let pendingUnlock = null;
+let dbPromise = null;
+const migrations = new Map();
+const listeners = new Set();
+
+const getCurrentUserId = () => {
+  const user = JSON.parse(localStorage.getItem('user') || '{}');
+  return user.id;
+};
+
+const getDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = openDatabase(DB_NAME, DB_VERSION, (db) => {
+      db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+    });
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+};
+
+/**
+ * Give a vault created before records were kept per user to the first user
+ * who opens the vault without having one of their own
+ */
+const migrateLegacyRecords = async (db, userId) => {
+  const legacyRecords = (await runTransaction(db, STORE_NAME, 'readonly', store => store.getAll()))
+    .filter(record => RECORD_IDS.includes(record.id));
+  if (!legacyRecords.some(record => record.id === META_ID)) {
+    return;
+  }
+
+  const existing = await runTransaction(db, STORE_NAME, 'readonly', store => store.get(`${userId}:${META_ID}`));
+  if (existing) {
+    return;
+  }
+
+  await runTransaction(db, STORE_NAME, 'readwrite', store => {
+    legacyRecords.forEach(record => {
+      store.put({ ...record, id: `${userId}:${record.id}` });
+      store.delete(record.id);
+    });
+  });
+};
+
+/**
+ * Open the vault of the logged in user, so accounts sharing a browser never
+ * see each other's keys
+ */
+const getUserVault = async () => {
+  const userId = getCurrentUserId();
+  if (!userId) {
+    throw new Error('No user is logged in');
+  }
+
+  const db = await getDatabase();
+  if (!migrations.has(userId)) {
+    const migration = migrateLegacyRecords(db, userId);
+    migrations.set(userId, migration);
+    migration.catch(() => migrations.delete(userId));
+  }
+  await migrations.get(userId);
+
+  return { db, userId };
+};
+
+const readRecord = async (id) => {
+  const { db, userId } = await getUserVault();
+  const record = await runTransaction(db, STORE_NAME, 'readonly', store => store.get(`${userId}:${id}`));
+  return record && { ...record, id };
+};
+
+const writeRecord = async (record) => {
+  const { db, userId } = await getUserVault();
+  return runTransaction(db, STORE_NAME, 'readwrite', store => store.put({ ...record, id: `${userId}:${record.id}` }));
+};
+
+// Keys unlocked by one user are never handed to the next one to log in
+const lockIfUserChanged = () => {
+  if (wrappingKey && unlockedUserId !== getCurrentUserId()) {
+    keyVaultService.lock();
+  }
+};
+
+const readSettings = () => {
+  try {
+    return {
+      autoLockMinutes: DEFAULT_AUTO_LOCK_MINUTES,
+      ...JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY) || '{}')
+    };
+  } catch (error) {
+    return { autoLockMinutes: DEFAULT_AUTO_LOCK_MINUTES };
+  }
+};
+
+const notifyListeners = () => {
+  const state = keyVaultService.getState();
+  listeners.forEach(listener => {
+    try {
+      listener(state);
+    } catch (error) {
+      console.error('Error in key vault listener:', error);
+    }
+  });
+};
+
+/**
+ * Derive the AES-GCM key that wraps everything in the vault
+ */
+const deriveWrappingKey = (passphrase, salt, iterations) => {
+  return encryptionService.deriveKeyFromPassphrase(
+    passphrase,
+    salt,
+    iterations,
+    ['encrypt', 'decrypt', 'wrapKey', 'unwrapKey']
+  );
+};
+
+const wrapPrivateKey = async (privateKeyJwk, key) => {
+  // Imported as extractable only long enough to be wrapped
+  const privateKey = await window.crypto.subtle.importKey(
+    'jwk',
+    JSON.parse(privateKeyJwk),
+    RSA_ALGORITHM,
+    true,
+    ['decrypt']
+  );
+  const iv = window.crypto.getRandomValues(new Uint8Array(12));
+  const wrapped = await window.crypto.subtle.wrapKey('jwk', privateKey, key, { name: 'AES-GCM', iv });
+
+  return {
+    iv: encryptionService.toBase64(iv),
+    data: encryptionService.toBase64(wrapped)
+  };
+};
+
+const unwrapPrivateKey = async (wrappedKey, key, extractable = false) => {
+  return window.crypto.subtle.unwrapKey(
+    'jwk',
+    encryptionService.fromBase64(wrappedKey.data),
+    key,
+    { name: 'AES-GCM', iv: encryptionService.fromBase64(wrappedKey.iv) },
+    RSA_ALGORITHM,
+    extractable,
+    ['decrypt']
+  );
+};
+
+const loadKeyPair = async (id) => {
+  const record = await readRecord(id);
+  return record
+    ? {
+        publicKey: record.publicKey,
+        privateKey: await unwrapPrivateKey(record.wrappedPrivateKey, wrappingKey)
+      }
+    : null;
+};
+
+const loadKeys = async () => {
+  unlockedKeys = await loadKeyPair(USER_KEYS_ID);
+  unlockedDeviceKeys = await loadKeyPair(DEVICE_KEYS_ID);
+};
+
+/**
+ * Move a key pair left in localStorage by older versions into the vault
+ */
+const migrateLegacyKeys = async () => {
+  const legacyKeys = JSON.parse(localStorage.getItem(LEGACY_STORAGE_KEY) || 'null');
+  if (!legacyKeys?.privateKey || !legacyKeys?.publicKey) {
+    return;
+  }
+
+  const existing = await readRecord(USER_KEYS_ID);
+  if (existing && existing.publicKey !== legacyKeys.publicKey) {
+    console.warn('Key vault already holds a different key pair, leaving legacy keys in place');
+    return;
+  }
+
+  if (!existing) {
+    await keyVaultService.storeKeyPair(legacyKeys);
+  }
+  localStorage.removeItem(LEGACY_STORAGE_KEY);
+};
+
+const scheduleAutoLock = () => {
+  if (autoLockTimer) {
+    clearTimeout(autoLockTimer);
+    autoLockTimer = null;
+  }
+
+  const { autoLockMinutes } = readSettings();
+  if (wrappingKey && autoLockMinutes > 0) {
+    autoLockTimer = setTimeout(() => keyVaultService.lock(), autoLockMinutes * 60 * 1000);
+  }
+};
+
+/**
+ * Get the vault key for data other services seal with it, asking the user to
+ * unlock first if allowed
+ */
+const getUnlockedKey = async (prompt) => {
+  lockIfUserChanged();
+  if (!wrappingKey) {
+    if (!prompt) {
+      throw new Error('Key vault is locked');
+    }
+    await keyVaultService.requestUnlock();
+  }
+
+  scheduleAutoLock();
+  return wrappingKey;
+};
+
+/**
+ * Load the key that encrypts local data such as the message cache, creating
+ * it on first use. It is stored wrapped and only unwrapped as non-extractable.
+ */
+const loadDataKey = async (key) => {
+  let record = await readRecord(DATA_KEY_ID);
+  if (!record) {
+    const dataKey = await window.crypto.subtle.generateKey(
+      { name: 'AES-GCM', length: 256 },
+      true,
+      ['encrypt', 'decrypt']
+    );
+    const iv = window.crypto.getRandomValues(new Uint8Array(12));
+    const wrapped = await window.crypto.subtle.wrapKey('raw', dataKey, key, { name: 'AES-GCM', iv });
+    record = {
+      id: DATA_KEY_ID,
+      wrappedKey: {
+        iv: encryptionService.toBase64(iv),
+        data: encryptionService.toBase64(wrapped)
+      },
+      createdAt: Date.now()
+    };
+    await writeRecord(record);
+  }
+
+  return window.crypto.subtle.unwrapKey(
+    'raw',
+    encryptionService.fromBase64(record.wrappedKey.data),
+    key,
+    { name: 'AES-GCM', iv: encryptionService.fromBase64(record.wrappedKey.iv) },
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+const completeUnlock = async (key) => {
+  wrappingKey = key;
+  unlockedUserId = getCurrentUserId();
+  await migrateLegacyKeys();
+  await loadKeys();
+  scheduleAutoLock();
+
+  if (pendingUnlock) {
+    pendingUnlock.resolve();
+    pendingUnlock = null;
+  }
+  notifyListeners();
+};
+
+/**
+ * Key Vault Service
+ *
+ * Keeps the user's private key in IndexedDB, wrapped with a key derived
+ * from their passphrase. Each user on the browser has a vault of their own. Once unlocked the key is only available as a
+ * non-extractable CryptoKey held in memory until the vault locks again.
+ * Other services seal the secrets they keep at rest, such as session keys,
+ * with the same passphrase-derived key.
+ */
+const keyVaultService = {
+  MIN_PASSPHRASE_LENGTH,
+
+  /**
+   * Check if the browser can host the vault
+   * @returns {boolean} Whether IndexedDB and Web Crypto are available
+   */
+  isSupported: () => {
+    return isIndexedDbSupported() && encryptionService.isWebCryptoAvailable();
+  },
+
+  /**
+   * Check if a passphrase has been set up
+   * @returns {Promise<boolean>} Whether the vault exists
+   */
+  isInitialized: async () => {
+    return !!(await readRecord(META_ID));
+  },
+
+  /**
+   * Check if the vault is currently unlocked
+   * @returns {boolean} Whether keys are available in memory
+   */
+  isUnlocked: () => {
+    lockIfUserChanged();
+    return !!wrappingKey;
+  },
+
+  /**
+   * Check if keys from before the vault are still in localStorage
+   * @returns {boolean} Whether a migration is pending
+   */
+  hasLegacyKeys: () => {
+    return !!localStorage.getItem(LEGACY_STORAGE_KEY);
+  },
+
+  /**
+   * Get the current vault state for listeners
+   * @returns {Object} Vault state
+   */
+  getState: () => {
+    return {
+      unlocked: !!wrappingKey,
+      unlockRequested: !!pendingUnlock
+    };
+  },
+
+  /**
+   * Create the vault with a new passphrase and migrate any legacy keys
+   * @param {string} passphrase - User passphrase
+   * @returns {Promise<void>}
+   */
+  setup: async (passphrase) => {
+    if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+    }
+
+    if (await keyVaultService.isInitialized()) {
+      throw new Error('Key vault is already set up');
+    }
+
+    const salt = window.crypto.getRandomValues(new Uint8Array(16));
+    const key = await deriveWrappingKey(passphrase, salt, PBKDF2_ITERATIONS);
+
+    // Encrypted known text lets unlock tell a wrong passphrase apart
+    const iv = window.crypto.getRandomValues(new Uint8Array(12));
+    const verifier = await window.crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      key,
+      new TextEncoder().encode(VERIFIER_TEXT)
+    );
+
+    await writeRecord({
+      id: META_ID,
+      salt: encryptionService.toBase64(salt),
+      iterations: PBKDF2_ITERATIONS,
+      verifier: {
+        iv: encryptionService.toBase64(iv),
+        data: encryptionService.toBase64(verifier)
+      },
+      createdAt: Date.now()
+    });
+
+    await completeUnlock(key);
+  },
+
+  /**
+   * Unlock the vault with the user's passphrase
+   * @param {string} passphrase - User passphrase
+   * @returns {Promise<void>}
+   */
+  unlock: async (passphrase) => {
+    const meta = await readRecord(META_ID);
+    if (!meta) {
+      throw new Error('Key vault has not been set up');
+    }
+
+    const key = await deriveWrappingKey(
+      passphrase || '',
+      encryptionService.fromBase64(meta.salt),
+      meta.iterations
+    );
+
+    try {
+      await window.crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: encryptionService.fromBase64(meta.verifier.iv) },
+        key,
+        encryptionService.fromBase64(meta.verifier.data)
+      );
+    } catch (error) {
+      throw new Error('Incorrect passphrase');
+    }
+
+    await completeUnlock(key);
+  },
+
+  /**
+   * Lock the vault, dropping all key material from memory
+   */
+  lock: () => {
+    if (autoLockTimer) {
+      clearTimeout(autoLockTimer);
+      autoLockTimer = null;
+    }
+
+    const wasUnlocked = !!wrappingKey;
+    wrappingKey = null;
+    unlockedUserId = null;
+    unlockedKeys = null;
+    unlockedDeviceKeys = null;
+    dataKeyPromise = null;
+
+    if (wasUnlocked) {
+      notifyListeners();
+    }
+  },
+
+  /**
+   * Ask the user to unlock (or set up) the vault
+   *
+   * Concurrent callers share one prompt; the promise rejects if the
+   * user dismisses it.
+   *
+   * @returns {Promise<void>} Resolves once the vault is unlocked
+   */
+  requestUnlock: () => {
+    lockIfUserChanged();
+    if (wrappingKey) {
+      return Promise.resolve();
+    }
+
+    if (!pendingUnlock) {
+      let settle;
+      const promise = new Promise((resolve, reject) => {
+        settle = { resolve, reject };
+      });
+      pendingUnlock = { promise, ...settle };
+      notifyListeners();
+    }
+
+    return pendingUnlock.promise;
+  },
+
+  /**
+   * Dismiss a pending unlock request
+   */
+  cancelUnlock: () => {
+    if (pendingUnlock) {
+      pendingUnlock.reject(new Error('Key vault is locked'));
+      pendingUnlock = null;
+      notifyListeners();
+    }
+  },
+
+  /**
+   * Store the user's key pair in the vault
+   * @param {Object} keyPair - Key pair with JWK string public and private keys
+   * @returns {Promise<void>}
+   */
+  storeKeyPair: async ({ publicKey, privateKey }) => {
+    lockIfUserChanged();
+    if (!wrappingKey) {
+      throw new Error('Key vault is locked');
+    }
+
+    await writeRecord({
+      id: USER_KEYS_ID,
+      publicKey,
+      wrappedPrivateKey: await wrapPrivateKey(privateKey, wrappingKey),
+      createdAt: Date.now()
+    });
+
+    await loadKeys();
+    notifyListeners();
+  },
+
+  /**
+   * Get the user's key pair, prompting for the passphrase if needed
+   * @param {Object} options - Options
+   * @param {boolean} options.prompt - Ask the user to unlock when locked
+   * @returns {Promise<Object|null>} Public key JWK string and private CryptoKey
+   */
+  getKeyPair: async ({ prompt = true } = {}) => {
+    lockIfUserChanged();
+    if (!wrappingKey) {
+      if (!prompt) {
+        return null;
+      }
+
+      // Nothing to unlock for users who never had keys
+      if (!keyVaultService.hasLegacyKeys() && !(await keyVaultService.isInitialized())) {
+        return null;
+      }
+
+      await keyVaultService.requestUnlock();
+    }
+
+    scheduleAutoLock();
+    return unlockedKeys;
+  },
+
+  /**
+   * Store this device's own key pair in the vault. Unlike the user's key
+   * pair it never leaves the device, not even in backups.
+   * @param {Object} keyPair - Key pair with JWK string public and private keys
+   * @returns {Promise<void>}
+   */
+  storeDeviceKeyPair: async ({ publicKey, privateKey }) => {
+    lockIfUserChanged();
+    if (!wrappingKey) {
+      throw new Error('Key vault is locked');
+    }
+
+    await writeRecord({
+      id: DEVICE_KEYS_ID,
+      publicKey,
+      wrappedPrivateKey: await wrapPrivateKey(privateKey, wrappingKey),
+      createdAt: Date.now()
+    });
+
+    await loadKeys();
+  },
+
+  /**
+   * Get this device's key pair, prompting for the passphrase if needed
+   * @param {Object} options - Options
+   * @param {boolean} options.prompt - Ask the user to unlock when locked
+   * @returns {Promise<Object|null>} Public key JWK string and private CryptoKey, or null if there is none yet
+   */
+  getDeviceKeyPair: async ({ prompt = true } = {}) => {
+    lockIfUserChanged();
+    if (!wrappingKey) {
+      if (!prompt || !(await keyVaultService.getDevicePublicKey())) {
+        return null;
+      }
+
+      await keyVaultService.requestUnlock();
+    }
+
+    scheduleAutoLock();
+    return unlockedDeviceKeys;
+  },
+
+  /**
+   * Get this device's public key without unlocking the vault
+   * @returns {Promise<string|null>} Public key JWK string
+   */
+  getDevicePublicKey: async () => {
+    const record = await readRecord(DEVICE_KEYS_ID);
+    return record ? record.publicKey : null;
+  },
+
+  /**
+   * Export the stored key pair as JWK strings, for key backups only
+   * @returns {Promise<Object|null>} Public and private keys as JWK strings
+   */
+  exportKeyPair: async () => {
+    await keyVaultService.requestUnlock();
+
+    const record = await readRecord(USER_KEYS_ID);
+    if (!record) {
+      return null;
+    }
+
+    scheduleAutoLock();
+    const privateKey = await unwrapPrivateKey(record.wrappedPrivateKey, wrappingKey, true);
+    return {
+      publicKey: record.publicKey,
+      privateKey: JSON.stringify(await window.crypto.subtle.exportKey('jwk', privateKey))
+    };
+  },
+
+  /**
+   * Encrypt a value with the vault key, for secrets other services keep at rest
+   * @param {*} value - JSON-serializable value
+   * @param {Object} options - Options
+   * @param {boolean} options.prompt - Ask the user to unlock when locked
+   * @returns {Promise<Object>} Sealed value as base64 { iv, data }
+   */
+  seal: async (value, { prompt = true } = {}) => {
+    const key = await getUnlockedKey(prompt);
+    const iv = window.crypto.getRandomValues(new Uint8Array(12));
+    const data = await window.crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      key,
+      new TextEncoder().encode(JSON.stringify(value))
+    );
+
+    return {
+      iv: encryptionService.toBase64(iv),
+      data: encryptionService.toBase64(data)
+    };
+  },
+
+  /**
+   * Decrypt a value sealed with the vault key
+   * @param {Object} sealed - Sealed value from seal
+   * @param {Object} options - Options
+   * @param {boolean} options.prompt - Ask the user to unlock when locked
+   * @returns {Promise<*>} The original value
+   */
+  open: async (sealed, { prompt = true } = {}) => {
+    const key = await getUnlockedKey(prompt);
+    const data = await window.crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: encryptionService.fromBase64(sealed.iv) },
+      key,
+      encryptionService.fromBase64(sealed.data)
+    );
+
+    return JSON.parse(new TextDecoder().decode(data));
+  },
+
+  /**
+   * Get the AES-GCM key that local data at rest, such as the message cache
+   * and outbox, is encrypted with. It is only available while the vault is
+   * unlocked, so that data can't be read while it is locked.
+   * @param {Object} options - Options
+   * @param {boolean} options.prompt - Ask the user to unlock when locked
+   * @returns {Promise<CryptoKey>} Non-extractable AES-GCM key
+   */
+  getDataKey: async ({ prompt = true } = {}) => {
+    const key = await getUnlockedKey(prompt);
+    if (!dataKeyPromise) {
+      dataKeyPromise = loadDataKey(key);
+      dataKeyPromise.catch(() => {
+        dataKeyPromise = null;
+      });
+    }
+    return dataKeyPromise;
+  },
+
+  /**
+   * Get the user's public key without unlocking the vault
+   * @returns {Promise<string|null>} Public key JWK string
+   */
+  getPublicKey: async () => {
+    const record = await readRecord(USER_KEYS_ID);
+    if (record) {
+      return record.publicKey;
+    }
+
+    const legacyKeys = JSON.parse(localStorage.getItem(LEGACY_STORAGE_KEY) || 'null');
+    return legacyKeys?.publicKey || null;
+  },
+
+  /**
+   * Get the auto-lock timeout
+   * @returns {number} Minutes of inactivity before locking (0 = never)
+   */
+  getAutoLockTimeout: () => {
+    return readSettings().autoLockMinutes;
+  },
+
+  /**
+   * Set the auto-lock timeout
+   * @param {number} minutes - Minutes of inactivity before locking (0 = never)
+   */
+  setAutoLockTimeout: (minutes) => {
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify({
+      ...readSettings(),
+      autoLockMinutes: Math.max(0, Number(minutes) || 0)
+    }));
+    scheduleAutoLock();
+  },
+
+  /**
+   * Subscribe to lock state changes
+   * @param {Function} listener - Called with the vault state
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe: (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+};
+
+export default keyVaultService;
@@ -0,0 +1,198 @@
+import axios from 'axios';
+import { LINK_PREVIEW_PROXY_URL as PROXY_URL } from '../config';
+import { extractLinks, isSafeUrl } from '../utils/markdownUtils';
+
+// Local storage key for conversations with link previews turned off
+const SETTINGS_STORAGE_KEY = 'linkPreviewsDisabled';
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 300;
+const MAX_SITE_NAME_LENGTH = 100;
+// Images are sent inline with the message, so they have to stay small
+const MAX_IMAGE_BYTES = 100 * 1024;
+const IMAGE_DATA_URL_PATTERN = /^data:image\/(png|jpeg|gif|webp);base64,[A-Za-z0-9+/]+=*$/;
+
+// No auth interceptor: the proxy is not our server and doesn't need to know who asks
+const api = axios.create({
+  baseURL: PROXY_URL || undefined,
+  timeout: 8000
+});
+
+// Previews already fetched, by URL, so editing a message doesn't fetch again
+const previewCache = new Map();
+const listeners = new Set();
+
+const readDisabled = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY) || '[]');
+  } catch (error) {
+    console.error('Failed to read link preview settings:', error);
+    return [];
+  }
+};
+
+const writeDisabled = (conversationIds) => {
+  localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(conversationIds));
+  listeners.forEach(listener => listener(conversationIds));
+};
+
+const truncate = (value, maxLength) => {
+  if (typeof value !== 'string') return null;
+
+  const text = value.replace(/\s+/g, ' ').trim();
+  if (!text) return null;
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+};
+
+const isWebUrl = (url) => isSafeUrl(url) && /^https?:/i.test(url);
+
+/**
+ * Read an image fetched through the proxy into a data URL
+ */
+const readImage = (blob) => {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+};
+
+/**
+ * Link Preview Service
+ *
+ * The sender's client fetches a link's title, description and image through
+ * the preview proxy and sends them inside the encrypted message, so
+ * recipients never request the URL and the server never learns it.
+ */
+const linkPreviewService = {
+  /**
+   * Check whether previews can be generated at all
+   * @returns {boolean} Whether a preview proxy is configured
+   */
+  isAvailable: () => Boolean(PROXY_URL),
+
+  /**
+   * Check whether link previews are turned on for a conversation
+   * @param {string} conversationId - Conversation ID
+   * @returns {boolean} Whether previews are shown and generated
+   */
+  isEnabled: (conversationId) => {
+    return !readDisabled().includes(conversationId);
+  },
+
+  /**
+   * Turn link previews on or off for a conversation
+   * @param {string} conversationId - Conversation ID
+   * @param {boolean} enabled - Whether previews are shown and generated
+   */
+  setEnabled: (conversationId, enabled) => {
+    const disabled = readDisabled().filter(id => id !== conversationId);
+    writeDisabled(enabled ? disabled : [...disabled, conversationId]);
+  },
+
+  /**
+   * Get the URL a message would be previewed with
+   * @param {string} content - Message text
+   * @returns {string|null} The first web link outside code, or null
+   */
+  getPreviewUrl: (content) => {
+    return extractLinks(content).find(isWebUrl) || null;
+  },
+
+  /**
+   * Keep only well-formed preview fields; previews come from other people's
+   * clients, so they are checked again when received
+   * @param {Object} preview - Preview as fetched or received
+   * @returns {Object|null} { url, title, description, siteName, image }, or null if there is nothing to show
+   */
+  sanitizePreview: (preview) => {
+    if (!preview || typeof preview !== 'object' || !isWebUrl(preview.url)) {
+      return null;
+    }
+
+    const image = typeof preview.image === 'string' &&
+      preview.image.length <= MAX_IMAGE_BYTES * 1.4 &&
+      IMAGE_DATA_URL_PATTERN.test(preview.image)
+      ? preview.image
+      : null;
+    const sanitized = {
+      url: preview.url,
+      title: truncate(preview.title, MAX_TITLE_LENGTH),
+      description: truncate(preview.description, MAX_DESCRIPTION_LENGTH),
+      siteName: truncate(preview.siteName, MAX_SITE_NAME_LENGTH),
+      image
+    };
+
+    return sanitized.title || sanitized.description || sanitized.image ? sanitized : null;
+  },
+
+  /**
+   * Fetch the preview of a link through the proxy
+   *
+   * The image is fetched through the proxy too and embedded, so it can be
+   * shown without anyone requesting it again.
+   *
+   * @param {string} url - Link to preview
+   * @returns {Promise<Object>} Response with the sanitized preview
+   */
+  fetchPreview: async (url) => {
+    if (!PROXY_URL) {
+      return { success: false, error: 'Link previews are not configured' };
+    }
+    if (!isWebUrl(url)) {
+      return { success: false, error: 'Only web links can be previewed' };
+    }
+    if (previewCache.has(url)) {
+      return { success: true, data: previewCache.get(url) };
+    }
+
+    try {
+      const response = await api.get('/preview', { params: { url } });
+      const metadata = response.data || {};
+
+      let image = null;
+      if (isWebUrl(metadata.image)) {
+        try {
+          const imageResponse = await api.get('/image', {
+            params: { url: metadata.image },
+            responseType: 'blob'
+          });
+          const blob = imageResponse.data;
+          if (blob?.size <= MAX_IMAGE_BYTES && /^image\/(png|jpeg|gif|webp)$/.test(blob.type)) {
+            image = await readImage(blob);
+          }
+        } catch (error) {
+          // The preview is still useful without its image
+          console.warn('Failed to fetch link preview image:', error);
+        }
+      }
+
+      const preview = linkPreviewService.sanitizePreview({ ...metadata, url, image });
+      if (!preview) {
+        return { success: false, error: 'Nothing to preview' };
+      }
+
+      previewCache.set(url, preview);
+      return { success: true, data: preview };
+    } catch (error) {
+      console.error('Fetch link preview error:', error);
+      return {
+        success: false,
+        error: error.response?.data?.error?.message || 'Failed to fetch link preview'
+      };
+    }
+  },
+
+  /**
+   * Subscribe to link preview setting changes
+   * @param {Function} listener - Called with the conversations that have previews turned off
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe: (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+};
+
+export default linkPreviewService;
@@ -1,6 +1,72 @@
 import axios from 'axios';
 import { API_URL } from '../config';
 import performanceService from './performanceService';
+import encryptionService from './encryptionService';
+import viewOnceService from './viewOnceService';
+import { parseWaveform } from '../utils/waveformUtils';
+
+// Longest side of the thumbnails made for images and videos, in pixels
+const THUMBNAIL_SIZE = 320;
+const THUMBNAIL_QUALITY = 0.7;
+// Decrypted media kept around as object URLs, so it isn't downloaded again
+const MAX_DECRYPTED_URLS = 100;
+
+// Fields of uploaded media that are sent inside the encrypted message
+const ATTACHMENT_FIELDS = [
+  'id', 'mediaType', 'mimeType', 'originalFilename', 'size', 'width', 'height',
+  'duration', 'voice', 'waveform', 'viewOnce', 'caption', 'encryption'
+];
+const MEDIA_ID_PATTERN = /^[\w-]+$/;
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+=*$/;
+
+const decryptedUrls = new Map();
+
+const readAsArrayBuffer = (blob) => {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(blob);
+  });
+};
+
+const loadImage = (url) => {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('Could not load image'));
+    img.src = url;
+  });
+};
+
+// Load a video and seek a little way in, so the frame isn't a black intro
+const loadVideoFrame = (url) => {
+  return new Promise((resolve, reject) => {
+    const video = document.createElement('video');
+    video.muted = true;
+    video.preload = 'auto';
+    video.onloadeddata = () => {
+      video.currentTime = Math.min(1, (video.duration || 0) / 2);
+    };
+    video.onseeked = () => resolve(video);
+    video.onerror = () => reject(new Error('Could not load video'));
+    video.src = url;
+  });
+};
+
+const isBase64OfLength = (value, length) => {
+  return typeof value === 'string' && value.length === length && BASE64_PATTERN.test(value);
+};
+
+// IVs are 12 bytes and digests are SHA-256, as base64
+const sanitizeCipherPart = (part) => {
+  if (!part || !isBase64OfLength(part.iv, 16) || !isBase64OfLength(part.digest, 44)) {
+    return null;
+  }
+  return { iv: part.iv, digest: part.digest };
+};
+
+const toNumber = (value) => (Number.isFinite(value) && value >= 0 ? value : null);
 
 /**
  * Media Service
@@ -11,12 +77,21 @@ const mediaService = {
   /**
    * Upload a single media file
    * 
+   * The file is encrypted with a new key before it leaves the device. Images
+   * and videos get a thumbnail made here, encrypted with the same key, which
+   * the server serves as the media's thumbnail. The returned media carries the
+   * key and digests in `encryption`; they are only ever sent inside the
+   * encrypted message.
+   * 
    * @param {File} file - The file to upload
    * @param {string} conversationId - The conversation ID to associate with the upload
    * @param {Function} onProgress - Progress callback function
-   * @returns {Promise<Object>} The uploaded media information
+   * @param {Object} metadata - What the client already knows about the file, e.g.
+   *   { voice, duration, waveform } for recorded voice messages, or { viewOnce }
+   *   for media that may only be opened once and so gets no thumbnail (optional)
+   * @returns {Promise<Object>} The uploaded media information, with its details and encryption
    */
-  uploadMedia: async (file, conversationId, onProgress) => {
+  uploadMedia: async (file, conversationId, onProgress, metadata = null) => {
     if (!file || !conversationId) {
       throw new Error('File and conversation ID are required');
     }
@@ -27,40 +102,64 @@ const mediaService = {
       throw new Error(validation.error);
     }
     
-    const formData = new FormData();
-    formData.append('file', file);
-    formData.append('conversationId', conversationId);
-    
     try {
-      // Add file metadata if possible
+      // Everything about the file other than its type and size travels inside
+      // the encrypted message, so the server only sees ciphertext
       const mediaType = mediaService.getMediaType(file);
-      formData.append('mediaType', mediaType);
+      const details = {
+        mediaType,
+        mimeType: file.type,
+        originalFilename: file.name,
+        size: file.size
+      };
       
-      // Extract and add image dimensions for better thumbnails and previews
+      // Extract image dimensions for better thumbnails and previews
       if (mediaType === 'image') {
         try {
           const dimensions = await mediaService.getImageDimensions(file);
-          formData.append('width', dimensions.width);
-          formData.append('height', dimensions.height);
+          details.width = dimensions.width;
+          details.height = dimensions.height;
         } catch (error) {
           console.warn('Could not get image dimensions:', error);
         }
       } else if (mediaType === 'video') {
         try {
-          const duration = await mediaService.getVideoDuration(file);
-          formData.append('duration', duration);
+          details.duration = await mediaService.getVideoDuration(file);
         } catch (error) {
           console.warn('Could not get video duration:', error);
         }
+      } else if (mediaType === 'audio' && metadata?.duration) {
+        // Recordings often lack a duration header, so the recorder's is used
+        details.duration = metadata.duration;
       } else if (mediaType === 'audio') {
         try {
-          const duration = await mediaService.getVideoDuration(file); // Same method works for audio
-          formData.append('duration', duration);
+          details.duration = await mediaService.getVideoDuration(file); // Same method works for audio
         } catch (error) {
           console.warn('Could not get audio duration:', error);
         }
       }
       
+      if (metadata?.voice) {
+        details.voice = true;
+      }
+      if (metadata?.waveform) {
+        details.waveform = metadata.waveform;
+      }
+      if (metadata?.viewOnce) {
+        details.viewOnce = true;
+      }
+      
+      const encrypted = await mediaService.encryptMedia(file, !details.viewOnce);
+      
+      const formData = new FormData();
+      formData.append('file', encrypted.file, 'media.bin');
+      formData.append('conversationId', conversationId);
+      formData.append('mediaType', mediaType);
+      formData.append('encrypted', 'true');
+      if (encrypted.thumbnail) {
+        formData.append('thumbnail', encrypted.thumbnail, 'thumbnail.bin');
+      }
+      
       // Upload the file with progress tracking
       const response = await axios.post(`${API_URL}/api/media/upload`, formData, {
         withCredentials: true,
@@ -79,7 +178,15 @@ const mediaService = {
         maxBodyLength: 100 * 1024 * 1024 // 100MB max body length
       });
       
-      return response.data.media;
+      if (details.viewOnce) {
+        viewOnceService.remember(response.data.media.id);
+      }
+      
+      return {
+        ...response.data.media,
+        ...details,
+        encryption: encrypted.encryption
+      };
     } catch (error) {
       // Enhanced error handling with more specific messages
       if (error.response) {
@@ -195,9 +302,10 @@ const mediaService = {
    * @param {Function} onProgress - Progress callback for overall progress
    * @param {Function} onFileProgress - Progress callback for individual file progress
    * @param {Function} onFileComplete - Callback when a single file is complete
+   * @param {Object} metadata - Applies to every file, e.g. { viewOnce } (optional)
    * @returns {Promise<Array>} - Array of uploaded media objects
    */
-  uploadMediaBatch: async (files, conversationId, onProgress, onFileProgress, onFileComplete) => {
+  uploadMediaBatch: async (files, conversationId, onProgress, onFileProgress, onFileComplete, metadata = null) => {
     if (!files || !files.length) {
       throw new Error('No files provided for upload');
     }
@@ -227,123 +335,30 @@ const mediaService = {
       throw new Error(`No valid files to upload. Errors: ${invalidFiles.map(f => `${f.file.name}: ${f.error}`).join(', ')}`);
     }
 
-    // If using the batch upload endpoint
-    if (validFiles.length > 1) {
-      try {
-        // Extract dimensions for images
-        const dimensions = {};
-        const durations = {};
-        
-        // Process files to extract metadata
-        for (const file of validFiles) {
-          const mediaType = mediaService.getMediaType(file);
-          
-          // Extract image dimensions
-          if (mediaType === 'image') {
-            try {
-              const img = await mediaService.createImageFromFile(file);
-              dimensions[file.name] = {
-                width: img.width,
-                height: img.height
-              };
-            } catch (error) {
-              console.warn(`Failed to extract dimensions for ${file.name}:`, error);
-            }
-          }
-          
-          // Extract video/audio duration
-          if (mediaType === 'video' || mediaType === 'audio') {
-            try {
-              const duration = await mediaService.getMediaDuration(file);
-              durations[file.name] = { duration };
-            } catch (error) {
-              console.warn(`Failed to extract duration for ${file.name}:`, error);
-            }
-          }
-        }
-        
-        // Create form data
-        const formData = new FormData();
-        formData.append('conversationId', conversationId);
-        
-        // Add dimensions and durations as JSON strings
-        if (Object.keys(dimensions).length > 0) {
-          formData.append('dimensions', JSON.stringify(dimensions));
-        }
-        
-        if (Object.keys(durations).length > 0) {
-          formData.append('durations', JSON.stringify(durations));
-        }
-        
-        // Add all files
-        validFiles.forEach(file => {
-          formData.append('files', file);
-        });
-        
-        // Make the request with progress tracking
-        const response = await axios.post(`${API_URL}/api/media/upload/batch`, formData, {
-          headers: {
-            'Content-Type': 'multipart/form-data'
-          },
-          timeout: 120000, // 2 minutes timeout for batch uploads
-          onUploadProgress: (progressEvent) => {
-            if (onProgress && progressEvent.total) {
-              const percentCompleted = Math.round((progressEvent.loaded * 100) / progressEvent.total);
-              onProgress(percentCompleted);
-            }
-          }
-        });
-        
-        // Handle response
-        if (response.status === 207) {
-          // Partial success
-          console.warn('Some files failed to upload:', response.data.errors);
-          
-          // Call onFileComplete for each successful file
-          if (onFileComplete && response.data.media) {
-            response.data.media.forEach(media => {
-              onFileComplete(media);
-            });
-          }
-          
-          // Return successful uploads
-          return response.data.media;
-        } else {
-          // All files uploaded successfully
-          
-          // Call onFileComplete for each file
-          if (onFileComplete && response.data.media) {
-            response.data.media.forEach(media => {
-              onFileComplete(media);
-            });
-          }
-          
-          return response.data.media;
-        }
-      } catch (error) {
-        console.error('Batch upload failed:', error);
-        
-        // Fallback to individual uploads if batch fails
-        console.log('Falling back to individual uploads...');
-        return mediaService.uploadFilesIndividually(validFiles, conversationId, onProgress, onFileProgress, onFileComplete);
-      }
-    } else {
-      // Only one valid file, use individual upload
-      return mediaService.uploadFilesIndividually(validFiles, conversationId, onProgress, onFileProgress, onFileComplete);
-    }
+    // Every file is encrypted with a key of its own, which has to reach the
+    // message it is sent with, so files are uploaded one at a time
+    return mediaService.uploadFilesIndividually(
+      validFiles,
+      conversationId,
+      onProgress,
+      onFileProgress,
+      onFileComplete,
+      metadata
+    );
   },
   
   /**
-   * Upload files individually (used as fallback if batch upload fails)
+   * Upload files individually
    * 
    * @param {Array} files - Array of files to upload
    * @param {string} conversationId - ID of the conversation
    * @param {Function} onProgress - Progress callback for overall progress
    * @param {Function} onFileProgress - Progress callback for individual file progress
    * @param {Function} onFileComplete - Callback when a single file is complete
+   * @param {Object} metadata - Applies to every file, e.g. { viewOnce } (optional)
    * @returns {Promise<Array>} - Array of uploaded media objects
    */
-  uploadFilesIndividually: async (files, conversationId, onProgress, onFileProgress, onFileComplete) => {
+  uploadFilesIndividually: async (files, conversationId, onProgress, onFileProgress, onFileComplete, metadata = null) => {
     const results = [];
     const errors = [];
     let overallProgress = 0;
@@ -377,7 +392,7 @@ const mediaService = {
         };
         
         // Upload the file
-        const result = await mediaService.uploadMedia(file, conversationId, fileProgressHandler);
+        const result = await mediaService.uploadMedia(file, conversationId, fileProgressHandler, metadata);
         results.push(result);
         
         // Call the completion callback
@@ -449,7 +464,7 @@ const mediaService = {
     const link = document.createElement('a');
     
     // Set the download attributes
-    link.href = url.startsWith('http') ? url : `${API_URL}${url}`;
+    link.href = /^(https?|blob):/.test(url) ? url : `${API_URL}${url}`;
     link.download = filename || 'download';
     
     // Append to the document
@@ -504,7 +519,7 @@ const mediaService = {
       }
     } else if (mediaType === 'audio') {
       // Validate audio format, duration, etc. if needed
-      const validAudioTypes = ['audio/mpeg', 'audio/wav', 'audio/ogg', 'audio/webm'];
+      const validAudioTypes = ['audio/mpeg', 'audio/wav', 'audio/ogg', 'audio/webm', 'audio/mp4'];
       if (!validAudioTypes.includes(file.type)) {
         return { valid: false, error: 'Unsupported audio format' };
       }
@@ -647,6 +662,263 @@ const mediaService = {
     return `${API_URL}/api/media/thumbnail/${mediaId}`;
   },
   
+  /**
+   * Make a small JPEG thumbnail of an image or video
+   * 
+   * @param {File} file - The image or video file
+   * @returns {Promise<Blob|null>} The thumbnail, or null for other files or if it can't be made
+   */
+  createThumbnail: async (file) => {
+    const mediaType = mediaService.getMediaType(file);
+    if (mediaType !== 'image' && mediaType !== 'video') {
+      return null;
+    }
+    
+    let objectUrl = null;
+    try {
+      objectUrl = URL.createObjectURL(file);
+      const source = mediaType === 'image' ? await loadImage(objectUrl) : await loadVideoFrame(objectUrl);
+      const width = source.naturalWidth || source.videoWidth;
+      const height = source.naturalHeight || source.videoHeight;
+      if (!width || !height) {
+        return null;
+      }
+      
+      const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(width, height));
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.max(1, Math.round(width * scale));
+      canvas.height = Math.max(1, Math.round(height * scale));
+      canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+      
+      return await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', THUMBNAIL_QUALITY));
+    } catch (error) {
+      console.warn('Could not create thumbnail:', error);
+      return null;
+    } finally {
+      if (objectUrl) {
+        URL.revokeObjectURL(objectUrl);
+      }
+    }
+  },
+  
+  /**
+   * Encrypt a file, and its thumbnail if it gets one, with a new AES-GCM key
+   * 
+   * @param {File} file - The file to encrypt
+   * @param {boolean} withThumbnail - Whether to make a thumbnail, if the file can have one
+   * @returns {Promise<Object>} { file, thumbnail, encryption } with the encrypted
+   *   blobs and the key, IVs and ciphertext digests as base64
+   */
+  encryptMedia: async (file, withThumbnail = true) => {
+    const key = await encryptionService.generateMessageKey();
+    
+    const encryptPart = async (blob) => {
+      const { ciphertext, iv } = await encryptionService.encryptBytes(await readAsArrayBuffer(blob), key);
+      return {
+        blob: new Blob([ciphertext], { type: 'application/octet-stream' }),
+        iv,
+        digest: await encryptionService.digest(ciphertext)
+      };
+    };
+    
+    const encryptedFile = await encryptPart(file);
+    const thumbnail = withThumbnail ? await mediaService.createThumbnail(file) : null;
+    const encryptedThumbnail = thumbnail ? await encryptPart(thumbnail) : null;
+    
+    return {
+      file: encryptedFile.blob,
+      thumbnail: encryptedThumbnail?.blob || null,
+      encryption: {
+        key: await encryptionService.exportMessageKey(key),
+        iv: encryptedFile.iv,
+        digest: encryptedFile.digest,
+        thumbnail: encryptedThumbnail && { iv: encryptedThumbnail.iv, digest: encryptedThumbnail.digest }
+      }
+    };
+  },
+  
+  /**
+   * Decrypt downloaded media, after checking it is what the message says it is
+   * 
+   * @param {ArrayBuffer} ciphertext - The downloaded file or thumbnail
+   * @param {Object} encryption - The media's key, IVs and digests
+   * @param {boolean} thumbnail - Whether the ciphertext is the thumbnail
+   * @returns {Promise<ArrayBuffer>} The decrypted file or thumbnail
+   */
+  decryptMedia: async (ciphertext, encryption, thumbnail = false) => {
+    const part = thumbnail ? encryption.thumbnail : encryption;
+    if (await encryptionService.digest(ciphertext) !== part.digest) {
+      throw new Error('Media does not match the message it was sent with');
+    }
+    
+    const key = await encryptionService.importMessageKey(encryption.key);
+    return encryptionService.decryptBytes(ciphertext, part.iv, key);
+  },
+  
+  /**
+   * Download and decrypt encrypted media
+   * 
+   * @param {Object} media - Media with its `encryption`
+   * @param {string} variant - 'file', or 'thumbnail' for the thumbnail if it has one
+   * @returns {Promise<string>} Object URL of the decrypted file or thumbnail
+   */
+  getDecryptedUrl: (media, variant = 'file') => {
+    const thumbnail = variant === 'thumbnail' && Boolean(media.encryption.thumbnail);
+    const digest = thumbnail ? media.encryption.thumbnail.digest : media.encryption.digest;
+    const cacheKey = `${media.id}:${digest}`;
+    
+    if (!decryptedUrls.has(cacheKey)) {
+      const promise = (async () => {
+        const url = thumbnail
+          ? mediaService.getMediaThumbnailUrl(media.id)
+          : mediaService.getMediaUrl(media.id);
+        const response = await axios.get(url, { responseType: 'arraybuffer', withCredentials: true });
+        const data = await mediaService.decryptMedia(response.data, media.encryption, thumbnail);
+        return URL.createObjectURL(new Blob([data], { type: thumbnail ? 'image/jpeg' : media.mimeType }));
+      })();
+      
+      // Failed downloads are tried again the next time
+      promise.catch(() => decryptedUrls.delete(cacheKey));
+      decryptedUrls.set(cacheKey, promise);
+      
+      if (decryptedUrls.size > MAX_DECRYPTED_URLS) {
+        const [oldestKey, oldest] = decryptedUrls.entries().next().value;
+        decryptedUrls.delete(oldestKey);
+        oldest.then(URL.revokeObjectURL, () => {});
+      }
+    }
+    
+    return decryptedUrls.get(cacheKey);
+  },
+  
+  /**
+   * Release the decrypted copies of media, e.g. when its message disappeared
+   * 
+   * @param {Object} media - Media with its `id`
+   */
+  forgetDecryptedMedia: (media) => {
+    Array.from(decryptedUrls.keys())
+      .filter(cacheKey => cacheKey.startsWith(`${media.id}:`))
+      .forEach(cacheKey => {
+        decryptedUrls.get(cacheKey).then(URL.revokeObjectURL, () => {});
+        decryptedUrls.delete(cacheKey);
+      });
+  },
+  
+  /**
+   * Decrypt encrypted media and save it
+   * 
+   * @param {Object} media - Media with its `encryption`
+   * @param {string} filename - The filename to save as
+   * @returns {Promise<void>}
+   */
+  downloadDecryptedMedia: async (media, filename) => {
+    const url = await mediaService.getDecryptedUrl(media);
+    mediaService.downloadFile(url, filename);
+  },
+  
+  /**
+   * Get what is sent about uploaded media inside the encrypted message
+   * 
+   * @param {Object} media - Uploaded media
+   * @returns {Object|null} The attachment, or null if the media isn't encrypted
+   */
+  toAttachment: (media) => {
+    if (!media?.encryption) {
+      return null;
+    }
+    
+    return ATTACHMENT_FIELDS.reduce((attachment, field) => {
+      if (media[field] !== undefined && media[field] !== null) {
+        attachment[field] = media[field];
+      }
+      return attachment;
+    }, {});
+  },
+  
+  /**
+   * Keep only well-formed attachment fields; attachments come from other
+   * people's clients, so they are checked again when received
+   * 
+   * @param {Object} attachment - Attachment as received
+   * @returns {Object|null} The attachment, or null if it can't be shown
+   */
+  sanitizeAttachment: (attachment) => {
+    if (!attachment || typeof attachment !== 'object') {
+      return null;
+    }
+    
+    // Media is only ever fetched from our server by its ID
+    const { id, mimeType, encryption } = attachment;
+    if (typeof id !== 'string' || !MEDIA_ID_PATTERN.test(id)) {
+      return null;
+    }
+    
+    // Decrypted media is shown with this type, so only types we send are accepted
+    if (typeof mimeType !== 'string' || !mediaService.validateFile({ type: mimeType, size: 0 }).valid) {
+      return null;
+    }
+    
+    const file = sanitizeCipherPart(encryption);
+    if (!file || !isBase64OfLength(encryption.key, 44)) {
+      return null;
+    }
+    
+    // View-once media opened here before never gets its key back
+    const viewOnce = attachment.viewOnce === true;
+    const mediaType = mediaService.getMediaType({ type: mimeType });
+    if (viewOnce) {
+      viewOnceService.remember(id);
+      if (viewOnceService.isOpened(id)) {
+        return viewOnceService.toOpened({ id, mediaType, mimeType });
+      }
+    }
+    
+    return {
+      id,
+      mediaType,
+      mimeType,
+      originalFilename: typeof attachment.originalFilename === 'string'
+        ? attachment.originalFilename.slice(0, 255)
+        : null,
+      size: toNumber(attachment.size),
+      width: toNumber(attachment.width),
+      height: toNumber(attachment.height),
+      duration: toNumber(attachment.duration),
+      voice: attachment.voice === true,
+      waveform: attachment.waveform ? parseWaveform(attachment.waveform) : null,
+      viewOnce,
+      caption: typeof attachment.caption === 'string' ? attachment.caption : null,
+      encryption: {
+        key: encryption.key,
+        ...file,
+        // A thumbnail would show view-once media without opening it
+        thumbnail: viewOnce ? null : sanitizeCipherPart(encryption.thumbnail)
+      }
+    };
+  },
+  
+  /**
+   * Record on the server that the current user opened view-once media, so it
+   * is never served to them again, on any of their devices. The server
+   * answers 409 if it was opened before.
+   * 
+   * @param {string} mediaId - The media ID
+   * @returns {Promise<Object>} The server's record of the opening
+   */
+  markViewOnceOpened: async (mediaId) => {
+    try {
+      const response = await axios.post(`${API_URL}/api/media/${mediaId}/opened`, {}, {
+        withCredentials: true
+      });
+      
+      return response.data;
+    } catch (error) {
+      console.error('Error recording opened view-once media:', error);
+      throw error;
+    }
+  },
+  
   /**
    * Delete a media file
    * 
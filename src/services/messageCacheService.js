@@ -0,0 +1,443 @@
+import encryptionService from './encryptionService';
+import keyVaultService from './keyVaultService';
+import { isIndexedDbSupported, openDatabase, runTransaction } from '../utils/indexedDbUtils';
+
+// IndexedDB layout
+const DB_NAME = 'swickr-message-cache';
+const DB_VERSION = 3;
+const MESSAGES_STORE = 'messages';
+const CONVERSATIONS_STORE = 'conversations';
+const META_STORE = 'meta';
+const SEARCH_DOCUMENTS_STORE = 'searchDocuments';
+const SEARCH_POSTINGS_STORE = 'searchPostings';
+
+let dbPromise = null;
+
+const getDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = openDatabase(DB_NAME, DB_VERSION, (db, oldVersion, transaction) => {
+      if (oldVersion < 1) {
+        const messages = db.createObjectStore(MESSAGES_STORE, { keyPath: 'id' });
+        messages.createIndex('conversationId', 'conversationId');
+        db.createObjectStore(CONVERSATIONS_STORE, { keyPath: 'id' });
+        db.createObjectStore(META_STORE, { keyPath: 'id' });
+      }
+      if (oldVersion < 2) {
+        // Search documents and posting lists, see searchIndexService
+        const documents = db.createObjectStore(SEARCH_DOCUMENTS_STORE, { keyPath: 'id' });
+        documents.createIndex('conversationId', 'conversationId');
+        db.createObjectStore(SEARCH_POSTINGS_STORE, { keyPath: 'id' });
+      }
+      if (oldVersion > 0 && oldVersion < 3) {
+        // Caches from before the key vault kept their key next to the data
+        // and can't be read with the vault's key, so they are synced again
+        [MESSAGES_STORE, CONVERSATIONS_STORE, META_STORE, SEARCH_DOCUMENTS_STORE, SEARCH_POSTINGS_STORE]
+          .forEach(storeName => transaction.objectStore(storeName).clear());
+      }
+    });
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+};
+
+/**
+ * Get the AES-GCM key the cache is encrypted with. It is held by the key
+ * vault, so nothing in the cache can be read or written while the vault is
+ * locked; MessagingContext asks for the passphrase at launch for that
+ * reason. The cache is deleted on logout.
+ */
+const getCacheKey = () => {
+  return keyVaultService.getDataKey({ prompt: false });
+};
+
+/**
+ * Encrypt a value for storage; only the fields needed for lookups stay readable
+ */
+const sealRecord = async (fields, value) => {
+  const key = await getCacheKey();
+  const iv = window.crypto.getRandomValues(new Uint8Array(12));
+  const data = await window.crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    new TextEncoder().encode(JSON.stringify(value))
+  );
+
+  return {
+    ...fields,
+    iv: encryptionService.toBase64(iv),
+    data: encryptionService.toBase64(data)
+  };
+};
+
+const openRecord = async (record) => {
+  const key = await getCacheKey();
+  const data = await window.crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: encryptionService.fromBase64(record.iv) },
+    key,
+    encryptionService.fromBase64(record.data)
+  );
+  return JSON.parse(new TextDecoder().decode(data));
+};
+
+const openRecords = async (records) => {
+  // A locked vault fails the whole read rather than every record
+  await getCacheKey();
+
+  const values = [];
+  for (const record of records) {
+    try {
+      values.push(await openRecord(record));
+    } catch (error) {
+      // Records written under an older cache key can't be read any more
+      console.warn('Skipping unreadable cache entry:', record.id);
+    }
+  }
+  return values;
+};
+
+const getTimestamp = (message) => {
+  return new Date(message.timestamp || message.createdAt || 0).getTime();
+};
+
+// Messages still in the outbox are kept by the outbox itself, and
+// placeholders for undecryptable messages must not replace good copies
+const isCacheable = (message) => {
+  return message?.id && !message.decryptError && !(message.clientId && message.id === message.clientId);
+};
+
+/**
+ * Message Cache Service
+ *
+ * Keeps decrypted conversations and messages in an encrypted IndexedDB
+ * store, so the app opens instantly and history can be browsed offline.
+ * Each conversation remembers a sync cursor, so only newer messages have to
+ * be fetched (and decrypted) from the server.
+ */
+const messageCacheService = {
+  /**
+   * Check if the cache can be used in this browser
+   * @returns {boolean} True if IndexedDB is available
+   */
+  isSupported: () => {
+    return isIndexedDbSupported() && !!window.crypto?.subtle;
+  },
+
+  /**
+   * Get cached conversations
+   * @returns {Promise<Array<Object>>} Conversations, most recently updated first
+   */
+  getConversations: async () => {
+    if (!messageCacheService.isSupported()) return [];
+
+    try {
+      const db = await getDatabase();
+      const records = await runTransaction(db, CONVERSATIONS_STORE, 'readonly', store => store.getAll());
+      const conversations = await openRecords(records);
+      return conversations.sort((a, b) =>
+        new Date(b.updated_at || 0).getTime() - new Date(a.updated_at || 0).getTime()
+      );
+    } catch (error) {
+      console.error('Failed to read cached conversations:', error);
+      return [];
+    }
+  },
+
+  /**
+   * Replace the cached conversation list
+   * @param {Array<Object>} conversations - Conversations from the server
+   */
+  saveConversations: async (conversations) => {
+    if (!messageCacheService.isSupported()) return;
+
+    try {
+      const records = await Promise.all(
+        conversations.map(conversation => sealRecord({ id: conversation.id }, conversation))
+      );
+      const db = await getDatabase();
+      await runTransaction(db, CONVERSATIONS_STORE, 'readwrite', store => {
+        store.clear();
+        records.forEach(record => store.put(record));
+      });
+    } catch (error) {
+      console.error('Failed to cache conversations:', error);
+    }
+  },
+
+  /**
+   * Get cached messages for a conversation
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<Array<Object>>} Messages, oldest first
+   */
+  getMessages: async (conversationId) => {
+    if (!messageCacheService.isSupported()) return [];
+
+    try {
+      const db = await getDatabase();
+      const records = await runTransaction(db, MESSAGES_STORE, 'readonly', store =>
+        store.index('conversationId').getAll(conversationId)
+      );
+      const messages = await openRecords(records);
+      return messages.sort((a, b) => getTimestamp(a) - getTimestamp(b));
+    } catch (error) {
+      console.error('Failed to read cached messages:', error);
+      return [];
+    }
+  },
+
+  /**
+   * Get a single cached message
+   * @param {string} messageId - Message ID
+   * @returns {Promise<Object|null>} The message, or null if it isn't cached
+   */
+  getMessage: async (messageId) => {
+    if (!messageCacheService.isSupported()) return null;
+
+    try {
+      const db = await getDatabase();
+      const record = await runTransaction(db, MESSAGES_STORE, 'readonly', store => store.get(messageId));
+      return record ? await openRecord(record) : null;
+    } catch (error) {
+      console.error('Failed to read cached message:', error);
+      return null;
+    }
+  },
+
+  /**
+   * Add or update decrypted messages in the cache
+   * @param {Array<Object>} messages - Decrypted messages
+   */
+  saveMessages: async (messages) => {
+    if (!messageCacheService.isSupported()) return;
+
+    const cacheable = messages.filter(isCacheable);
+    if (cacheable.length === 0) return;
+
+    try {
+      const records = await Promise.all(
+        cacheable.map(message => sealRecord(
+          { id: message.id, conversationId: message.conversationId },
+          message
+        ))
+      );
+      const db = await getDatabase();
+      await runTransaction(db, MESSAGES_STORE, 'readwrite', store => {
+        records.forEach(record => store.put(record));
+      });
+    } catch (error) {
+      console.error('Failed to cache messages:', error);
+    }
+  },
+
+  /**
+   * Remove messages from the cache
+   * @param {Array<string>} messageIds - Message IDs
+   */
+  removeMessages: async (messageIds) => {
+    if (!messageCacheService.isSupported() || messageIds.length === 0) return;
+
+    try {
+      const db = await getDatabase();
+      await runTransaction(db, MESSAGES_STORE, 'readwrite', store => {
+        messageIds.forEach(id => store.delete(id));
+      });
+    } catch (error) {
+      console.error('Failed to remove cached messages:', error);
+    }
+  },
+
+  /**
+   * Remove a conversation with all of its messages and its sync cursor,
+   * e.g. after leaving a group
+   * @param {string} conversationId - Conversation ID
+   */
+  removeConversation: async (conversationId) => {
+    if (!messageCacheService.isSupported()) return;
+
+    try {
+      const db = await getDatabase();
+      const getKeys = (storeName) => runTransaction(db, storeName, 'readonly', store =>
+        store.index('conversationId').getAllKeys(conversationId)
+      );
+      const messageIds = await getKeys(MESSAGES_STORE);
+      const documentIds = await getKeys(SEARCH_DOCUMENTS_STORE);
+      await runTransaction(
+        db,
+        [MESSAGES_STORE, SEARCH_DOCUMENTS_STORE, CONVERSATIONS_STORE, META_STORE],
+        'readwrite',
+        ([messages, documents, conversations, meta]) => {
+          messageIds.forEach(id => messages.delete(id));
+          documentIds.forEach(id => documents.delete(id));
+          conversations.delete(conversationId);
+          meta.delete(`cursor:${conversationId}`);
+        }
+      );
+    } catch (error) {
+      console.error('Failed to remove cached conversation:', error);
+    }
+  },
+
+  /**
+   * Get the sync cursor of a conversation
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<string|null>} Cursor to pass as `since`, or null if never synced
+   */
+  getCursor: async (conversationId) => {
+    if (!messageCacheService.isSupported()) return null;
+
+    try {
+      // Without the cached messages everything has to be synced again
+      await getCacheKey();
+      const db = await getDatabase();
+      const record = await runTransaction(db, META_STORE, 'readonly', store =>
+        store.get(`cursor:${conversationId}`)
+      );
+      return record?.cursor || null;
+    } catch (error) {
+      console.error('Failed to read sync cursor:', error);
+      return null;
+    }
+  },
+
+  /**
+   * Remember how far a conversation has been synced
+   * @param {string} conversationId - Conversation ID
+   * @param {string} cursor - Cursor returned by the server
+   */
+  setCursor: async (conversationId, cursor) => {
+    if (!messageCacheService.isSupported() || !cursor) return;
+
+    try {
+      // Messages that could not be cached must be synced again next time
+      await getCacheKey();
+      const db = await getDatabase();
+      await runTransaction(db, META_STORE, 'readwrite', store =>
+        store.put({ id: `cursor:${conversationId}`, cursor })
+      );
+    } catch (error) {
+      console.error('Failed to save sync cursor:', error);
+    }
+  },
+
+  /**
+   * Get search documents
+   * @param {Array<string>} ids - Message IDs, or null for every document
+   * @returns {Promise<Array<Object>>} The documents that exist
+   */
+  getSearchDocuments: async (ids = null) => {
+    if (!messageCacheService.isSupported()) return [];
+
+    try {
+      const db = await getDatabase();
+      const records = await runTransaction(db, SEARCH_DOCUMENTS_STORE, 'readonly', store => store.getAll());
+
+      // Only the records asked for are decrypted
+      const wanted = ids && new Set(ids);
+      return await openRecords(wanted ? records.filter(record => wanted.has(record.id)) : records);
+    } catch (error) {
+      console.error('Failed to read search documents:', error);
+      return [];
+    }
+  },
+
+  /**
+   * Add or replace search documents
+   * @param {Array<Object>} documents - Documents with id and conversationId
+   */
+  saveSearchDocuments: async (documents) => {
+    if (!messageCacheService.isSupported() || documents.length === 0) return;
+
+    try {
+      const records = await Promise.all(
+        documents.map(document => sealRecord(
+          { id: document.id, conversationId: document.conversationId },
+          document
+        ))
+      );
+      const db = await getDatabase();
+      await runTransaction(db, SEARCH_DOCUMENTS_STORE, 'readwrite', store => {
+        records.forEach(record => store.put(record));
+      });
+    } catch (error) {
+      console.error('Failed to save search documents:', error);
+    }
+  },
+
+  /**
+   * Remove search documents
+   * @param {Array<string>} ids - Message IDs
+   */
+  removeSearchDocuments: async (ids) => {
+    if (!messageCacheService.isSupported() || ids.length === 0) return;
+
+    try {
+      const db = await getDatabase();
+      await runTransaction(db, SEARCH_DOCUMENTS_STORE, 'readwrite', store => {
+        ids.forEach(id => store.delete(id));
+      });
+    } catch (error) {
+      console.error('Failed to remove search documents:', error);
+    }
+  },
+
+  /**
+   * Get every bucket of search posting lists
+   * @returns {Promise<Array<Object>>} Buckets of { id, postings }
+   */
+  getSearchPostings: async () => {
+    if (!messageCacheService.isSupported()) return [];
+
+    try {
+      const db = await getDatabase();
+      const records = await runTransaction(db, SEARCH_POSTINGS_STORE, 'readonly', store => store.getAll());
+      return await openRecords(records);
+    } catch (error) {
+      console.error('Failed to read search postings:', error);
+      return [];
+    }
+  },
+
+  /**
+   * Replace buckets of search posting lists
+   * @param {Array<Object>} buckets - Buckets of { id, postings }
+   */
+  saveSearchPostings: async (buckets) => {
+    if (!messageCacheService.isSupported() || buckets.length === 0) return;
+
+    try {
+      const records = await Promise.all(buckets.map(bucket => sealRecord({ id: bucket.id }, bucket)));
+      const db = await getDatabase();
+      await runTransaction(db, SEARCH_POSTINGS_STORE, 'readwrite', store => {
+        records.forEach(record => store.put(record));
+      });
+    } catch (error) {
+      console.error('Failed to save search postings:', error);
+    }
+  },
+
+  /**
+   * Delete everything in the cache
+   */
+  clear: async () => {
+    if (!messageCacheService.isSupported()) return;
+
+    try {
+      const db = await getDatabase();
+      const storeNames = [
+        MESSAGES_STORE,
+        CONVERSATIONS_STORE,
+        META_STORE,
+        SEARCH_DOCUMENTS_STORE,
+        SEARCH_POSTINGS_STORE
+      ];
+      await runTransaction(db, storeNames, 'readwrite', stores => {
+        stores.forEach(store => store.clear());
+      });
+    } catch (error) {
+      console.error('Failed to clear message cache:', error);
+    }
+  }
+};
+
+export default messageCacheService;
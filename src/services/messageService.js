@@ -1,7 +1,16 @@
 import axios from 'axios';
 import socketService from './socketService';
 import encryptionService from './encryptionService';
+import sessionService from './sessionService';
+import keyVaultService from './keyVaultService';
+import deviceService from './deviceService';
+import encryptionPolicyService from './encryptionPolicyService';
+import verificationService from './verificationService';
 import mediaService from './mediaService';
+import searchIndexService from './searchIndexService';
+import linkPreviewService from './linkPreviewService';
+import disappearingService from './disappearingService';
+import { DELETE_FOR_EVERYONE_WINDOW } from '../config';
 
 // API base URL
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
@@ -29,6 +38,280 @@ api.interceptors.request.use(
   (error) => Promise.reject(error)
 );
 
+/**
+ * Encrypt content for a set of recipients
+ *
+ * Each member is expanded to all of their registered devices and reached
+ * through a forward-secret ratchet session. Only devices without a
+ * published prekey bundle (older clients) get their key wrapped with RSA
+ * instead, and only when the conversation doesn't require encryption, so the
+ * server can't downgrade a message by withholding bundles.
+ */
+const encryptForRecipients = async (content, recipients, policy) => {
+  const deviceRecipients = await deviceService.expandRecipients(recipients);
+  const allowFallback = policy !== encryptionPolicyService.POLICIES.REQUIRED;
+
+  if (sessionService.isAvailable()) {
+    const encryptedData = await sessionService.encryptGroupMessage(
+      content,
+      deviceRecipients.map(r => ({ userId: r.userId, deviceId: r.deviceId, publicKey: r.publicKey })),
+      { allowFallback }
+    );
+    return { ...encryptedData, scheme: sessionService.SCHEME };
+  }
+
+  if (!allowFallback) {
+    throw new Error('Forward-secret sessions are not set up on this device.');
+  }
+
+  const encryptedData = await encryptionService.encryptGroupMessage(content, deviceRecipients);
+  return { ...encryptedData, scheme: 'rsa-oaep' };
+};
+
+// Messages held back on purpose, whose errors explain why to the user
+const isSendBlocked = (error) => {
+  return error.code === encryptionPolicyService.ENCRYPTION_REQUIRED ||
+    error.code === verificationService.KEYS_CHANGED;
+};
+
+/**
+ * Encrypt a message payload according to the conversation's policy
+ *
+ * Under the "required" policy a message that cannot be encrypted is never
+ * sent; under "preferred" it is sent unencrypted and marked as such. A
+ * message for a verified contact whose keys changed is never sent, whatever
+ * the policy, until they are verified again.
+ *
+ * @param {Object} payload - Message payload, updated in place
+ * @param {string} content - Message content
+ * @param {Function} getRecipients - Resolves to the recipients, or throws why it can't
+ * @param {string} policy - Encryption policy of the conversation
+ */
+const applyEncryptionPolicy = async (payload, content, getRecipients, policy) => {
+  payload.isEncrypted = false;
+
+  if (policy === encryptionPolicyService.POLICIES.OFF) {
+    return;
+  }
+
+  try {
+    const recipients = await getRecipients();
+    await verificationService.assertKeysUnchanged(recipients.map(recipient => recipient.userId));
+    const encryptedData = await encryptForRecipients(content, recipients, policy);
+
+    // Replace content with encrypted data
+    payload.content = '';
+    payload.encryptedContent = encryptedData.encryptedMessage;
+    payload.iv = encryptedData.iv;
+    payload.recipientKeys = encryptedData.recipientKeys;
+    payload.encryptionScheme = encryptedData.scheme;
+    payload.isEncrypted = true;
+  } catch (encryptionError) {
+    if (encryptionError.code === verificationService.KEYS_CHANGED) {
+      throw encryptionError;
+    }
+    if (policy === encryptionPolicyService.POLICIES.REQUIRED) {
+      throw encryptionPolicyService.createRequiredError(encryptionError.message);
+    }
+    console.warn('Encryption failed, sending unencrypted message:', encryptionError);
+  }
+};
+
+// Replies, thread membership, link previews, the keys of attached media and
+// disappearing message timers travel inside the (encrypted) content, so the
+// server never learns how messages relate to each other, which links they
+// contain, what was attached or how long they are kept
+const ENVELOPE_TYPE = 'swickr/message';
+
+// Quotes carry a short preview of the quoted message, see MessageInput
+const MAX_QUOTE_PREVIEW_LENGTH = 100;
+
+const asString = (value) => (typeof value === 'string' ? value : null);
+
+/**
+ * Keep only a well-formed quote; like the rest of the envelope it comes from
+ * another member's client
+ */
+const sanitizeReplyTo = (replyTo) => {
+  if (!replyTo || typeof replyTo.id !== 'string' || typeof replyTo.senderId !== 'string') {
+    return null;
+  }
+
+  return {
+    id: replyTo.id,
+    senderId: replyTo.senderId,
+    senderName: asString(replyTo.senderName),
+    preview: (asString(replyTo.preview) || '').slice(0, MAX_QUOTE_PREVIEW_LENGTH)
+  };
+};
+
+/**
+ * Wrap message text together with its references to other messages
+ * @param {string} content - Message text
+ * @param {Object} references - { replyTo, threadId, linkPreview, attachment, expiresIn, control } (optional)
+ * @returns {string} Text to send; plain text when there are no references
+ */
+const sealContent = (content, references) => {
+  if (
+    !references?.replyTo && !references?.threadId && !references?.linkPreview &&
+    !references?.attachment && !references?.expiresIn && !references?.control
+  ) {
+    return content;
+  }
+  
+  return JSON.stringify({
+    type: ENVELOPE_TYPE,
+    text: content,
+    replyTo: references.replyTo || null,
+    threadId: references.threadId || null,
+    linkPreview: references.linkPreview || null,
+    attachment: references.attachment || null,
+    expiresIn: references.expiresIn || null,
+    control: references.control || null
+  });
+};
+
+/**
+ * Unwrap the references sealed into a message's content, if any
+ * @param {Object} message - Message with readable content
+ * @returns {Object} Message with plain text content, replyTo, threadId and
+ *   linkPreview, the encrypted attachment as its media, and its disappearing
+ *   message timer or control, if any. Controls change the conversation for
+ *   everyone, so they are only kept from messages authenticated as coming
+ *   from their sender, see decryptMessage.
+ */
+const openContent = (message) => {
+  if (typeof message.content !== 'string' || !message.content.startsWith('{')) {
+    return message;
+  }
+  
+  try {
+    const envelope = JSON.parse(message.content);
+    if (envelope?.type !== ENVELOPE_TYPE) {
+      return message;
+    }
+    
+    const attachment = envelope.attachment ? mediaService.sanitizeAttachment(envelope.attachment) : null;
+    const expiresIn = disappearingService.sanitizeTimer(envelope.expiresIn);
+    const control = message.authenticated && disappearingService.sanitizeControl(envelope.control);
+    return {
+      ...message,
+      content: asString(envelope.text) || '',
+      replyTo: sanitizeReplyTo(envelope.replyTo),
+      threadId: asString(envelope.threadId),
+      linkPreview: linkPreviewService.sanitizePreview(envelope.linkPreview),
+      ...(attachment && { media: attachment }),
+      ...(expiresIn && { expiresIn }),
+      ...(control && { control })
+    };
+  } catch (error) {
+    // Just text that happens to start with a brace
+    return message;
+  }
+};
+
+/**
+ * Get every member of a conversation as an encryption recipient
+ *
+ * Throws (with a message that can be shown to the user) if the key vault is
+ * locked or any member has not published a public key.
+ */
+const getConversationRecipients = async (conversationId) => {
+  // Make sure the key vault is unlocked before sending
+  const userKeys = await keyVaultService.getKeyPair();
+  if (!userKeys) {
+    throw new Error('Encryption keys not found. Please generate new keys in settings.');
+  }
+  
+  const conversationResponse = await api.get(`/conversations/${conversationId}/members`);
+  const members = conversationResponse.data.members || [];
+  if (members.length === 0) {
+    throw new Error('Conversation members could not be loaded.');
+  }
+  
+  const withoutKeys = members.filter(m => !m.publicKey);
+  if (withoutKeys.length > 0) {
+    const names = withoutKeys.map(m => m.username || m.userId).join(', ');
+    throw new Error(`Some members have not set up encryption: ${names}.`);
+  }
+  
+  return {
+    recipients: members.map(m => ({ userId: m.userId, publicKey: m.publicKey })),
+    keyEpoch: conversationResponse.data.keyEpoch ?? null
+  };
+};
+
+// Error code the server answers with when a message was encrypted for a
+// member list that has changed since
+const STALE_KEY_EPOCH = 'STALE_KEY_EPOCH';
+
+const isStaleKeyEpoch = (error) => {
+  return error.response?.status === 409 && error.response?.data?.error?.code === STALE_KEY_EPOCH;
+};
+
+/**
+ * Encrypt a conversation message payload for the current members
+ *
+ * The key epoch of the member list is sent along, so the server can reject
+ * the message if members were added or removed while it was being encrypted.
+ */
+const encryptForConversation = async (payload, content, conversationId) => {
+  // Start over from the plain payload, in case it was encrypted for an older member list
+  ['encryptedContent', 'iv', 'recipientKeys', 'encryptionScheme', 'keyEpoch'].forEach(field => {
+    delete payload[field];
+  });
+  payload.content = content;
+  
+  await applyEncryptionPolicy(payload, content, async () => {
+    const { recipients, keyEpoch } = await getConversationRecipients(conversationId);
+    if (keyEpoch !== null) {
+      payload.keyEpoch = keyEpoch;
+    }
+    return recipients;
+  }, encryptionPolicyService.getPolicy(conversationId));
+};
+
+/**
+ * Encrypt and submit a conversation message payload
+ *
+ * If the server reports that the members changed in the meantime, the
+ * payload is encrypted again for the new member list, so removed members
+ * never receive a key for it.
+ *
+ * @param {Function} submit - Sends the payload, e.g. with api.post
+ */
+const submitToMembers = async (submit, payload, content, conversationId) => {
+  await encryptForConversation(payload, content, conversationId);
+  
+  try {
+    return await submit(payload);
+  } catch (error) {
+    if (!isStaleKeyEpoch(error)) {
+      throw error;
+    }
+    
+    await encryptForConversation(payload, content, conversationId);
+    return submit(payload);
+  }
+};
+
+/**
+ * Check whether a scheduled message is still encrypted for a conversation's
+ * current members: the same key epoch, when the server keeps one, and a key
+ * for every member and no one else
+ */
+const isEncryptedForMembers = (message, members, keyEpoch) => {
+  if (!message.isEncrypted) {
+    return true;
+  }
+  if (keyEpoch !== null && message.keyEpoch !== keyEpoch) {
+    return false;
+  }
+  
+  const recipientIds = new Set(Object.keys(message.recipientKeys || {}).map(id => id.split(':')[0]));
+  return recipientIds.size === members.length && members.every(member => recipientIds.has(member.userId));
+};
+
 // Message service
 const messageService = {
   // Get user conversations
@@ -47,6 +330,24 @@ const messageService = {
     }
   },
 
+  /**
+   * Get the members of a conversation
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<Object>} Response with the members
+   */
+  getConversationMembers: async (conversationId) => {
+    try {
+      const response = await api.get(`/conversations/${conversationId}/members`);
+      return { success: true, data: response.data.members || [] };
+    } catch (error) {
+      console.error('Get conversation members error:', error);
+      return { 
+        success: false, 
+        error: error.response?.data?.error?.message || 'Failed to fetch conversation members' 
+      };
+    }
+  },
+
   // Get messages for a conversation
   getMessages: async (conversationId, page = 1, limit = 20) => {
     try {
@@ -67,14 +368,88 @@ const messageService = {
     }
   },
 
+  /**
+   * Get a page of messages older than the oldest one already loaded
+   * @param {string} conversationId - Conversation ID
+   * @param {string} before - Timestamp of the oldest loaded message
+   * @param {number} limit - Page size
+   * @returns {Promise<Object>} Response with the older messages and whether there are more
+   */
+  getMessagesBefore: async (conversationId, before, limit = 50) => {
+    try {
+      const response = await api.get(`/messages/${conversationId}`, {
+        params: { before, limit }
+      });
+      
+      const messages = Array.isArray(response.data) ? response.data : response.data.messages || [];
+      
+      return {
+        success: true,
+        data: {
+          messages,
+          hasMore: response.data.hasMore ?? messages.length >= limit
+        }
+      };
+    } catch (error) {
+      console.error('Get older messages error:', error);
+      return { 
+        success: false, 
+        error: error.response?.data?.error?.message || 'Failed to fetch messages' 
+      };
+    }
+  },
+
+  /**
+   * Fetch what changed in a conversation since the last sync
+   * @param {string} conversationId - Conversation ID
+   * @param {string} since - Cursor from the previous sync, or null for the latest page
+   * @returns {Promise<Object>} Response with the new messages and the next cursor
+   */
+  syncMessages: async (conversationId, since = null) => {
+    try {
+      const response = await api.get(`/messages/${conversationId}`, {
+        params: since ? { since } : { page: 1, limit: 20 }
+      });
+      
+      // Join the conversation room via WebSocket when loading messages
+      socketService.joinConversation(conversationId);
+      
+      const messages = Array.isArray(response.data) ? response.data : response.data.messages || [];
+      
+      // Servers that don't return a cursor are synced by timestamp
+      const latest = messages.reduce((max, message) => {
+        const changedAt = new Date(message.updatedAt || message.timestamp || message.createdAt || 0).getTime();
+        return Math.max(max, changedAt);
+      }, Date.parse(since) || 0);
+      
+      return {
+        success: true,
+        data: {
+          messages,
+          cursor: response.data.cursor || (latest ? new Date(latest).toISOString() : since)
+        }
+      };
+    } catch (error) {
+      console.error('Sync messages error:', error);
+      return { 
+        success: false, 
+        error: error.response?.data?.error?.message || 'Failed to fetch messages' 
+      };
+    }
+  },
+
   /**
    * Send a message to a conversation
    * @param {string} conversationId - Conversation ID
    * @param {string} content - Message content
-   * @param {Object} mediaInfo - Media information (optional)
+   * @param {Object} mediaInfo - Media information; for encrypted media its key and details are
+   *   sealed into the content and only its ID and type are sent alongside (optional)
+   * @param {string} clientId - Client-generated ID the server uses to drop duplicates (optional)
+   * @param {Object} references - Quoted message, thread, link preview, disappearing message timer and
+   *   control, as { replyTo, threadId, linkPreview, expiresIn, control } (optional)
    * @returns {Promise<Object>} Response with message data
    */
-  sendMessage: async (conversationId, content, mediaInfo = null) => {
+  sendMessage: async (conversationId, content, mediaInfo = null, clientId = null, references = null) => {
     try {
       // If we have media info but no content, set a default content
       if (mediaInfo && !content.trim()) {
@@ -89,61 +464,36 @@ const messageService = {
         }
       }
 
-      // Get conversation members to encrypt message for each recipient
-      const conversationResponse = await api.get(`/conversations/${conversationId}/members`);
-      const members = conversationResponse.data.members || [];
-      
-      // Get current user's private key from secure storage
-      const userKeys = JSON.parse(localStorage.getItem('userKeys') || '{}');
-      const privateKeyString = userKeys.privateKey;
-      
-      if (!privateKeyString) {
-        throw new Error('Encryption keys not found. Please generate new keys in settings.');
-      }
-      
       // Prepare message payload
+      const attachment = mediaInfo ? mediaService.toAttachment(mediaInfo) : null;
+      const body = sealContent(content, attachment ? { ...references, attachment } : references);
       const payload = {
         conversationId,
-        content: content // Store original content temporarily
+        content: body
       };
       
+      if (clientId) {
+        payload.clientId = clientId;
+      }
+      
       // Add media information if available
       if (mediaInfo) {
         payload.mediaId = mediaInfo.id;
         payload.mediaType = mediaInfo.mediaType;
         payload.mediaUrl = mediaInfo.url;
-        if (mediaInfo.caption) {
+        if (mediaInfo.caption && !attachment) {
           payload.mediaCaption = mediaInfo.caption;
         }
       }
       
-      // If we have recipients with public keys, encrypt the message
-      if (members.length > 0 && members.every(m => m.publicKey)) {
-        try {
-          // Encrypt the message for all recipients
-          const encryptedData = await encryptionService.encryptGroupMessage(
-            content,
-            members.map(m => ({ userId: m.userId, publicKey: m.publicKey }))
-          );
-          
-          // Replace content with encrypted data
-          payload.content = '';
-          payload.encryptedContent = encryptedData.encryptedMessage;
-          payload.iv = encryptedData.iv;
-          payload.recipientKeys = encryptedData.recipientKeys;
-          payload.isEncrypted = true;
-        } catch (encryptionError) {
-          console.error('Encryption failed, sending unencrypted message:', encryptionError);
-          // If encryption fails, send unencrypted message
-          payload.isEncrypted = false;
-        }
-      } else {
-        // If not all members have public keys, send unencrypted
-        payload.isEncrypted = false;
-      }
-
-      const response = await api.post('/messages', payload);
-      return response.data;
+      // Encrypt for every member, unless the conversation's policy says otherwise
+      const response = await submitToMembers(
+        data => api.post('/messages', data),
+        payload,
+        body,
+        conversationId
+      );
+      return { ...response.data, isEncrypted: payload.isEncrypted };
     } catch (error) {
       console.error('Send message error:', error);
       throw error;
@@ -174,17 +524,16 @@ const messageService = {
     }
   },
 
-  // Send a direct message to a user
-  sendDirectMessage: async (recipientId, content, media = null) => {
+  /**
+   * Send a direct message to a user
+   * @param {string} recipientId - Recipient user ID
+   * @param {string} content - Message content
+   * @param {Object} media - Media information (optional)
+   * @param {string} conversationId - Existing direct conversation, whose encryption policy applies (optional)
+   * @returns {Promise<Object>} Response with message data
+   */
+  sendDirectMessage: async (recipientId, content, media = null, conversationId = null) => {
     try {
-      // Get recipient's public key
-      const recipientResponse = await api.get(`/users/${recipientId}`);
-      const recipientPublicKey = recipientResponse.data.publicKey;
-      
-      // Get current user's private key from secure storage
-      const userKeys = JSON.parse(localStorage.getItem('userKeys') || '{}');
-      const privateKeyString = userKeys.privateKey;
-      
       // Prepare message payload
       const payload = {
         recipientId,
@@ -194,62 +543,64 @@ const messageService = {
         mediaUrl: media?.url
       };
       
-      // If both keys are available, encrypt the message
-      if (recipientPublicKey && privateKeyString) {
-        try {
-          // Encrypt the message for the recipient
-          const encryptedData = await encryptionService.encryptGroupMessage(
-            content,
-            [{ userId: recipientId, publicKey: recipientPublicKey }]
-          );
-          
-          // Replace content with encrypted data
-          payload.content = '';
-          payload.encryptedContent = encryptedData.encryptedMessage;
-          payload.iv = encryptedData.iv;
-          payload.recipientKeys = encryptedData.recipientKeys;
-          payload.isEncrypted = true;
-        } catch (encryptionError) {
-          console.error('Encryption failed, sending unencrypted message:', encryptionError);
-          // If encryption fails, send unencrypted message
-          payload.isEncrypted = false;
+      // Encrypt for the recipient and our own copy
+      await applyEncryptionPolicy(payload, content, async () => {
+        const recipientResponse = await api.get(`/users/${recipientId}`);
+        const recipientPublicKey = recipientResponse.data.publicKey;
+        if (!recipientPublicKey) {
+          throw new Error('The recipient has not set up encryption.');
         }
-      } else {
-        // If keys are not available, send unencrypted
-        payload.isEncrypted = false;
-      }
+        
+        // Get current user's keys from the key vault
+        const userKeys = await keyVaultService.getKeyPair();
+        if (!userKeys) {
+          throw new Error('Encryption keys not found. Please generate new keys in settings.');
+        }
+        
+        const user = JSON.parse(localStorage.getItem('user') || '{}');
+        return [
+          { userId: recipientId, publicKey: recipientPublicKey },
+          ...(user.id ? [{ userId: user.id, publicKey: userKeys.publicKey }] : [])
+        ];
+      }, encryptionPolicyService.getPolicy(conversationId));
       
       // First check if we have an existing conversation
       const response = await api.post('/messages/direct', payload);
       
       // If WebSocket is connected, notify recipient in real-time
       if (socketService.isConnected()) {
-        socketService.sendPrivateMessage(recipientId, content, media, payload.isEncrypted ? {
+        socketService.sendPrivateMessage(recipientId, payload.content, media, payload.isEncrypted ? {
           encryptedContent: payload.encryptedContent,
           iv: payload.iv,
-          recipientKeys: payload.recipientKeys
+          recipientKeys: payload.recipientKeys,
+          encryptionScheme: payload.encryptionScheme
         } : null);
       }
       
-      return { success: true, data: response.data };
+      return { success: true, data: { ...response.data, isEncrypted: payload.isEncrypted } };
     } catch (error) {
       console.error('Send direct message error:', error);
       return { 
         success: false, 
-        error: error.response?.data?.error?.message || 'Failed to send message' 
+        code: error.code,
+        error: isSendBlocked(error)
+          ? error.message
+          : error.response?.data?.error?.message || 'Failed to send message'
       };
     }
   },
 
   /**
-   * Decrypt a message
+   * Decrypt a message. Messages whose key came through a session with one of
+   * the sender's devices, bound to exactly this content, are marked
+   * `authenticated`.
    * @param {Object} message - Message object with encrypted content
    * @returns {Promise<Object>} Decrypted message
    */
   decryptMessage: async (message) => {
-    // If message is not encrypted, return as is
+    // If message is not encrypted, only its references need unwrapping
     if (!message.isEncrypted) {
-      return message;
+      return openContent(message);
     }
     
     try {
@@ -261,15 +612,32 @@ const messageService = {
         throw new Error('User ID not found');
       }
       
-      const userKeys = JSON.parse(localStorage.getItem('userKeys') || '{}');
-      const privateKeyString = userKeys.privateKey;
+      // Messages sent through a ratchet session
+      if (message.encryptionScheme === sessionService.SCHEME) {
+        const { plaintext, authenticated } = await sessionService.openGroupMessage(
+          {
+            encryptedMessage: message.encryptedContent,
+            iv: message.iv,
+            recipientKeys: message.recipientKeys
+          },
+          userId,
+          message.senderId
+        );
+        
+        return openContent({
+          ...message,
+          content: plaintext,
+          decrypted: true,
+          authenticated
+        });
+      }
       
-      if (!privateKeyString) {
+      const userKeys = await keyVaultService.getKeyPair();
+      
+      if (!userKeys) {
         throw new Error('Private key not found');
       }
-      
-      // Import private key
-      const privateKey = await encryptionService.importPrivateKey(privateKeyString);
+      const deviceKeys = await keyVaultService.getDeviceKeyPair();
       
       // Decrypt the message
       const decryptedContent = await encryptionService.decryptGroupMessage(
@@ -279,15 +647,17 @@ const messageService = {
           recipientKeys: message.recipientKeys
         },
         userId,
-        privateKey
+        userKeys.privateKey,
+        deviceService.getDeviceId(),
+        deviceKeys?.privateKey
       );
       
       // Return message with decrypted content
-      return {
+      return openContent({
         ...message,
         content: decryptedContent,
         decrypted: true
-      };
+      });
     } catch (error) {
       console.error('Failed to decrypt message:', error);
       return {
@@ -315,10 +685,13 @@ const messageService = {
         const decryptedMessage = await messageService.decryptMessage(message);
         decryptedMessages.push(decryptedMessage);
       } else {
-        decryptedMessages.push(message);
+        decryptedMessages.push(openContent(message));
       }
     }
     
+    // Make what was just decrypted searchable; the index is updated in the background
+    searchIndexService.indexMessages(decryptedMessages);
+    
     return decryptedMessages;
   },
   
@@ -328,20 +701,26 @@ const messageService = {
    */
   generateEncryptionKeys: async () => {
     try {
+      // Keys can only be stored once the vault is set up and unlocked
+      await keyVaultService.requestUnlock();
+      
       // Generate new key pair
       const keyPair = await encryptionService.generateKeyPair();
       
-      // Store private key securely
-      localStorage.setItem('userKeys', JSON.stringify({
-        privateKey: keyPair.privateKey,
-        publicKey: keyPair.publicKey
-      }));
+      // Store private key in the key vault
+      await keyVaultService.storeKeyPair(keyPair);
       
       // Update user's public key on the server
       await api.post('/users/update-public-key', {
         publicKey: keyPair.publicKey
       });
       
+      // Set up forward-secret session keys alongside the RSA key pair
+      await sessionService.init();
+      
+      // Register this device so other devices and contacts encrypt for it
+      await deviceService.registerDevice();
+      
       return { success: true, publicKey: keyPair.publicKey };
     } catch (error) {
       console.error('Error generating encryption keys:', error);
@@ -367,17 +746,25 @@ const messageService = {
   },
 
   // Search messages
-  searchMessages: async (query) => {
+  /**
+   * Search messages this device has decrypted
+   *
+   * The server only has ciphertext, so the search runs against the local
+   * index (see searchIndexService.parseQuery for the query syntax).
+   *
+   * @param {string} query - Search query
+   * @param {Object} options - { conversationId, limit } (optional)
+   * @returns {Promise<Object>} Response with the matching messages, newest first
+   */
+  searchMessages: async (query, options = {}) => {
     try {
-      const response = await api.get('/messages/search', {
-        params: { query }
-      });
-      return { success: true, data: response.data };
+      const results = await searchIndexService.search(query, options);
+      return { success: true, data: results };
     } catch (error) {
       console.error('Search messages error:', error);
       return { 
         success: false, 
-        error: error.response?.data?.error?.message || 'Failed to search messages' 
+        error: 'Failed to search messages' 
       };
     }
   },
@@ -405,10 +792,43 @@ const messageService = {
     }
   },
 
-  // Delete a message
-  deleteMessage: async (messageId) => {
+  /**
+   * Whether the current user may still delete a message for everyone
+   * @param {Object} message - Message object
+   * @returns {boolean} True for the user's own messages within the delete window
+   */
+  canDeleteForEveryone: (message) => {
+    const user = JSON.parse(localStorage.getItem('user') || '{}');
+    if (!message || message.deleted || message.senderId !== user.id) {
+      return false;
+    }
+    
+    const sentAt = new Date(message.timestamp || message.createdAt).getTime();
+    return Date.now() - sentAt <= DELETE_FOR_EVERYONE_WINDOW;
+  },
+  
+  /**
+   * Delete a message
+   *
+   * Deleting for everyone replaces the message with a tombstone for all
+   * members and is only allowed for the sender, within the delete window;
+   * deleting for me only hides it from the current user's devices.
+   * @param {string} messageId - Message ID
+   * @param {string} conversationId - Conversation the message belongs to
+   * @param {boolean} forEveryone - Delete for every member instead of just the current user
+   * @returns {Promise<Object>} Response with success status
+   */
+  deleteMessage: async (messageId, conversationId, forEveryone = false) => {
     try {
-      await api.delete(`/messages/${messageId}`);
+      await api.delete(`/messages/${messageId}`, {
+        params: { scope: forEveryone ? 'everyone' : 'me' }
+      });
+      
+      // Let the other members replace the message in real time
+      if (forEveryone && socketService.isConnected()) {
+        socketService.sendMessageDeletion(messageId, conversationId);
+      }
+      
       return { success: true };
     } catch (error) {
       console.error('Delete message error:', error);
@@ -418,7 +838,300 @@ const messageService = {
       };
     }
   },
-  
+  /**
+   * Edit the content of a message that was sent by the current user
+   *
+   * The new content is encrypted again for every member, following the
+   * conversation's encryption policy, and other members are notified with a
+   * `message:edit` socket event.
+   * @param {string} messageId - Message ID
+   * @param {string} conversationId - Conversation the message belongs to
+   * @param {string} content - New message content
+   * @param {Object} references - The message's quoted message, thread, link preview, attachment and timer (optional)
+   * @returns {Promise<Object>} Response with the new version number and edit time
+   */
+  editMessage: async (messageId, conversationId, content, references = null) => {
+    try {
+      const body = sealContent(content, references);
+      const payload = {
+        conversationId,
+        content: body
+      };
+      
+      const response = await submitToMembers(
+        data => api.put(`/messages/${messageId}`, data),
+        payload,
+        body,
+        conversationId
+      );
+      const edit = {
+        ...payload,
+        messageId,
+        version: response.data.version,
+        editedAt: response.data.editedAt || new Date().toISOString()
+      };
+      
+      // Let the other members update the message in real time
+      if (socketService.isConnected()) {
+        socketService.sendMessageEdit(edit);
+      }
+      
+      return {
+        success: true,
+        data: {
+          version: edit.version,
+          editedAt: edit.editedAt,
+          isEncrypted: payload.isEncrypted
+        }
+      };
+    } catch (error) {
+      console.error('Edit message error:', error);
+      return { 
+        success: false, 
+        code: error.code,
+        error: isSendBlocked(error)
+          ? error.message
+          : error.response?.data?.error?.message || 'Failed to edit message'
+      };
+    }
+  },
+
+  /**
+   * Decrypt an edit another device sent in real time. The edit is only kept
+   * if it was sent through a session with one of the author's devices, so
+   * nobody else can change what someone wrote: not another member reusing the
+   * author's keys, and not an edit sent without a session at all.
+   * @param {Object} original - The message as this device has it
+   * @param {Object} edit - `message:edit` event with the new encrypted content
+   * @returns {Promise<Object|null>} Decrypted edit, or null if it must be ignored
+   */
+  decryptEdit: async (original, edit) => {
+    if (edit.senderId && edit.senderId !== original.senderId) {
+      console.warn('Ignoring edit by someone other than the author:', original.id);
+      return null;
+    }
+    if (!edit.isEncrypted || edit.encryptionScheme !== sessionService.SCHEME) {
+      console.warn('Ignoring edit sent without a session:', original.id);
+      return null;
+    }
+
+    const decrypted = await messageService.decryptMessage({
+      ...edit,
+      id: original.id,
+      senderId: original.senderId
+    });
+
+    if (decrypted.decryptError) {
+      console.error('Could not decrypt edited message:', original.id);
+      return null;
+    }
+    if (!decrypted.authenticated) {
+      console.warn('Ignoring edit not proven to come from the author:', original.id);
+      return null;
+    }
+
+    return decrypted;
+  },
+
+  /**
+   * Schedule a message to be sent later
+   *
+   * The message is encrypted now, for the current members, and the server
+   * holds on to the encrypted payload until it is due, so it is delivered even
+   * if the sender is offline by then. If the members change before then,
+   * refreshScheduledMessages encrypts it again. The time zone it was scheduled in is
+   * only kept to show and edit it the same way.
+   * @param {string} conversationId - Conversation ID
+   * @param {string} content - Message content
+   * @param {Object} schedule - When to send it, as { sendAt, timeZone }
+   * @param {string} clientId - Client-generated ID the delivered message will have (optional)
+   * @param {Object} references - The message's quoted message, thread, link preview and timer (optional)
+   * @returns {Promise<Object>} Response with the scheduled message
+   */
+  scheduleMessage: async (conversationId, content, schedule, clientId = null, references = null) => {
+    try {
+      const body = sealContent(content, references);
+      const payload = {
+        conversationId,
+        content: body,
+        sendAt: new Date(schedule.sendAt).toISOString(),
+        timeZone: schedule.timeZone
+      };
+
+      if (clientId) {
+        payload.clientId = clientId;
+      }
+
+      const response = await submitToMembers(
+        data => api.post('/messages/scheduled', data),
+        payload,
+        body,
+        conversationId
+      );
+      return {
+        success: true,
+        data: { ...response.data, isEncrypted: payload.isEncrypted }
+      };
+    } catch (error) {
+      console.error('Schedule message error:', error);
+      return {
+        success: false,
+        code: error.code,
+        error: isSendBlocked(error)
+          ? error.message
+          : error.response?.data?.error?.message || 'Failed to schedule message'
+      };
+    }
+  },
+
+  /**
+   * Get the current user's messages scheduled in a conversation
+   *
+   * They are decrypted one by one rather than with decryptMessages, so they
+   * don't become searchable before they are sent.
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<Object>} Response with the scheduled messages, due soonest first
+   */
+  getScheduledMessages: async (conversationId) => {
+    try {
+      const response = await api.get('/messages/scheduled', {
+        params: { conversationId }
+      });
+
+      const user = JSON.parse(localStorage.getItem('user') || '{}');
+      const scheduled = await Promise.all((response.data.scheduledMessages || []).map(message => (
+        messageService.decryptMessage({ senderId: user.id, ...message })
+      )));
+      scheduled.sort((a, b) => new Date(a.sendAt) - new Date(b.sendAt));
+
+      return { success: true, data: scheduled };
+    } catch (error) {
+      console.error('Get scheduled messages error:', error);
+      return {
+        success: false,
+        error: error.response?.data?.error?.message || 'Failed to fetch scheduled messages'
+      };
+    }
+  },
+
+  /**
+   * Get the current user's messages scheduled in a conversation, encrypting
+   * again any that are no longer encrypted for its current members
+   *
+   * Scheduled messages are encrypted when they are scheduled, so members
+   * added since would get no key for them, removed members still would, and
+   * the server refuses to deliver them for a stale key epoch. Each such
+   * message is encrypted again with its content and references kept; one the
+   * server already failed to deliver is handed back to it, due at once if its
+   * time has passed.
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<Object>} Response with the scheduled messages, due soonest first
+   */
+  refreshScheduledMessages: async (conversationId) => {
+    const result = await messageService.getScheduledMessages(conversationId);
+    if (!result.success || result.data.length === 0) {
+      return result;
+    }
+    
+    let members;
+    let keyEpoch;
+    try {
+      const response = await api.get(`/conversations/${conversationId}/members`);
+      members = response.data.members || [];
+      keyEpoch = response.data.keyEpoch ?? null;
+    } catch (error) {
+      console.error('Get conversation members error:', error);
+      return result;
+    }
+    
+    const scheduled = await Promise.all(result.data.map(async message => {
+      if (message.decryptError || isEncryptedForMembers(message, members, keyEpoch)) {
+        return message;
+      }
+      
+      const schedule = {
+        sendAt: new Date(Math.max(new Date(message.sendAt).getTime(), Date.now())).toISOString(),
+        timeZone: message.timeZone
+      };
+      const update = await messageService.updateScheduledMessage(message.id, conversationId, message.content, schedule, {
+        replyTo: message.replyTo,
+        threadId: message.threadId,
+        linkPreview: message.linkPreview,
+        expiresIn: message.expiresIn
+      });
+      if (!update.success) {
+        console.warn(`Could not encrypt scheduled message ${message.id} for the current members:`, update.error);
+        return message;
+      }
+      
+      return { ...message, status: 'scheduled', error: null, ...update.data, ...schedule };
+    }));
+    scheduled.sort((a, b) => new Date(a.sendAt) - new Date(b.sendAt));
+    
+    return { success: true, data: scheduled };
+  },
+
+  /**
+   * Change the content or time of a message that is not sent yet
+   *
+   * The new content is encrypted again for the current members.
+   * @param {string} scheduledId - Scheduled message ID
+   * @param {string} conversationId - Conversation it will be sent to
+   * @param {string} content - New message content
+   * @param {Object} schedule - When to send it, as { sendAt, timeZone }
+   * @param {Object} references - The message's quoted message, thread, link preview and timer (optional)
+   * @returns {Promise<Object>} Response with the updated scheduled message
+   */
+  updateScheduledMessage: async (scheduledId, conversationId, content, schedule, references = null) => {
+    try {
+      const body = sealContent(content, references);
+      const payload = {
+        conversationId,
+        content: body,
+        sendAt: new Date(schedule.sendAt).toISOString(),
+        timeZone: schedule.timeZone
+      };
+
+      const response = await submitToMembers(
+        data => api.put(`/messages/scheduled/${scheduledId}`, data),
+        payload,
+        body,
+        conversationId
+      );
+      return {
+        success: true,
+        data: { ...response.data, isEncrypted: payload.isEncrypted }
+      };
+    } catch (error) {
+      console.error('Update scheduled message error:', error);
+      return {
+        success: false,
+        code: error.code,
+        error: isSendBlocked(error)
+          ? error.message
+          : error.response?.data?.error?.message || 'Failed to update scheduled message'
+      };
+    }
+  },
+
+  /**
+   * Cancel a message that is not sent yet
+   * @param {string} scheduledId - Scheduled message ID
+   * @returns {Promise<Object>} Response with success status
+   */
+  cancelScheduledMessage: async (scheduledId) => {
+    try {
+      await api.delete(`/messages/scheduled/${scheduledId}`);
+      return { success: true };
+    } catch (error) {
+      console.error('Cancel scheduled message error:', error);
+      return {
+        success: false,
+        error: error.response?.data?.error?.message || 'Failed to cancel scheduled message'
+      };
+    }
+  },
+
   // Leave a conversation
   leaveConversation: (conversationId) => {
     return socketService.leaveConversation(conversationId);
@@ -0,0 +1,468 @@
+import { v4 as uuidv4 } from 'uuid';
+import messageService from './messageService';
+import mediaService from './mediaService';
+import socketService from './socketService';
+import presenceService from './presenceService';
+import encryptionPolicyService from './encryptionPolicyService';
+import verificationService from './verificationService';
+import encryptionService from './encryptionService';
+import keyVaultService from './keyVaultService';
+import { isIndexedDbSupported, openDatabase, runTransaction } from '../utils/indexedDbUtils';
+
+// IndexedDB layout
+const DB_NAME = 'swickr-outbox';
+const DB_VERSION = 1;
+const STORE_NAME = 'messages';
+
+// Retry schedule for transient failures
+const MAX_ATTEMPTS = 5;
+const BASE_RETRY_DELAY = 2000;
+const MAX_RETRY_DELAY = 60000;
+
+const STATUS = {
+  PENDING: 'pending',
+  SENDING: 'sending',
+  FAILED: 'failed'
+};
+
+let dbPromise = null;
+let flushPromise = null;
+let flushRequested = false;
+let retryTimer = null;
+const listeners = new Set();
+
+// Used when the browser has no IndexedDB, or there is no unlocked key vault
+// to seal messages with; messages then only survive until reload
+const memoryStore = new Map();
+
+const getDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = openDatabase(DB_NAME, DB_VERSION, (db) => {
+      const store = db.createObjectStore(STORE_NAME, { keyPath: 'clientId' });
+      store.createIndex('createdAt', 'createdAt');
+    });
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+};
+
+const readAsArrayBuffer = (blob) => {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(blob);
+  });
+};
+
+/**
+ * Get the key vault's data key, or null if there is none to seal with: users
+ * without keys never set up a vault, and the user may decline to unlock it.
+ * Sending must not depend on either.
+ */
+const getSealingKey = async () => {
+  try {
+    if (!(await keyVaultService.isInitialized())) {
+      return null;
+    }
+    return await keyVaultService.getDataKey();
+  } catch (error) {
+    console.warn('Key vault unavailable, keeping queued messages in memory:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Encrypt a record with the key vault's data key, the same key as the
+ * message cache; only whose it is and what is needed to keep the queue in
+ * order stay readable
+ */
+const sealRecord = async (record, key) => {
+  const { file, ...fields } = record;
+  if (file) {
+    fields.fileInfo = { name: file.name, type: file.type, lastModified: file.lastModified };
+  }
+
+  const { ciphertext, iv } = await encryptionService.encryptBytes(
+    new TextEncoder().encode(JSON.stringify(fields)),
+    key
+  );
+  const sealed = {
+    clientId: record.clientId,
+    userId: record.userId,
+    createdAt: record.createdAt,
+    iv,
+    data: ciphertext
+  };
+
+  if (file) {
+    const encryptedFile = await encryptionService.encryptBytes(new Uint8Array(await readAsArrayBuffer(file)), key);
+    sealed.file = { iv: encryptedFile.iv, data: encryptedFile.ciphertext };
+  }
+
+  return sealed;
+};
+
+const openRecord = async (sealed, key) => {
+  // Queued before the outbox was encrypted; sealed when it is next written
+  if (!sealed.data) {
+    return sealed;
+  }
+
+  const data = await encryptionService.decryptBytes(sealed.data, sealed.iv, key);
+  const { fileInfo, ...record } = JSON.parse(new TextDecoder().decode(data));
+
+  if (fileInfo) {
+    const bytes = await encryptionService.decryptBytes(sealed.file.data, sealed.file.iv, key);
+    record.file = new File([bytes], fileInfo.name, {
+      type: fileInfo.type,
+      lastModified: fileInfo.lastModified
+    });
+  }
+
+  return record;
+};
+
+const getCurrentUserId = () => {
+  const user = JSON.parse(localStorage.getItem('user') || '{}');
+  return user.id;
+};
+
+// Messages queued by other accounts on this browser wait for them to log in again
+const readAll = async () => {
+  const userId = getCurrentUserId();
+  const inMemory = Array.from(memoryStore.values()).filter(record => record.userId === userId);
+  if (!isIndexedDbSupported()) {
+    return inMemory;
+  }
+  const db = await getDatabase();
+  const records = (await runTransaction(db, STORE_NAME, 'readonly', store => store.index('createdAt').getAll()))
+    .filter(record => record.userId === userId);
+  if (records.length === 0) {
+    return inMemory;
+  }
+
+  // Sealed messages wait for the vault; the ones in memory can still go out
+  const key = await getSealingKey();
+  if (!key) {
+    return inMemory;
+  }
+  const stored = await Promise.all(records.map(record => openRecord(record, key)));
+
+  // Copies kept in memory are newer than any stored copy of the same message
+  const byClientId = new Map(stored.map(record => [record.clientId, record]));
+  inMemory.forEach(record => byClientId.set(record.clientId, record));
+  return Array.from(byClientId.values()).sort((a, b) => a.createdAt - b.createdAt);
+};
+
+const writeRecord = async (record) => {
+  const key = isIndexedDbSupported() && await getSealingKey();
+  if (!key) {
+    memoryStore.set(record.clientId, record);
+    return;
+  }
+  const sealed = await sealRecord(record, key);
+  const db = await getDatabase();
+  await runTransaction(db, STORE_NAME, 'readwrite', store => store.put(sealed));
+  memoryStore.delete(record.clientId);
+};
+
+const deleteRecord = async (clientId) => {
+  memoryStore.delete(clientId);
+  if (!isIndexedDbSupported()) {
+    return;
+  }
+  const db = await getDatabase();
+  await runTransaction(db, STORE_NAME, 'readwrite', store => store.delete(clientId));
+};
+
+const isOnline = () => {
+  return typeof navigator === 'undefined' || navigator.onLine !== false;
+};
+
+const notifyListeners = (event) => {
+  listeners.forEach(listener => {
+    try {
+      listener(event);
+    } catch (error) {
+      console.error('Error in outbox listener:', error);
+    }
+  });
+};
+
+/**
+ * Whether a failed send is worth retrying automatically. Rejections by the
+ * server, blocked encryption and changed keys of verified contacts will fail
+ * the same way every time.
+ */
+const isTransientError = (error) => {
+  if (error.code === encryptionPolicyService.ENCRYPTION_REQUIRED || error.code === verificationService.KEYS_CHANGED) {
+    return false;
+  }
+
+  const status = error.response?.status;
+  if (status && status < 500 && status !== 408 && status !== 429) {
+    return false;
+  }
+
+  return true;
+};
+
+const getRetryDelay = (attempts) => {
+  return Math.min(BASE_RETRY_DELAY * 2 ** (attempts - 1), MAX_RETRY_DELAY);
+};
+
+const scheduleRetry = (delay) => {
+  clearTimeout(retryTimer);
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    outboxService.flush();
+  }, delay);
+};
+
+/**
+ * Deliver one queued message to the server
+ */
+const sendRecord = async (record) => {
+  if (record.type === 'text') {
+    return messageService.sendMessage(
+      record.conversationId,
+      record.content,
+      record.media,
+      record.clientId,
+      record.references || null
+    );
+  }
+
+  // Uploads that already succeeded are not repeated when only the message failed
+  if (!record.uploadedMedia) {
+    const onProgress = (progress) => notifyListeners({ type: 'progress', record, progress });
+    record.uploadedMedia = await mediaService.uploadMedia(
+      record.file,
+      record.conversationId,
+      onProgress,
+      record.metadata || null
+    );
+    await writeRecord(record);
+  }
+
+  // The server may create the message itself as part of the upload
+  if (record.uploadedMedia.messageId) {
+    return { ...record.uploadedMedia, isEncrypted: false };
+  }
+
+  // Encrypted media brings its key and details, which are sealed into the message
+  return messageService.sendMessage(record.conversationId, record.caption, {
+    ...record.uploadedMedia,
+    caption: record.caption
+  }, record.clientId, record.references || null);
+};
+
+const flushQueue = async () => {
+  const records = (await readAll()).filter(record => record.status === STATUS.PENDING);
+
+  for (const record of records) {
+    if (!isOnline()) {
+      return;
+    }
+
+    record.attempts += 1;
+    presenceService.markMessageAsSending(record.clientId);
+    notifyListeners({ type: STATUS.SENDING, record });
+
+    try {
+      const result = await sendRecord(record);
+      await deleteRecord(record.clientId);
+      notifyListeners({ type: 'sent', record, result });
+    } catch (error) {
+      record.lastError = error.message;
+
+      if (isTransientError(error) && record.attempts < MAX_ATTEMPTS) {
+        // Keep the queue in order: later messages wait behind this one
+        await writeRecord(record);
+        presenceService.markMessageAsPending(record.clientId);
+        notifyListeners({ type: STATUS.PENDING, record, error });
+        scheduleRetry(getRetryDelay(record.attempts));
+        return;
+      }
+
+      record.status = STATUS.FAILED;
+      await writeRecord(record);
+      presenceService.markMessageAsFailed(record.clientId, error.message);
+      notifyListeners({ type: STATUS.FAILED, record, error });
+    }
+  }
+};
+
+/**
+ * Outbox Service
+ *
+ * Queues outgoing messages in IndexedDB, encrypted with the key vault, so
+ * nothing typed while offline is lost. Queued messages are sent in order with client-generated IDs (which
+ * the server uses to drop duplicates) whenever the socket reconnects or the
+ * browser comes back online. They are kept across logouts and sent once
+ * their sender logs in again. Without an unlocked vault they are still sent,
+ * but only kept in memory until then.
+ */
+const outboxService = {
+  STATUS,
+  MAX_ATTEMPTS,
+
+  /**
+   * Start replaying the queue on reconnect
+   * @returns {Function} Cleanup function
+   */
+  init: () => {
+    const handleOnline = () => outboxService.flush();
+    const unsubscribeConnect = socketService.on('connect', handleOnline);
+    window.addEventListener('online', handleOnline);
+
+    // Restore the status of messages queued before a reload, then send them
+    outboxService.getMessages().then(records => {
+      records.forEach(record => {
+        if (record.status === STATUS.FAILED) {
+          presenceService.markMessageAsFailed(record.clientId, record.lastError);
+        } else {
+          presenceService.markMessageAsPending(record.clientId);
+        }
+      });
+      return outboxService.flush();
+    }).catch(error => console.error('Outbox init error:', error));
+
+    return () => {
+      unsubscribeConnect();
+      window.removeEventListener('online', handleOnline);
+      clearTimeout(retryTimer);
+      retryTimer = null;
+    };
+  },
+
+  /**
+   * Queue a text message, optionally referencing already uploaded media
+   * @param {string} conversationId - Conversation ID
+   * @param {string} content - Message content
+   * @param {Object} media - Uploaded media information (optional)
+   * @param {Object} references - Quoted message, thread and link preview, as { replyTo, threadId, linkPreview } (optional)
+   * @returns {Promise<Object>} Queued record
+   */
+  enqueueMessage: async (conversationId, content, media = null, references = null) => {
+    return outboxService._enqueue({ type: 'text', conversationId, content, media, references });
+  },
+
+  /**
+   * Queue a file to be uploaded and sent as a media message
+   * @param {string} conversationId - Conversation ID
+   * @param {File} file - File to upload
+   * @param {string} caption - Optional caption
+   * @param {Object} metadata - Recorded voice message details, as { voice, duration, waveform } (optional)
+   * @param {Object} references - Quoted message and thread, as { replyTo, threadId } (optional)
+   * @returns {Promise<Object>} Queued record
+   */
+  enqueueMedia: async (conversationId, file, caption = '', metadata = null, references = null) => {
+    return outboxService._enqueue({
+      type: 'media',
+      conversationId,
+      file,
+      caption,
+      metadata,
+      references,
+      uploadedMedia: null
+    });
+  },
+
+  _enqueue: async (fields) => {
+    const record = {
+      ...fields,
+      clientId: uuidv4(),
+      userId: getCurrentUserId(),
+      status: STATUS.PENDING,
+      attempts: 0,
+      lastError: null,
+      createdAt: Date.now()
+    };
+
+    await writeRecord(record);
+    presenceService.markMessageAsPending(record.clientId);
+    notifyListeners({ type: 'queued', record });
+    return record;
+  },
+
+  /**
+   * Get the current user's queued and failed messages, oldest first
+   * @param {string} conversationId - Only messages for this conversation (optional)
+   * @returns {Promise<Array<Object>>} Outbox records
+   */
+  getMessages: async (conversationId = null) => {
+    return (await readAll()).filter(record => !conversationId || record.conversationId === conversationId);
+  },
+
+  /**
+   * Send everything that is pending, in order
+   * @returns {Promise<void>} Resolves once the queue has been processed
+   */
+  flush: () => {
+    if (flushPromise) {
+      flushRequested = true;
+      return flushPromise;
+    }
+
+    flushPromise = (async () => {
+      do {
+        flushRequested = false;
+        try {
+          await flushQueue();
+        } catch (error) {
+          console.error('Outbox flush error:', error);
+        }
+      } while (flushRequested);
+      flushPromise = null;
+    })();
+
+    return flushPromise;
+  },
+
+  /**
+   * Queue a failed message again and try to send it now
+   * @param {string} clientId - Client-generated message ID
+   * @returns {Promise<boolean>} False if the message is not in the outbox
+   */
+  retry: async (clientId) => {
+    const record = (await readAll()).find(r => r.clientId === clientId);
+    if (!record) {
+      return false;
+    }
+
+    record.status = STATUS.PENDING;
+    record.attempts = 0;
+    record.lastError = null;
+    await writeRecord(record);
+    presenceService.markMessageAsPending(clientId);
+    notifyListeners({ type: STATUS.PENDING, record });
+
+    await outboxService.flush();
+    return true;
+  },
+
+  /**
+   * Remove a message from the outbox without sending it
+   * @param {string} clientId - Client-generated message ID
+   */
+  discard: async (clientId) => {
+    await deleteRecord(clientId);
+    notifyListeners({ type: 'removed', record: { clientId } });
+  },
+
+  /**
+   * Subscribe to outbox events
+   * @param {Function} listener - Called with { type, record, result?, error?, progress? }
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe: (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+};
+
+export default outboxService;
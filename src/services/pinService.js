@@ -0,0 +1,215 @@
+import axios from 'axios';
+import messageService from './messageService';
+import socketService from './socketService';
+import disappearingService from './disappearingService';
+
+// API base URL
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+
+// Create axios instance with default config
+const api = axios.create({
+  baseURL: API_URL,
+  headers: {
+    'Content-Type': 'application/json'
+  }
+});
+
+// Add request interceptor to include auth token
+api.interceptors.request.use(
+  (config) => {
+    const tokens = localStorage.getItem('tokens');
+    if (tokens) {
+      const { accessToken } = JSON.parse(tokens);
+      if (accessToken) {
+        config.headers.Authorization = `Bearer ${accessToken}`;
+      }
+    }
+    return config;
+  },
+  (error) => Promise.reject(error)
+);
+
+const newestFirst = (field) => (a, b) => new Date(b[field]) - new Date(a[field]);
+
+// The server sends pinned and starred messages as stored, so still encrypted;
+// they are decrypted one by one so they aren't indexed for search twice
+const decryptAll = (messages) => Promise.all(messages.map(message => messageService.decryptMessage(message)));
+
+// Messages deleted for everyone are never decrypted, and disappeared ones
+// (whose timers are only known once decrypted) are not kept either
+const isGone = (message, now) => message.deleted || disappearingService.isExpired(message, now);
+
+/**
+ * Pin Service
+ *
+ * Keeps important messages at hand in two ways: pins are shared with every
+ * member of a conversation and shown above its messages, while stars are
+ * private to the current user and gathered across conversations. The server
+ * only learns which messages are pinned or starred; their content stays
+ * encrypted.
+ */
+const pinService = {
+  /**
+   * Get the messages pinned in a conversation
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<Object>} Response with pins as { messageId, pinnedBy, pinnedAt, message }, newest
+   *   first, leaving out messages that were deleted for everyone or disappeared
+   */
+  getPins: async (conversationId) => {
+    try {
+      const response = await api.get(`/conversations/${conversationId}/pins`);
+      const pins = (response.data.pins || []).filter(pin => !pin.message?.deleted);
+      const messages = await decryptAll(pins
+        .filter(pin => pin.message)
+        .map(pin => ({ ...pin.message, conversationId })));
+      const now = Date.now();
+      const messagesById = new Map(messages
+        .filter(message => !isGone(message, now))
+        .map(message => [message.id, message]));
+
+      return {
+        success: true,
+        data: pins
+          .filter(pin => !pin.message || messagesById.has(pin.messageId))
+          .map(pin => ({
+            messageId: pin.messageId,
+            pinnedBy: pin.pinnedBy,
+            pinnedAt: pin.pinnedAt,
+            message: messagesById.get(pin.messageId) || null
+          }))
+          .sort(newestFirst('pinnedAt'))
+      };
+    } catch (error) {
+      console.error('Get pins error:', error);
+      return {
+        success: false,
+        error: error.response?.data?.error?.message || 'Failed to fetch pinned messages'
+      };
+    }
+  },
+
+  /**
+   * Pin a message for every member of its conversation
+   * @param {string} conversationId - Conversation ID
+   * @param {string} messageId - Message ID
+   * @returns {Promise<Object>} Response with the pin
+   */
+  pinMessage: async (conversationId, messageId) => {
+    try {
+      const response = await api.post(`/conversations/${conversationId}/pins`, { messageId });
+      const pin = {
+        conversationId,
+        messageId,
+        pinnedBy: response.data.pinnedBy,
+        pinnedAt: response.data.pinnedAt || new Date().toISOString()
+      };
+
+      // Let the other members show the pin in real time
+      if (socketService.isConnected()) {
+        socketService.sendMessagePin(pin);
+      }
+
+      return { success: true, data: pin };
+    } catch (error) {
+      console.error('Pin message error:', error);
+      return {
+        success: false,
+        error: error.response?.data?.error?.message || 'Failed to pin message'
+      };
+    }
+  },
+
+  /**
+   * Unpin a message for every member of its conversation
+   * @param {string} conversationId - Conversation ID
+   * @param {string} messageId - Message ID
+   * @returns {Promise<Object>} Response with success status
+   */
+  unpinMessage: async (conversationId, messageId) => {
+    try {
+      await api.delete(`/conversations/${conversationId}/pins/${messageId}`);
+
+      // Let the other members drop the pin in real time
+      if (socketService.isConnected()) {
+        socketService.sendMessagePin({ conversationId, messageId }, false);
+      }
+
+      return { success: true };
+    } catch (error) {
+      console.error('Unpin message error:', error);
+      return {
+        success: false,
+        error: error.response?.data?.error?.message || 'Failed to unpin message'
+      };
+    }
+  },
+
+  /**
+   * Get the messages the current user starred, across conversations
+   * @returns {Promise<Object>} Response with the messages and when they were starred, newest first,
+   *   leaving out messages that were deleted for everyone or disappeared
+   */
+  getStarredMessages: async () => {
+    try {
+      const response = await api.get('/messages/starred');
+      const starred = (response.data.messages || []).filter(message => !message.deleted);
+      const messages = await decryptAll(starred);
+      const now = Date.now();
+
+      return {
+        success: true,
+        data: messages
+          .map((message, index) => ({ ...message, starredAt: starred[index].starredAt }))
+          .filter(message => !isGone(message, now))
+          .sort(newestFirst('starredAt'))
+      };
+    } catch (error) {
+      console.error('Get starred messages error:', error);
+      return {
+        success: false,
+        error: error.response?.data?.error?.message || 'Failed to fetch saved messages'
+      };
+    }
+  },
+
+  /**
+   * Star a message, which only the current user sees
+   * @param {string} messageId - Message ID
+   * @returns {Promise<Object>} Response with when it was starred
+   */
+  starMessage: async (messageId) => {
+    try {
+      const response = await api.post(`/messages/${messageId}/star`);
+      return {
+        success: true,
+        data: { starredAt: response.data.starredAt || new Date().toISOString() }
+      };
+    } catch (error) {
+      console.error('Star message error:', error);
+      return {
+        success: false,
+        error: error.response?.data?.error?.message || 'Failed to save message'
+      };
+    }
+  },
+
+  /**
+   * Remove the star of a message
+   * @param {string} messageId - Message ID
+   * @returns {Promise<Object>} Response with success status
+   */
+  unstarMessage: async (messageId) => {
+    try {
+      await api.delete(`/messages/${messageId}/star`);
+      return { success: true };
+    } catch (error) {
+      console.error('Unstar message error:', error);
+      return {
+        success: false,
+        error: error.response?.data?.error?.message || 'Failed to remove saved message'
+      };
+    }
+  }
+};
+
+export default pinService;
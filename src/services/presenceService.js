@@ -20,6 +20,7 @@ const presenceService = {
    * Message delivery states
    */
   DELIVERY_STATUS: {
+    PENDING: 'pending',
     SENDING: 'sending',
     SENT: 'sent',
     DELIVERED: 'delivered',
@@ -270,6 +271,22 @@ const presenceService = {
     return this._messageStatus.get(messageId) || null;
   },
 
+  /**
+   * Mark a message as pending
+   * Used when a message is queued in the outbox waiting to be (re)sent
+   * 
+   * @param {string} messageId - Message ID
+   */
+  markMessageAsPending(messageId) {
+    this._messageStatus.set(messageId, {
+      status: this.DELIVERY_STATUS.PENDING,
+      timestamp: new Date()
+    });
+    
+    // Notify all callbacks
+    this._notifyMessageStatusCallbacks(messageId, this.DELIVERY_STATUS.PENDING);
+  },
+
   /**
    * Mark a message as sending
    * Used when a message is being sent but not yet confirmed
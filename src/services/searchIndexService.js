@@ -0,0 +1,325 @@
+import messageCacheService from './messageCacheService';
+import { stripMarkdown } from '../utils/markdownUtils';
+
+// Posting lists are persisted in buckets, so indexing a message only
+// rewrites the few buckets its words fall into
+const BUCKET_COUNT = 32;
+const DEFAULT_LIMIT = 50;
+
+// null until loaded: an array of Map<token, Set<messageId>>, one per bucket
+let bucketsPromise = null;
+let writeQueue = Promise.resolve();
+
+/**
+ * Lower-case text and strip accents, so "Café" is found by "cafe"
+ */
+const normalize = (text) => {
+  return (text || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+};
+
+/**
+ * Split text into unique words
+ */
+const tokenize = (text) => {
+  return [...new Set(normalize(text).match(/[\p{L}\p{N}]+/gu) || [])];
+};
+
+const getBucketId = (token) => {
+  let hash = 0;
+  for (let i = 0; i < token.length; i++) {
+    hash = (hash * 31 + token.charCodeAt(i)) | 0;
+  }
+  return Math.abs(hash) % BUCKET_COUNT;
+};
+
+const getCurrentUserId = () => {
+  const user = JSON.parse(localStorage.getItem('user') || '{}');
+  return user.id;
+};
+
+// Messages that never reached the server, couldn't be read, are gone or only
+// change the conversation's settings aren't searchable
+const isIndexable = (message) => {
+  return message?.id &&
+    !(message.clientId && message.id === message.clientId) &&
+    !message.decryptError &&
+    !message.deleted &&
+    !message.control;
+};
+
+/**
+ * The searchable part of a message
+ */
+const toDocument = (message) => ({
+  id: message.id,
+  conversationId: message.conversationId,
+  senderId: message.senderId,
+  senderName: message.senderName || message.senderUsername || '',
+  timestamp: message.timestamp || message.createdAt,
+  text: stripMarkdown(message.content) || '',
+  caption: message.mediaCaption || '',
+  hasMedia: Boolean(message.mediaId || message.mediaUrl || message.media),
+  mediaType: message.mediaType || null,
+  threadId: message.threadId || null
+});
+
+const getDocumentTokens = (document) => tokenize(`${document.text} ${document.caption}`);
+
+/**
+ * Parse a date filter as the start of that day in local time
+ */
+const parseDate = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (!match) return null;
+
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return Number.isNaN(date.getTime()) ? null : date.getTime();
+};
+
+const loadBuckets = () => {
+  if (!bucketsPromise) {
+    bucketsPromise = (async () => {
+      const buckets = Array.from({ length: BUCKET_COUNT }, () => new Map());
+      const stored = await messageCacheService.getSearchPostings();
+
+      stored.forEach(({ id, postings }) => {
+        buckets[id] = new Map(Object.entries(postings).map(([token, ids]) => [token, new Set(ids)]));
+      });
+
+      // History cached before the index existed is indexed once
+      if (stored.length === 0) {
+        const conversations = await messageCacheService.getConversations();
+        for (const conversation of conversations) {
+          const messages = await messageCacheService.getMessages(conversation.id);
+          await applyDocuments(buckets, messages.filter(isIndexable).map(toDocument), []);
+        }
+      }
+
+      return buckets;
+    })();
+    bucketsPromise.catch(() => {
+      bucketsPromise = null;
+    });
+  }
+  return bucketsPromise;
+};
+
+/**
+ * Add documents to (and remove others from) the posting lists and persist the result
+ */
+const applyDocuments = async (buckets, documents, removedIds) => {
+  const changedIds = [...documents.map(document => document.id), ...removedIds];
+  const previous = await messageCacheService.getSearchDocuments(changedIds);
+  const dirty = new Set();
+
+  previous.forEach(document => {
+    getDocumentTokens(document).forEach(token => {
+      const bucketId = getBucketId(token);
+      const ids = buckets[bucketId].get(token);
+      if (!ids) return;
+
+      ids.delete(document.id);
+      if (ids.size === 0) {
+        buckets[bucketId].delete(token);
+      }
+      dirty.add(bucketId);
+    });
+  });
+
+  documents.forEach(document => {
+    getDocumentTokens(document).forEach(token => {
+      const bucketId = getBucketId(token);
+      if (!buckets[bucketId].has(token)) {
+        buckets[bucketId].set(token, new Set());
+      }
+      buckets[bucketId].get(token).add(document.id);
+      dirty.add(bucketId);
+    });
+  });
+
+  await messageCacheService.saveSearchDocuments(documents);
+  await messageCacheService.removeSearchDocuments(removedIds);
+  await messageCacheService.saveSearchPostings([...dirty].map(id => ({
+    id,
+    postings: Object.fromEntries([...buckets[id]].map(([token, ids]) => [token, [...ids]]))
+  })));
+};
+
+/**
+ * Run index updates one after another, so buckets are never written from stale copies
+ */
+const enqueue = (update) => {
+  const run = writeQueue.then(async () => update(await loadBuckets()));
+  writeQueue = run.catch(error => console.error('Search index update failed:', error));
+  return writeQueue;
+};
+
+/**
+ * Message IDs containing a word, or any word starting with it
+ */
+const lookup = (buckets, word, prefix) => {
+  if (!prefix) {
+    return new Set(buckets[getBucketId(word)].get(word) || []);
+  }
+
+  const ids = new Set();
+  buckets.forEach(bucket => {
+    bucket.forEach((tokenIds, token) => {
+      if (token.startsWith(word)) {
+        tokenIds.forEach(id => ids.add(id));
+      }
+    });
+  });
+  return ids;
+};
+
+/**
+ * Search Index Service
+ *
+ * The server only holds ciphertext, so messages are searched on the client.
+ * Every decrypted message is added to an inverted index that is kept,
+ * encrypted like the rest of the message cache, in IndexedDB.
+ */
+const searchIndexService = {
+  /**
+   * Parse a search query
+   *
+   * Supports "exact phrases", from:name (or from:me), after:YYYY-MM-DD,
+   * before:YYYY-MM-DD and has:media next to plain words.
+   *
+   * @param {string} query - Search query
+   * @returns {Object} { terms, phrases, from, after, before, hasMedia, prefix }
+   */
+  parseQuery: (query) => {
+    const parsed = { terms: [], phrases: [], from: null, after: null, before: null, hasMedia: false, prefix: false };
+    const pattern = /"([^"]*)"?|(\S+)/g;
+    let match;
+
+    while ((match = pattern.exec(query || '')) !== null) {
+      parsed.prefix = false;
+      if (match[1] !== undefined) {
+        if (match[1].trim()) {
+          parsed.phrases.push(match[1].trim());
+        }
+        continue;
+      }
+
+      const [, key, value] = /^(from|after|before|has):(.+)$/i.exec(match[2]) || [];
+      const filter = key?.toLowerCase();
+      if (filter === 'from') {
+        parsed.from = normalize(value);
+      } else if ((filter === 'after' || filter === 'before') && parseDate(value) !== null) {
+        parsed[filter] = parseDate(value);
+      } else if (filter === 'has' && value.toLowerCase() === 'media') {
+        parsed.hasMedia = true;
+      } else {
+        const terms = tokenize(match[2]);
+        parsed.terms.push(...terms);
+
+        // The word still being typed also matches longer words
+        parsed.prefix = terms.length > 0 && pattern.lastIndex === query.length &&
+          /[\p{L}\p{N}]$/u.test(query);
+      }
+    }
+
+    return parsed;
+  },
+
+  /**
+   * Add decrypted messages to the index, replacing older versions
+   * @param {Array<Object>} messages - Decrypted messages
+   * @returns {Promise<void>} Resolves once the index is saved
+   */
+  indexMessages: (messages) => {
+    if (!messageCacheService.isSupported() || !Array.isArray(messages)) {
+      return Promise.resolve();
+    }
+
+    const documents = messages.filter(isIndexable).map(toDocument);
+    const removedIds = messages.filter(message => message?.deleted).map(message => message.id);
+    if (documents.length === 0 && removedIds.length === 0) {
+      return Promise.resolve();
+    }
+
+    return enqueue(buckets => applyDocuments(buckets, documents, removedIds));
+  },
+
+  /**
+   * Remove messages from the index, e.g. when they are deleted
+   * @param {Array<string>} messageIds - Message IDs
+   * @returns {Promise<void>} Resolves once the index is saved
+   */
+  removeMessages: (messageIds) => {
+    if (!messageCacheService.isSupported() || messageIds.length === 0) {
+      return Promise.resolve();
+    }
+
+    return enqueue(buckets => applyDocuments(buckets, [], messageIds));
+  },
+
+  /**
+   * Search the indexed messages
+   * @param {string} query - Search query, see parseQuery
+   * @param {Object} options - { conversationId, limit } (optional)
+   * @returns {Promise<Array<Object>>} Matching documents, newest first
+   */
+  search: async (query, { conversationId = null, limit = DEFAULT_LIMIT } = {}) => {
+    if (!messageCacheService.isSupported()) return [];
+
+    const parsed = searchIndexService.parseQuery(query);
+    const hasFilters = parsed.from || parsed.after !== null || parsed.before !== null || parsed.hasMedia;
+    if (parsed.terms.length === 0 && parsed.phrases.length === 0 && !hasFilters) {
+      return [];
+    }
+
+    // Wait for pending updates, so just-received messages can be found
+    await writeQueue;
+    const buckets = await loadBuckets();
+
+    // Every word has to occur; phrases are checked against the text afterwards
+    const words = [
+      ...parsed.terms.map((term, index) => ({ term, prefix: parsed.prefix && index === parsed.terms.length - 1 })),
+      ...parsed.phrases.flatMap(phrase => tokenize(phrase)).map(term => ({ term, prefix: false }))
+    ];
+    let candidateIds = null;
+    for (const { term, prefix } of words) {
+      const ids = lookup(buckets, term, prefix);
+      candidateIds = candidateIds ? new Set([...candidateIds].filter(id => ids.has(id))) : ids;
+      if (candidateIds.size === 0) return [];
+    }
+
+    const documents = await messageCacheService.getSearchDocuments(candidateIds ? [...candidateIds] : null);
+    const currentUserId = getCurrentUserId();
+
+    return documents
+      .filter(document => {
+        const time = new Date(document.timestamp).getTime();
+        const text = normalize(`${document.text} ${document.caption}`);
+
+        if (conversationId && document.conversationId !== conversationId) return false;
+        if (parsed.hasMedia && !document.hasMedia) return false;
+        if (parsed.after !== null && !(time >= parsed.after)) return false;
+        // before: excludes the day itself
+        if (parsed.before !== null && !(time < parsed.before)) return false;
+        if (parsed.from) {
+          const fromMe = parsed.from === 'me' && document.senderId === currentUserId;
+          if (!fromMe && document.senderId !== parsed.from && !normalize(document.senderName).includes(parsed.from)) {
+            return false;
+          }
+        }
+        return parsed.phrases.every(phrase => text.includes(normalize(phrase)));
+      })
+      .sort((a, b) => new Date(b.timestamp).getTime() - new Date(a.timestamp).getTime())
+      .slice(0, limit);
+  },
+
+  /**
+   * Forget the loaded index, e.g. after the cache was cleared on logout
+   */
+  reset: () => {
+    bucketsPromise = null;
+    writeQueue = Promise.resolve();
+  }
+};
+
+export default searchIndexService;
@@ -0,0 +1,964 @@
+import axios from 'axios';
+import encryptionService from './encryptionService';
+import deviceService from './deviceService';
+import keyVaultService from './keyVaultService';
+
+// API base URL
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+
+// Create axios instance with default config
+const api = axios.create({
+  baseURL: API_URL,
+  headers: {
+    'Content-Type': 'application/json'
+  }
+});
+
+// Add request interceptor to include auth token
+api.interceptors.request.use(
+  (config) => {
+    const tokens = localStorage.getItem('tokens');
+    if (tokens) {
+      const { accessToken } = JSON.parse(tokens);
+      if (accessToken) {
+        config.headers.Authorization = `Bearer ${accessToken}`;
+      }
+    }
+    return config;
+  },
+  (error) => Promise.reject(error)
+);
+
+// Local storage keys are scoped to the user, as "sessionStore:<userId>:<name>"
+const STORAGE_PREFIX = 'sessionStore';
+const IDENTITY_STORAGE_KEY = 'identity';
+const SESSIONS_STORAGE_KEY = 'sessions';
+const MESSAGE_KEYS_STORAGE_KEY = 'messageKeys';
+
+// Where older versions kept the same state, for every user of the browser
+const LEGACY_IDENTITY_STORAGE_KEY = 'identityKeys';
+const LEGACY_SESSIONS_STORAGE_KEY = 'ratchetSessions';
+const LEGACY_MESSAGE_KEYS_STORAGE_KEY = 'ratchetMessageKeys';
+
+// Maximum number of message keys skipped in a single chain
+const MAX_SKIP = 1000;
+
+// Maximum number of skipped message keys kept per session
+const MAX_SKIPPED_KEYS = 2000;
+
+// Maximum number of content keys of read messages kept; older messages can
+// then only be shown from the message cache
+const MAX_MESSAGE_KEYS = 5000;
+
+// Signed prekeys are rotated weekly; the previous one is kept for late initiators
+const SIGNED_PREKEY_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+const SIGNED_PREKEYS_KEPT = 2;
+
+// Pending operations per peer, so ratchet state is never updated concurrently
+const peerLocks = new Map();
+
+// Remembered message keys are shared by all peers, so they get a lock of their own
+const MESSAGE_KEYS_LOCK = Symbol('messageKeys');
+
+const getCurrentUserId = () => {
+  const user = JSON.parse(localStorage.getItem('user') || '{}');
+  return user.id;
+};
+
+const getUserPrefix = () => `${STORAGE_PREFIX}:${getCurrentUserId()}:`;
+
+// Everything stored here holds private keys, so it is sealed with the key
+// vault; reading or writing it unlocks the vault first
+const readStorage = async (name, fallback) => {
+  const value = localStorage.getItem(getUserPrefix() + name);
+  if (!value) {
+    return fallback;
+  }
+
+  const stored = JSON.parse(value);
+  // State written in the clear by older versions is sealed by init
+  return stored.sealed ? keyVaultService.open(stored.sealed) : stored;
+};
+
+const writeStorage = async (name, value) => {
+  const key = getUserPrefix() + name;
+  localStorage.setItem(key, JSON.stringify({ sealed: await keyVaultService.seal(value) }));
+};
+
+const removeStorage = (name) => {
+  localStorage.removeItem(getUserPrefix() + name);
+};
+
+// Session state is stored per peer so concurrent peers never overwrite each other
+const readPeerSessions = (peerId) => {
+  return readStorage(`${SESSIONS_STORAGE_KEY}:${peerId}`, { active: null, sessions: {} });
+};
+
+const writePeerSessions = (peerId, peer) => {
+  return writeStorage(`${SESSIONS_STORAGE_KEY}:${peerId}`, peer);
+};
+
+// Keep only the most recently remembered message keys
+const capMessageKeys = (messageKeys) => {
+  const ids = Object.keys(messageKeys);
+  ids.slice(0, Math.max(0, ids.length - MAX_MESSAGE_KEYS)).forEach(id => {
+    delete messageKeys[id];
+  });
+  return messageKeys;
+};
+
+const hasLegacyState = () => {
+  return Object.keys(localStorage).some(key =>
+    key === LEGACY_IDENTITY_STORAGE_KEY ||
+    key === LEGACY_MESSAGE_KEYS_STORAGE_KEY ||
+    key.startsWith(`${LEGACY_SESSIONS_STORAGE_KEY}:`) ||
+    key.startsWith(getUserPrefix())
+  );
+};
+
+/**
+ * Move state left by older versions, which was neither kept per user nor
+ * sealed, to the current user and seal it
+ */
+const migrateLegacyState = async () => {
+  const identity = localStorage.getItem(LEGACY_IDENTITY_STORAGE_KEY);
+  if (identity && !(await readStorage(IDENTITY_STORAGE_KEY, null))) {
+    await writeStorage(IDENTITY_STORAGE_KEY, JSON.parse(identity));
+  }
+
+  const messageKeys = localStorage.getItem(LEGACY_MESSAGE_KEYS_STORAGE_KEY);
+  if (messageKeys) {
+    await writeStorage(MESSAGE_KEYS_STORAGE_KEY, capMessageKeys({
+      ...JSON.parse(messageKeys),
+      ...(await readStorage(MESSAGE_KEYS_STORAGE_KEY, {}))
+    }));
+  }
+
+  for (const key of Object.keys(localStorage)) {
+    if (!key.startsWith(`${LEGACY_SESSIONS_STORAGE_KEY}:`)) continue;
+
+    const peerId = key.slice(LEGACY_SESSIONS_STORAGE_KEY.length + 1);
+    if (!(await readPeerSessions(peerId)).active) {
+      await writePeerSessions(peerId, JSON.parse(localStorage.getItem(key)));
+    }
+    localStorage.removeItem(key);
+  }
+
+  localStorage.removeItem(LEGACY_IDENTITY_STORAGE_KEY);
+  localStorage.removeItem(LEGACY_MESSAGE_KEYS_STORAGE_KEY);
+
+  // Per-user state stored before it was sealed
+  const prefix = getUserPrefix();
+  for (const key of Object.keys(localStorage)) {
+    if (!key.startsWith(prefix) || JSON.parse(localStorage.getItem(key)).sealed) continue;
+    await writeStorage(key.slice(prefix.length), JSON.parse(localStorage.getItem(key)));
+  }
+};
+
+// Error code for peers that have not published a prekey bundle
+const NO_PREKEY_BUNDLE = 'NO_PREKEY_BUNDLE';
+
+const createNoBundleError = (address) => {
+  const error = new Error(`No prekey bundle available for ${address}`);
+  error.code = NO_PREKEY_BUNDLE;
+  return error;
+};
+
+/**
+ * Sessions are kept per device; an address is "userId:deviceId", or just
+ * the user ID for peers on older clients without registered devices
+ */
+const toAddress = (recipient) => {
+  if (typeof recipient === 'string') return recipient;
+  return encryptionService.getRecipientKeyId(recipient.userId, recipient.deviceId);
+};
+
+const parseAddress = (address) => {
+  const separator = address.lastIndexOf(':');
+  return separator === -1
+    ? { userId: address, deviceId: null }
+    : { userId: address.slice(0, separator), deviceId: address.slice(separator + 1) };
+};
+
+const randomId = () => {
+  return encryptionService.toBase64(window.crypto.getRandomValues(new Uint8Array(16)));
+};
+
+const concatBytes = (...arrays) => {
+  const result = new Uint8Array(arrays.reduce((total, array) => total + array.length, 0));
+  let offset = 0;
+  arrays.forEach(array => {
+    result.set(array, offset);
+    offset += array.length;
+  });
+  return result;
+};
+
+/**
+ * Run an operation for a peer once all earlier operations for that peer finished
+ */
+const withPeerLock = (peerId, operation) => {
+  const previous = peerLocks.get(peerId) || Promise.resolve();
+  const next = previous.catch(() => {}).then(operation);
+  peerLocks.set(peerId, next);
+  next.finally(() => {
+    if (peerLocks.get(peerId) === next) {
+      peerLocks.delete(peerId);
+    }
+  }).catch(() => {});
+  return next;
+};
+
+/**
+ * Root key KDF: mixes a DH output into the root key, yielding a new root key and chain key
+ */
+const kdfRoot = async (rootKey, dhOutput) => {
+  const output = await encryptionService.hkdf(
+    dhOutput,
+    encryptionService.fromBase64(rootKey),
+    'SwickrRatchetRoot',
+    64
+  );
+  return {
+    rootKey: encryptionService.toBase64(output.slice(0, 32)),
+    chainKey: encryptionService.toBase64(output.slice(32))
+  };
+};
+
+/**
+ * Chain key KDF: advances a symmetric chain, yielding the next chain key and a message key
+ */
+const kdfChain = async (chainKey) => {
+  const keyBytes = encryptionService.fromBase64(chainKey);
+  const messageKey = await encryptionService.hmac(keyBytes, new Uint8Array([1]));
+  const nextChainKey = await encryptionService.hmac(keyBytes, new Uint8Array([2]));
+  return {
+    chainKey: encryptionService.toBase64(nextChainKey),
+    messageKey: encryptionService.toBase64(messageKey)
+  };
+};
+
+/**
+ * Derive the X3DH shared secret from the three DH outputs
+ */
+const deriveX3DHSecret = async (dh1, dh2, dh3) => {
+  const secret = await encryptionService.hkdf(
+    concatBytes(new Uint8Array(32).fill(0xff), dh1, dh2, dh3),
+    new Uint8Array(32),
+    'SwickrX3DH',
+    32
+  );
+  return encryptionService.toBase64(secret);
+};
+
+/**
+ * Store message keys between the current receive counter and `until`,
+ * so messages that arrive out of order can still be decrypted
+ */
+const skipMessageKeys = async (session, until) => {
+  if (!session.recvChainKey) {
+    return;
+  }
+
+  if (session.recvCount + MAX_SKIP < until) {
+    throw new Error('Too many skipped messages');
+  }
+
+  while (session.recvCount < until) {
+    const { chainKey, messageKey } = await kdfChain(session.recvChainKey);
+    session.recvChainKey = chainKey;
+    session.skipped[`${session.dhRemote}:${session.recvCount}`] = messageKey;
+    session.recvCount++;
+  }
+
+  // Drop the oldest skipped keys once the limit is reached
+  const skippedIds = Object.keys(session.skipped);
+  skippedIds.slice(0, Math.max(0, skippedIds.length - MAX_SKIPPED_KEYS)).forEach(id => {
+    delete session.skipped[id];
+  });
+};
+
+/**
+ * Perform a DH ratchet step after the peer announced a new ratchet key
+ */
+const dhRatchet = async (session, remoteKey) => {
+  session.prevSendCount = session.sendCount;
+  session.sendCount = 0;
+  session.recvCount = 0;
+  session.dhRemote = remoteKey;
+
+  const receiving = await kdfRoot(
+    session.rootKey,
+    await encryptionService.deriveSharedSecret(session.dhSelf.privateKey, remoteKey)
+  );
+  session.rootKey = receiving.rootKey;
+  session.recvChainKey = receiving.chainKey;
+
+  session.dhSelf = await encryptionService.generateECDHKeyPair();
+
+  const sending = await kdfRoot(
+    session.rootKey,
+    await encryptionService.deriveSharedSecret(session.dhSelf.privateKey, remoteKey)
+  );
+  session.rootKey = sending.rootKey;
+  session.sendChainKey = sending.chainKey;
+};
+
+/**
+ * Digest of a message's encrypted content, sent through the ratchet along
+ * with its key. Every recipient learns the key, so only the digest proves
+ * that the content is the one the sender encrypted.
+ */
+const contentDigest = (encryptedMessage, iv) => {
+  return encryptionService.digest(new TextEncoder().encode(`${encryptedMessage}:${iv}`));
+};
+
+// Message keys sent or remembered by older versions are bare keys without a digest
+const parseMessageKey = (value) => {
+  if (typeof value === 'string' && value.startsWith('{')) {
+    return JSON.parse(value);
+  }
+  return typeof value === 'string' ? { key: value, digest: null } : value;
+};
+
+/**
+ * Header fields that are authenticated with every ratchet message
+ */
+const headerAssociatedData = (header) => {
+  return JSON.stringify({
+    sid: header.sid,
+    dh: header.dh,
+    n: header.n,
+    pn: header.pn,
+    dev: header.dev || null,
+    init: header.init || null
+  });
+};
+
+/**
+ * Session Service
+ *
+ * Forward-secret messaging sessions built on an X3DH-style key agreement
+ * (ECDH P-256) and a Double Ratchet per peer device. Each message is still encrypted
+ * once with a fresh AES-GCM key; that key is then sent to every recipient
+ * through their pairwise ratchet, so the envelope keeps the same shape as
+ * encryptionService.encryptGroupMessage.
+ */
+const sessionService = {
+  /**
+   * Encryption scheme identifier carried on messages encrypted by this service
+   */
+  SCHEME: 'double-ratchet',
+
+  /**
+   * Ensure the identity keys and signed prekey exist and are published
+   *
+   * @returns {Promise<Object>} Result with the public identity key
+   */
+  init: async () => {
+    try {
+      // Session keys are sealed with the key vault, so they wait until it is set up
+      if (!hasLegacyState() && !(await keyVaultService.isInitialized())) {
+        return { success: false, error: 'Key vault has not been set up' };
+      }
+
+      await migrateLegacyState();
+
+      let identity = await readStorage(IDENTITY_STORAGE_KEY, null);
+      let changed = false;
+
+      if (!identity) {
+        identity = {
+          identityKey: await encryptionService.generateECDHKeyPair(),
+          signingKey: await encryptionService.generateSigningKeyPair(),
+          signedPreKeys: [],
+          publishedAt: null
+        };
+        changed = true;
+      }
+
+      const [currentPreKey] = identity.signedPreKeys;
+      if (!currentPreKey || Date.now() - currentPreKey.createdAt > SIGNED_PREKEY_MAX_AGE) {
+        const preKey = await encryptionService.generateECDHKeyPair();
+        const signature = await encryptionService.sign(
+          identity.signingKey.privateKey,
+          encryptionService.fromBase64(preKey.publicKey)
+        );
+        identity.signedPreKeys = [
+          { id: randomId(), ...preKey, signature, createdAt: Date.now() },
+          ...identity.signedPreKeys
+        ].slice(0, SIGNED_PREKEYS_KEPT);
+        identity.publishedAt = null;
+        changed = true;
+      }
+
+      if (changed) {
+        await writeStorage(IDENTITY_STORAGE_KEY, identity);
+      }
+
+      if (!identity.publishedAt) {
+        await sessionService.publishPreKeyBundle();
+      }
+
+      return { success: true, identityKey: identity.identityKey.publicKey };
+    } catch (error) {
+      console.error('Error initializing sessions:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  /**
+   * Check whether this device has session identity keys, without unlocking them
+   *
+   * @returns {boolean} True if identity keys exist
+   */
+  isAvailable: () => {
+    return encryptionService.isWebCryptoAvailable() &&
+      !!localStorage.getItem(getUserPrefix() + IDENTITY_STORAGE_KEY);
+  },
+
+  /**
+   * Get the public part of the local identity
+   *
+   * @returns {Promise<Object|null>} Public identity and signing keys
+   */
+  getIdentity: async () => {
+    const identity = await readStorage(IDENTITY_STORAGE_KEY, null);
+    if (!identity) return null;
+
+    return {
+      identityKey: identity.identityKey.publicKey,
+      signingKey: identity.signingKey.publicKey
+    };
+  },
+
+  /**
+   * Export the full local identity, including private keys, for a key backup
+   *
+   * @returns {Promise<Object|null>} Identity keys and signed prekeys
+   */
+  exportIdentity: () => {
+    return readStorage(IDENTITY_STORAGE_KEY, null);
+  },
+
+  /**
+   * Replace the local identity with one restored from a key backup
+   *
+   * Existing sessions were agreed with the replaced identity, so they are
+   * dropped and new ones start with the next message.
+   *
+   * @param {Object} identity - Identity from exportIdentity
+   * @returns {Promise<void>}
+   */
+  importIdentity: async (identity) => {
+    if (!identity?.identityKey?.privateKey || !identity?.signingKey?.privateKey) {
+      throw new Error('Invalid session identity');
+    }
+
+    Object.keys(localStorage)
+      .filter(key => key.startsWith(`${getUserPrefix()}${SESSIONS_STORAGE_KEY}:`))
+      .forEach(key => localStorage.removeItem(key));
+
+    await writeStorage(IDENTITY_STORAGE_KEY, { ...identity, publishedAt: null });
+    await sessionService.init();
+  },
+
+  /**
+   * Export the remembered message keys, for a key backup
+   *
+   * @returns {Promise<Object>} Message keys by storage ID
+   */
+  exportMessageKeys: () => {
+    return readStorage(MESSAGE_KEYS_STORAGE_KEY, {});
+  },
+
+  /**
+   * Merge message keys restored from a key backup
+   *
+   * @param {Object} messageKeys - Message keys by storage ID
+   * @returns {Promise<void>}
+   */
+  importMessageKeys: (messageKeys) => withPeerLock(MESSAGE_KEYS_LOCK, async () => {
+    await writeStorage(MESSAGE_KEYS_STORAGE_KEY, capMessageKeys({
+      ...messageKeys,
+      ...(await readStorage(MESSAGE_KEYS_STORAGE_KEY, {}))
+    }));
+  }),
+
+  /**
+   * Publish the local prekey bundle to the server
+   *
+   * @returns {Promise<void>}
+   */
+  publishPreKeyBundle: async () => {
+    const identity = await readStorage(IDENTITY_STORAGE_KEY, null);
+    if (!identity) {
+      throw new Error('Session identity not initialized');
+    }
+
+    const [signedPreKey] = identity.signedPreKeys;
+    await api.post('/users/prekey-bundle', {
+      deviceId: deviceService.getDeviceId(),
+      identityKey: identity.identityKey.publicKey,
+      signingKey: identity.signingKey.publicKey,
+      signedPreKey: {
+        id: signedPreKey.id,
+        publicKey: signedPreKey.publicKey,
+        signature: signedPreKey.signature
+      }
+    });
+
+    await writeStorage(IDENTITY_STORAGE_KEY, { ...identity, publishedAt: Date.now() });
+  },
+
+  /**
+   * Fetch and verify the prekey bundle of a user or one of their devices
+   *
+   * @param {string} address - User ID, or "userId:deviceId" for a specific device
+   * @returns {Promise<Object>} Verified prekey bundle
+   */
+  fetchPreKeyBundle: async (address) => {
+    const { userId, deviceId } = parseAddress(address);
+    let bundle;
+    try {
+      const response = await api.get(
+        deviceId ? `/users/${userId}/devices/${deviceId}/prekey-bundle` : `/users/${userId}/prekey-bundle`
+      );
+      bundle = response.data;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        throw createNoBundleError(address);
+      }
+      throw error;
+    }
+
+    if (!bundle?.identityKey || !bundle?.signingKey || !bundle?.signedPreKey) {
+      throw createNoBundleError(address);
+    }
+
+    const valid = await encryptionService.verify(
+      bundle.signingKey,
+      bundle.signedPreKey.signature,
+      encryptionService.fromBase64(bundle.signedPreKey.publicKey)
+    );
+    if (!valid) {
+      throw new Error(`Invalid signed prekey for ${address}`);
+    }
+
+    return bundle;
+  },
+
+  /**
+   * Check whether a session exists with a peer
+   *
+   * @param {string} peerId - Peer address (user ID or "userId:deviceId")
+   * @returns {Promise<boolean>} True if a session exists
+   */
+  hasSession: async (peerId) => {
+    return !!(await readPeerSessions(peerId)).active;
+  },
+
+  /**
+   * Get the identity key a peer used for the active session
+   *
+   * @param {string} peerId - Peer address (user ID or "userId:deviceId")
+   * @returns {Promise<string|null>} Peer identity key as base64 string
+   */
+  getPeerIdentityKey: async (peerId) => {
+    const peer = await readPeerSessions(peerId);
+    return peer.sessions[peer.active]?.peerIdentityKey || null;
+  },
+
+  /**
+   * Delete all sessions with a peer; the next message starts a new one
+   *
+   * @param {string} peerId - Peer address (user ID or "userId:deviceId")
+   */
+  resetSession: (peerId) => {
+    removeStorage(`${SESSIONS_STORAGE_KEY}:${peerId}`);
+  },
+
+  /**
+   * Start a new session with a peer from their prekey bundle (X3DH initiator)
+   *
+   * @param {string} peerId - Peer address (user ID or "userId:deviceId")
+   * @returns {Promise<Object>} New session state
+   * @private
+   */
+  _initiateSession: async (peerId) => {
+    const identity = await readStorage(IDENTITY_STORAGE_KEY, null);
+    if (!identity) {
+      throw new Error('Session identity not initialized');
+    }
+
+    const bundle = await sessionService.fetchPreKeyBundle(peerId);
+    const ephemeralKey = await encryptionService.generateECDHKeyPair();
+
+    const dh1 = await encryptionService.deriveSharedSecret(
+      identity.identityKey.privateKey,
+      bundle.signedPreKey.publicKey
+    );
+    const dh2 = await encryptionService.deriveSharedSecret(ephemeralKey.privateKey, bundle.identityKey);
+    const dh3 = await encryptionService.deriveSharedSecret(
+      ephemeralKey.privateKey,
+      bundle.signedPreKey.publicKey
+    );
+    const sharedSecret = await deriveX3DHSecret(dh1, dh2, dh3);
+
+    const dhSelf = await encryptionService.generateECDHKeyPair();
+    const sending = await kdfRoot(
+      sharedSecret,
+      await encryptionService.deriveSharedSecret(dhSelf.privateKey, bundle.signedPreKey.publicKey)
+    );
+
+    return {
+      sid: randomId(),
+      peerId,
+      peerIdentityKey: bundle.identityKey,
+      rootKey: sending.rootKey,
+      dhSelf,
+      dhRemote: bundle.signedPreKey.publicKey,
+      sendChainKey: sending.chainKey,
+      recvChainKey: null,
+      sendCount: 0,
+      recvCount: 0,
+      prevSendCount: 0,
+      skipped: {},
+      // Sent with every message until the peer replies, so any of them can start the session
+      pendingInit: {
+        ik: identity.identityKey.publicKey,
+        ek: ephemeralKey.publicKey,
+        spkId: bundle.signedPreKey.id
+      },
+      createdAt: Date.now()
+    };
+  },
+
+  /**
+   * Create a session from a peer's initial message (X3DH responder)
+   *
+   * The identity key in the init data is only a claim, so it must be the one
+   * the peer's device published with a validly signed prekey; otherwise anyone
+   * could start a session in the peer's name.
+   *
+   * @param {string} peerId - Peer address (user ID or "userId:deviceId")
+   * @param {Object} header - Ratchet header with init data
+   * @returns {Promise<Object>} New session state
+   * @private
+   */
+  _acceptSession: async (peerId, header) => {
+    const identity = await readStorage(IDENTITY_STORAGE_KEY, null);
+    if (!identity) {
+      throw new Error('Session identity not initialized');
+    }
+
+    const bundle = await sessionService.fetchPreKeyBundle(peerId);
+    if (bundle.identityKey !== header.init.ik) {
+      throw new Error(`Identity key of ${peerId} does not match its published key`);
+    }
+
+    const signedPreKey = identity.signedPreKeys.find(preKey => preKey.id === header.init.spkId);
+    if (!signedPreKey) {
+      throw new Error('Unknown signed prekey');
+    }
+
+    const dh1 = await encryptionService.deriveSharedSecret(signedPreKey.privateKey, header.init.ik);
+    const dh2 = await encryptionService.deriveSharedSecret(identity.identityKey.privateKey, header.init.ek);
+    const dh3 = await encryptionService.deriveSharedSecret(signedPreKey.privateKey, header.init.ek);
+
+    return {
+      sid: header.sid,
+      peerId,
+      peerIdentityKey: header.init.ik,
+      rootKey: await deriveX3DHSecret(dh1, dh2, dh3),
+      dhSelf: { publicKey: signedPreKey.publicKey, privateKey: signedPreKey.privateKey },
+      dhRemote: null,
+      sendChainKey: null,
+      recvChainKey: null,
+      sendCount: 0,
+      recvCount: 0,
+      prevSendCount: 0,
+      skipped: {},
+      pendingInit: null,
+      createdAt: Date.now()
+    };
+  },
+
+  /**
+   * Encrypt a payload for a peer through the ratchet
+   *
+   * @param {string} peerId - Peer address (user ID or "userId:deviceId")
+   * @param {string} plaintext - Payload to encrypt
+   * @returns {Promise<Object>} Ratchet header and ciphertext
+   */
+  encrypt: (peerId, plaintext) => withPeerLock(peerId, async () => {
+    const peer = await readPeerSessions(peerId);
+
+    let session = peer.sessions[peer.active];
+    if (!session || !session.sendChainKey) {
+      session = await sessionService._initiateSession(peerId);
+      peer.sessions[session.sid] = session;
+      peer.active = session.sid;
+    }
+
+    const { chainKey, messageKey } = await kdfChain(session.sendChainKey);
+    const header = {
+      sid: session.sid,
+      dh: session.dhSelf.publicKey,
+      n: session.sendCount,
+      pn: session.prevSendCount,
+      dev: deviceService.getDeviceId(),
+      ...(session.pendingInit && { init: session.pendingInit })
+    };
+
+    const { encryptedMessage, iv } = await encryptionService.encryptMessage(
+      plaintext,
+      await encryptionService.importMessageKey(messageKey),
+      headerAssociatedData(header)
+    );
+
+    session.sendChainKey = chainKey;
+    session.sendCount++;
+    await writePeerSessions(peerId, peer);
+
+    return { header, ciphertext: encryptedMessage, iv };
+  }),
+
+  /**
+   * Decrypt a ratchet message from a peer
+   *
+   * @param {string} peerId - Peer address (user ID or "userId:deviceId")
+   * @param {Object} envelope - Ratchet header and ciphertext
+   * @returns {Promise<string>} Decrypted payload
+   */
+  decrypt: (peerId, envelope) => withPeerLock(peerId, async () => {
+    const { header, ciphertext, iv } = envelope;
+    const peer = await readPeerSessions(peerId);
+
+    let session = peer.sessions[header.sid];
+    const isNewSession = !session;
+    if (isNewSession) {
+      if (!header.init) {
+        throw new Error('No session found for message');
+      }
+      session = await sessionService._acceptSession(peerId, header);
+    }
+
+    // Work on a copy so a failed decryption never corrupts the stored state
+    const state = JSON.parse(JSON.stringify(session));
+    const skippedId = `${header.dh}:${header.n}`;
+    let messageKey = state.skipped[skippedId];
+
+    if (messageKey) {
+      delete state.skipped[skippedId];
+    } else {
+      if (header.dh !== state.dhRemote) {
+        await skipMessageKeys(state, header.pn);
+        await dhRatchet(state, header.dh);
+      }
+      await skipMessageKeys(state, header.n);
+
+      const next = await kdfChain(state.recvChainKey);
+      state.recvChainKey = next.chainKey;
+      state.recvCount++;
+      messageKey = next.messageKey;
+    }
+
+    const plaintext = await encryptionService.decryptMessage(
+      ciphertext,
+      iv,
+      await encryptionService.importMessageKey(messageKey),
+      headerAssociatedData(header)
+    );
+
+    // The peer has the session now, stop sending init data
+    state.pendingInit = null;
+    peer.sessions[state.sid] = state;
+    if (isNewSession || !peer.active) {
+      peer.active = state.sid;
+    }
+    await writePeerSessions(peerId, peer);
+
+    return plaintext;
+  }),
+
+  /**
+   * Encrypt a message for multiple recipients through their sessions
+   *
+   * Recipients who have not published a prekey bundle (older clients) can
+   * get the message key wrapped with their RSA public key instead, each on
+   * their own, so one missing bundle never downgrades the other recipients.
+   *
+   * @param {string} message - Message to encrypt
+   * @param {Array<string|Object>} recipients - User IDs or { userId, deviceId, publicKey } (may include the sender)
+   * @param {Object} options - Options
+   * @param {boolean} options.allowFallback - Use RSA for recipients without a prekey bundle instead of failing
+   * @returns {Promise<Object>} Object containing encrypted message data
+   */
+  encryptGroupMessage: async (message, recipients, { allowFallback = false } = {}) => {
+    const selfId = getCurrentUserId();
+    const selfDeviceId = deviceService.getDeviceId();
+    const messageKey = await encryptionService.generateMessageKey();
+    const { encryptedMessage, iv } = await encryptionService.encryptMessage(message, messageKey);
+    const exportedKey = await encryptionService.exportMessageKey(messageKey);
+    const sealedKey = { key: exportedKey, digest: await contentDigest(encryptedMessage, iv) };
+
+    const recipientKeys = {};
+    for (const recipient of recipients) {
+      const address = toAddress(recipient);
+      const { userId, deviceId } = parseAddress(address);
+
+      if (userId === selfId && (!deviceId || deviceId === selfDeviceId)) {
+        // Our own copy never leaves this device
+        const localId = randomId();
+        await sessionService._rememberMessageKey(`self:${localId}`, sealedKey);
+        recipientKeys[address] = JSON.stringify({ self: localId });
+      } else {
+        try {
+          const envelope = await sessionService.encrypt(address, JSON.stringify(sealedKey));
+          recipientKeys[address] = JSON.stringify(envelope);
+        } catch (error) {
+          if (error.code !== NO_PREKEY_BUNDLE || !allowFallback || !recipient.publicKey) {
+            throw error;
+          }
+
+          console.warn(`No session possible with ${address}, wrapping its key with RSA`);
+          const rsa = await encryptionService.encryptMessageKey(
+            messageKey,
+            await encryptionService.importPublicKey(recipient.publicKey)
+          );
+          recipientKeys[address] = JSON.stringify({ rsa });
+        }
+      }
+    }
+
+    return {
+      encryptedMessage,
+      iv,
+      recipientKeys,
+      scheme: sessionService.SCHEME
+    };
+  },
+
+  /**
+   * Decrypt a message received through a session
+   *
+   * @param {Object} encryptedData - Object containing encrypted message data
+   * @param {string} userId - Current user's ID
+   * @param {string} senderId - Sender's user ID
+   * @returns {Promise<string>} Decrypted message
+   */
+  decryptGroupMessage: async (encryptedData, userId, senderId) => {
+    return (await sessionService.openGroupMessage(encryptedData, userId, senderId)).plaintext;
+  },
+
+  /**
+   * Decrypt a message received through a session, and tell whether it is
+   * proven to come from the given sender: its key came through a session with
+   * one of the sender's devices (or is this user's own), together with the
+   * digest of exactly this content. Keys wrapped with RSA, or sent by older
+   * versions without a digest, prove nothing about who wrote the content.
+   *
+   * @param {Object} encryptedData - Object containing encrypted message data
+   * @param {string} userId - Current user's ID
+   * @param {string} senderId - Sender's user ID
+   * @returns {Promise<Object>} Decrypted message as { plaintext, authenticated }
+   */
+  openGroupMessage: async (encryptedData, userId, senderId) => {
+    const recipientKeys = encryptedData.recipientKeys || {};
+    const ownEntryId = encryptionService.getRecipientKeyId(userId, deviceService.getDeviceId());
+    const ownEntry = recipientKeys[ownEntryId] || recipientKeys[userId];
+
+    // Keys of messages read on another device may have come with a restored backup
+    const candidates = [
+      ownEntry,
+      ...Object.entries(recipientKeys)
+        .filter(([entryId]) => entryId.startsWith(`${userId}:`) && entryId !== ownEntryId)
+        .map(([, entry]) => entry)
+    ].filter(Boolean).map(entry => {
+      const envelope = typeof entry === 'string' ? JSON.parse(entry) : entry;
+      if (envelope.rsa) {
+        return { envelope };
+      }
+
+      const senderAddress = envelope.header?.dev
+        ? encryptionService.getRecipientKeyId(senderId, envelope.header.dev)
+        : senderId;
+      const storageId = envelope.self
+        ? `self:${envelope.self}`
+        : `${senderAddress}:${envelope.header.sid}:${envelope.header.dh}:${envelope.header.n}`;
+      return { envelope, senderAddress, storageId };
+    });
+
+    if (candidates.length === 0) {
+      throw new Error('No encrypted key found for this device');
+    }
+
+    // Sent to this device without a session, see encryptGroupMessage
+    if (candidates[0].envelope.rsa && ownEntry) {
+      const userKeys = await keyVaultService.getKeyPair();
+      if (!userKeys) {
+        throw new Error('Private key not found');
+      }
+      const deviceKeys = await keyVaultService.getDeviceKeyPair();
+
+      const plaintext = await encryptionService.decryptGroupMessage(
+        {
+          ...encryptedData,
+          recipientKeys: { [ownEntryId]: candidates[0].envelope.rsa }
+        },
+        userId,
+        userKeys.privateKey,
+        deviceService.getDeviceId(),
+        deviceKeys?.privateKey
+      );
+      return { plaintext, authenticated: false };
+    }
+
+    // Ratchet keys are single use, so keys of already-read messages are kept locally
+    const messageKeys = await sessionService.exportMessageKeys();
+    let candidate = candidates.find(({ storageId }) => storageId && messageKeys[storageId]);
+    let sealedKey = candidate && parseMessageKey(messageKeys[candidate.storageId]);
+    if (!sealedKey) {
+      candidate = candidates[0];
+      const { envelope, senderAddress, storageId } = candidate;
+      if (!ownEntry || envelope.self) {
+        throw new Error('Message key not available on this device');
+      }
+      sealedKey = parseMessageKey(await sessionService.decrypt(senderAddress, envelope));
+      await sessionService._rememberMessageKey(storageId, sealedKey);
+    }
+
+    if (sealedKey.digest && sealedKey.digest !== await contentDigest(encryptedData.encryptedMessage, encryptedData.iv)) {
+      throw new Error('Message content does not match the key it was sent with');
+    }
+
+    const plaintext = await encryptionService.decryptMessage(
+      encryptedData.encryptedMessage,
+      encryptedData.iv,
+      await encryptionService.importMessageKey(sealedKey.key)
+    );
+    return {
+      plaintext,
+      // Our own copies prove nothing about messages claiming someone else sent them
+      authenticated: !!sealedKey.digest && (!candidate.envelope.self || senderId === userId)
+    };
+  },
+
+  /**
+   * Remember the content key of a message so it can be shown again later
+   *
+   * @param {string} id - Storage ID
+   * @param {Object} sealedKey - Message key as base64 string and the digest of its content, as { key, digest }
+   * @returns {Promise<void>}
+   * @private
+   */
+  _rememberMessageKey: (id, sealedKey) => withPeerLock(MESSAGE_KEYS_LOCK, async () => {
+    const messageKeys = await readStorage(MESSAGE_KEYS_STORAGE_KEY, {});
+    delete messageKeys[id];
+    messageKeys[id] = sealedKey;
+    await writeStorage(MESSAGE_KEYS_STORAGE_KEY, capMessageKeys(messageKeys));
+  })
+};
+
+export default sessionService;
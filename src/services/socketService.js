@@ -171,6 +171,67 @@ const socketService = {
       }
     });
     
+    // Set up message edit handler
+    socket.on('message:edit', (data) => {
+      console.log('Message edited:', data.messageId);
+      // Notify all message edit listeners
+      if (listeners.has('message:edit')) {
+        listeners.get('message:edit').forEach(callback => callback(data));
+      }
+    });
+    
+    // Set up message deletion handler
+    socket.on('message:deleted', (data) => {
+      console.log('Message deleted:', data.messageId);
+      // Notify all message deletion listeners
+      if (listeners.has('message:deleted')) {
+        listeners.get('message:deleted').forEach(callback => callback(data));
+      }
+    });
+    
+    // Set up view-once media receipt handler
+    socket.on('media:opened', (data) => {
+      console.log('View-once media opened:', data.messageId);
+      // Notify all view-once receipt listeners
+      if (listeners.has('media:opened')) {
+        listeners.get('media:opened').forEach(callback => callback(data));
+      }
+    });
+    
+    // Set up pinned message handlers
+    socket.on('message:pinned', (data) => {
+      console.log('Message pinned:', data.messageId);
+      // Notify all pin listeners
+      if (listeners.has('message:pinned')) {
+        listeners.get('message:pinned').forEach(callback => callback(data));
+      }
+    });
+    
+    socket.on('message:unpinned', (data) => {
+      console.log('Message unpinned:', data.messageId);
+      // Notify all unpin listeners
+      if (listeners.has('message:unpinned')) {
+        listeners.get('message:unpinned').forEach(callback => callback(data));
+      }
+    });
+    
+    // Set up group management handlers
+    socket.on('conversation:updated', (data) => {
+      console.log('Conversation updated:', data.conversationId);
+      // Notify all conversation update listeners
+      if (listeners.has('conversation:updated')) {
+        listeners.get('conversation:updated').forEach(callback => callback(data));
+      }
+    });
+
+    socket.on('conversation:members', (data) => {
+      console.log('Conversation members changed:', data.conversationId);
+      // Notify all member change listeners
+      if (listeners.has('conversation:members')) {
+        listeners.get('conversation:members').forEach(callback => callback(data));
+      }
+    });
+
     // Set up media event handlers
     socket.on('media_upload_progress', (data) => {
       console.log('Media upload progress:', data);
@@ -232,6 +293,7 @@ const socketService = {
         messageData.encryptedContent = encryptionData.encryptedContent;
         messageData.iv = encryptionData.iv;
         messageData.recipientKeys = encryptionData.recipientKeys;
+        messageData.encryptionScheme = encryptionData.encryptionScheme;
       } else {
         messageData.isEncrypted = false;
       }
@@ -280,6 +342,7 @@ const socketService = {
         messageData.encryptedContent = encryptionData.encryptedContent;
         messageData.iv = encryptionData.iv;
         messageData.recipientKeys = encryptionData.recipientKeys;
+        messageData.encryptionScheme = encryptionData.encryptionScheme;
       } else {
         messageData.isEncrypted = false;
       }
@@ -389,6 +452,85 @@ const socketService = {
     }
   },
 
+  // Send an edited (and possibly encrypted) version of a message
+  sendMessageEdit: (edit) => {
+    if (!socket || !socket.connected) {
+      return { success: false, error: 'Socket not connected' };
+    }
+    
+    try {
+      // Update last activity time
+      updateLastActivity();
+      
+      socket.emit('message:edit', edit);
+      
+      return { success: true };
+    } catch (error) {
+      console.error('Error sending message edit:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Tell the other members that a message was deleted for everyone
+  sendMessageDeletion: (messageId, conversationId) => {
+    if (!socket || !socket.connected) {
+      return { success: false, error: 'Socket not connected' };
+    }
+    
+    try {
+      // Update last activity time
+      updateLastActivity();
+      
+      socket.emit('message:deleted', {
+        messageId,
+        conversationId
+      });
+      
+      return { success: true };
+    } catch (error) {
+      console.error('Error sending message deletion:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Tell the sender of view-once media that it was opened
+  sendMediaOpened: (receipt) => {
+    if (!socket || !socket.connected) {
+      return { success: false, error: 'Socket not connected' };
+    }
+    
+    try {
+      // Update last activity time
+      updateLastActivity();
+      
+      socket.emit('media:opened', receipt);
+      
+      return { success: true };
+    } catch (error) {
+      console.error('Error sending view-once receipt:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Tell the other members that a message was pinned or unpinned
+  sendMessagePin: (pin, pinned = true) => {
+    if (!socket || !socket.connected) {
+      return { success: false, error: 'Socket not connected' };
+    }
+    
+    try {
+      // Update last activity time
+      updateLastActivity();
+      
+      socket.emit(pinned ? 'message:pinned' : 'message:unpinned', pin);
+      
+      return { success: true };
+    } catch (error) {
+      console.error('Error sending message pin:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
   // Update user status
   updateStatus: (status) => {
     if (!socket || !socket.connected) {
@@ -0,0 +1,354 @@
+import axios from 'axios';
+import sessionService from './sessionService';
+import keyVaultService from './keyVaultService';
+import deviceService from './deviceService';
+
+// API base URL
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+
+// Create axios instance with default config
+const api = axios.create({
+  baseURL: API_URL,
+  headers: {
+    'Content-Type': 'application/json'
+  }
+});
+
+// Add request interceptor to include auth token
+api.interceptors.request.use(
+  (config) => {
+    const tokens = localStorage.getItem('tokens');
+    if (tokens) {
+      const { accessToken } = JSON.parse(tokens);
+      if (accessToken) {
+        config.headers.Authorization = `Bearer ${accessToken}`;
+      }
+    }
+    return config;
+  },
+  (error) => Promise.reject(error)
+);
+
+// Local storage key for verified contacts, as "verifiedContacts:<userId>"
+const VERIFIED_STORAGE_KEY = 'verifiedContacts';
+
+// Fingerprint parameters (same construction as Signal's numeric fingerprints)
+const FINGERPRINT_VERSION = 0;
+const FINGERPRINT_ITERATIONS = 5200;
+const FINGERPRINT_DIGITS = 30;
+
+const QR_PAYLOAD_PREFIX = 'swickr-verify';
+
+// Error code for messages held back because a verified contact's keys changed
+const KEYS_CHANGED = 'KEYS_CHANGED';
+
+// How long a verified contact's keys are trusted before they are checked
+// again when sending
+const STATUS_CHECK_INTERVAL = 5 * 60 * 1000;
+
+const listeners = new Set();
+const lastChecked = new Map();
+
+const getCurrentUserId = () => {
+  const user = JSON.parse(localStorage.getItem('user') || '{}');
+  return user.id;
+};
+
+const getStorageKey = () => `${VERIFIED_STORAGE_KEY}:${getCurrentUserId()}`;
+
+const readVerified = () => {
+  try {
+    // Older versions kept one list for every user of the browser
+    const legacy = localStorage.getItem(VERIFIED_STORAGE_KEY);
+    if (legacy && !localStorage.getItem(getStorageKey())) {
+      localStorage.setItem(getStorageKey(), legacy);
+    }
+    localStorage.removeItem(VERIFIED_STORAGE_KEY);
+
+    return JSON.parse(localStorage.getItem(getStorageKey()) || '{}');
+  } catch (error) {
+    console.error('Failed to read verified contacts:', error);
+    return {};
+  }
+};
+
+const writeVerified = (verified) => {
+  localStorage.setItem(getStorageKey(), JSON.stringify(verified));
+  listeners.forEach(listener => listener(verified));
+};
+
+const encodeJwk = (publicKey) => {
+  const jwk = typeof publicKey === 'string' ? JSON.parse(publicKey) : publicKey;
+  return `${jwk.kty}|${jwk.n}|${jwk.e}`;
+};
+
+/**
+ * Serialize a user's keys so the same keys always give the same bytes,
+ * whatever order the JWK fields were exported in or the devices were listed in.
+ * Users without linked devices keep the fingerprint they had before devices
+ * were covered.
+ */
+const encodeKeys = ({ publicKey, identityKey, devices = [] }) => {
+  const entries = devices
+    .map(device => `${device.deviceId}|${encodeJwk(device.publicKey)}|${device.identityKey || ''}`)
+    .sort();
+  return new TextEncoder().encode(
+    [`${encodeJwk(publicKey)}|${identityKey || ''}`, ...entries].join(';')
+  );
+};
+
+/**
+ * Get the identity key a user's device published, and the one our session
+ * with it was agreed with if that is a different one, so a session key
+ * swapped behind the published one changes the fingerprint as well
+ */
+const getIdentityKeys = async (address) => {
+  let published = null;
+  try {
+    published = (await sessionService.fetchPreKeyBundle(address)).identityKey;
+  } catch (error) {
+    // Contacts on older clients only have an RSA key
+  }
+
+  const used = address.split(':')[0] === String(getCurrentUserId())
+    ? null
+    : await sessionService.getPeerIdentityKey(address);
+  return [published, used].filter((key, index, keys) => key && keys.indexOf(key) === index).join(',') || null;
+};
+
+/**
+ * Get the keys of every device a user has linked, so that a device added
+ * later changes the user's fingerprint
+ */
+const getDeviceKeys = async (userId) => {
+  const devices = await deviceService.getUserDevices(userId);
+  return Promise.all(devices.map(async ({ deviceId, publicKey }) => ({
+    deviceId,
+    publicKey,
+    identityKey: await getIdentityKeys(`${userId}:${deviceId}`)
+  })));
+};
+
+const createKeysChangedError = (userIds) => {
+  const error = new Error(
+    'Message not sent: the safety number of a verified contact has changed. Verify it again before sending.'
+  );
+  error.code = KEYS_CHANGED;
+  error.userIds = userIds;
+  return error;
+};
+
+/**
+ * Compute the 30-digit fingerprint for one user's keys
+ */
+const computeFingerprint = async (userId, keys) => {
+  const keyBytes = encodeKeys(keys);
+  const userIdBytes = new TextEncoder().encode(String(userId));
+
+  let hash = new Uint8Array([0, FINGERPRINT_VERSION, ...keyBytes, ...userIdBytes]);
+  for (let i = 0; i < FINGERPRINT_ITERATIONS; i++) {
+    const input = new Uint8Array(hash.length + keyBytes.length);
+    input.set(hash);
+    input.set(keyBytes, hash.length);
+    hash = new Uint8Array(await window.crypto.subtle.digest('SHA-512', input));
+  }
+
+  // Six 5-digit groups, each from 5 bytes of the hash
+  let digits = '';
+  for (let offset = 0; digits.length < FINGERPRINT_DIGITS; offset += 5) {
+    const chunk = hash.slice(offset, offset + 5).reduce((value, byte) => value * 256 + byte, 0);
+    digits += String(chunk % 100000).padStart(5, '0');
+  }
+  return digits;
+};
+
+/**
+ * Verification Service
+ *
+ * Generates safety numbers from both parties' public keys, including the
+ * keys of every linked device and the identity keys our sessions with them
+ * actually use, so users can confirm out of band that the keys served for a
+ * contact are really theirs, and remembers which contacts have been verified.
+ * A contact linking a new device, or a session agreed with a key they never
+ * published, shows up as a changed number, and messages to them are held
+ * back until they are verified again.
+ */
+const verificationService = {
+  KEYS_CHANGED,
+
+  /**
+   * Get the local user's public keys
+   * @returns {Promise<Object>} RSA public key, session identity key and linked device keys
+   */
+  getLocalKeys: async () => {
+    const publicKey = await keyVaultService.getPublicKey();
+    if (!publicKey) {
+      throw new Error('Encryption keys not found. Please generate new keys in settings.');
+    }
+
+    return {
+      publicKey,
+      identityKey: (await sessionService.getIdentity())?.identityKey || null,
+      devices: await getDeviceKeys(getCurrentUserId())
+    };
+  },
+
+  /**
+   * Fetch a contact's public keys from the server
+   * @param {string} userId - Contact user ID
+   * @returns {Promise<Object>} RSA public key, session identity key and linked device keys
+   */
+  getContactKeys: async (userId) => {
+    const response = await api.get(`/users/${userId}`);
+    const publicKey = response.data.publicKey;
+    if (!publicKey) {
+      throw new Error('This contact has not set up encryption yet');
+    }
+
+    return {
+      publicKey,
+      identityKey: await getIdentityKeys(String(userId)),
+      devices: await getDeviceKeys(userId)
+    };
+  },
+
+  /**
+   * Compute the safety number shared with a contact
+   * @param {string} contactId - Contact user ID
+   * @returns {Promise<Object>} Safety number, QR payload and the contact's fingerprint
+   */
+  getSafetyNumber: async (contactId) => {
+    const localId = getCurrentUserId();
+    const [localKeys, contactKeys] = await Promise.all([
+      verificationService.getLocalKeys(),
+      verificationService.getContactKeys(contactId)
+    ]);
+
+    const localFingerprint = await computeFingerprint(localId, localKeys);
+    const contactFingerprint = await computeFingerprint(contactId, contactKeys);
+
+    // Both sides sort the halves the same way, so both see the same number
+    const safetyNumber = [localFingerprint, contactFingerprint].sort().join('');
+
+    return {
+      safetyNumber,
+      groups: safetyNumber.match(/\d{5}/g),
+      qrPayload: [QR_PAYLOAD_PREFIX, FINGERPRINT_VERSION, localId, localFingerprint, contactId, contactFingerprint].join(':'),
+      contactFingerprint
+    };
+  },
+
+  /**
+   * Check a QR payload scanned from the contact's screen
+   * @param {string} contactId - Contact user ID
+   * @param {string} payload - Scanned payload
+   * @returns {Promise<boolean>} True if the contact sees the same keys we do
+   */
+  checkQrPayload: async (contactId, payload) => {
+    const [prefix, version, scannedLocalId, scannedLocalFingerprint, scannedContactId, scannedContactFingerprint] =
+      String(payload || '').trim().split(':');
+
+    if (prefix !== QR_PAYLOAD_PREFIX || Number(version) !== FINGERPRINT_VERSION) {
+      return false;
+    }
+
+    // The contact's "local" side is our contact, and their "contact" is us
+    const { qrPayload } = await verificationService.getSafetyNumber(contactId);
+    const [, , localId, localFingerprint, , contactFingerprint] = qrPayload.split(':');
+
+    return scannedLocalId === String(contactId) &&
+      scannedContactId === String(localId) &&
+      scannedLocalFingerprint === contactFingerprint &&
+      scannedContactFingerprint === localFingerprint;
+  },
+
+  /**
+   * Mark a contact's current keys as verified
+   * @param {string} contactId - Contact user ID
+   * @param {string} fingerprint - Contact fingerprint that was verified
+   */
+  markVerified: (contactId, fingerprint) => {
+    writeVerified({
+      ...readVerified(),
+      [contactId]: { fingerprint, verifiedAt: Date.now() }
+    });
+  },
+
+  /**
+   * Forget a contact's verification, which also lets messages to them be sent
+   * again after their keys changed
+   * @param {string} contactId - Contact user ID
+   */
+  clearVerification: (contactId) => {
+    const verified = readVerified();
+    delete verified[contactId];
+    writeVerified(verified);
+  },
+
+  /**
+   * Get a contact's verification status. Once their keys no longer match the
+   * verified ones the verification is dropped, and the contact stays
+   * 'changed' until verified again or cleared, even if the keys change back.
+   * @param {string} contactId - Contact user ID
+   * @returns {Promise<string>} 'verified', 'unverified' or 'changed'
+   */
+  getVerificationStatus: async (contactId) => {
+    const entry = readVerified()[contactId];
+    if (!entry) {
+      return 'unverified';
+    }
+    if (entry.changedAt) {
+      return 'changed';
+    }
+
+    const { contactFingerprint } = await verificationService.getSafetyNumber(contactId);
+    lastChecked.set(`${getStorageKey()}:${contactId}`, Date.now());
+    if (contactFingerprint === entry.fingerprint) {
+      return 'verified';
+    }
+
+    writeVerified({
+      ...readVerified(),
+      [contactId]: { fingerprint: entry.fingerprint, changedAt: Date.now() }
+    });
+    return 'changed';
+  },
+
+  /**
+   * Make sure none of the verified contacts a message is for has changed keys
+   * @param {Array<string>} userIds - User IDs of the recipients
+   * @returns {Promise<void>} Rejects with an error with code KEYS_CHANGED if any has
+   */
+  assertKeysUnchanged: async (userIds) => {
+    const verified = readVerified();
+    const contactIds = [...new Set(userIds)].filter(userId =>
+      verified[userId] && String(userId) !== String(getCurrentUserId())
+    );
+
+    const changed = [];
+    for (const contactId of contactIds) {
+      const checkedAt = lastChecked.get(`${getStorageKey()}:${contactId}`) || 0;
+      if (verified[contactId].changedAt ||
+        (Date.now() - checkedAt > STATUS_CHECK_INTERVAL &&
+          (await verificationService.getVerificationStatus(contactId)) === 'changed')) {
+        changed.push(contactId);
+      }
+    }
+
+    if (changed.length > 0) {
+      throw createKeysChangedError(changed);
+    }
+  },
+
+  /**
+   * Subscribe to changes in verified contacts
+   * @param {Function} listener - Called with the verified contacts map
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe: (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+};
+
+export default verificationService;
@@ -0,0 +1,99 @@
+// Local storage key for the view-once media this device knows about, as "viewOnceMedia:<userId>"
+const REGISTRY_STORAGE_KEY = 'viewOnceMedia';
+
+// The server refuses media that was opened before, so only recent entries
+// need to be kept here
+const MAX_ENTRIES = 1000;
+
+const getCurrentUserId = () => {
+  const user = JSON.parse(localStorage.getItem('user') || '{}');
+  return user.id;
+};
+
+const getStorageKey = () => `${REGISTRY_STORAGE_KEY}:${getCurrentUserId()}`;
+
+// Entries are [mediaId, openedAt], oldest first; openedAt is 0 until opened here
+const readRegistry = () => {
+  try {
+    // Older versions kept one registry for every user of the browser
+    const legacy = localStorage.getItem(REGISTRY_STORAGE_KEY);
+    if (legacy && !localStorage.getItem(getStorageKey())) {
+      localStorage.setItem(getStorageKey(), legacy);
+    }
+    localStorage.removeItem(REGISTRY_STORAGE_KEY);
+
+    const entries = JSON.parse(localStorage.getItem(getStorageKey()) || '[]');
+    return new Map(Array.isArray(entries) ? entries : []);
+  } catch (error) {
+    console.error('Failed to read view-once media:', error);
+    return new Map();
+  }
+};
+
+const writeRegistry = (registry) => {
+  const entries = Array.from(registry.entries());
+  localStorage.setItem(getStorageKey(), JSON.stringify(entries.slice(Math.max(0, entries.length - MAX_ENTRIES))));
+};
+
+/**
+ * View-Once Service
+ *
+ * Remembers which media was sent to be viewed once, so it can be left out of
+ * the gallery, and which of it was opened on this device, so its key is
+ * never used again, even when its message is synced from the server again.
+ * Openings are also recorded on the server, which stops serving the media
+ * to whoever opened it, so each user's registry only keeps recent entries.
+ */
+const viewOnceService = {
+  /**
+   * Remember that media is view-once
+   * @param {string} mediaId - Media ID
+   */
+  remember: (mediaId) => {
+    const registry = readRegistry();
+    if (registry.has(mediaId)) return;
+
+    registry.set(mediaId, 0);
+    writeRegistry(registry);
+  },
+
+  /**
+   * Check whether media is view-once
+   * @param {string} mediaId - Media ID
+   * @returns {boolean} Whether it was sent to be viewed once
+   */
+  isViewOnce: (mediaId) => readRegistry().has(mediaId),
+
+  /**
+   * Record that view-once media was opened on this device
+   * @param {string} mediaId - Media ID
+   */
+  markOpened: (mediaId) => {
+    const registry = readRegistry();
+    registry.delete(mediaId);
+    registry.set(mediaId, Date.now());
+    writeRegistry(registry);
+  },
+
+  /**
+   * Check whether view-once media was opened on this device
+   * @param {string} mediaId - Media ID
+   * @returns {boolean} Whether it can no longer be opened
+   */
+  isOpened: (mediaId) => Boolean(readRegistry().get(mediaId)),
+
+  /**
+   * Get what is kept of view-once media once it was opened: no key, no caption
+   * @param {Object} media - The media as it was received
+   * @returns {Object} Media that can only be shown as opened
+   */
+  toOpened: (media) => ({
+    id: media.id,
+    mediaType: media.mediaType,
+    mimeType: media.mimeType,
+    viewOnce: true,
+    opened: true
+  })
+};
+
+export default viewOnceService;
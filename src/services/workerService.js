@@ -1,3 +1,5 @@
+import encryptionService from './encryptionService';
+
 /**
  * Worker Service
  * 
@@ -65,24 +67,39 @@ const initWorker = () => {
         
         // Handle the error for the specific task
         if (taskId && callbackMap.has(taskId)) {
-          const { reject, retries } = callbackMap.get(taskId);
-          
+          const callback = callbackMap.get(taskId);
+          const { reject, retries } = callback;
+
           if (retries < workerConfig.maxRetries) {
-            // Retry the task
+            // Retry the task with the details stored alongside its callback
             setTimeout(() => {
-              const task = pendingTasks.find(t => t.data && t.data.callbackId === taskId);
-              if (task) {
-                task.data.retries = retries + 1;
-                encryptionWorker.postMessage(task);
+              if (!encryptionWorker || !callbackMap.has(taskId)) {
+                handleMainThreadFallback(taskId);
+                return;
               }
+              callback.retries = retries + 1;
+              encryptionWorker.postMessage({
+                action: callback.action,
+                data: {
+                  ...callback.data,
+                  callbackId: taskId,
+                  timestamp: Date.now()
+                }
+              });
             }, workerConfig.retryDelay);
-          } else if (workerConfig.fallbackToMainThread) {
-            // Fallback to main thread processing
-            handleMainThreadFallback(taskId);
           } else {
-            // Give up and reject the promise
-            reject(new Error(`Worker failed after ${retries} retries: ${error}`));
-            callbackMap.delete(taskId);
+            if (workerConfig.fallbackToMainThread) {
+              // Fallback to main thread processing
+              handleMainThreadFallback(taskId);
+            } else {
+              // Give up and reject the promise
+              reject(new Error(`Worker failed after ${retries} retries: ${error}`));
+              callbackMap.delete(taskId);
+            }
+            
+            // The worker is done with the task, so the next one can go
+            workerMetrics.currentConcurrentTasks = Math.max(0, workerMetrics.currentConcurrentTasks - 1);
+            processPendingTasks();
           }
         }
         
@@ -123,8 +140,8 @@ const initWorker = () => {
           break;
           
         case 'batch_encrypt_result':
-          if (results && results.length > 0) {
-            handleCallbackResponse(results);
+          if (results) {
+            handleCallbackResponse({ callbackId: taskId }, results);
           }
           break;
           
@@ -178,7 +195,7 @@ const processPendingTasks = () => {
 /**
  * Handle callback responses from the worker
  */
-const handleCallbackResponse = (data) => {
+const handleCallbackResponse = (data, result = data) => {
   if (!data || typeof data !== 'object') {
     return;
   }
@@ -188,7 +205,7 @@ const handleCallbackResponse = (data) => {
   
   if (callbackId && callbackMap.has(callbackId)) {
     const { resolve } = callbackMap.get(callbackId);
-    resolve(data);
+    resolve(result);
     callbackMap.delete(callbackId);
     
     // Process next tasks if available
@@ -196,6 +213,17 @@ const handleCallbackResponse = (data) => {
   }
 };
 
+/**
+ * Decrypt a message with the recipient's wrapped key on the main thread
+ */
+const decryptWithKey = async (encryptedMessage, iv, encryptedKey, privateKey) => {
+  const key = typeof privateKey === 'string'
+    ? await encryptionService.importPrivateKey(privateKey)
+    : privateKey;
+  const messageKey = await encryptionService.decryptMessageKey(encryptedKey, key);
+  return encryptionService.decryptMessage(encryptedMessage, iv, messageKey);
+};
+
 /**
  * Fallback to main thread processing when worker fails
  */
@@ -208,60 +236,44 @@ const handleMainThreadFallback = (taskId) => {
   
   console.warn('Falling back to main thread for encryption task:', action);
   
-  try {
-    // Simulate the worker's processing in the main thread
-    // This is a simplified version - in a real app, you'd need to implement
-    // the actual encryption/decryption logic here
-    
-    switch (action) {
-      case 'encrypt':
-        // Simulate encryption in main thread
-        import('../utils/encryptionUtils').then(({ encryptData }) => {
-          const result = encryptData(data.message, data.recipients);
-          resolve(result);
-        }).catch(err => reject(err));
-        break;
-        
-      case 'decrypt':
-        // Simulate decryption in main thread
-        import('../utils/encryptionUtils').then(({ decryptData }) => {
-          const result = decryptData(
-            data.encryptedMessage,
-            data.iv,
-            data.encryptedKey,
-            data.privateKey
-          );
-          resolve(result);
-        }).catch(err => reject(err));
-        break;
-        
-      case 'encrypt_presence':
-        // Simulate presence encryption in main thread
-        import('../utils/encryptionUtils').then(({ encryptData }) => {
-          const result = encryptData(data.presenceData, data.recipients);
-          resolve({ ...result, presenceType: data.presenceType });
-        }).catch(err => reject(err));
-        break;
-        
-      case 'batch_encrypt':
-        // Simulate batch encryption in main thread
-        import('../utils/encryptionUtils').then(({ encryptData }) => {
-          const results = data.batch.map(item => ({
-            id: item.id,
-            result: encryptData(item.data, data.recipients)
-          }));
-          resolve(results);
-        }).catch(err => reject(err));
-        break;
-        
-      default:
-        reject(new Error(`Unknown action for main thread fallback: ${action}`));
-    }
-  } catch (error) {
-    reject(error);
-  } finally {
-    callbackMap.delete(taskId);
+  // Run the same AES-GCM + RSA-OAEP scheme as the worker, so the
+  // resulting payloads are identical in shape and interchangeable
+  const toPlaintext = (value) => (typeof value === 'object' ? JSON.stringify(value) : String(value));
+  
+  let task;
+  switch (action) {
+    case 'encrypt':
+      task = encryptionService.encryptGroupMessage(toPlaintext(data.message), data.recipients);
+      break;
+      
+    case 'decrypt':
+      task = decryptWithKey(data.encryptedMessage, data.iv, data.encryptedKey, data.privateKey)
+        .then(decryptedMessage => ({ decryptedMessage }));
+      break;
+      
+    case 'encrypt_presence':
+      task = encryptionService.encryptGroupMessage(toPlaintext(data.presenceData), data.recipients)
+        .then(result => ({ ...result, presenceType: data.presenceType }));
+      break;
+      
+    case 'decrypt_presence':
+      task = decryptWithKey(data.encryptedData, data.iv, data.encryptedKey, data.privateKey)
+        .then(decryptedMessage => ({ decryptedMessage, presenceType: data.presenceType }));
+      break;
+      
+    case 'batch_encrypt':
+      task = Promise.all(data.batch.map(async item => ({
+        id: item.id,
+        result: await encryptionService.encryptGroupMessage(toPlaintext(item.data), data.recipients)
+      })));
+      break;
+      
+    default:
+      task = Promise.reject(new Error(`Unknown action for main thread fallback: ${action}`));
   }
+  
+  callbackMap.delete(taskId);
+  task.then(resolve).catch(reject);
 };
 
 /**
@@ -433,6 +445,62 @@ const encryptPresenceWithWorker = (presenceData, recipients, presenceType) => {
   });
 };
 
+/**
+ * Decrypt presence data using the Web Worker
+ */
+const decryptPresenceWithWorker = (encryptedData, iv, encryptedKey, privateKey, presenceType) => {
+  return new Promise((resolve, reject) => {
+    if (!isWebWorkerSupported() && !workerConfig.fallbackToMainThread) {
+      reject(new Error('Web Workers not supported in this browser'));
+      return;
+    }
+    
+    if (!encryptionWorker && isWebWorkerSupported()) {
+      initWorker();
+    }
+    
+    const callbackId = generateCallbackId();
+    workerMetrics.totalTasks++;
+    
+    // Store both resolve and reject functions along with task details
+    callbackMap.set(callbackId, {
+      resolve,
+      reject,
+      retries: 0,
+      action: 'decrypt_presence',
+      data: { encryptedData, iv, encryptedKey, privateKey, presenceType }
+    });
+    
+    const message = {
+      action: 'decrypt_presence',
+      data: {
+        encryptedData,
+        iv,
+        encryptedKey,
+        privateKey,
+        presenceType,
+        callbackId,
+        timestamp: Date.now()
+      }
+    };
+    
+    if (workerReady && encryptionWorker) {
+      // Check if we should add to pending tasks or process immediately
+      if (workerMetrics.currentConcurrentTasks < workerConfig.maxConcurrentTasks) {
+        workerMetrics.currentConcurrentTasks++;
+        encryptionWorker.postMessage(message);
+      } else {
+        pendingTasks.push(message);
+      }
+    } else if (workerConfig.fallbackToMainThread && !isWebWorkerSupported()) {
+      // Fallback to main thread immediately if workers aren't supported
+      handleMainThreadFallback(callbackId);
+    } else {
+      pendingTasks.push(message);
+    }
+  });
+};
+
 /**
  * Batch encrypt multiple presence updates using the Web Worker
  */
@@ -469,7 +537,9 @@ const batchEncryptWithWorker = (batch, recipients) => {
       action: 'batch_encrypt',
       data: {
         batch: batchWithCallbacks,
-        recipients
+        recipients,
+        callbackId,
+        timestamp: Date.now()
       }
     };
     
@@ -542,6 +612,7 @@ export default {
   encryptWithWorker,
   decryptWithWorker,
   encryptPresenceWithWorker,
+  decryptPresenceWithWorker,
   batchEncryptWithWorker,
   isWebWorkerSupported,
   terminateWorker,
@@ -0,0 +1,101 @@
+import { webcrypto } from 'crypto';
+import { TextEncoder, TextDecoder } from 'util';
+import backupService from '../services/backupService';
+import encryptionService from '../services/encryptionService';
+import keyVaultService from '../services/keyVaultService';
+import sessionService from '../services/sessionService';
+
+jest.mock('axios', () => {
+  const instance = {
+    get: jest.fn(),
+    post: jest.fn(),
+    interceptors: { request: { use: jest.fn() } }
+  };
+  return {
+    create: () => instance,
+    __instance: instance
+  };
+});
+
+jest.mock('../services/keyVaultService', () => ({
+  exportKeyPair: jest.fn(),
+  requestUnlock: jest.fn(),
+  storeKeyPair: jest.fn()
+}));
+
+jest.mock('../services/sessionService', () => ({
+  exportIdentity: jest.fn(),
+  exportMessageKeys: jest.fn(),
+  importIdentity: jest.fn(),
+  importMessageKeys: jest.fn()
+}));
+
+jest.mock('../services/deviceService', () => ({
+  registerDevice: jest.fn()
+}));
+
+// Use Node's Web Crypto implementation in the test environment
+Object.defineProperty(window, 'crypto', { value: webcrypto });
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+
+const PASSPHRASE = 'correct horse battery staple';
+
+describe('Backup Service', () => {
+  let keyPair;
+  let backup;
+  let recoveryCode;
+
+  beforeAll(async () => {
+    keyPair = await encryptionService.generateKeyPair();
+  });
+
+  beforeEach(async () => {
+    localStorage.setItem('user', JSON.stringify({ id: 'alice' }));
+    keyVaultService.exportKeyPair.mockResolvedValue(keyPair);
+    sessionService.exportIdentity.mockReturnValue({ identityKey: { publicKey: 'ik', privateKey: 'secret' } });
+    sessionService.exportMessageKeys.mockReturnValue({ 'self:1': 'key' });
+
+    if (!backup) {
+      const result = await backupService.createBackup(PASSPHRASE, true);
+      ({ backup, recoveryCode } = result.data);
+    }
+  });
+
+  test('should not contain the private key in the clear', () => {
+    expect(JSON.stringify(backup)).not.toContain(JSON.parse(keyPair.privateKey).d);
+    expect(recoveryCode).toMatch(/^([0-9A-Z]{4}-){7}[0-9A-Z]{4}$/);
+  });
+
+  test('should restore the keys with the passphrase', async () => {
+    const result = await backupService.restoreBackup(backup, PASSPHRASE);
+
+    expect(result.success).toBe(true);
+    expect(keyVaultService.storeKeyPair).toHaveBeenCalledWith(keyPair);
+    expect(sessionService.importIdentity).toHaveBeenCalledWith({ identityKey: { publicKey: 'ik', privateKey: 'secret' } });
+    expect(sessionService.importMessageKeys).toHaveBeenCalledWith({ 'self:1': 'key' });
+  });
+
+  test('should restore the keys with the recovery code in any case', async () => {
+    const result = await backupService.restoreBackup(backup, recoveryCode.toLowerCase());
+
+    expect(result.success).toBe(true);
+    expect(keyVaultService.storeKeyPair).toHaveBeenCalledWith(keyPair);
+  });
+
+  test('should reject a wrong passphrase', async () => {
+    const result = await backupService.restoreBackup(backup, 'not the passphrase');
+
+    expect(result).toEqual({ success: false, error: 'Incorrect passphrase or recovery code' });
+    expect(keyVaultService.storeKeyPair).not.toHaveBeenCalled();
+  });
+
+  test('should reject backups that were modified or belong to someone else', async () => {
+    const modified = await backupService.restoreBackup({ ...backup, createdAt: new Date(0).toISOString() }, PASSPHRASE);
+    expect(modified.error).toBe('The backup file is incomplete or damaged');
+
+    localStorage.setItem('user', JSON.stringify({ id: 'mallory' }));
+    const otherAccount = await backupService.restoreBackup(backup, PASSPHRASE);
+    expect(otherAccount.error).toBe('This backup belongs to a different account');
+  });
+});
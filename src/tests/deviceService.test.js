@@ -0,0 +1,62 @@
+import axios from 'axios';
+import deviceService from '../services/deviceService';
+import keyVaultService from '../services/keyVaultService';
+
+// Mock axios so device lists come from an in-memory directory
+jest.mock('axios', () => {
+  const instance = {
+    get: jest.fn(),
+    post: jest.fn(),
+    interceptors: { request: { use: jest.fn() } }
+  };
+  return {
+    create: () => instance,
+    __instance: instance
+  };
+});
+
+jest.mock('../services/keyVaultService', () => ({
+  getDevicePublicKey: jest.fn()
+}));
+
+const api = axios.__instance;
+
+describe('Device Service', () => {
+  const devices = {
+    alice: [{ deviceId: 'alice-phone', publicKey: 'alice-phone-key' }],
+    bob: [
+      { deviceId: 'bob-phone', publicKey: 'bob-phone-key' },
+      { deviceId: 'bob-old', publicKey: 'bob-old-key', revokedAt: '2026-10-01T10:00:00Z' }
+    ],
+    carol: []
+  };
+
+  beforeEach(() => {
+    localStorage.setItem('user', JSON.stringify({ id: 'alice' }));
+    localStorage.setItem('deviceId', 'alice-laptop');
+    keyVaultService.getDevicePublicKey.mockResolvedValue('alice-laptop-key');
+    api.get.mockImplementation(async (url) => ({ data: { devices: devices[url.split('/')[2]] } }));
+  });
+
+  test('should only use the user-level key for members without registered devices', async () => {
+    const expanded = await deviceService.expandRecipients([
+      { userId: 'alice', publicKey: 'alice-key' },
+      { userId: 'bob', publicKey: 'bob-key' },
+      { userId: 'carol', publicKey: 'carol-key' }
+    ]);
+
+    expect(expanded).toEqual([
+      { userId: 'alice', deviceId: 'alice-phone', publicKey: 'alice-phone-key' },
+      { userId: 'alice', deviceId: 'alice-laptop', publicKey: 'alice-laptop-key' },
+      { userId: 'bob', deviceId: 'bob-phone', publicKey: 'bob-phone-key' },
+      { userId: 'carol', publicKey: 'carol-key' }
+    ]);
+  });
+
+  test('should not encrypt for the user-level key when the devices could not be loaded', async () => {
+    api.get.mockRejectedValue(new Error('Network Error'));
+
+    await expect(deviceService.expandRecipients([{ userId: 'dave', publicKey: 'dave-key' }]))
+      .rejects.toThrow('could not be loaded');
+  });
+});
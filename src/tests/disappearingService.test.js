@@ -0,0 +1,71 @@
+import disappearingService from '../services/disappearingService';
+
+describe('Disappearing Messages Service', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  test('should keep the most recent timer change', () => {
+    expect(disappearingService.getTimer('c1')).toBe(0);
+
+    expect(disappearingService.applyTimerChange('c1', 3600, '2024-05-01T10:00:00Z')).toBe(true);
+    expect(disappearingService.applyTimerChange('c1', 30, '2024-05-01T09:00:00Z')).toBe(false);
+    expect(disappearingService.getTimer('c1')).toBe(3600);
+
+    expect(disappearingService.applyTimerChange('c1', 0, '2024-05-01T11:00:00Z')).toBe(true);
+    expect(disappearingService.getTimer('c1')).toBe(0);
+    expect(disappearingService.getTimer('c2')).toBe(0);
+  });
+
+  test('should tell subscribers about timer changes', () => {
+    const listener = jest.fn();
+    const unsubscribe = disappearingService.subscribe(listener);
+
+    disappearingService.applyTimerChange('c1', 300, Date.now());
+    unsubscribe();
+    disappearingService.applyTimerChange('c1', 30, Date.now());
+
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  test('should only accept timers and controls it understands', () => {
+    expect(disappearingService.sanitizeTimer(300)).toBe(300);
+    expect(disappearingService.sanitizeTimer(1)).toBeNull();
+    expect(disappearingService.sanitizeTimer(365 * 24 * 3600)).toBeNull();
+    expect(disappearingService.sanitizeTimer('300')).toBeNull();
+
+    expect(disappearingService.sanitizeControl({ type: 'disappearing-timer', expiresIn: 86400, extra: true }))
+      .toEqual({ type: 'disappearing-timer', expiresIn: 86400 });
+    expect(disappearingService.sanitizeControl({ type: 'disappearing-timer', expiresIn: -5 }))
+      .toEqual({ type: 'disappearing-timer', expiresIn: 0 });
+    expect(disappearingService.sanitizeControl({ type: 'other' })).toBeNull();
+    expect(disappearingService.sanitizeControl(null)).toBeNull();
+  });
+
+  test('should count down from when the message was sent', () => {
+    const message = { timestamp: '2024-05-01T10:00:00Z', expiresIn: 30 };
+    const sentAt = Date.parse(message.timestamp);
+
+    expect(disappearingService.getExpiresAt(message)).toBe(sentAt + 30000);
+    expect(disappearingService.isExpired(message, sentAt + 29999)).toBe(false);
+    expect(disappearingService.isExpired(message, sentAt + 30000)).toBe(true);
+    expect(disappearingService.getExpiresAt({ timestamp: message.timestamp })).toBeNull();
+    expect(disappearingService.isExpired({ timestamp: message.timestamp }, Infinity)).toBe(false);
+  });
+
+  test('should describe timers and the time left', () => {
+    expect(disappearingService.TIMER_OPTIONS.map(disappearingService.formatTimer)).toEqual([
+      '30 seconds', '5 minutes', '1 hour', '8 hours', '1 day', '1 week', '4 weeks'
+    ]);
+    expect(disappearingService.formatTimer(0)).toBe('Off');
+
+    expect(disappearingService.formatRemaining(29500)).toBe('30s');
+    expect(disappearingService.formatRemaining(90000)).toBe('2m');
+    expect(disappearingService.formatRemaining(26 * 3600 * 1000)).toBe('2d');
+    expect(disappearingService.formatRemaining(-1000)).toBe('0s');
+
+    expect(disappearingService.describeTimerChange(3600, 'You')).toBe('You set disappearing messages to 1 hour');
+    expect(disappearingService.describeTimerChange(0, 'Bob')).toBe('Bob turned off disappearing messages');
+    expect(disappearingService.describeTimerChange(604800)).toBe('Disappearing messages set to 1 week');
+  });
+});
@@ -0,0 +1,237 @@
+import { webcrypto } from 'crypto';
+import { TextEncoder, TextDecoder } from 'util';
+import axios from 'axios';
+import draftService from '../services/draftService';
+import encryptionService from '../services/encryptionService';
+import keyVaultService from '../services/keyVaultService';
+import deviceService from '../services/deviceService';
+
+jest.mock('axios', () => {
+  const instance = {
+    get: jest.fn(),
+    put: jest.fn(),
+    interceptors: { request: { use: jest.fn() } }
+  };
+  return {
+    create: () => instance,
+    __instance: instance
+  };
+});
+
+// Drafts on this device are sealed for real, synced ones through the mocks
+jest.mock('../services/encryptionService', () => {
+  const actual = jest.requireActual('../services/encryptionService').default;
+  return {
+    encryptGroupMessage: jest.fn(),
+    decryptGroupMessage: jest.fn(),
+    encryptBytes: (...args) => actual.encryptBytes(...args),
+    decryptBytes: (...args) => actual.decryptBytes(...args),
+    toBase64: (...args) => actual.toBase64(...args),
+    fromBase64: (...args) => actual.fromBase64(...args)
+  };
+});
+
+// Each user's vault has a data key of its own, usable while it is unlocked
+jest.mock('../services/keyVaultService', () => {
+  const vault = { unlocked: true, dataKeys: {} };
+  return {
+    __vault: vault,
+    getPublicKey: jest.fn(),
+    getKeyPair: jest.fn(),
+    getDeviceKeyPair: jest.fn(),
+    getDataKey: async () => {
+      if (!vault.unlocked) {
+        throw new Error('Key vault is locked');
+      }
+      const userId = JSON.parse(global.localStorage.getItem('user')).id;
+      if (!vault.dataKeys[userId]) {
+        vault.dataKeys[userId] = require('crypto').webcrypto.subtle.generateKey(
+          { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']
+        );
+      }
+      return vault.dataKeys[userId];
+    }
+  };
+});
+
+jest.mock('../services/deviceService', () => ({
+  expandRecipients: jest.fn(),
+  getDeviceId: jest.fn()
+}));
+
+// Use Node's Web Crypto implementation in the test environment
+Object.defineProperty(window, 'crypto', { value: webcrypto });
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+
+const api = axios.__instance;
+
+// Let the upload started by a timer run to completion
+const flushPromises = () => new Promise(resolve => jest.requireActual('timers').setImmediate(resolve));
+
+// Sealing runs in the background, after the draft is saved in memory
+const waitForSealed = async (userId, previous = null) => {
+  for (let i = 0; i < 100 && localStorage.getItem(`messageDrafts:${userId}`) === previous; i++) {
+    await flushPromises();
+  }
+  return localStorage.getItem(`messageDrafts:${userId}`);
+};
+
+const logInAs = (userId) => {
+  draftService.clear();
+  localStorage.setItem('user', JSON.stringify({ id: userId }));
+};
+
+describe('Draft Service', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    localStorage.clear();
+    keyVaultService.__vault.unlocked = true;
+    logInAs('alice');
+    keyVaultService.getPublicKey.mockResolvedValue('alice-key');
+    keyVaultService.getKeyPair.mockResolvedValue({ publicKey: 'alice-key', privateKey: {} });
+    keyVaultService.getDeviceKeyPair.mockResolvedValue({ publicKey: 'laptop-key', privateKey: {} });
+    deviceService.expandRecipients.mockImplementation(async recipients => recipients);
+    deviceService.getDeviceId.mockReturnValue('laptop');
+    encryptionService.encryptGroupMessage.mockImplementation(async content => ({
+      encryptedMessage: `sealed:${content}`,
+      iv: 'iv',
+      recipientKeys: { alice: 'wrapped' }
+    }));
+    encryptionService.decryptGroupMessage.mockImplementation(async data => data.encryptedMessage.slice(7));
+    api.put.mockResolvedValue({ data: { success: true } });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should keep a draft per conversation until it is cleared', () => {
+    draftService.saveDraft('c1', {
+      text: 'half written',
+      mentions: [{ userId: 'bob', username: 'bob', avatarUrl: 'x' }],
+      formatting: true,
+      attachments: [{ name: 'plan.pdf', size: 1024, type: 'application/pdf' }]
+    });
+
+    expect(draftService.getDraft('c1')).toEqual(expect.objectContaining({
+      text: 'half written',
+      mentions: [{ userId: 'bob', username: 'bob', fullName: undefined }],
+      formatting: true,
+      attachments: [{ name: 'plan.pdf', size: 1024, type: 'application/pdf' }]
+    }));
+    expect(draftService.getDraft('c2')).toBeNull();
+
+    draftService.clearDraft('c1');
+    expect(draftService.getDraft('c1')).toBeNull();
+    expect(draftService.getDrafts()).toEqual({});
+  });
+
+  test('should tell subscribers only when a draft actually changes', () => {
+    const listener = jest.fn();
+    const unsubscribe = draftService.subscribe(listener);
+
+    draftService.saveDraft('c1', { text: '' });
+    draftService.saveDraft('c1', { text: 'hi' });
+    draftService.saveDraft('c1', { text: 'hi' });
+    unsubscribe();
+
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  test('should keep drafts on this device unless sync is turned on', async () => {
+    draftService.saveDraft('c1', { text: 'private' });
+    jest.runAllTimers();
+
+    expect(api.put).not.toHaveBeenCalled();
+    expect(await draftService.syncDrafts()).toEqual({ success: true });
+    expect(api.get).not.toHaveBeenCalled();
+  });
+
+  test('should upload drafts encrypted for the user\'s own devices once typing pauses', async () => {
+    localStorage.setItem('draftSync:alice', 'true');
+
+    draftService.saveDraft('c1', { text: 'h' });
+    draftService.saveDraft('c1', { text: 'hello' });
+    jest.runAllTimers();
+    await flushPromises();
+
+    expect(deviceService.expandRecipients).toHaveBeenCalledWith([{ userId: 'alice', publicKey: 'alice-key' }]);
+    expect(api.put).toHaveBeenCalledTimes(1);
+    expect(api.put).toHaveBeenCalledWith('/drafts/c1', expect.objectContaining({
+      encryptedContent: expect.stringContaining('"text":"hello"'),
+      recipientKeys: { alice: 'wrapped' }
+    }));
+  });
+
+  test('should keep the most recently changed copy of each draft when syncing', async () => {
+    // Drafts and the sync setting from before they were kept per user
+    localStorage.setItem('draftSync', 'true');
+    localStorage.setItem('messageDrafts', JSON.stringify({
+      c1: { text: 'older here', mentions: [], formatting: false, attachments: [], updatedAt: 100 },
+      c2: { text: 'newer here', mentions: [], formatting: false, attachments: [], updatedAt: 300 }
+    }));
+    const remote = (conversationId, text, updatedAt) => ({
+      conversationId,
+      encryptedContent: `sealed:${JSON.stringify({ text })}`,
+      iv: 'iv',
+      recipientKeys: {},
+      updatedAt
+    });
+    api.get.mockResolvedValue({
+      data: { drafts: [remote('c1', 'newer elsewhere', 200), remote('c2', 'older elsewhere', 200)] }
+    });
+
+    expect(await draftService.syncDrafts()).toEqual({ success: true });
+
+    expect(draftService.getDraft('c1').text).toBe('newer elsewhere');
+    expect(draftService.getDraft('c2').text).toBe('newer here');
+    expect(api.put).toHaveBeenCalledTimes(1);
+    expect(api.put).toHaveBeenCalledWith('/drafts/c2', expect.objectContaining({ updatedAt: 300 }));
+    expect(localStorage.getItem('messageDrafts')).toBeNull();
+    expect(localStorage.getItem('draftSync')).toBeNull();
+    expect(localStorage.getItem('draftSync:alice')).toBe('true');
+  });
+
+  test('should seal drafts with the key vault and keep them per user', async () => {
+    expect(await draftService.load()).toBe(true);
+    const empty = localStorage.getItem('messageDrafts:alice');
+    draftService.saveDraft('c1', { text: 'secret plan' });
+
+    const sealed = await waitForSealed('alice', empty);
+    expect(sealed).not.toBeNull();
+    expect(sealed).not.toContain('secret plan');
+
+    // Someone else logs in on the same browser, then alice again
+    logInAs('bob');
+    expect(await draftService.load()).toBe(true);
+    expect(draftService.getDraft('c1')).toBeNull();
+    expect(draftService.isSyncEnabled()).toBe(false);
+
+    logInAs('alice');
+    expect(draftService.getDraft('c1')).toBeNull();
+    await draftService.load();
+    expect(draftService.getDraft('c1').text).toBe('secret plan');
+  });
+
+  test('should keep drafts written while the key vault is locked in memory until it is unlocked', async () => {
+    await draftService.load();
+    const empty = localStorage.getItem('messageDrafts:alice');
+    draftService.saveDraft('c1', { text: 'before locking' });
+    const sealed = await waitForSealed('alice', empty);
+
+    logInAs('alice');
+    keyVaultService.__vault.unlocked = false;
+    expect(await draftService.load()).toBe(false);
+    draftService.saveDraft('c2', { text: 'while locked' });
+    await flushPromises();
+
+    expect(draftService.getDraft('c2').text).toBe('while locked');
+    expect(localStorage.getItem('messageDrafts:alice')).toBe(sealed);
+
+    keyVaultService.__vault.unlocked = true;
+    expect(await draftService.load()).toBe(true);
+    expect(Object.keys(draftService.getDrafts())).toEqual(['c1', 'c2']);
+    expect(await waitForSealed('alice', sealed)).not.toContain('while locked');
+  });
+});
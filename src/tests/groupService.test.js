@@ -0,0 +1,74 @@
+import axios from 'axios';
+import groupService from '../services/groupService';
+
+jest.mock('axios', () => {
+  const instance = {
+    get: jest.fn(),
+    post: jest.fn(),
+    put: jest.fn(),
+    delete: jest.fn(),
+    interceptors: { request: { use: jest.fn() } }
+  };
+  return {
+    create: () => instance,
+    __instance: instance
+  };
+});
+
+const api = axios.__instance;
+
+const members = [
+  { userId: 'alice', role: 'admin' },
+  { userId: 'bob', role: 'member' }
+];
+
+describe('Group Service', () => {
+  beforeEach(() => {
+    localStorage.setItem('user', JSON.stringify({ id: 'alice' }));
+  });
+
+  test('should create a group with the picked members', async () => {
+    api.post.mockResolvedValue({ data: { id: 'g1', type: 'group', name: 'Hiking' } });
+
+    const result = await groupService.createGroup('  Hiking ', ['bob', 'carol']);
+
+    expect(api.post).toHaveBeenCalledWith('/conversations', {
+      type: 'group',
+      name: 'Hiking',
+      memberIds: ['bob', 'carol']
+    });
+    expect(result).toEqual({ success: true, data: { id: 'g1', type: 'group', name: 'Hiking' } });
+  });
+
+  test('should report why a member could not be removed', async () => {
+    const error = new Error('Request failed with status code 403');
+    error.response = { status: 403, data: { error: { message: 'Only admins can remove members' } } };
+    api.delete.mockRejectedValue(error);
+
+    const result = await groupService.removeMember('g1', 'bob');
+
+    expect(api.delete).toHaveBeenCalledWith('/conversations/g1/members/bob');
+    expect(result).toEqual({ success: false, error: 'Only admins can remove members' });
+  });
+
+  test('should reject unknown roles without asking the server', async () => {
+    const result = await groupService.setMemberRole('g1', 'bob', 'owner');
+
+    expect(result.success).toBe(false);
+    expect(api.put).not.toHaveBeenCalled();
+  });
+
+  test('should only accept images as avatars', async () => {
+    const result = await groupService.updateAvatar('g1', new File(['x'], 'notes.txt', { type: 'text/plain' }));
+
+    expect(result.success).toBe(false);
+    expect(api.post).not.toHaveBeenCalled();
+  });
+
+  test('should tell admins apart and spot the last one', () => {
+    expect(groupService.isAdmin(members)).toBe(true);
+    expect(groupService.isAdmin(members, 'bob')).toBe(false);
+    expect(groupService.isLastAdmin(members, 'alice')).toBe(true);
+    expect(groupService.isLastAdmin([...members, { userId: 'carol', role: 'admin' }], 'alice')).toBe(false);
+  });
+});
@@ -0,0 +1,162 @@
+import { webcrypto } from 'crypto';
+import { TextEncoder, TextDecoder } from 'util';
+import keyVaultService from '../services/keyVaultService';
+import encryptionService from '../services/encryptionService';
+import { __databases } from '../utils/indexedDbUtils';
+
+// Minimal in-memory stand-in for the IndexedDB helpers
+jest.mock('../utils/indexedDbUtils', () => {
+  const databases = {};
+
+  const createStore = (records) => ({
+    get: (id) => ({ result: records.get(id) }),
+    put: (record) => {
+      records.set(record.id, record);
+      return { result: record.id };
+    },
+    delete: (id) => ({ result: records.delete(id) }),
+    getAll: () => ({ result: Array.from(records.values()) })
+  });
+
+  return {
+    __databases: databases,
+    isIndexedDbSupported: () => true,
+    openDatabase: async (name) => {
+      if (!databases[name]) {
+        databases[name] = { stores: {} };
+      }
+      return databases[name];
+    },
+    runTransaction: async (db, storeName, mode, operation) => {
+      if (!db.stores[storeName]) {
+        db.stores[storeName] = new Map();
+      }
+      const request = operation(createStore(db.stores[storeName]));
+      return request ? request.result : undefined;
+    }
+  };
+});
+
+// Use Node's Web Crypto implementation in the test environment
+Object.defineProperty(window, 'crypto', { value: webcrypto });
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+
+const records = () => __databases['swickr-key-vault'].stores.vault;
+
+const logInAs = (userId) => {
+  localStorage.setItem('user', JSON.stringify({ id: userId }));
+};
+
+describe('Key Vault Service', () => {
+  let keyPair;
+
+  beforeAll(async () => {
+    keyPair = await encryptionService.generateKeyPair();
+  });
+
+  beforeEach(() => {
+    keyVaultService.lock();
+    localStorage.clear();
+  });
+
+  test('should set up a vault and unlock it again with the passphrase', async () => {
+    logInAs('alice');
+    expect(await keyVaultService.isInitialized()).toBe(false);
+
+    await keyVaultService.setup('correct horse battery');
+    await keyVaultService.storeKeyPair(keyPair);
+    expect(keyVaultService.isUnlocked()).toBe(true);
+
+    keyVaultService.lock();
+    expect(await keyVaultService.isInitialized()).toBe(true);
+    await keyVaultService.unlock('correct horse battery');
+
+    const unlocked = await keyVaultService.getKeyPair();
+    expect(unlocked.publicKey).toBe(keyPair.publicKey);
+    expect(unlocked.privateKey.extractable).toBe(false);
+  });
+
+  test('should refuse short passphrases and a second setup', async () => {
+    logInAs('alice');
+
+    await expect(keyVaultService.setup('short')).rejects.toThrow('at least');
+    await expect(keyVaultService.setup('another passphrase')).rejects.toThrow('already set up');
+  });
+
+  test('should stay locked after a wrong passphrase', async () => {
+    logInAs('alice');
+
+    await expect(keyVaultService.unlock('wrong passphrase')).rejects.toThrow('Incorrect passphrase');
+    expect(keyVaultService.isUnlocked()).toBe(false);
+    expect(await keyVaultService.getKeyPair({ prompt: false })).toBeNull();
+  });
+
+  test('should drop all key material when locked', async () => {
+    logInAs('alice');
+    await keyVaultService.unlock('correct horse battery');
+    const sealed = await keyVaultService.seal({ secret: 42 });
+
+    keyVaultService.lock();
+
+    expect(keyVaultService.isUnlocked()).toBe(false);
+    expect(await keyVaultService.getKeyPair({ prompt: false })).toBeNull();
+    await expect(keyVaultService.open(sealed, { prompt: false })).rejects.toThrow('locked');
+    await expect(keyVaultService.getDataKey({ prompt: false })).rejects.toThrow('locked');
+
+    await keyVaultService.unlock('correct horse battery');
+    expect(await keyVaultService.open(sealed)).toEqual({ secret: 42 });
+  });
+
+  test('should move keys left in localStorage into the vault', async () => {
+    logInAs('bob');
+    localStorage.setItem('userKeys', JSON.stringify(keyPair));
+    expect(keyVaultService.hasLegacyKeys()).toBe(true);
+    expect(await keyVaultService.getPublicKey()).toBe(keyPair.publicKey);
+
+    await keyVaultService.setup('bob passphrase');
+
+    expect(keyVaultService.hasLegacyKeys()).toBe(false);
+    expect(localStorage.getItem('userKeys')).toBeNull();
+    expect((await keyVaultService.getKeyPair()).publicKey).toBe(keyPair.publicKey);
+  });
+
+  test('should keep a vault per user', async () => {
+    logInAs('alice');
+    await keyVaultService.unlock('correct horse battery');
+
+    // Whoever logs in next gets a locked vault of their own
+    logInAs('carol');
+    expect(keyVaultService.isUnlocked()).toBe(false);
+    expect(await keyVaultService.isInitialized()).toBe(false);
+    expect(await keyVaultService.getPublicKey()).toBeNull();
+    await expect(keyVaultService.unlock('correct horse battery')).rejects.toThrow('not been set up');
+
+    logInAs('bob');
+    await expect(keyVaultService.unlock('correct horse battery')).rejects.toThrow('Incorrect passphrase');
+    await keyVaultService.unlock('bob passphrase');
+    expect((await keyVaultService.getKeyPair()).publicKey).toBe(keyPair.publicKey);
+  });
+
+  test('should give a vault from before per-user vaults to the first user to open it', async () => {
+    logInAs('legacy');
+    await keyVaultService.setup('legacy passphrase');
+    await keyVaultService.storeKeyPair(keyPair);
+    keyVaultService.lock();
+    ['meta', 'userKeys'].forEach(id => {
+      records().set(id, { ...records().get(`legacy:${id}`), id });
+      records().delete(`legacy:${id}`);
+    });
+
+    // Users who already have a vault leave it alone
+    logInAs('alice');
+    await keyVaultService.unlock('correct horse battery');
+    expect(records().has('meta')).toBe(true);
+
+    logInAs('dave');
+    await keyVaultService.unlock('legacy passphrase');
+    expect((await keyVaultService.getKeyPair()).publicKey).toBe(keyPair.publicKey);
+    expect(records().has('meta')).toBe(false);
+    expect(records().has('userKeys')).toBe(false);
+  });
+});
@@ -0,0 +1,111 @@
+import axios from 'axios';
+import linkPreviewService from '../services/linkPreviewService';
+
+jest.mock('axios', () => {
+  const instance = {
+    get: jest.fn(),
+    interceptors: { request: { use: jest.fn() } }
+  };
+  return {
+    create: () => instance,
+    __instance: instance
+  };
+});
+
+jest.mock('../config', () => ({
+  LINK_PREVIEW_PROXY_URL: 'https://preview.example.org'
+}));
+
+const proxy = axios.__instance;
+
+describe('Link Preview Service', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  test('should preview the first web link outside code', () => {
+    expect(linkPreviewService.getPreviewUrl(
+      '`https://in.code` mail [me](mailto:a@b.c) or see https://example.com/post and https://other.com'
+    )).toBe('https://example.com/post');
+    expect(linkPreviewService.getPreviewUrl('```\nhttps://in.block\n```')).toBeNull();
+  });
+
+  test('should fetch metadata and embed the image through the proxy', async () => {
+    proxy.get
+      .mockResolvedValueOnce({
+        data: { title: 'A  post\n', description: 'About things', siteName: 'Example', image: 'https://example.com/cover.png' }
+      })
+      .mockResolvedValueOnce({ data: new Blob(['png'], { type: 'image/png' }) });
+
+    const result = await linkPreviewService.fetchPreview('https://example.com/post');
+
+    expect(proxy.get).toHaveBeenCalledWith('/preview', { params: { url: 'https://example.com/post' } });
+    expect(proxy.get).toHaveBeenCalledWith('/image', {
+      params: { url: 'https://example.com/cover.png' },
+      responseType: 'blob'
+    });
+    expect(result).toEqual({
+      success: true,
+      data: {
+        url: 'https://example.com/post',
+        title: 'A post',
+        description: 'About things',
+        siteName: 'Example',
+        image: `data:image/png;base64,${btoa('png')}`
+      }
+    });
+
+    // Fetched once, however often the message is changed
+    await linkPreviewService.fetchPreview('https://example.com/post');
+    expect(proxy.get).toHaveBeenCalledTimes(2);
+  });
+
+  test('should leave out images that are too large or not images', async () => {
+    proxy.get
+      .mockResolvedValueOnce({ data: { title: 'Big', image: 'https://example.com/huge.png' } })
+      .mockResolvedValueOnce({ data: new Blob([new Uint8Array(200 * 1024)], { type: 'image/png' }) })
+      .mockResolvedValueOnce({ data: { title: 'Vector', image: 'https://example.com/logo.svg' } })
+      .mockResolvedValueOnce({ data: new Blob(['<svg/>'], { type: 'image/svg+xml' }) });
+
+    expect((await linkPreviewService.fetchPreview('https://example.com/big')).data.image).toBeNull();
+    expect((await linkPreviewService.fetchPreview('https://example.com/svg')).data.image).toBeNull();
+  });
+
+  test('should report pages without anything to preview', async () => {
+    proxy.get.mockResolvedValueOnce({ data: { title: '   ' } });
+
+    const result = await linkPreviewService.fetchPreview('https://example.com/empty');
+
+    expect(result).toEqual({ success: false, error: 'Nothing to preview' });
+  });
+
+  test('should drop unsafe or oversized fields from received previews', () => {
+    expect(linkPreviewService.sanitizePreview({ url: 'data:text/html,<b>x</b>', title: 'x' })).toBeNull();
+    expect(linkPreviewService.sanitizePreview({
+      url: 'https://example.com',
+      title: 'x'.repeat(500),
+      image: 'data:image/svg+xml;base64,PHN2Zy8+'
+    })).toEqual({
+      url: 'https://example.com',
+      title: `${'x'.repeat(199)}…`,
+      description: null,
+      siteName: null,
+      image: null
+    });
+  });
+
+  test('should turn previews off per conversation', () => {
+    const listener = jest.fn();
+    const unsubscribe = linkPreviewService.subscribe(listener);
+
+    linkPreviewService.setEnabled('c1', false);
+
+    expect(linkPreviewService.isEnabled('c1')).toBe(false);
+    expect(linkPreviewService.isEnabled('c2')).toBe(true);
+    expect(listener).toHaveBeenCalledWith(['c1']);
+
+    linkPreviewService.setEnabled('c1', true);
+    expect(linkPreviewService.isEnabled('c1')).toBe(true);
+    unsubscribe();
+  });
+});
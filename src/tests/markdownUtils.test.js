@@ -0,0 +1,120 @@
+import {
+  applyFormat,
+  highlightCode,
+  isSafeUrl,
+  parseInline,
+  parseMarkdown,
+  stripMarkdown
+} from '../utils/markdownUtils';
+
+describe('Markdown Utilities', () => {
+  test('should parse nested inline formatting', () => {
+    expect(parseInline('**bold *and italic*** ~~gone~~ `a*b*c`')).toEqual([
+      { type: 'bold', children: [
+        { type: 'text', text: 'bold ' },
+        { type: 'italic', children: [{ type: 'text', text: 'and italic' }] }
+      ] },
+      { type: 'text', text: ' ' },
+      { type: 'strike', children: [{ type: 'text', text: 'gone' }] },
+      { type: 'text', text: ' ' },
+      { type: 'code', text: 'a*b*c' }
+    ]);
+    expect(parseInline('2 * 3 * 4 and \\*not italic\\*')).toEqual([
+      { type: 'text', text: '2 * 3 * 4 and *not italic*' }
+    ]);
+  });
+
+  test('should keep mentions and only link safe URLs', () => {
+    expect(parseInline('@[Bob Smith](u2) see [docs](https://example.com/a)')).toEqual([
+      { type: 'mention', name: 'Bob Smith', userId: 'u2' },
+      { type: 'text', text: ' see ' },
+      { type: 'link', href: 'https://example.com/a', children: [{ type: 'text', text: 'docs' }] }
+    ]);
+    expect(parseInline('[click](javascript:alert(1))')).toEqual([{ type: 'text', text: 'click)' }]);
+    expect(parseInline('<img src=x onerror=alert(1)>')).toEqual([
+      { type: 'text', text: '<img src=x onerror=alert(1)>' }
+    ]);
+    expect(isSafeUrl('mailto:bob@example.com')).toBe(true);
+    expect(isSafeUrl('data:text/html,<script>')).toBe(false);
+  });
+
+  test('should turn bare URLs into links without trailing punctuation', () => {
+    expect(parseInline('see https://example.com/x?a=1.')).toEqual([
+      { type: 'text', text: 'see ' },
+      { type: 'link', href: 'https://example.com/x?a=1', children: [{ type: 'text', text: 'https://example.com/x?a=1' }] },
+      { type: 'text', text: '.' }
+    ]);
+  });
+
+  test('should parse code blocks, lists, quotes and paragraphs', () => {
+    const blocks = parseMarkdown([
+      'Steps:',
+      'first line',
+      '1. one',
+      '2. **two**',
+      '- bullet',
+      '> quoted',
+      '> > nested',
+      '```js',
+      'const a = 1; // **not bold**',
+      '```',
+      '',
+      'done'
+    ].join('\n'));
+
+    expect(blocks.map(block => block.type)).toEqual(['paragraph', 'list', 'list', 'quote', 'code', 'paragraph']);
+    expect(blocks[0].children).toEqual([{ type: 'text', text: 'Steps:\nfirst line' }]);
+    expect(blocks[1]).toMatchObject({ ordered: true, start: 1 });
+    expect(blocks[1].items[1]).toEqual([{ type: 'bold', children: [{ type: 'text', text: 'two' }] }]);
+    expect(blocks[2]).toMatchObject({ ordered: false, start: null });
+    expect(blocks[3].children[1].type).toBe('quote');
+    expect(blocks[4]).toEqual({ type: 'code', language: 'js', code: 'const a = 1; // **not bold**' });
+  });
+
+  test('should strip formatting for previews', () => {
+    expect(stripMarkdown('**Hi** @[Bob Smith](u2), read [this](https://example.com)\n- a\n- b')).toBe(
+      'Hi @Bob Smith, read this\n• a\n• b'
+    );
+    expect(stripMarkdown('```\nnpm test\n```')).toBe('npm test');
+    expect(stripMarkdown('')).toBe('');
+  });
+
+  test('should highlight keywords, strings, numbers and comments', () => {
+    expect(highlightCode('const x = "a"; // 1', 'js')).toEqual([
+      { type: 'keyword', text: 'const' },
+      { type: null, text: ' x = ' },
+      { type: 'string', text: '"a"' },
+      { type: null, text: '; ' },
+      { type: 'comment', text: '// 1' }
+    ]);
+    expect(highlightCode('x = 42 # note', 'python')).toEqual([
+      { type: null, text: 'x = ' },
+      { type: 'number', text: '42' },
+      { type: null, text: ' ' },
+      { type: 'comment', text: '# note' }
+    ]);
+  });
+
+  test('should wrap and unwrap the selection', () => {
+    const bold = applyFormat('say hello now', 4, 9, 'bold');
+    expect(bold).toEqual({ text: 'say **hello** now', selectionStart: 6, selectionEnd: 11 });
+    expect(applyFormat(bold.text, 6, 11, 'bold')).toEqual({ text: 'say hello now', selectionStart: 4, selectionEnd: 9 });
+    expect(applyFormat('', 0, 0, 'code')).toEqual({ text: '``', selectionStart: 1, selectionEnd: 1 });
+  });
+
+  test('should insert links and code blocks', () => {
+    expect(applyFormat('docs', 0, 4, 'link')).toEqual({
+      text: '[docs](https://)',
+      selectionStart: 7,
+      selectionEnd: 15
+    });
+    expect(applyFormat('run ls please', 4, 6, 'codeBlock').text).toBe('run \n```\nls\n```\n please');
+  });
+
+  test('should toggle line prefixes on every selected line', () => {
+    const list = applyFormat('intro\napples\npears', 7, 15, 'numberedList');
+    expect(list.text).toBe('intro\n1. apples\n2. pears');
+    expect(applyFormat(list.text, 6, list.text.length, 'numberedList').text).toBe('intro\napples\npears');
+    expect(applyFormat('wise words', 3, 3, 'quote').text).toBe('> wise words');
+  });
+});
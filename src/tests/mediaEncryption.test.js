@@ -0,0 +1,160 @@
+import { webcrypto } from 'crypto';
+import axios from 'axios';
+import mediaService from '../services/mediaService';
+import viewOnceService from '../services/viewOnceService';
+
+jest.mock('axios', () => ({
+  post: jest.fn(),
+  get: jest.fn()
+}));
+
+// FileReader hands out ArrayBuffers of the test window, which Node's Web Crypto
+// doesn't take, so they are passed on as Buffers over the same memory
+const fromWindow = (data) => (ArrayBuffer.isView(data) ? data : Buffer.from(data));
+
+Object.defineProperty(window, 'crypto', {
+  value: {
+    getRandomValues: array => webcrypto.getRandomValues(array),
+    subtle: {
+      generateKey: (...args) => webcrypto.subtle.generateKey(...args),
+      exportKey: (...args) => webcrypto.subtle.exportKey(...args),
+      importKey: (...args) => webcrypto.subtle.importKey(...args),
+      encrypt: (algorithm, key, data) => webcrypto.subtle.encrypt(algorithm, key, fromWindow(data)),
+      decrypt: (algorithm, key, data) => webcrypto.subtle.decrypt(algorithm, key, fromWindow(data)),
+      digest: (algorithm, data) => webcrypto.subtle.digest(algorithm, fromWindow(data))
+    }
+  }
+});
+
+const readBlob = (blob, method = 'readAsText') => {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader[method](blob);
+  });
+};
+
+const uploadedForm = () => axios.post.mock.calls[axios.post.mock.calls.length - 1][1];
+
+describe('Media Service encryption', () => {
+  let objectUrls;
+
+  beforeEach(() => {
+    objectUrls = [];
+    URL.createObjectURL = jest.fn(blob => {
+      objectUrls.push(blob);
+      return `blob:decrypted-${objectUrls.length}`;
+    });
+    URL.revokeObjectURL = jest.fn();
+    axios.post.mockResolvedValue({ data: { media: { id: 'media-1', url: '/api/media/media-1' } } });
+  });
+
+  test('should upload only ciphertext and keep the key for the message', async () => {
+    const file = new File(['meeting notes'], 'notes.txt', { type: 'text/plain' });
+
+    const media = await mediaService.uploadMedia(file, 'c1');
+
+    const form = uploadedForm();
+    expect([...form.keys()]).toEqual(['file', 'conversationId', 'mediaType', 'encrypted']);
+    expect(form.get('file').name).toBe('media.bin');
+    expect(await readBlob(form.get('file'))).not.toContain('meeting notes');
+    expect(media).toMatchObject({
+      id: 'media-1',
+      mediaType: 'document',
+      mimeType: 'text/plain',
+      originalFilename: 'notes.txt',
+      size: file.size
+    });
+    expect(media.encryption.key).toHaveLength(44);
+    expect(media.encryption.thumbnail).toBeNull();
+  });
+
+  test('should decrypt downloaded media and refuse media that was swapped', async () => {
+    const file = new File(['meeting notes'], 'notes.txt', { type: 'text/plain' });
+    const media = await mediaService.uploadMedia(file, 'c1');
+    const ciphertext = await readBlob(uploadedForm().get('file'), 'readAsArrayBuffer');
+    axios.get.mockResolvedValueOnce({ data: ciphertext });
+
+    expect(await mediaService.getDecryptedUrl(media)).toBe('blob:decrypted-1');
+    expect(axios.get).toHaveBeenCalledWith(expect.stringContaining('/api/media/media-1'), expect.objectContaining({
+      responseType: 'arraybuffer'
+    }));
+    expect(objectUrls[0].type).toBe('text/plain');
+    expect(await readBlob(objectUrls[0])).toBe('meeting notes');
+
+    const tampered = new Uint8Array(ciphertext.slice(0));
+    tampered[0] ^= 1;
+    axios.get.mockResolvedValueOnce({ data: tampered.buffer });
+    await expect(mediaService.getDecryptedUrl({ ...media, id: 'media-2' }))
+      .rejects.toThrow('Media does not match the message it was sent with');
+  });
+
+  test('should encrypt thumbnails made on the device with the same key', async () => {
+    jest.spyOn(mediaService, 'getImageDimensions').mockResolvedValue({ width: 640, height: 480 });
+    jest.spyOn(mediaService, 'createThumbnail').mockResolvedValue(new Blob(['small'], { type: 'image/jpeg' }));
+    const file = new File(['large'], 'photo.png', { type: 'image/png' });
+
+    const media = await mediaService.uploadMedia(file, 'c1');
+
+    expect(media).toMatchObject({ mediaType: 'image', width: 640, height: 480 });
+    expect(media.encryption.thumbnail).toEqual({ iv: expect.any(String), digest: expect.any(String) });
+
+    const ciphertext = await readBlob(uploadedForm().get('thumbnail'), 'readAsArrayBuffer');
+    axios.get.mockResolvedValueOnce({ data: ciphertext });
+    await mediaService.getDecryptedUrl(media, 'thumbnail');
+
+    expect(axios.get).toHaveBeenCalledWith(expect.stringContaining('/api/media/thumbnail/media-1'), expect.anything());
+    expect(objectUrls[0].type).toBe('image/jpeg');
+    expect(await readBlob(objectUrls[0])).toBe('small');
+  });
+
+  test('should send voice message details with the message instead of the upload', async () => {
+    const file = new File(['voice'], 'voice-message.webm', { type: 'audio/webm' });
+
+    const media = await mediaService.uploadMedia(file, 'c1', null, { voice: true, duration: 3, waveform: [0.5, 1] });
+
+    expect([...uploadedForm().keys()]).not.toContain('waveform');
+    expect(mediaService.toAttachment({ ...media, url: '/api/media/media-1' })).toEqual({
+      id: 'media-1',
+      mediaType: 'audio',
+      mimeType: 'audio/webm',
+      originalFilename: 'voice-message.webm',
+      size: file.size,
+      duration: 3,
+      voice: true,
+      waveform: [0.5, 1],
+      encryption: media.encryption
+    });
+  });
+
+  test('should send view-once media without a thumbnail and never give its key out twice', async () => {
+    jest.spyOn(mediaService, 'getImageDimensions').mockResolvedValue({ width: 640, height: 480 });
+    const createThumbnail = jest.spyOn(mediaService, 'createThumbnail');
+    axios.post.mockResolvedValueOnce({ data: { media: { id: 'media-3', url: '/api/media/media-3' } } });
+    const file = new File(['private'], 'photo.png', { type: 'image/png' });
+
+    const media = await mediaService.uploadMedia(file, 'c1', null, { viewOnce: true });
+
+    expect(createThumbnail).not.toHaveBeenCalled();
+    expect([...uploadedForm().keys()]).not.toContain('thumbnail');
+    expect(mediaService.toAttachment(media)).toMatchObject({ viewOnce: true });
+
+    const attachment = mediaService.toAttachment(media);
+    expect(mediaService.sanitizeAttachment(attachment)).toMatchObject({ viewOnce: true, encryption: media.encryption });
+
+    viewOnceService.markOpened('media-3');
+    expect(mediaService.sanitizeAttachment(attachment)).toEqual({
+      id: 'media-3',
+      mediaType: 'image',
+      mimeType: 'image/png',
+      viewOnce: true,
+      opened: true
+    });
+  });
+
+  test('should not make attachments of media uploaded before encryption', () => {
+    expect(mediaService.toAttachment({ id: 'media-1', mediaType: 'image', url: '/api/media/media-1' })).toBeNull();
+    expect(mediaService.toAttachment(null)).toBeNull();
+  });
+});
@@ -1,102 +1,142 @@
+import { webcrypto } from 'crypto';
 import axios from 'axios';
-import MockAdapter from 'axios-mock-adapter';
 import mediaService from '../services/mediaService';
 
-// Mock axios
-const mockAxios = new MockAdapter(axios);
+// axios is published as an ES module, so it is mocked rather than loaded
+jest.mock('axios', () => ({
+  post: jest.fn(),
+  get: jest.fn()
+}));
+
+// FileReader hands out ArrayBuffers of the test window, which Node's Web Crypto
+// doesn't take, so they are passed on as Buffers over the same memory
+const fromWindow = (data) => (ArrayBuffer.isView(data) ? data : Buffer.from(data));
+
+// Files are encrypted before they are uploaded
+Object.defineProperty(window, 'crypto', {
+  value: {
+    getRandomValues: array => webcrypto.getRandomValues(array),
+    subtle: {
+      generateKey: (...args) => webcrypto.subtle.generateKey(...args),
+      exportKey: (...args) => webcrypto.subtle.exportKey(...args),
+      importKey: (...args) => webcrypto.subtle.importKey(...args),
+      encrypt: (algorithm, key, data) => webcrypto.subtle.encrypt(algorithm, key, fromWindow(data)),
+      decrypt: (algorithm, key, data) => webcrypto.subtle.decrypt(algorithm, key, fromWindow(data)),
+      digest: (algorithm, data) => webcrypto.subtle.digest(algorithm, fromWindow(data))
+    }
+  }
+});
+
+const serverError = (status, data) => {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, data };
+  return error;
+};
 
 describe('Media Service', () => {
   beforeEach(() => {
-    mockAxios.reset();
+    // The test window can't load images or videos
+    jest.spyOn(mediaService, 'getImageDimensions').mockResolvedValue({ width: 800, height: 600 });
+    jest.spyOn(mediaService, 'getVideoDuration').mockResolvedValue(12);
+    jest.spyOn(mediaService, 'createThumbnail').mockResolvedValue(null);
   });
 
   describe('uploadMedia', () => {
     test('should upload a single file successfully', async () => {
       // Mock response
-      mockAxios.onPost('/api/media/upload').reply(200, {
-        success: true,
-        message: 'Media uploaded successfully',
-        media: {
-          id: 'test-media-id',
-          mediaType: 'image',
-          filename: 'test-image.jpg',
-          url: '/api/media/test-media-id',
-          thumbnailUrl: '/api/media/thumbnail/test-media-id',
-          metadata: { width: 800, height: 600 }
+      axios.post.mockResolvedValue({
+        data: {
+          success: true,
+          message: 'Media uploaded successfully',
+          media: {
+            id: 'test-media-id',
+            mediaType: 'image',
+            url: '/api/media/test-media-id'
+          }
         }
       });
 
       // Create a test file
       const file = new File(['test image content'], 'test-image.jpg', { type: 'image/jpeg' });
       const conversationId = 'test-conversation-id';
-      
+
       // Mock progress callback
       const onProgress = jest.fn();
-      
+
       // Call the service
       const result = await mediaService.uploadMedia(file, conversationId, onProgress);
-      
+
       // Assertions
       expect(result).toBeDefined();
       expect(result.id).toBe('test-media-id');
       expect(result.mediaType).toBe('image');
-      expect(result.filename).toBe('test-image.jpg');
+      expect(result.originalFilename).toBe('test-image.jpg');
+      expect(result).toMatchObject({ width: 800, height: 600 });
+      expect(axios.post).toHaveBeenCalledWith(
+        expect.stringContaining('/api/media/upload'),
+        expect.any(FormData),
+        expect.objectContaining({ withCredentials: true })
+      );
     });
 
     test('should handle upload errors', async () => {
       // Mock error response
-      mockAxios.onPost('/api/media/upload').reply(400, {
+      axios.post.mockRejectedValue(serverError(400, {
         success: false,
         error: 'Invalid file type'
-      });
+      }));
 
       // Create a test file
-      const file = new File(['test content'], 'test.xyz', { type: 'application/octet-stream' });
+      const file = new File(['test image content'], 'test-image.jpg', { type: 'image/jpeg' });
       const conversationId = 'test-conversation-id';
-      
+
       // Call the service and expect it to throw
       await expect(mediaService.uploadMedia(file, conversationId)).rejects.toThrow('Invalid file type');
     });
 
+    test('should reject files it does not support before uploading them', async () => {
+      const file = new File(['test content'], 'test.xyz', { type: 'application/octet-stream' });
+
+      await expect(mediaService.uploadMedia(file, 'test-conversation-id')).rejects.toThrow('Unsupported');
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+
     test('should handle network errors', async () => {
       // Mock network error
-      mockAxios.onPost('/api/media/upload').networkError();
+      const networkError = new Error('Network Error');
+      networkError.request = {};
+      axios.post.mockRejectedValue(networkError);
 
       // Create a test file
       const file = new File(['test image content'], 'test-image.jpg', { type: 'image/jpeg' });
       const conversationId = 'test-conversation-id';
-      
+
       // Call the service and expect it to throw
-      await expect(mediaService.uploadMedia(file, conversationId)).rejects.toThrow();
+      await expect(mediaService.uploadMedia(file, conversationId)).rejects.toThrow('No response from server');
     });
   });
 
   describe('uploadMediaBatch', () => {
-    test('should upload multiple files successfully', async () => {
-      // Mock batch upload response
-      mockAxios.onPost('/api/media/upload/batch').reply(200, {
-        success: true,
-        message: 'All media uploaded successfully',
-        media: [
-          {
-            id: 'test-image-id',
-            mediaType: 'image',
-            filename: 'test-image.jpg',
-            url: '/api/media/test-image-id',
-            thumbnailUrl: '/api/media/thumbnail/test-image-id',
-            metadata: { width: 800, height: 600 }
-          },
-          {
-            id: 'test-video-id',
-            mediaType: 'video',
-            filename: 'test-video.mp4',
-            url: '/api/media/test-video-id',
-            thumbnailUrl: '/api/media/thumbnail/test-video-id',
-            metadata: { duration: 30 }
+    // Each file is encrypted with a key of its own, so they are uploaded one at a time
+    const replyWithMedia = () => {
+      let count = 0;
+      axios.post.mockImplementation(async (url, formData) => {
+        count += 1;
+        return {
+          data: {
+            success: true,
+            media: {
+              id: `test-media-${count}`,
+              mediaType: formData.get('mediaType'),
+              url: `/api/media/test-media-${count}`
+            }
           }
-        ],
-        total: 2
+        };
       });
+    };
+
+    test('should upload multiple files successfully', async () => {
+      replyWithMedia();
 
       // Create test files
       const files = [
@@ -104,52 +144,33 @@ describe('Media Service', () => {
         new File(['test video content'], 'test-video.mp4', { type: 'video/mp4' })
       ];
       const conversationId = 'test-conversation-id';
-      
+
       // Mock callbacks
       const onProgress = jest.fn();
       const onFileProgress = jest.fn();
       const onFileComplete = jest.fn();
-      
+
       // Call the service
       const result = await mediaService.uploadMediaBatch(
-        files, 
-        conversationId, 
-        onProgress, 
-        onFileProgress, 
+        files,
+        conversationId,
+        onProgress,
+        onFileProgress,
         onFileComplete
       );
-      
+
       // Assertions
       expect(result).toBeDefined();
       expect(Array.isArray(result)).toBe(true);
       expect(result.length).toBe(2);
       expect(result[0].mediaType).toBe('image');
       expect(result[1].mediaType).toBe('video');
+      expect(result[0].encryption.key).not.toBe(result[1].encryption.key);
+      expect(onFileComplete).toHaveBeenCalledTimes(2);
     });
 
-    test('should handle partial success', async () => {
-      // Mock partial success response
-      mockAxios.onPost('/api/media/upload/batch').reply(207, {
-        success: true,
-        message: 'Some uploads completed with errors',
-        media: [
-          {
-            id: 'test-image-id',
-            mediaType: 'image',
-            filename: 'test-image.jpg',
-            url: '/api/media/test-image-id'
-          }
-        ],
-        errors: [
-          {
-            filename: 'invalid.xyz',
-            error: 'Unsupported file type'
-          }
-        ],
-        total: 2,
-        successful: 1,
-        failed: 1
-      });
+    test('should skip files that are not valid', async () => {
+      replyWithMedia();
 
       // Create test files
       const files = [
@@ -157,102 +178,60 @@ describe('Media Service', () => {
         new File(['invalid content'], 'invalid.xyz', { type: 'application/octet-stream' })
       ];
       const conversationId = 'test-conversation-id';
-      
+
       // Call the service
       const result = await mediaService.uploadMediaBatch(files, conversationId);
-      
+
       // Assertions
       expect(result).toBeDefined();
       expect(Array.isArray(result)).toBe(true);
       expect(result.length).toBe(1);
       expect(result[0].mediaType).toBe('image');
     });
-
-    test('should fall back to individual uploads if batch fails', async () => {
-      // Mock batch upload failure
-      mockAxios.onPost('/api/media/upload/batch').reply(500, {
-        success: false,
-        error: 'Server error'
-      });
-      
-      // Mock individual uploads success
-      mockAxios.onPost('/api/media/upload').reply(200, (config) => {
-        // Extract filename from FormData
-        const formData = config.data;
-        const file = formData.get('file');
-        const filename = file.name;
-        
-        return {
-          success: true,
-          message: 'Media uploaded successfully',
-          media: {
-            id: `test-${filename}-id`,
-            mediaType: filename.includes('image') ? 'image' : 'video',
-            filename: filename,
-            url: `/api/media/test-${filename}-id`
-          }
-        };
-      });
-
-      // Create test files
-      const files = [
-        new File(['test image content'], 'test-image.jpg', { type: 'image/jpeg' }),
-        new File(['test video content'], 'test-video.mp4', { type: 'video/mp4' })
-      ];
-      const conversationId = 'test-conversation-id';
-      
-      // Call the service
-      const result = await mediaService.uploadMediaBatch(files, conversationId);
-      
-      // Assertions
-      expect(result).toBeDefined();
-      expect(Array.isArray(result)).toBe(true);
-      expect(result.length).toBe(2);
-    });
   });
 
   describe('validateFile', () => {
     test('should validate supported image file', () => {
       const file = new File(['test image content'], 'test-image.jpg', { type: 'image/jpeg' });
       const result = mediaService.validateFile(file);
-      
+
       expect(result.valid).toBe(true);
-      expect(result.mediaType).toBe('image');
+      expect(mediaService.getMediaType(file)).toBe('image');
     });
 
     test('should validate supported video file', () => {
       const file = new File(['test video content'], 'test-video.mp4', { type: 'video/mp4' });
       const result = mediaService.validateFile(file);
-      
+
       expect(result.valid).toBe(true);
-      expect(result.mediaType).toBe('video');
+      expect(mediaService.getMediaType(file)).toBe('video');
     });
 
     test('should validate supported document file', () => {
       const file = new File(['test document content'], 'test-doc.pdf', { type: 'application/pdf' });
       const result = mediaService.validateFile(file);
-      
+
       expect(result.valid).toBe(true);
-      expect(result.mediaType).toBe('document');
+      expect(mediaService.getMediaType(file)).toBe('document');
     });
 
     test('should reject unsupported file type', () => {
-      const file = new File(['test content'], 'test.xyz', { type: 'application/octet-stream' });
+      const file = new File(['test content'], 'test.xyz', { type: 'chemical/x-xyz' });
       const result = mediaService.validateFile(file);
-      
+
       expect(result.valid).toBe(false);
       expect(result.error).toContain('Unsupported file type');
     });
 
     test('should reject files exceeding size limit', () => {
-      // Create a large file (101MB)
-      const largeContent = new ArrayBuffer(101 * 1024 * 1024);
-      const file = new File([largeContent], 'large-file.jpg', { type: 'image/jpeg' });
-      
+      // Claim a size over the limit rather than allocating it
+      const file = new File(['test image content'], 'large-file.jpg', { type: 'image/jpeg' });
+      Object.defineProperty(file, 'size', { value: 101 * 1024 * 1024 });
+
       const result = mediaService.validateFile(file);
-      
+
       expect(result.valid).toBe(false);
-      expect(result.error).toContain('exceeds maximum size');
+      expect(result.error).toContain('exceeds maximum limit');
     });
   });
 
@@ -260,27 +239,22 @@ describe('Media Service', () => {
     test('should generate preview URL for image', async () => {
       // Create a test image file
       const file = new File(['test image content'], 'test-image.jpg', { type: 'image/jpeg' });
-      
-      // Mock URL.createObjectURL
-      const mockUrl = 'blob:test-url';
-      global.URL.createObjectURL = jest.fn().mockReturnValue(mockUrl);
-      
+
       const result = await mediaService.generatePreview(file);
-      
-      expect(result).toBe(mockUrl);
-      expect(global.URL.createObjectURL).toHaveBeenCalledWith(file);
+
+      expect(result).toMatch(/^data:image\/jpeg;base64,/);
     });
 
     test('should generate preview URL for video', async () => {
       // Create a test video file
       const file = new File(['test video content'], 'test-video.mp4', { type: 'video/mp4' });
-      
+
       // Mock URL.createObjectURL
       const mockUrl = 'blob:test-url';
       global.URL.createObjectURL = jest.fn().mockReturnValue(mockUrl);
-      
+
       const result = await mediaService.generatePreview(file);
-      
+
       expect(result).toBe(mockUrl);
       expect(global.URL.createObjectURL).toHaveBeenCalledWith(file);
     });
@@ -288,53 +262,58 @@ describe('Media Service', () => {
     test('should generate generic preview for document', async () => {
       // Create a test document file
       const file = new File(['test document content'], 'test-doc.pdf', { type: 'application/pdf' });
-      
+
       const result = await mediaService.generatePreview(file);
-      
+
       // Should return a path to a static document icon
-      expect(result).toContain('/assets/icons/');
+      expect(result).toBe('/assets/file-icons/pdf.png');
     });
   });
 
-  describe('getMediaForConversation', () => {
+  describe('getConversationMedia', () => {
     test('should fetch media for a conversation', async () => {
       // Mock response
-      mockAxios.onGet('/api/media/conversation/test-conversation-id').reply(200, {
-        success: true,
-        media: [
-          {
-            id: 'media-1',
-            mediaType: 'image',
-            filename: 'image1.jpg',
-            url: '/api/media/media-1'
-          },
-          {
-            id: 'media-2',
-            mediaType: 'video',
-            filename: 'video1.mp4',
-            url: '/api/media/media-2'
-          }
-        ]
+      axios.get.mockResolvedValue({
+        data: {
+          success: true,
+          media: [
+            {
+              id: 'media-1',
+              mediaType: 'image',
+              url: '/api/media/media-1'
+            },
+            {
+              id: 'media-2',
+              mediaType: 'video',
+              url: '/api/media/media-2'
+            }
+          ]
+        }
       });
 
       const conversationId = 'test-conversation-id';
-      const result = await mediaService.getMediaForConversation(conversationId);
-      
+      const result = await mediaService.getConversationMedia(conversationId, { limit: 20 });
+
       expect(result).toBeDefined();
-      expect(Array.isArray(result)).toBe(true);
-      expect(result.length).toBe(2);
+      expect(Array.isArray(result.media)).toBe(true);
+      expect(result.media.length).toBe(2);
+      expect(result.pagination).toMatchObject({ limit: 20, hasMore: false });
+      expect(axios.get).toHaveBeenCalledWith(
+        expect.stringContaining('/api/media/conversation/test-conversation-id'),
+        expect.objectContaining({ params: { limit: 20 } })
+      );
     });
 
     test('should handle errors when fetching media', async () => {
       // Mock error response
-      mockAxios.onGet('/api/media/conversation/invalid-id').reply(404, {
+      axios.get.mockRejectedValue(serverError(404, {
         success: false,
         error: 'Conversation not found'
-      });
+      }));
 
       const conversationId = 'invalid-id';
-      
-      await expect(mediaService.getMediaForConversation(conversationId)).rejects.toThrow('Conversation not found');
+
+      await expect(mediaService.getConversationMedia(conversationId)).rejects.toThrow('status code 404');
     });
   });
 });
@@ -0,0 +1,46 @@
+import {
+  encodeMentions,
+  formatMention,
+  getMentionedUserIds,
+  getMentionQuery,
+  parseMentions,
+  toPlainText
+} from '../utils/mentionUtils';
+
+const bob = { userId: 'u2', username: 'bob', fullName: 'Bob Smith' };
+const carol = { userId: 'u3', username: 'carol' };
+
+describe('Mention Utilities', () => {
+  test('should encode picked members and leave other @text alone', () => {
+    const text = encodeMentions('@Bob Smith and @carol, ping @dave or mail bob@carol.com', [bob, carol]);
+
+    expect(text).toBe('@[Bob Smith](u2) and @[carol](u3), ping @dave or mail bob@carol.com');
+  });
+
+  test('should split content into text and mention segments', () => {
+    expect(parseMentions(`hi ${formatMention(bob)}!`)).toEqual([
+      { type: 'text', text: 'hi ' },
+      { type: 'mention', name: 'Bob Smith', userId: 'u2' },
+      { type: 'text', text: '!' }
+    ]);
+    expect(parseMentions('')).toEqual([]);
+  });
+
+  test('should list each mentioned user once', () => {
+    const content = '@[Bob Smith](u2) @[carol](u3) @[Bob Smith](u2)';
+
+    expect(getMentionedUserIds(content)).toEqual(['u2', 'u3']);
+    expect(getMentionedUserIds(null)).toEqual([]);
+  });
+
+  test('should render tokens as readable text', () => {
+    expect(toPlainText('thanks @[Bob Smith](u2)')).toBe('thanks @Bob Smith');
+  });
+
+  test('should find the mention being typed before the caret', () => {
+    expect(getMentionQuery('hello @bo', 9)).toEqual({ query: 'bo', start: 6 });
+    expect(getMentionQuery('@', 1)).toEqual({ query: '', start: 0 });
+    expect(getMentionQuery('mail bob@ex', 11)).toBeNull();
+    expect(getMentionQuery('hello @bob there', 16)).toBeNull();
+  });
+});
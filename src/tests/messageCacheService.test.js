@@ -0,0 +1,177 @@
+import { webcrypto } from 'crypto';
+import { TextEncoder, TextDecoder } from 'util';
+import messageCacheService from '../services/messageCacheService';
+
+// Minimal in-memory stand-in for the IndexedDB helpers
+jest.mock('../utils/indexedDbUtils', () => {
+  const databases = {};
+
+  const createStore = (records) => ({
+    get: (id) => ({ result: records.get(id) }),
+    put: (record) => {
+      records.set(record.id, record);
+      return { result: record.id };
+    },
+    delete: (id) => ({ result: records.delete(id) }),
+    clear: () => ({ result: records.clear() }),
+    getAll: () => ({ result: Array.from(records.values()) }),
+    index: (field) => ({
+      getAll: (value) => ({ result: Array.from(records.values()).filter(r => r[field] === value) }),
+      getAllKeys: (value) => ({
+        result: Array.from(records.values()).filter(r => r[field] === value).map(r => r.id)
+      })
+    })
+  });
+
+  return {
+    __databases: databases,
+    isIndexedDbSupported: () => true,
+    openDatabase: async (name) => {
+      if (!databases[name]) {
+        databases[name] = { stores: {} };
+      }
+      return databases[name];
+    },
+    runTransaction: async (db, storeNames, mode, operation) => {
+      const storeFor = (storeName) => {
+        if (!db.stores[storeName]) {
+          db.stores[storeName] = new Map();
+        }
+        return createStore(db.stores[storeName]);
+      };
+      const stores = Array.isArray(storeNames) ? storeNames.map(storeFor) : storeFor(storeNames);
+      const request = operation(stores);
+      return request ? request.result : undefined;
+    }
+  };
+});
+
+// The vault hands out its data key only while unlocked
+jest.mock('../services/keyVaultService', () => {
+  const { subtle } = require('crypto').webcrypto;
+  const dataKey = subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+  const vault = { locked: false };
+
+  return {
+    __vault: vault,
+    getDataKey: async () => {
+      if (vault.locked) {
+        throw new Error('Key vault is locked');
+      }
+      return dataKey;
+    }
+  };
+});
+
+// Use Node's Web Crypto implementation in the test environment
+Object.defineProperty(window, 'crypto', { value: webcrypto });
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+
+const { __databases: databases } = jest.requireMock('../utils/indexedDbUtils');
+const { __vault: vault } = jest.requireMock('../services/keyVaultService');
+
+describe('Message Cache Service', () => {
+  beforeEach(async () => {
+    vault.locked = false;
+    await messageCacheService.clear();
+  });
+
+  test('should keep message contents encrypted at rest', async () => {
+    await messageCacheService.saveMessages([
+      { id: 'm1', conversationId: 'c1', content: 'meet at noon', timestamp: '2024-01-01T12:00:00Z' }
+    ]);
+
+    const stored = databases['swickr-message-cache'].stores.messages.get('m1');
+    expect(stored.conversationId).toBe('c1');
+    expect(JSON.stringify(stored)).not.toContain('meet at noon');
+
+    const [message] = await messageCacheService.getMessages('c1');
+    expect(message.content).toBe('meet at noon');
+  });
+
+  test('should not read or extend the cache while the key vault is locked', async () => {
+    await messageCacheService.saveMessages([{ id: 'm1', conversationId: 'c1', content: 'before' }]);
+    await messageCacheService.setCursor('c1', '2024-01-01T12:00:00Z');
+
+    vault.locked = true;
+    await messageCacheService.saveMessages([{ id: 'm2', conversationId: 'c1', content: 'while locked' }]);
+    await messageCacheService.setCursor('c1', '2024-01-01T12:05:00Z');
+
+    expect(await messageCacheService.getMessages('c1')).toEqual([]);
+    expect(await messageCacheService.getMessage('m1')).toBeNull();
+    expect(await messageCacheService.getCursor('c1')).toBeNull();
+
+    vault.locked = false;
+    expect((await messageCacheService.getMessages('c1')).map(message => message.id)).toEqual(['m1']);
+    expect(await messageCacheService.getCursor('c1')).toBe('2024-01-01T12:00:00Z');
+  });
+
+  test('should return a conversation\'s messages oldest first', async () => {
+    await messageCacheService.saveMessages([
+      { id: 'm2', conversationId: 'c1', content: 'second', timestamp: '2024-01-01T12:05:00Z' },
+      { id: 'm1', conversationId: 'c1', content: 'first', timestamp: '2024-01-01T12:00:00Z' },
+      { id: 'm3', conversationId: 'c2', content: 'elsewhere', timestamp: '2024-01-01T11:00:00Z' }
+    ]);
+
+    const messages = await messageCacheService.getMessages('c1');
+    expect(messages.map(message => message.content)).toEqual(['first', 'second']);
+  });
+
+  test('should not cache outbox copies or undecryptable placeholders', async () => {
+    await messageCacheService.saveMessages([
+      { id: 'm1', conversationId: 'c1', content: 'readable' }
+    ]);
+    await messageCacheService.saveMessages([
+      { id: 'tmp', clientId: 'tmp', conversationId: 'c1', content: 'queued' },
+      { id: 'm1', conversationId: 'c1', content: '[Encrypted message - unable to decrypt]', decryptError: 'No session' }
+    ]);
+
+    const messages = await messageCacheService.getMessages('c1');
+    expect(messages).toEqual([{ id: 'm1', conversationId: 'c1', content: 'readable' }]);
+  });
+
+  test('should forget removed messages', async () => {
+    await messageCacheService.saveMessages([
+      { id: 'm1', conversationId: 'c1', content: 'keep' },
+      { id: 'm2', conversationId: 'c1', content: 'remove' }
+    ]);
+
+    await messageCacheService.removeMessages(['m2']);
+
+    expect(await messageCacheService.getMessage('m2')).toBeNull();
+    expect((await messageCacheService.getMessages('c1')).map(message => message.id)).toEqual(['m1']);
+  });
+
+  test('should forget everything about a removed conversation', async () => {
+    await messageCacheService.saveMessages([
+      { id: 'm1', conversationId: 'c1', content: 'left behind' },
+      { id: 'm2', conversationId: 'c2', content: 'kept' }
+    ]);
+    await messageCacheService.saveConversations([{ id: 'c1' }, { id: 'c2' }]);
+    await messageCacheService.setCursor('c1', '2024-01-01T12:05:00Z');
+
+    await messageCacheService.removeConversation('c1');
+
+    expect(await messageCacheService.getMessages('c1')).toEqual([]);
+    expect(await messageCacheService.getCursor('c1')).toBeNull();
+    expect((await messageCacheService.getConversations()).map(c => c.id)).toEqual(['c2']);
+    expect((await messageCacheService.getMessages('c2')).map(message => message.id)).toEqual(['m2']);
+  });
+
+  test('should remember sync cursors and conversations until cleared', async () => {
+    await messageCacheService.setCursor('c1', '2024-01-01T12:05:00Z');
+    await messageCacheService.saveConversations([
+      { id: 'c1', name: 'Old', updated_at: '2024-01-01T10:00:00Z' },
+      { id: 'c2', name: 'New', updated_at: '2024-01-02T10:00:00Z' }
+    ]);
+
+    expect(await messageCacheService.getCursor('c1')).toBe('2024-01-01T12:05:00Z');
+    expect((await messageCacheService.getConversations()).map(c => c.name)).toEqual(['New', 'Old']);
+
+    await messageCacheService.clear();
+
+    expect(await messageCacheService.getCursor('c1')).toBeNull();
+    expect(await messageCacheService.getConversations()).toEqual([]);
+  });
+});
@@ -0,0 +1,641 @@
+import axios from 'axios';
+import messageService from '../services/messageService';
+import encryptionPolicyService from '../services/encryptionPolicyService';
+import verificationService from '../services/verificationService';
+import keyVaultService from '../services/keyVaultService';
+import sessionService from '../services/sessionService';
+import deviceService from '../services/deviceService';
+import socketService from '../services/socketService';
+
+jest.mock('axios', () => {
+  const instance = {
+    get: jest.fn(),
+    post: jest.fn(),
+    put: jest.fn(),
+    delete: jest.fn(),
+    interceptors: { request: { use: jest.fn() } }
+  };
+  return {
+    create: () => instance,
+    __instance: instance
+  };
+});
+
+jest.mock('../services/socketService', () => ({
+  isConnected: jest.fn(),
+  sendPrivateMessage: jest.fn(),
+  sendMessageEdit: jest.fn(),
+  sendMessageDeletion: jest.fn()
+}));
+
+jest.mock('../services/keyVaultService', () => ({
+  getKeyPair: jest.fn()
+}));
+
+jest.mock('../services/sessionService', () => ({
+  SCHEME: 'double-ratchet',
+  isAvailable: jest.fn(),
+  encryptGroupMessage: jest.fn(),
+  openGroupMessage: jest.fn()
+}));
+
+jest.mock('../services/deviceService', () => ({
+  expandRecipients: jest.fn()
+}));
+
+jest.mock('../services/mediaService', () => {
+  const { toAttachment, sanitizeAttachment } = jest.requireActual('../services/mediaService').default;
+  return { toAttachment, sanitizeAttachment };
+});
+
+const api = axios.__instance;
+
+describe('Message Service encryption policy', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    localStorage.setItem('user', JSON.stringify({ id: 'alice' }));
+    keyVaultService.getKeyPair.mockResolvedValue({ publicKey: 'alice-key', privateKey: {} });
+    sessionService.isAvailable.mockReturnValue(true);
+    sessionService.encryptGroupMessage.mockResolvedValue({
+      encryptedMessage: 'ciphertext',
+      iv: 'iv',
+      recipientKeys: { bob: 'wrapped' }
+    });
+    deviceService.expandRecipients.mockImplementation(async recipients => recipients);
+    api.post.mockResolvedValue({ data: { success: true, messageId: 'm1' } });
+  });
+
+  const membersResponse = (members) => {
+    api.get.mockResolvedValue({ data: { members } });
+  };
+
+  test('should encrypt when every member has a key', async () => {
+    membersResponse([{ userId: 'alice', publicKey: 'a' }, { userId: 'bob', publicKey: 'b' }]);
+
+    const result = await messageService.sendMessage('c1', 'hello');
+
+    expect(result.isEncrypted).toBe(true);
+    expect(api.post).toHaveBeenCalledWith('/messages', expect.objectContaining({
+      content: '',
+      encryptedContent: 'ciphertext',
+      isEncrypted: true
+    }));
+  });
+
+  test('should refuse to send plaintext when encryption is required', async () => {
+    membersResponse([{ userId: 'alice', publicKey: 'a' }, { userId: 'bob', username: 'bob' }]);
+
+    await expect(messageService.sendMessage('c1', 'hello')).rejects.toMatchObject({
+      code: encryptionPolicyService.ENCRYPTION_REQUIRED,
+      reason: 'Some members have not set up encryption: bob.'
+    });
+    expect(api.post).not.toHaveBeenCalled();
+  });
+
+  test('should send unencrypted and say so when encryption is only preferred', async () => {
+    encryptionPolicyService.setPolicy('c1', encryptionPolicyService.POLICIES.PREFERRED);
+    membersResponse([{ userId: 'alice', publicKey: 'a' }]);
+    deviceService.expandRecipients.mockRejectedValue(new Error('offline'));
+
+    const result = await messageService.sendMessage('c1', 'hello');
+
+    expect(result.isEncrypted).toBe(false);
+    expect(api.post).toHaveBeenCalledWith('/messages', expect.objectContaining({
+      content: 'hello',
+      isEncrypted: false
+    }));
+  });
+
+  test('should hold back messages for a verified contact whose keys changed, whatever the policy', async () => {
+    encryptionPolicyService.setPolicy('c1', encryptionPolicyService.POLICIES.PREFERRED);
+    membersResponse([{ userId: 'alice', publicKey: 'a' }, { userId: 'bob', publicKey: 'b' }]);
+    const keysChanged = Object.assign(new Error('Message not sent: keys changed'), {
+      code: verificationService.KEYS_CHANGED
+    });
+    jest.spyOn(verificationService, 'assertKeysUnchanged').mockRejectedValueOnce(keysChanged);
+
+    await expect(messageService.sendMessage('c1', 'hello')).rejects.toBe(keysChanged);
+    expect(verificationService.assertKeysUnchanged).toHaveBeenCalledWith(['alice', 'bob']);
+    expect(api.post).not.toHaveBeenCalled();
+  });
+
+  test('should only fall back to RSA per device when encryption is not required', async () => {
+    membersResponse([{ userId: 'alice', publicKey: 'a' }, { userId: 'bob', publicKey: 'b' }]);
+
+    await messageService.sendMessage('c1', 'hello');
+    encryptionPolicyService.setPolicy('c1', encryptionPolicyService.POLICIES.PREFERRED);
+    await messageService.sendMessage('c1', 'hello');
+
+    expect(sessionService.encryptGroupMessage.mock.calls[0][2]).toEqual({ allowFallback: false });
+    expect(sessionService.encryptGroupMessage.mock.calls[1][2]).toEqual({ allowFallback: true });
+    expect(sessionService.encryptGroupMessage.mock.calls[1][1]).toContainEqual(
+      expect.objectContaining({ userId: 'bob', publicKey: 'b' })
+    );
+  });
+
+  test('should not send without forward-secret sessions when encryption is required', async () => {
+    membersResponse([{ userId: 'alice', publicKey: 'a' }, { userId: 'bob', publicKey: 'b' }]);
+    sessionService.isAvailable.mockReturnValue(false);
+
+    await expect(messageService.sendMessage('c1', 'hello')).rejects.toMatchObject({
+      code: encryptionPolicyService.ENCRYPTION_REQUIRED
+    });
+    expect(api.post).not.toHaveBeenCalled();
+  });
+
+  test('should not touch the key vault when encryption is off', async () => {
+    encryptionPolicyService.setPolicy('c1', encryptionPolicyService.POLICIES.OFF);
+
+    const result = await messageService.sendMessage('c1', 'hello');
+
+    expect(result.isEncrypted).toBe(false);
+    expect(keyVaultService.getKeyPair).not.toHaveBeenCalled();
+  });
+
+  test('should encrypt again for the current members when they changed while sending', async () => {
+    const stale = new Error('Request failed with status code 409');
+    stale.response = { status: 409, data: { error: { code: 'STALE_KEY_EPOCH' } } };
+    api.get
+      .mockResolvedValueOnce({ data: { members: [{ userId: 'alice', publicKey: 'a' }, { userId: 'mallory', publicKey: 'm' }], keyEpoch: 3 } })
+      .mockResolvedValueOnce({ data: { members: [{ userId: 'alice', publicKey: 'a' }], keyEpoch: 4 } });
+    api.post.mockRejectedValueOnce(stale);
+
+    const result = await messageService.sendMessage('c1', 'hello');
+
+    expect(result.isEncrypted).toBe(true);
+    expect(api.post).toHaveBeenCalledTimes(2);
+    expect(api.post).toHaveBeenLastCalledWith('/messages', expect.objectContaining({ keyEpoch: 4 }));
+    expect(sessionService.encryptGroupMessage.mock.calls[1][1].map(r => r.userId)).toEqual(['alice']);
+  });
+
+  test('should report blocked direct messages without sending them', async () => {
+    api.get.mockResolvedValue({ data: { id: 'bob' } });
+
+    const result = await messageService.sendDirectMessage('bob', 'hello');
+
+    expect(result.success).toBe(false);
+    expect(result.code).toBe(encryptionPolicyService.ENCRYPTION_REQUIRED);
+    expect(api.post).not.toHaveBeenCalled();
+  });
+});
+
+describe('Message Service history', () => {
+  test('should page backwards from the oldest loaded message', async () => {
+    api.get.mockResolvedValue({ data: { messages: [{ id: 'm1' }, { id: 'm2' }], hasMore: true } });
+
+    const result = await messageService.getMessagesBefore('c1', '2024-01-01T12:00:00Z', 2);
+
+    expect(api.get).toHaveBeenCalledWith('/messages/c1', {
+      params: { before: '2024-01-01T12:00:00Z', limit: 2 }
+    });
+    expect(result.data).toEqual({ messages: [{ id: 'm1' }, { id: 'm2' }], hasMore: true });
+  });
+
+  test('should stop paging when the server returns a short page', async () => {
+    api.get.mockResolvedValue({ data: [{ id: 'm1' }] });
+
+    const result = await messageService.getMessagesBefore('c1', '2024-01-01T12:00:00Z');
+
+    expect(result.data.hasMore).toBe(false);
+  });
+});
+
+describe('Message Service editing', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    localStorage.setItem('user', JSON.stringify({ id: 'alice' }));
+    keyVaultService.getKeyPair.mockResolvedValue({ publicKey: 'alice-key', privateKey: {} });
+    sessionService.isAvailable.mockReturnValue(true);
+    sessionService.encryptGroupMessage.mockResolvedValue({
+      encryptedMessage: 'new-ciphertext',
+      iv: 'iv',
+      recipientKeys: { bob: 'wrapped' }
+    });
+    deviceService.expandRecipients.mockImplementation(async recipients => recipients);
+    socketService.isConnected.mockReturnValue(true);
+    api.get.mockResolvedValue({
+      data: { members: [{ userId: 'alice', publicKey: 'a' }, { userId: 'bob', publicKey: 'b' }] }
+    });
+    api.put.mockResolvedValue({ data: { version: 2, editedAt: '2024-01-01T12:10:00Z' } });
+  });
+
+  test('should encrypt the new content again and notify the other members', async () => {
+    const result = await messageService.editMessage('m1', 'c1', 'fixed typo');
+
+    expect(result).toEqual({
+      success: true,
+      data: { version: 2, editedAt: '2024-01-01T12:10:00Z', isEncrypted: true }
+    });
+    expect(api.put).toHaveBeenCalledWith('/messages/m1', expect.objectContaining({
+      content: '',
+      encryptedContent: 'new-ciphertext',
+      isEncrypted: true
+    }));
+    expect(socketService.sendMessageEdit).toHaveBeenCalledWith(expect.objectContaining({
+      messageId: 'm1',
+      conversationId: 'c1',
+      encryptedContent: 'new-ciphertext',
+      version: 2
+    }));
+  });
+
+  test('should not edit in plaintext when encryption is required', async () => {
+    api.get.mockResolvedValue({ data: { members: [{ userId: 'alice', publicKey: 'a' }, { userId: 'bob' }] } });
+
+    const result = await messageService.editMessage('m1', 'c1', 'fixed typo');
+
+    expect(result.success).toBe(false);
+    expect(result.code).toBe(encryptionPolicyService.ENCRYPTION_REQUIRED);
+    expect(api.put).not.toHaveBeenCalled();
+    expect(socketService.sendMessageEdit).not.toHaveBeenCalled();
+  });
+
+  test('should only accept edits authenticated as coming from the author of the message', async () => {
+    const original = { id: 'm1', conversationId: 'c1', senderId: 'bob', content: 'see you at 5' };
+    const edit = {
+      conversationId: 'c1',
+      messageId: 'm1',
+      isEncrypted: true,
+      encryptionScheme: 'double-ratchet',
+      encryptedContent: 'new-ciphertext',
+      version: 2
+    };
+    sessionService.openGroupMessage.mockResolvedValue({ plaintext: 'see you at 6', authenticated: true });
+
+    expect(await messageService.decryptEdit(original, { ...edit, senderId: 'mallory' })).toBeNull();
+    expect(await messageService.decryptEdit(original, { ...edit, senderId: 'bob', encryptionScheme: 'rsa' })).toBeNull();
+    expect(await messageService.decryptEdit(original, {
+      conversationId: 'c1',
+      messageId: 'm1',
+      senderId: 'bob',
+      content: 'see you at 6',
+      version: 2
+    })).toBeNull();
+    expect(sessionService.openGroupMessage).not.toHaveBeenCalled();
+
+    // Another member can reuse the author's keys, but not prove it is the author
+    sessionService.openGroupMessage.mockResolvedValueOnce({ plaintext: 'see you at 7', authenticated: false });
+    expect(await messageService.decryptEdit(original, edit)).toBeNull();
+    expect(sessionService.openGroupMessage).toHaveBeenLastCalledWith(expect.anything(), 'alice', 'bob');
+
+    const accepted = await messageService.decryptEdit(original, { ...edit, senderId: 'bob' });
+    expect(accepted).toEqual(expect.objectContaining({ id: 'm1', senderId: 'bob', content: 'see you at 6' }));
+  });
+});
+
+describe('Message Service scheduling', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    localStorage.setItem('user', JSON.stringify({ id: 'alice' }));
+    keyVaultService.getKeyPair.mockResolvedValue({ publicKey: 'alice-key', privateKey: {} });
+    sessionService.isAvailable.mockReturnValue(true);
+    sessionService.encryptGroupMessage.mockResolvedValue({
+      encryptedMessage: 'ciphertext',
+      iv: 'iv',
+      recipientKeys: { bob: 'wrapped' }
+    });
+    deviceService.expandRecipients.mockImplementation(async recipients => recipients);
+    api.get.mockResolvedValue({
+      data: { members: [{ userId: 'alice', publicKey: 'a' }, { userId: 'bob', publicKey: 'b' }] }
+    });
+    api.post.mockResolvedValue({ data: { id: 's1', status: 'scheduled' } });
+  });
+
+  test('should hand the server an already encrypted message and when to send it in UTC', async () => {
+    const schedule = { sendAt: new Date('2024-05-01T13:00:00Z'), timeZone: 'America/New_York' };
+
+    const result = await messageService.scheduleMessage('c1', 'good morning', schedule, 'client-1');
+
+    expect(result).toEqual({ success: true, data: { id: 's1', status: 'scheduled', isEncrypted: true } });
+    expect(api.post).toHaveBeenCalledWith('/messages/scheduled', expect.objectContaining({
+      conversationId: 'c1',
+      clientId: 'client-1',
+      content: '',
+      encryptedContent: 'ciphertext',
+      sendAt: '2024-05-01T13:00:00.000Z',
+      timeZone: 'America/New_York'
+    }));
+  });
+
+  test('should not schedule plaintext when encryption is required', async () => {
+    api.get.mockResolvedValue({ data: { members: [{ userId: 'alice', publicKey: 'a' }, { userId: 'bob' }] } });
+
+    const result = await messageService.scheduleMessage('c1', 'good morning', {
+      sendAt: '2024-05-01T13:00:00Z',
+      timeZone: 'UTC'
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.code).toBe(encryptionPolicyService.ENCRYPTION_REQUIRED);
+    expect(api.post).not.toHaveBeenCalled();
+  });
+
+  test('should list scheduled messages due soonest first with their references', async () => {
+    api.get.mockResolvedValue({
+      data: {
+        scheduledMessages: [
+          { id: 's2', isEncrypted: false, content: 'later', sendAt: '2024-05-02T09:00:00Z' },
+          {
+            id: 's1',
+            isEncrypted: false,
+            content: JSON.stringify({ type: 'swickr/message', text: 'sooner', threadId: 'm1' }),
+            sendAt: '2024-05-01T09:00:00Z'
+          }
+        ]
+      }
+    });
+
+    const result = await messageService.getScheduledMessages('c1');
+
+    expect(api.get).toHaveBeenCalledWith('/messages/scheduled', { params: { conversationId: 'c1' } });
+    expect(result.data.map(message => message.content)).toEqual(['sooner', 'later']);
+    expect(result.data[0]).toEqual(expect.objectContaining({ senderId: 'alice', threadId: 'm1' }));
+  });
+
+  test('should encrypt scheduled messages again once the members or key epoch change', async () => {
+    const sealed = (text, extra) => ({
+      isEncrypted: true,
+      encryptionScheme: 'double-ratchet',
+      encryptedContent: text,
+      iv: 'iv',
+      recipientKeys: { alice: 'a', bob: 'b' },
+      keyEpoch: 1,
+      timeZone: 'UTC',
+      ...extra
+    });
+    api.get.mockImplementation(async (url) => (url === '/messages/scheduled'
+      ? {
+          data: {
+            scheduledMessages: [
+              sealed('current', { id: 's1', keyEpoch: 2, sendAt: '2099-05-01T09:00:00Z' }),
+              sealed('old epoch', { id: 's2', sendAt: '2099-05-02T09:00:00Z' }),
+              sealed('undelivered', { id: 's3', status: 'failed', sendAt: '2024-05-01T09:00:00Z' })
+            ]
+          }
+        }
+      : {
+          data: {
+            keyEpoch: 2,
+            members: [{ userId: 'alice', publicKey: 'a' }, { userId: 'bob', publicKey: 'b' }]
+          }
+        }));
+    sessionService.openGroupMessage.mockImplementation(async ({ encryptedMessage }) => ({
+      plaintext: encryptedMessage === 'old epoch'
+        ? JSON.stringify({ type: 'swickr/message', text: encryptedMessage, threadId: 'm1' })
+        : encryptedMessage,
+      authenticated: true
+    }));
+    api.put.mockImplementation(async (url, data) => ({ data: { id: url.split('/').pop(), keyEpoch: data.keyEpoch } }));
+
+    const result = await messageService.refreshScheduledMessages('c1');
+
+    expect(api.put).toHaveBeenCalledTimes(2);
+    expect(api.put).not.toHaveBeenCalledWith('/messages/scheduled/s1', expect.anything());
+    expect(api.put).toHaveBeenCalledWith('/messages/scheduled/s2', expect.objectContaining({
+      keyEpoch: 2,
+      encryptedContent: 'ciphertext',
+      sendAt: '2099-05-02T09:00:00.000Z'
+    }));
+    expect(sessionService.encryptGroupMessage).toHaveBeenCalledWith(
+      JSON.stringify({
+        type: 'swickr/message',
+        text: 'old epoch',
+        replyTo: null,
+        threadId: 'm1',
+        linkPreview: null,
+        attachment: null,
+        expiresIn: null,
+        control: null
+      }),
+      expect.anything(),
+      expect.anything()
+    );
+    const resent = api.put.mock.calls.find(([url]) => url === '/messages/scheduled/s3')[1];
+    expect(new Date(resent.sendAt).getTime()).toBeGreaterThan(Date.now() - 60 * 1000);
+    expect(result.data.map(message => [message.id, message.status])).toEqual([
+      ['s3', 'scheduled'],
+      ['s1', undefined],
+      ['s2', 'scheduled']
+    ]);
+  });
+});
+
+describe('Message Service deletion', () => {
+  beforeEach(() => {
+    localStorage.setItem('user', JSON.stringify({ id: 'alice' }));
+    socketService.isConnected.mockReturnValue(true);
+    api.delete.mockResolvedValue({ data: { success: true } });
+  });
+
+  const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+  test('should only allow the sender to delete for everyone within the window', () => {
+    expect(messageService.canDeleteForEveryone({ senderId: 'alice', timestamp: minutesAgo(5) })).toBe(true);
+    expect(messageService.canDeleteForEveryone({ senderId: 'alice', timestamp: minutesAgo(61) })).toBe(false);
+    expect(messageService.canDeleteForEveryone({ senderId: 'bob', timestamp: minutesAgo(5) })).toBe(false);
+    expect(messageService.canDeleteForEveryone({ senderId: 'alice', timestamp: minutesAgo(5), deleted: true })).toBe(false);
+  });
+
+  test('should notify the other members when deleting for everyone', async () => {
+    const result = await messageService.deleteMessage('m1', 'c1', true);
+
+    expect(result.success).toBe(true);
+    expect(api.delete).toHaveBeenCalledWith('/messages/m1', { params: { scope: 'everyone' } });
+    expect(socketService.sendMessageDeletion).toHaveBeenCalledWith('m1', 'c1');
+  });
+
+  test('should keep deleting for me private', async () => {
+    await messageService.deleteMessage('m1', 'c1');
+
+    expect(api.delete).toHaveBeenCalledWith('/messages/m1', { params: { scope: 'me' } });
+    expect(socketService.sendMessageDeletion).not.toHaveBeenCalled();
+  });
+});
+
+describe('Message Service replies and threads', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    localStorage.setItem('user', JSON.stringify({ id: 'alice' }));
+    keyVaultService.getKeyPair.mockResolvedValue({ publicKey: 'alice-key', privateKey: {} });
+    sessionService.isAvailable.mockReturnValue(true);
+    sessionService.encryptGroupMessage.mockResolvedValue({
+      encryptedMessage: 'ciphertext',
+      iv: 'iv',
+      recipientKeys: { bob: 'wrapped' }
+    });
+    deviceService.expandRecipients.mockImplementation(async recipients => recipients);
+    api.get.mockResolvedValue({
+      data: { members: [{ userId: 'alice', publicKey: 'a' }, { userId: 'bob', publicKey: 'b' }] }
+    });
+    api.post.mockResolvedValue({ data: { success: true, messageId: 'm2' } });
+  });
+
+  const references = {
+    replyTo: { id: 'm1', senderId: 'bob', senderName: 'Bob', preview: 'lunch?' },
+    threadId: 'm1'
+  };
+
+  test('should only send references inside the encrypted content', async () => {
+    await messageService.sendMessage('c1', 'sure', null, 'client-1', references);
+
+    const [plaintext] = sessionService.encryptGroupMessage.mock.calls[0];
+    expect(JSON.parse(plaintext)).toMatchObject({ text: 'sure', ...references });
+
+    const payload = api.post.mock.calls[0][1];
+    expect(JSON.stringify(payload)).not.toContain('m1');
+  });
+
+  test('should send plain text when there are no references', async () => {
+    await messageService.sendMessage('c1', 'hello');
+
+    expect(sessionService.encryptGroupMessage.mock.calls[0][0]).toBe('hello');
+  });
+
+  test('should unwrap references when reading a message', async () => {
+    const [message] = await messageService.decryptMessages([{
+      id: 'm2',
+      isEncrypted: false,
+      content: JSON.stringify({ type: 'swickr/message', text: 'sure', ...references })
+    }]);
+
+    expect(message).toMatchObject({ content: 'sure', ...references });
+  });
+
+  test('should only keep well-formed text, quotes and threads from other clients', async () => {
+    const seal = (envelope) => JSON.stringify({ type: 'swickr/message', ...envelope });
+    const [quote, malformed] = await messageService.decryptMessages([
+      {
+        id: 'm6',
+        isEncrypted: false,
+        content: seal({
+          text: 'sure',
+          replyTo: { id: 'm1', senderId: 'bob', senderName: { html: '<b>' }, preview: 'x'.repeat(5000), extra: true },
+          threadId: 'm1'
+        })
+      },
+      {
+        id: 'm7',
+        isEncrypted: false,
+        content: seal({ text: { toString: 'nope' }, replyTo: { id: 42, senderId: 'bob' }, threadId: ['m1'] })
+      }
+    ]);
+
+    expect(quote.replyTo).toEqual({ id: 'm1', senderId: 'bob', senderName: null, preview: 'x'.repeat(100) });
+    expect(quote.threadId).toBe('m1');
+    expect(malformed).toMatchObject({ content: '', replyTo: null, threadId: null });
+  });
+
+  test('should only keep well-formed link previews from other clients', async () => {
+    const seal = (linkPreview) => JSON.stringify({ type: 'swickr/message', text: 'look', linkPreview });
+    const [valid, unsafe] = await messageService.decryptMessages([
+      { id: 'm4', isEncrypted: false, content: seal({ url: 'https://example.com', title: 'Example', image: 'https://tracker.test/pixel.png' }) },
+      { id: 'm5', isEncrypted: false, content: seal({ url: 'data:text/html,<b>hi</b>', title: 'Click me' }) }
+    ]);
+
+    expect(valid.linkPreview).toEqual({
+      url: 'https://example.com',
+      title: 'Example',
+      description: null,
+      siteName: null,
+      image: null
+    });
+    expect(unsafe.linkPreview).toBeNull();
+  });
+
+  const attachment = {
+    id: 'media-1',
+    mediaType: 'image',
+    mimeType: 'image/png',
+    originalFilename: 'holiday.png',
+    size: 2048,
+    encryption: {
+      key: 'k'.repeat(43) + '=',
+      iv: 'i'.repeat(16),
+      digest: 'd'.repeat(43) + '=',
+      thumbnail: null
+    }
+  };
+
+  test('should only send the key of encrypted media inside the encrypted content', async () => {
+    await messageService.sendMessage('c1', '', { ...attachment, url: '/api/media/media-1', caption: 'beach' });
+
+    const [plaintext] = sessionService.encryptGroupMessage.mock.calls[0];
+    expect(JSON.parse(plaintext)).toMatchObject({ text: '📷 Image', attachment: { ...attachment, caption: 'beach' } });
+
+    const payload = api.post.mock.calls[0][1];
+    expect(payload).toMatchObject({ mediaId: 'media-1', mediaType: 'image' });
+    expect(JSON.stringify(payload)).not.toContain('holiday');
+    expect(JSON.stringify(payload)).not.toContain('beach');
+    expect(JSON.stringify(payload)).not.toContain(attachment.encryption.key);
+  });
+
+  test('should show received encrypted media only when its attachment is well-formed', async () => {
+    const seal = (sent) => JSON.stringify({ type: 'swickr/message', text: '', attachment: sent });
+    const [valid, page, elsewhere] = await messageService.decryptMessages([
+      { id: 'm6', isEncrypted: false, content: seal(attachment) },
+      { id: 'm7', isEncrypted: false, content: seal({ ...attachment, mimeType: 'text/html' }) },
+      { id: 'm8', isEncrypted: false, content: seal({ ...attachment, id: 'https://tracker.test/pixel' }) }
+    ]);
+
+    expect(valid.media).toMatchObject({ ...attachment, voice: false, waveform: null });
+    expect(page.media).toBeUndefined();
+    expect(elsewhere.media).toBeUndefined();
+  });
+
+  test('should only send disappearing message timers inside the encrypted content', async () => {
+    await messageService.sendMessage('c1', 'brb', null, 'client-2', { expiresIn: 300 });
+
+    const [plaintext] = sessionService.encryptGroupMessage.mock.calls[0];
+    expect(JSON.parse(plaintext)).toMatchObject({ text: 'brb', expiresIn: 300 });
+    expect(api.post.mock.calls[0][1]).not.toHaveProperty('expiresIn');
+  });
+
+  test('should read timers and timer changes only when they are well-formed', async () => {
+    const seal = (fields) => JSON.stringify({ type: 'swickr/message', text: 'hi', ...fields });
+    const viaSession = (id, content) => ({
+      id,
+      senderId: 'bob',
+      isEncrypted: true,
+      encryptionScheme: 'double-ratchet',
+      encryptedContent: content
+    });
+    sessionService.openGroupMessage.mockImplementation(async ({ encryptedMessage }) => ({
+      plaintext: encryptedMessage,
+      authenticated: true
+    }));
+    const [timed, forever, change, unknown] = await messageService.decryptMessages([
+      { id: 'm9', isEncrypted: false, content: seal({ expiresIn: 3600 }) },
+      { id: 'm10', isEncrypted: false, content: seal({ expiresIn: 'never' }) },
+      viaSession('m11', seal({ control: { type: 'disappearing-timer', expiresIn: 30 } })),
+      viaSession('m12', seal({ control: { type: 'kick', userId: 'bob' } }))
+    ]);
+
+    expect(timed.expiresIn).toBe(3600);
+    expect(forever.expiresIn).toBeUndefined();
+    expect(change.control).toEqual({ type: 'disappearing-timer', expiresIn: 30 });
+    expect(unknown.control).toBeUndefined();
+  });
+
+  test('should only take timer changes from messages authenticated as coming from their sender', async () => {
+    const content = JSON.stringify({ type: 'swickr/message', text: 'hi', control: { type: 'disappearing-timer', expiresIn: 30 } });
+    sessionService.openGroupMessage.mockResolvedValue({ plaintext: content, authenticated: false });
+
+    const [plain, unauthenticated] = await messageService.decryptMessages([
+      { id: 'm13', senderId: 'bob', isEncrypted: false, content },
+      { id: 'm14', senderId: 'bob', isEncrypted: true, encryptionScheme: 'double-ratchet', encryptedContent: 'ciphertext' }
+    ]);
+
+    expect(plain).toEqual(expect.objectContaining({ content: 'hi' }));
+    expect(plain.control).toBeUndefined();
+    expect(unauthenticated).toEqual(expect.objectContaining({ content: 'hi', decrypted: true }));
+    expect(unauthenticated.control).toBeUndefined();
+  });
+
+  test('should leave text that merely looks like JSON alone', async () => {
+    const [message] = await messageService.decryptMessages([
+      { id: 'm3', isEncrypted: false, content: '{"type":"other"}' }
+    ]);
+
+    expect(message.content).toBe('{"type":"other"}');
+  });
+});
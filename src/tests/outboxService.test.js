@@ -0,0 +1,259 @@
+import { webcrypto } from 'crypto';
+import { TextEncoder, TextDecoder } from 'util';
+import outboxService from '../services/outboxService';
+import messageService from '../services/messageService';
+import mediaService from '../services/mediaService';
+import presenceService from '../services/presenceService';
+import encryptionPolicyService from '../services/encryptionPolicyService';
+
+jest.mock('../services/messageService', () => ({
+  sendMessage: jest.fn()
+}));
+
+jest.mock('../services/mediaService', () => ({
+  uploadMedia: jest.fn()
+}));
+
+jest.mock('../services/verificationService', () => ({
+  KEYS_CHANGED: 'KEYS_CHANGED'
+}));
+
+jest.mock('../services/socketService', () => ({
+  on: jest.fn(() => () => {})
+}));
+
+// Minimal in-memory stand-in for the IndexedDB helpers
+jest.mock('../utils/indexedDbUtils', () => {
+  const records = new Map();
+  const store = {
+    put: (record) => ({ result: records.set(record.clientId, record) }),
+    delete: (clientId) => ({ result: records.delete(clientId) }),
+    clear: () => ({ result: records.clear() }),
+    index: () => ({
+      getAll: () => ({ result: Array.from(records.values()).sort((a, b) => a.createdAt - b.createdAt) })
+    })
+  };
+
+  return {
+    __records: records,
+    isIndexedDbSupported: () => true,
+    openDatabase: async () => ({}),
+    runTransaction: async (db, storeName, mode, operation) => operation(store)?.result
+  };
+});
+
+jest.mock('../services/keyVaultService', () => {
+  const { subtle } = require('crypto').webcrypto;
+  const dataKey = subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+  const vault = { initialized: true, declined: false };
+  return {
+    __vault: vault,
+    isInitialized: async () => vault.initialized,
+    getDataKey: async () => {
+      if (vault.declined) {
+        throw new Error('Key vault is locked');
+      }
+      return dataKey;
+    }
+  };
+});
+
+// Use Node's Web Crypto implementation in the test environment
+Object.defineProperty(window, 'crypto', { value: webcrypto });
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+
+const { __records: storedRecords } = jest.requireMock('../utils/indexedDbUtils');
+const { __vault: vault } = jest.requireMock('../services/keyVaultService');
+
+const readFile = (file) => new Promise(resolve => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.readAsText(file);
+});
+
+const networkError = () => new Error('Network Error');
+
+const serverError = (status) => {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, data: {} };
+  return error;
+};
+
+describe('Outbox Service', () => {
+  let online;
+
+  beforeAll(() => {
+    Object.defineProperty(window.navigator, 'onLine', { get: () => online, configurable: true });
+  });
+
+  beforeEach(async () => {
+    jest.useFakeTimers();
+    online = true;
+    localStorage.setItem('user', JSON.stringify({ id: 'alice' }));
+    for (const record of await outboxService.getMessages()) {
+      await outboxService.discard(record.clientId);
+    }
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    vault.initialized = true;
+    vault.declined = false;
+  });
+
+  test('should keep messages queued while offline and send them in order once online', async () => {
+    online = false;
+    const first = await outboxService.enqueueMessage('c1', 'first');
+    const second = await outboxService.enqueueMessage('c1', 'second');
+    await outboxService.flush();
+
+    expect(messageService.sendMessage).not.toHaveBeenCalled();
+    expect(presenceService.getMessageStatus(first.clientId).status).toBe('pending');
+
+    online = true;
+    messageService.sendMessage.mockResolvedValue({ messageId: 'server-id' });
+    await outboxService.flush();
+
+    expect(messageService.sendMessage.mock.calls).toEqual([
+      ['c1', 'first', null, first.clientId, null],
+      ['c1', 'second', null, second.clientId, null]
+    ]);
+    expect(await outboxService.getMessages()).toEqual([]);
+  });
+
+  test('should hold later messages behind a transient failure and retry with backoff', async () => {
+    messageService.sendMessage
+      .mockRejectedValueOnce(networkError())
+      .mockResolvedValue({ messageId: 'server-id' });
+    await outboxService.enqueueMessage('c1', 'first');
+    await outboxService.enqueueMessage('c1', 'second');
+
+    await outboxService.flush();
+    expect(messageService.sendMessage).toHaveBeenCalledTimes(1);
+    expect((await outboxService.getMessages())[0].attempts).toBe(1);
+
+    jest.advanceTimersByTime(2000);
+    await outboxService.flush();
+
+    expect(messageService.sendMessage).toHaveBeenCalledTimes(3);
+    expect(await outboxService.getMessages()).toEqual([]);
+  });
+
+  test('should fail permanently rejected messages and let them be retried', async () => {
+    const events = [];
+    const unsubscribe = outboxService.subscribe(event => events.push(event.type));
+    messageService.sendMessage.mockRejectedValueOnce(
+      encryptionPolicyService.createRequiredError('Bob has not set up encryption.')
+    );
+    const blocked = await outboxService.enqueueMessage('c1', 'secret');
+    messageService.sendMessage.mockRejectedValueOnce(serverError(403));
+    const forbidden = await outboxService.enqueueMessage('c2', 'hello');
+
+    await outboxService.flush();
+
+    const records = await outboxService.getMessages();
+    expect(records.map(record => record.status)).toEqual(['failed', 'failed']);
+    expect(presenceService.getMessageStatus(forbidden.clientId).status).toBe('failed');
+    expect(events).toContain('failed');
+
+    messageService.sendMessage.mockResolvedValue({ messageId: 'server-id' });
+    expect(await outboxService.retry(blocked.clientId)).toBe(true);
+
+    expect(await outboxService.getMessages()).toEqual([
+      expect.objectContaining({ clientId: forbidden.clientId })
+    ]);
+    expect(events).toContain('sent');
+    unsubscribe();
+  });
+
+  test('should give up after the maximum number of attempts', async () => {
+    messageService.sendMessage.mockRejectedValue(networkError());
+    await outboxService.enqueueMessage('c1', 'hello');
+
+    for (let i = 0; i < outboxService.MAX_ATTEMPTS; i++) {
+      await outboxService.flush();
+    }
+
+    const [record] = await outboxService.getMessages();
+    expect(record.status).toBe('failed');
+    expect(record.lastError).toBe('Network Error');
+  });
+
+  test('should only send messages queued by the signed-in user', async () => {
+    await outboxService.enqueueMessage('c1', 'from alice');
+    localStorage.setItem('user', JSON.stringify({ id: 'mallory' }));
+    messageService.sendMessage.mockResolvedValue({ messageId: 'server-id' });
+
+    await outboxService.flush();
+
+    expect(messageService.sendMessage).not.toHaveBeenCalled();
+    localStorage.setItem('user', JSON.stringify({ id: 'alice' }));
+  });
+
+  test('should upload voice messages with their recording details and keep their reply', async () => {
+    const file = new File(['voice'], 'voice-message.webm', { type: 'audio/webm' });
+    const metadata = { voice: true, duration: 3.2, waveform: [0.1, 1, 0.5] };
+    const references = { replyTo: { id: 'm1', senderId: 'bob' }, threadId: null };
+    mediaService.uploadMedia.mockResolvedValue({ id: 'media-1', mediaType: 'audio', url: '/media/1' });
+    messageService.sendMessage.mockResolvedValue({ messageId: 'server-id' });
+
+    const record = await outboxService.enqueueMedia('c1', file, '', metadata, references);
+    await outboxService.flush();
+
+    expect(mediaService.uploadMedia).toHaveBeenCalledWith(file, 'c1', expect.any(Function), metadata);
+    expect(messageService.sendMessage).toHaveBeenCalledWith('c1', '', {
+      id: 'media-1',
+      mediaType: 'audio',
+      url: '/media/1',
+      caption: ''
+    }, record.clientId, references);
+  });
+
+  test('should keep queued messages encrypted at rest and for their sender only', async () => {
+    online = false;
+    const file = new File(['holiday photo'], 'beach.jpg', { type: 'image/jpeg' });
+    await outboxService.enqueueMessage('c1', 'meet at noon');
+    await outboxService.enqueueMedia('c1', file, 'the beach');
+
+    const stored = JSON.stringify(Array.from(storedRecords.values()), (key, value) =>
+      value instanceof ArrayBuffer ? new TextDecoder().decode(value) : value
+    );
+    expect(stored).not.toContain('meet at noon');
+    expect(stored).not.toContain('the beach');
+    expect(stored).not.toContain('holiday photo');
+
+    const [text, media] = await outboxService.getMessages('c1');
+    expect(text.content).toBe('meet at noon');
+    expect(media.caption).toBe('the beach');
+    expect(media.file.name).toBe('beach.jpg');
+    expect(await readFile(media.file)).toBe('holiday photo');
+
+    localStorage.setItem('user', JSON.stringify({ id: 'bob' }));
+    expect(await outboxService.getMessages()).toEqual([]);
+
+    localStorage.setItem('user', JSON.stringify({ id: 'alice' }));
+    expect(await outboxService.getMessages()).toHaveLength(2);
+  });
+
+  test('should still send messages when there is no key vault to seal them with', async () => {
+    online = false;
+    vault.initialized = false;
+    const withoutVault = await outboxService.enqueueMessage('c1', 'no keys yet');
+    vault.initialized = true;
+    vault.declined = true;
+    const whileLocked = await outboxService.enqueueMessage('c1', 'vault stays locked');
+
+    expect(storedRecords.has(withoutVault.clientId)).toBe(false);
+    expect(storedRecords.has(whileLocked.clientId)).toBe(false);
+    expect((await outboxService.getMessages('c1')).map(record => record.content))
+      .toEqual(['no keys yet', 'vault stays locked']);
+
+    online = true;
+    messageService.sendMessage.mockResolvedValue({ messageId: 'server-id' });
+    await outboxService.flush();
+
+    expect(messageService.sendMessage.mock.calls.map(call => call[1])).toEqual(['no keys yet', 'vault stays locked']);
+    expect(await outboxService.getMessages()).toEqual([]);
+  });
+});
@@ -0,0 +1,149 @@
+import axios from 'axios';
+import pinService from '../services/pinService';
+import messageService from '../services/messageService';
+import socketService from '../services/socketService';
+
+jest.mock('axios', () => {
+  const instance = {
+    get: jest.fn(),
+    post: jest.fn(),
+    delete: jest.fn(),
+    interceptors: { request: { use: jest.fn() } }
+  };
+  return {
+    create: () => instance,
+    __instance: instance
+  };
+});
+
+jest.mock('../services/messageService', () => ({
+  decryptMessage: jest.fn()
+}));
+
+jest.mock('../services/socketService', () => ({
+  isConnected: jest.fn(),
+  sendMessagePin: jest.fn()
+}));
+
+const api = axios.__instance;
+
+describe('Pin Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    socketService.isConnected.mockReturnValue(true);
+    messageService.decryptMessage.mockImplementation(async message => ({
+      ...message,
+      content: `opened:${message.encryptedContent}`
+    }));
+  });
+
+  test('should decrypt pinned messages and list the newest pin first', async () => {
+    api.get.mockResolvedValue({
+      data: {
+        pins: [
+          { messageId: 'm1', pinnedBy: 'bob', pinnedAt: '2026-10-01T10:00:00Z', message: { id: 'm1', encryptedContent: 'a' } },
+          { messageId: 'm2', pinnedBy: 'alice', pinnedAt: '2026-10-02T10:00:00Z' }
+        ]
+      }
+    });
+
+    const result = await pinService.getPins('c1');
+
+    expect(api.get).toHaveBeenCalledWith('/conversations/c1/pins');
+    expect(messageService.decryptMessage).toHaveBeenCalledTimes(1);
+    expect(result.success).toBe(true);
+    expect(result.data.map(pin => pin.messageId)).toEqual(['m2', 'm1']);
+    expect(result.data[0].message).toBeNull();
+    expect(result.data[1].message).toEqual(expect.objectContaining({ conversationId: 'c1', content: 'opened:a' }));
+  });
+
+  test('should tell the other members when a message is pinned or unpinned', async () => {
+    api.post.mockResolvedValue({ data: { pinnedBy: 'alice', pinnedAt: '2026-10-02T10:00:00Z' } });
+    api.delete.mockResolvedValue({ data: { success: true } });
+
+    const pinned = await pinService.pinMessage('c1', 'm1');
+    await pinService.unpinMessage('c1', 'm1');
+
+    expect(api.post).toHaveBeenCalledWith('/conversations/c1/pins', { messageId: 'm1' });
+    expect(pinned.data).toEqual({
+      conversationId: 'c1',
+      messageId: 'm1',
+      pinnedBy: 'alice',
+      pinnedAt: '2026-10-02T10:00:00Z'
+    });
+    expect(socketService.sendMessagePin).toHaveBeenCalledWith(pinned.data);
+    expect(api.delete).toHaveBeenCalledWith('/conversations/c1/pins/m1');
+    expect(socketService.sendMessagePin).toHaveBeenLastCalledWith({ conversationId: 'c1', messageId: 'm1' }, false);
+  });
+
+  test('should not announce a pin the server refused', async () => {
+    api.post.mockRejectedValue({ response: { data: { error: { message: 'Not a member' } } } });
+
+    const result = await pinService.pinMessage('c1', 'm1');
+
+    expect(result).toEqual({ success: false, error: 'Not a member' });
+    expect(socketService.sendMessagePin).not.toHaveBeenCalled();
+  });
+
+  test('should list starred messages across conversations, newest star first', async () => {
+    api.get.mockResolvedValue({
+      data: {
+        messages: [
+          { id: 'm1', conversationId: 'c1', encryptedContent: 'a', starredAt: '2026-10-01T10:00:00Z' },
+          { id: 'm2', conversationId: 'c2', encryptedContent: 'b', starredAt: '2026-10-03T10:00:00Z' }
+        ]
+      }
+    });
+
+    const result = await pinService.getStarredMessages();
+
+    expect(api.get).toHaveBeenCalledWith('/messages/starred');
+    expect(result.data.map(message => [message.id, message.content])).toEqual([
+      ['m2', 'opened:b'],
+      ['m1', 'opened:a']
+    ]);
+  });
+
+  test('should leave out messages deleted for everyone or disappeared', async () => {
+    const expired = { expiresIn: 60, timestamp: '2026-10-01T10:00:00Z' };
+    const live = { expiresIn: 60, timestamp: new Date().toISOString() };
+    api.get.mockResolvedValueOnce({
+      data: {
+        pins: [
+          { messageId: 'm1', pinnedAt: '2026-10-01T10:00:00Z', message: { id: 'm1', encryptedContent: 'a', ...live } },
+          { messageId: 'm2', pinnedAt: '2026-10-01T10:00:00Z', message: { id: 'm2', deleted: true } },
+          { messageId: 'm3', pinnedAt: '2026-10-01T10:00:00Z', message: { id: 'm3', encryptedContent: 'c', ...expired } }
+        ]
+      }
+    });
+    api.get.mockResolvedValueOnce({
+      data: {
+        messages: [
+          { id: 'm4', conversationId: 'c1', deleted: true, starredAt: '2026-10-01T10:00:00Z' },
+          { id: 'm5', conversationId: 'c1', encryptedContent: 'e', ...expired, starredAt: '2026-10-01T10:00:00Z' },
+          { id: 'm6', conversationId: 'c1', encryptedContent: 'f', starredAt: '2026-10-01T10:00:00Z' }
+        ]
+      }
+    });
+
+    const pins = await pinService.getPins('c1');
+    const starred = await pinService.getStarredMessages();
+
+    expect(pins.data.map(pin => pin.messageId)).toEqual(['m1']);
+    expect(starred.data.map(message => message.id)).toEqual(['m6']);
+    expect(messageService.decryptMessage).not.toHaveBeenCalledWith(expect.objectContaining({ deleted: true }));
+  });
+
+  test('should star and unstar a message', async () => {
+    api.post.mockResolvedValue({ data: { starredAt: '2026-10-03T10:00:00Z' } });
+    api.delete.mockResolvedValue({ data: { success: true } });
+
+    expect(await pinService.starMessage('m1')).toEqual({
+      success: true,
+      data: { starredAt: '2026-10-03T10:00:00Z' }
+    });
+    expect(await pinService.unstarMessage('m1')).toEqual({ success: true });
+    expect(api.post).toHaveBeenCalledWith('/messages/m1/star');
+    expect(api.delete).toHaveBeenCalledWith('/messages/m1/star');
+  });
+});
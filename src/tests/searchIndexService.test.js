@@ -0,0 +1,121 @@
+import searchIndexService from '../services/searchIndexService';
+import messageCacheService from '../services/messageCacheService';
+
+// In-memory stand-in for the encrypted stores
+jest.mock('../services/messageCacheService', () => {
+  const documents = new Map();
+  const postings = new Map();
+  const messages = new Map();
+
+  return {
+    __stores: { documents, postings, messages },
+    isSupported: () => true,
+    getConversations: async () => [...new Set([...messages.values()].map(m => m.conversationId))].map(id => ({ id })),
+    getMessages: async (conversationId) => [...messages.values()].filter(m => m.conversationId === conversationId),
+    getSearchDocuments: async (ids = null) => (ids ? ids.map(id => documents.get(id)).filter(Boolean) : [...documents.values()]),
+    saveSearchDocuments: async (docs) => docs.forEach(doc => documents.set(doc.id, doc)),
+    removeSearchDocuments: async (ids) => ids.forEach(id => documents.delete(id)),
+    getSearchPostings: async () => [...postings.values()],
+    saveSearchPostings: async (buckets) => buckets.forEach(bucket => postings.set(bucket.id, bucket))
+  };
+});
+
+const { __stores: stores } = jest.requireMock('../services/messageCacheService');
+
+const message = (id, content, extra = {}) => ({
+  id,
+  conversationId: 'c1',
+  senderId: 'bob',
+  senderName: 'Bob Smith',
+  content,
+  timestamp: '2024-03-10T12:00:00',
+  ...extra
+});
+
+describe('Search Index Service', () => {
+  beforeEach(async () => {
+    stores.documents.clear();
+    stores.postings.clear();
+    stores.messages.clear();
+    searchIndexService.reset();
+    localStorage.setItem('user', JSON.stringify({ id: 'alice' }));
+
+    await searchIndexService.indexMessages([
+      message('m1', 'Lunch at the Café tomorrow?'),
+      message('m2', 'The quarterly report is attached', { mediaId: 'media-1', senderId: 'alice', senderName: 'Alice' }),
+      message('m3', 'tomorrow works, report later', { conversationId: 'c2', timestamp: '2024-01-05T09:00:00' }),
+      message('m4', '[Encrypted message - unable to decrypt]', { decryptError: 'No session' })
+    ]);
+  });
+
+  const searchIds = async (query, options) => {
+    return (await searchIndexService.search(query, options)).map(result => result.id);
+  };
+
+  test('should find messages containing every word, newest first', async () => {
+    expect(await searchIds('tomorrow')).toEqual(['m1', 'm3']);
+    expect(await searchIds('report tomorrow')).toEqual(['m3']);
+    expect(await searchIds('cafe')).toEqual(['m1']);
+    expect(await searchIds('unable decrypt')).toEqual([]);
+  });
+
+  test('should match the word being typed as a prefix', async () => {
+    expect(await searchIds('quart')).toEqual(['m2']);
+    expect(await searchIds('quart ')).toEqual([]);
+  });
+
+  test('should only match phrases in order', async () => {
+    expect(await searchIds('"report is attached"')).toEqual(['m2']);
+    expect(await searchIds('"attached report"')).toEqual([]);
+  });
+
+  test('should apply sender, date, media and conversation filters', async () => {
+    expect(await searchIds('report from:alice')).toEqual(['m2']);
+    expect(await searchIds('from:me')).toEqual(['m2']);
+    expect(await searchIds('from:bob')).toEqual(['m1', 'm3']);
+    expect(await searchIds('before:2024-03-01')).toEqual(['m3']);
+    expect(await searchIds('after:2024-03-10 tomorrow')).toEqual(['m1']);
+    expect(await searchIds('has:media')).toEqual(['m2']);
+    expect(await searchIds('tomorrow', { conversationId: 'c2' })).toEqual(['m3']);
+  });
+
+  test('should replace edited messages and forget deleted ones', async () => {
+    await searchIndexService.indexMessages([message('m1', 'Dinner instead')]);
+    await searchIndexService.removeMessages(['m2']);
+
+    expect(await searchIds('lunch')).toEqual([]);
+    expect(await searchIds('dinner')).toEqual(['m1']);
+    expect(await searchIds('report')).toEqual(['m3']);
+  });
+
+  test('should keep the index encrypted by the message cache and reload it', async () => {
+    expect(stores.postings.size).toBeGreaterThan(0);
+
+    searchIndexService.reset();
+
+    expect(await searchIds('tomorrow')).toEqual(['m1', 'm3']);
+    expect(messageCacheService.isSupported()).toBe(true);
+  });
+
+  test('should index history cached before the index existed', async () => {
+    stores.documents.clear();
+    stores.postings.clear();
+    stores.messages.set('old', message('old', 'from before the upgrade', { conversationId: 'c3' }));
+    searchIndexService.reset();
+
+    expect(await searchIds('upgrade')).toEqual(['old']);
+  });
+
+  test('should parse filters out of the query', () => {
+    expect(searchIndexService.parseQuery('"big news" from:Bob has:media after:2024-01-31 budget')).toEqual({
+      terms: ['budget'],
+      phrases: ['big news'],
+      from: 'bob',
+      after: new Date(2024, 0, 31).getTime(),
+      before: null,
+      hasMedia: true,
+      prefix: true
+    });
+    expect(searchIndexService.parseQuery('after:someday').terms).toEqual(['after', 'someday']);
+  });
+});
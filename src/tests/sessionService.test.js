@@ -0,0 +1,264 @@
+import { webcrypto } from 'crypto';
+import { TextEncoder, TextDecoder } from 'util';
+import axios from 'axios';
+import sessionService from '../services/sessionService';
+import encryptionService from '../services/encryptionService';
+import keyVaultService from '../services/keyVaultService';
+
+// Mock axios so prekey bundles are exchanged through an in-memory directory
+jest.mock('axios', () => {
+  const instance = {
+    get: jest.fn(),
+    post: jest.fn(),
+    interceptors: { request: { use: jest.fn() } }
+  };
+  return {
+    create: () => instance,
+    __instance: instance
+  };
+});
+
+// Seal session state with a real AES-GCM key, as an unlocked vault would
+jest.mock('../services/keyVaultService', () => {
+  const { subtle } = require('crypto').webcrypto;
+  const vaultKey = subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+  const toBase64 = (buffer) => Buffer.from(buffer).toString('base64');
+  const fromBase64 = (value) => Buffer.from(value, 'base64');
+
+  return {
+    getKeyPair: jest.fn(),
+    getDeviceKeyPair: async () => null,
+    isInitialized: async () => true,
+    seal: async (value) => {
+      const iv = require('crypto').webcrypto.getRandomValues(new Uint8Array(12));
+      const data = await subtle.encrypt({ name: 'AES-GCM', iv }, await vaultKey, Buffer.from(JSON.stringify(value)));
+      return { iv: toBase64(iv), data: toBase64(data) };
+    },
+    open: async ({ iv, data }) => {
+      const plain = await subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, await vaultKey, fromBase64(data));
+      return JSON.parse(Buffer.from(plain).toString());
+    }
+  };
+});
+
+// Use Node's Web Crypto implementation in the test environment
+Object.defineProperty(window, 'crypto', { value: webcrypto });
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+
+const api = axios.__instance;
+const bundles = {};
+const devices = {};
+
+let currentDevice = null;
+
+// Each device gets its own localStorage snapshot, like separate browsers
+const switchTo = (userId, deviceId = 'phone') => {
+  if (currentDevice) {
+    devices[currentDevice] = { ...localStorage };
+  }
+  currentDevice = `${userId}:${deviceId}`;
+  localStorage.clear();
+  Object.entries(devices[currentDevice] || {}).forEach(([key, value]) => localStorage.setItem(key, value));
+  localStorage.setItem('user', JSON.stringify({ id: userId }));
+  localStorage.setItem('deviceId', deviceId);
+};
+
+// Recipients are addressed per device, as messageService does after expanding them
+const phonesOf = (userIds) => userIds.map(userId => ({ userId, deviceId: 'phone' }));
+
+const sendAs = async (senderId, recipientIds, text, recipientDevices = phonesOf(recipientIds)) => {
+  switchTo(senderId);
+  return sessionService.encryptGroupMessage(text, recipientDevices);
+};
+
+const readAs = async (userId, senderId, encryptedData, deviceId = 'phone') => {
+  switchTo(userId, deviceId);
+  return sessionService.decryptGroupMessage(encryptedData, userId, senderId);
+};
+
+describe('Session Service', () => {
+  beforeEach(async () => {
+    api.post.mockImplementation(async (url, body) => {
+      bundles[`${JSON.parse(localStorage.getItem('user')).id}:${body.deviceId}`] = body;
+      return { data: { success: true } };
+    });
+    api.get.mockImplementation(async (url) => {
+      const [, , userId, , deviceId] = url.split('/');
+      return { data: bundles[`${userId}:${deviceId}`] };
+    });
+
+    // Sessions carry over between tests, only identities are created once
+    if (Object.keys(bundles).length > 0) return;
+
+    for (const [userId, deviceId] of [['alice', 'phone'], ['bob', 'phone'], ['bob', 'laptop'], ['carol', 'phone']]) {
+      switchTo(userId, deviceId);
+      await sessionService.init();
+    }
+  });
+
+  test('should exchange messages in both directions', async () => {
+    const first = await sendAs('alice', ['bob'], 'Hello Bob');
+    expect(await readAs('bob', 'alice', first)).toBe('Hello Bob');
+
+    const reply = await sendAs('bob', ['alice'], 'Hi Alice');
+    expect(await readAs('alice', 'bob', reply)).toBe('Hi Alice');
+
+    const followUp = await sendAs('alice', ['bob'], 'How are you?');
+    expect(await readAs('bob', 'alice', followUp)).toBe('How are you?');
+  });
+
+  test('should decrypt out-of-order messages', async () => {
+    const first = await sendAs('alice', ['bob'], 'one');
+    const second = await sendAs('alice', ['bob'], 'two');
+    const third = await sendAs('alice', ['bob'], 'three');
+
+    expect(await readAs('bob', 'alice', third)).toBe('three');
+    expect(await readAs('bob', 'alice', first)).toBe('one');
+    expect(await readAs('bob', 'alice', second)).toBe('two');
+  });
+
+  test('should let the sender and every group member read a message', async () => {
+    const encrypted = await sendAs('carol', ['alice', 'bob', 'carol'], 'Group hello');
+
+    expect(await readAs('alice', 'carol', encrypted)).toBe('Group hello');
+    expect(await readAs('bob', 'carol', encrypted)).toBe('Group hello');
+    expect(await readAs('carol', 'carol', encrypted)).toBe('Group hello');
+  });
+
+  test('should not let a member pass off other content under the sender\'s key', async () => {
+    const encrypted = await sendAs('alice', ['alice', 'bob', 'carol'], 'Meet at noon');
+    expect(await readAs('carol', 'alice', encrypted)).toBe('Meet at noon');
+
+    // Every member learns the message key, so carol can encrypt something else with it
+    const [{ key }] = Object.values(await sessionService.exportMessageKeys()).slice(-1);
+    const forged = {
+      ...encrypted,
+      ...(await encryptionService.encryptMessage('Meet at midnight', await encryptionService.importMessageKey(key)))
+    };
+
+    await expect(readAs('bob', 'alice', forged)).rejects.toThrow('does not match');
+    expect(await sessionService.openGroupMessage(encrypted, 'bob', 'alice'))
+      .toEqual({ plaintext: 'Meet at noon', authenticated: true });
+    await expect(sessionService.openGroupMessage(forged, 'bob', 'alice')).rejects.toThrow('does not match');
+
+    // The sender's own copy only vouches for messages by the sender
+    switchTo('alice');
+    expect(await sessionService.openGroupMessage(encrypted, 'alice', 'alice'))
+      .toEqual({ plaintext: 'Meet at noon', authenticated: true });
+    expect((await sessionService.openGroupMessage(encrypted, 'alice', 'bob')).authenticated).toBe(false);
+  });
+
+  test('should advance the ratchet key when the conversation turns', async () => {
+    const fromAlice = await sendAs('alice', ['bob'], 'ping');
+    await readAs('bob', 'alice', fromAlice);
+    const fromBob = await sendAs('bob', ['alice'], 'pong');
+    await readAs('alice', 'bob', fromBob);
+    const again = await sendAs('alice', ['bob'], 'ping again');
+
+    const headerOf = (data) => JSON.parse(data.recipientKeys['bob:phone']).header;
+    expect(headerOf(again).dh).not.toBe(headerOf(fromAlice).dh);
+  });
+
+  test('should not accept a session started in someone else\'s name', async () => {
+    switchTo('mallory');
+    await sessionService.init();
+    const forged = await sendAs('mallory', ['carol'], 'Send me the files');
+
+    // Delivered as if alice's phone had sent it
+    await expect(readAs('carol', 'alice', forged)).rejects.toThrow('does not match its published key');
+    expect(await sessionService.getPeerIdentityKey('alice:phone')).toBe(bundles['alice:phone'].identityKey);
+    expect(await readAs('carol', 'mallory', forged)).toBe('Send me the files');
+  });
+
+  test('should reject tampered ciphertext without breaking the session', async () => {
+    const encrypted = await sendAs('alice', ['bob'], 'authentic');
+    const envelope = JSON.parse(encrypted.recipientKeys['bob:phone']);
+    const tampered = {
+      ...encrypted,
+      recipientKeys: {
+        'bob:phone': JSON.stringify({ ...envelope, header: { ...envelope.header, n: envelope.header.n + 1 } })
+      }
+    };
+
+    await expect(readAs('bob', 'alice', tampered)).rejects.toThrow();
+    expect(await readAs('bob', 'alice', encrypted)).toBe('authentic');
+  });
+
+  test('should deliver to every device of a member, including the sender\'s other devices', async () => {
+    const toBob = await sendAs('alice', ['bob'], 'Hi on all devices', [
+      { userId: 'bob', deviceId: 'phone' },
+      { userId: 'bob', deviceId: 'laptop' }
+    ]);
+    expect(await readAs('bob', 'alice', toBob, 'phone')).toBe('Hi on all devices');
+    expect(await readAs('bob', 'alice', toBob, 'laptop')).toBe('Hi on all devices');
+
+    const fromBob = await sendAs('bob', ['alice'], 'Sent from my phone', [
+      { userId: 'alice', deviceId: 'phone' },
+      { userId: 'bob', deviceId: 'phone' },
+      { userId: 'bob', deviceId: 'laptop' }
+    ]);
+    expect(await readAs('alice', 'bob', fromBob)).toBe('Sent from my phone');
+    expect(await readAs('bob', 'bob', fromBob, 'phone')).toBe('Sent from my phone');
+    expect(await readAs('bob', 'bob', fromBob, 'laptop')).toBe('Sent from my phone');
+  });
+
+  test('should wrap the key with RSA only for a device without a prekey bundle', async () => {
+    const daveKeys = await encryptionService.generateKeyPair();
+    const recipients = [
+      { userId: 'bob', deviceId: 'phone' },
+      { userId: 'dave', deviceId: 'phone', publicKey: daveKeys.publicKey }
+    ];
+
+    await expect(sendAs('alice', ['bob', 'dave'], 'Hi both', recipients)).rejects.toMatchObject({
+      code: 'NO_PREKEY_BUNDLE'
+    });
+
+    switchTo('alice');
+    const encrypted = await sessionService.encryptGroupMessage('Hi both', recipients, { allowFallback: true });
+
+    expect(JSON.parse(encrypted.recipientKeys['bob:phone']).header).toBeDefined();
+    expect(Object.keys(JSON.parse(encrypted.recipientKeys['dave:phone']))).toEqual(['rsa']);
+    expect(await readAs('bob', 'alice', encrypted)).toBe('Hi both');
+
+    keyVaultService.getKeyPair.mockResolvedValue({
+      publicKey: daveKeys.publicKey,
+      privateKey: await encryptionService.importPrivateKey(daveKeys.privateKey)
+    });
+    expect(await readAs('dave', 'alice', encrypted)).toBe('Hi both');
+  });
+
+  test('should keep session state per user across logins', async () => {
+    switchTo('erin');
+    await sessionService.init();
+    const { identityKey } = await sessionService.getIdentity();
+
+    // Someone else logs in on the same browser, then erin again
+    localStorage.setItem('user', JSON.stringify({ id: 'frank' }));
+    expect(sessionService.isAvailable()).toBe(false);
+    expect(await sessionService.getIdentity()).toBeNull();
+
+    localStorage.setItem('user', JSON.stringify({ id: 'erin' }));
+    expect(sessionService.isAvailable()).toBe(true);
+    expect((await sessionService.getIdentity()).identityKey).toBe(identityKey);
+  });
+
+  test('should only keep session keys sealed with the key vault', async () => {
+    switchTo('grace');
+    localStorage.setItem('ratchetMessageKeys', JSON.stringify({ 'old:1': 'old-secret' }));
+    await sessionService.init();
+    await sendAs('grace', ['alice'], 'Sealed');
+
+    const stored = Object.keys(localStorage)
+      .filter(key => key.startsWith('sessionStore:grace:'))
+      .map(key => JSON.parse(localStorage.getItem(key)));
+    const { identityKey } = await sessionService.exportIdentity();
+
+    expect(localStorage.getItem('ratchetMessageKeys')).toBeNull();
+    expect(await sessionService.exportMessageKeys()).toEqual(expect.objectContaining({ 'old:1': 'old-secret' }));
+    expect(stored.length).toBeGreaterThan(2);
+    stored.forEach(value => expect(Object.keys(value)).toEqual(['sealed']));
+    expect(JSON.stringify(stored)).not.toContain('old-secret');
+    expect(JSON.stringify(stored)).not.toContain(identityKey.privateKey);
+  });
+});
@@ -0,0 +1,48 @@
+import {
+  formatInTimeZone,
+  getTimeZones,
+  isValidTimeZone,
+  toZonedInputValue,
+  zonedTimeToUtc
+} from '../utils/timeZoneUtils';
+
+describe('Time Zone Utilities', () => {
+  test('should convert a wall-clock time in a time zone to UTC', () => {
+    expect(zonedTimeToUtc('2024-05-01T09:00', 'America/New_York').toISOString()).toBe('2024-05-01T13:00:00.000Z');
+    expect(zonedTimeToUtc('2024-01-15T09:00', 'America/New_York').toISOString()).toBe('2024-01-15T14:00:00.000Z');
+    expect(zonedTimeToUtc('2024-05-01T09:00', 'Asia/Kolkata').toISOString()).toBe('2024-05-01T03:30:00.000Z');
+    expect(zonedTimeToUtc('2024-05-01T09:00', 'UTC').toISOString()).toBe('2024-05-01T09:00:00.000Z');
+  });
+
+  test('should handle times skipped or repeated by daylight saving changes', () => {
+    // Clocks go forward an hour, so 2:30 doesn't exist and becomes 3:30
+    expect(zonedTimeToUtc('2024-03-10T02:30', 'America/New_York').toISOString()).toBe('2024-03-10T07:30:00.000Z');
+    expect(zonedTimeToUtc('2024-03-31T02:30', 'Europe/Paris').toISOString()).toBe('2024-03-31T01:30:00.000Z');
+
+    // Clocks go back an hour, so these times happen twice and the first is taken
+    expect(zonedTimeToUtc('2024-11-03T01:30', 'America/New_York').toISOString()).toBe('2024-11-03T05:30:00.000Z');
+    expect(zonedTimeToUtc('2024-10-27T02:30', 'Europe/Paris').toISOString()).toBe('2024-10-27T00:30:00.000Z');
+  });
+
+  test('should reject values and time zones it can not read', () => {
+    expect(zonedTimeToUtc('tomorrow', 'UTC')).toBeNull();
+    expect(zonedTimeToUtc('2024-05-01T09:00', 'Mars/Olympus_Mons')).toBeNull();
+    expect(isValidTimeZone('Europe/Paris')).toBe(true);
+    expect(isValidTimeZone('')).toBe(false);
+  });
+
+  test('should show an instant as it reads in a time zone', () => {
+    const instant = new Date('2024-05-01T13:00:00Z');
+
+    expect(toZonedInputValue(instant, 'America/New_York')).toBe('2024-05-01T09:00');
+    expect(toZonedInputValue(instant, 'Asia/Tokyo')).toBe('2024-05-01T22:00');
+    expect(zonedTimeToUtc(toZonedInputValue(instant, 'Europe/Paris'), 'Europe/Paris')).toEqual(instant);
+    expect(formatInTimeZone(instant, 'UTC')).toMatch(/1:00/);
+  });
+
+  test('should offer the time zone of this device', () => {
+    const local = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+    expect(getTimeZones()).toContain(local);
+  });
+});
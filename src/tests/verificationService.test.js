@@ -0,0 +1,163 @@
+import { webcrypto } from 'crypto';
+import { TextEncoder, TextDecoder } from 'util';
+import axios from 'axios';
+import verificationService from '../services/verificationService';
+import keyVaultService from '../services/keyVaultService';
+import sessionService from '../services/sessionService';
+import encryptionService from '../services/encryptionService';
+
+// Mock axios so user keys come from an in-memory directory
+jest.mock('axios', () => {
+  const instance = {
+    get: jest.fn(),
+    post: jest.fn(),
+    interceptors: { request: { use: jest.fn() } }
+  };
+  return {
+    create: () => instance,
+    __instance: instance
+  };
+});
+
+jest.mock('../services/keyVaultService', () => ({
+  getPublicKey: jest.fn()
+}));
+
+jest.mock('../services/deviceService', () => ({
+  getUserDevices: async (userId) => users[userId].devices
+}));
+
+jest.mock('../services/sessionService', () => ({
+  getIdentity: jest.fn(),
+  fetchPreKeyBundle: jest.fn(),
+  getPeerIdentityKey: jest.fn()
+}));
+
+// Use Node's Web Crypto implementation in the test environment
+Object.defineProperty(window, 'crypto', { value: webcrypto });
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+
+const api = axios.__instance;
+const users = {};
+
+// Identity keys the current user's sessions were agreed with, by address
+const sessionKeys = {};
+
+// Run a callback as the given user
+const actAs = async (userId, callback) => {
+  localStorage.setItem('user', JSON.stringify({ id: userId }));
+  return callback();
+};
+
+describe('Verification Service', () => {
+  beforeAll(async () => {
+    for (const userId of ['alice', 'bob']) {
+      const { publicKey } = await encryptionService.generateKeyPair();
+      users[userId] = { publicKey, identityKey: `${userId}-identity`, devices: [] };
+    }
+  });
+
+  beforeEach(() => {
+    const currentUser = () => JSON.parse(localStorage.getItem('user')).id;
+
+    api.get.mockImplementation(async (url) => ({
+      data: { publicKey: users[url.split('/')[2]].publicKey }
+    }));
+    keyVaultService.getPublicKey.mockImplementation(async () => users[currentUser()].publicKey);
+    sessionService.getIdentity.mockImplementation(() => ({ identityKey: users[currentUser()].identityKey }));
+    sessionService.getPeerIdentityKey.mockImplementation(async (address) => sessionKeys[address] || null);
+    sessionService.fetchPreKeyBundle.mockImplementation(async (address) => {
+      const [userId, deviceId] = address.split(':');
+      return deviceId
+        ? { identityKey: `${deviceId}-identity` }
+        : { identityKey: users[userId].identityKey };
+    });
+  });
+
+  test('should give both parties the same safety number', async () => {
+    const fromAlice = await actAs('alice', () => verificationService.getSafetyNumber('bob'));
+    const fromBob = await actAs('bob', () => verificationService.getSafetyNumber('alice'));
+
+    expect(fromAlice.safetyNumber).toMatch(/^\d{60}$/);
+    expect(fromAlice.safetyNumber).toBe(fromBob.safetyNumber);
+    expect(fromAlice.groups).toHaveLength(12);
+  });
+
+  test('should accept the contact\'s QR payload and reject others', async () => {
+    const { qrPayload: bobsPayload } = await actAs('bob', () => verificationService.getSafetyNumber('alice'));
+    const { qrPayload: alicesPayload } = await actAs('alice', () => verificationService.getSafetyNumber('bob'));
+
+    expect(await actAs('alice', () => verificationService.checkQrPayload('bob', bobsPayload))).toBe(true);
+    expect(await actAs('alice', () => verificationService.checkQrPayload('bob', alicesPayload))).toBe(false);
+  });
+
+  test('should report a changed key after verification', async () => {
+    const { contactFingerprint } = await actAs('alice', () => verificationService.getSafetyNumber('bob'));
+
+    await actAs('alice', async () => {
+      expect(await verificationService.getVerificationStatus('bob')).toBe('unverified');
+      verificationService.markVerified('bob', contactFingerprint);
+      expect(await verificationService.getVerificationStatus('bob')).toBe('verified');
+    });
+
+    users.bob.identityKey = 'bob-new-identity';
+
+    expect(await actAs('alice', () => verificationService.getVerificationStatus('bob'))).toBe('changed');
+  });
+
+  test('should report a change when a contact links a new device after verification', async () => {
+    const { publicKey } = await encryptionService.generateKeyPair();
+    users.alice.devices = [{ deviceId: 'alice-laptop', publicKey }];
+    const before = await actAs('bob', () => verificationService.getSafetyNumber('alice'));
+
+    await actAs('bob', async () => {
+      verificationService.markVerified('alice', before.contactFingerprint);
+      expect(await verificationService.getVerificationStatus('alice')).toBe('verified');
+    });
+
+    const { publicKey: phoneKey } = await encryptionService.generateKeyPair();
+    users.alice.devices = [...users.alice.devices, { deviceId: 'alice-phone', publicKey: phoneKey }];
+
+    const after = await actAs('bob', () => verificationService.getSafetyNumber('alice'));
+    const fromAlice = await actAs('alice', () => verificationService.getSafetyNumber('bob'));
+    expect(after.safetyNumber).not.toBe(before.safetyNumber);
+    expect(after.safetyNumber).toBe(fromAlice.safetyNumber);
+    expect(await actAs('bob', () => verificationService.getVerificationStatus('alice'))).toBe('changed');
+  });
+
+  test('should hold back messages once a session uses a key the contact never published', async () => {
+    const { contactFingerprint } = await actAs('alice', () => verificationService.getSafetyNumber('bob'));
+    await actAs('alice', async () => {
+      verificationService.markVerified('bob', contactFingerprint);
+      await expect(verificationService.assertKeysUnchanged(['alice', 'bob'])).resolves.toBeUndefined();
+    });
+
+    sessionKeys.bob = 'injected-identity';
+
+    await actAs('alice', async () => {
+      expect(await verificationService.getVerificationStatus('bob')).toBe('changed');
+      await expect(verificationService.assertKeysUnchanged(['bob'])).rejects.toMatchObject({
+        code: verificationService.KEYS_CHANGED,
+        userIds: ['bob']
+      });
+    });
+
+    // Still changed once the session key is gone, until cleared or verified again
+    delete sessionKeys.bob;
+    await actAs('alice', async () => {
+      expect(await verificationService.getVerificationStatus('bob')).toBe('changed');
+      verificationService.clearVerification('bob');
+      expect(await verificationService.getVerificationStatus('bob')).toBe('unverified');
+      await expect(verificationService.assertKeysUnchanged(['bob'])).resolves.toBeUndefined();
+    });
+  });
+
+  test('should keep verified contacts per user', async () => {
+    const { contactFingerprint } = await actAs('alice', () => verificationService.getSafetyNumber('bob'));
+    await actAs('alice', () => verificationService.markVerified('bob', contactFingerprint));
+
+    expect(await actAs('carol', () => verificationService.getVerificationStatus('bob'))).toBe('unverified');
+    expect(await actAs('alice', () => verificationService.getVerificationStatus('bob'))).toBe('verified');
+  });
+});
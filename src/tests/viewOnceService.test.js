@@ -0,0 +1,64 @@
+import viewOnceService from '../services/viewOnceService';
+
+describe('View-Once Service', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    localStorage.setItem('user', JSON.stringify({ id: 'alice' }));
+  });
+
+  test('should remember view-once media and when it was opened', () => {
+    expect(viewOnceService.isViewOnce('media-1')).toBe(false);
+
+    viewOnceService.remember('media-1');
+    expect(viewOnceService.isViewOnce('media-1')).toBe(true);
+    expect(viewOnceService.isOpened('media-1')).toBe(false);
+
+    viewOnceService.markOpened('media-1');
+    viewOnceService.remember('media-1');
+    expect(viewOnceService.isOpened('media-1')).toBe(true);
+  });
+
+  test('should keep nothing of opened media that could show it again', () => {
+    const media = {
+      id: 'media-1',
+      mediaType: 'image',
+      mimeType: 'image/png',
+      caption: 'just for you',
+      encryption: { key: 'key', iv: 'iv', digest: 'digest', thumbnail: null }
+    };
+
+    expect(viewOnceService.toOpened(media)).toEqual({
+      id: 'media-1',
+      mediaType: 'image',
+      mimeType: 'image/png',
+      viewOnce: true,
+      opened: true
+    });
+  });
+
+  test('should only keep the most recent media, as the server remembers what was opened', () => {
+    viewOnceService.remember('media-0');
+    viewOnceService.markOpened('media-0');
+    for (let i = 1; i <= 2000; i++) {
+      viewOnceService.remember(`media-${i}`);
+    }
+
+    expect(viewOnceService.isViewOnce('media-0')).toBe(false);
+    expect(viewOnceService.isViewOnce('media-1000')).toBe(false);
+    expect(viewOnceService.isViewOnce('media-1001')).toBe(true);
+    expect(JSON.parse(localStorage.getItem('viewOnceMedia:alice'))).toHaveLength(1000);
+  });
+
+  test('should keep what each user opened apart', () => {
+    localStorage.setItem('viewOnceMedia', JSON.stringify([['media-1', 1760000000000]]));
+    expect(viewOnceService.isOpened('media-1')).toBe(true);
+
+    localStorage.setItem('user', JSON.stringify({ id: 'bob' }));
+    expect(viewOnceService.isViewOnce('media-1')).toBe(false);
+    viewOnceService.remember('media-1');
+    expect(viewOnceService.isOpened('media-1')).toBe(false);
+
+    localStorage.setItem('user', JSON.stringify({ id: 'alice' }));
+    expect(viewOnceService.isOpened('media-1')).toBe(true);
+  });
+});
@@ -0,0 +1,42 @@
+import {
+  computeWaveform,
+  formatDuration,
+  parseWaveform,
+  resampleWaveform
+} from '../utils/waveformUtils';
+
+describe('Waveform Utils', () => {
+  test('should scale slice loudness to the loudest slice', () => {
+    const samples = new Float32Array([0.5, -0.5, 0.25, -0.25, 0, 0, 1, -1]);
+
+    expect(computeWaveform(samples, 4)).toEqual([0.5, 0.25, 0, 1]);
+  });
+
+  test('should draw silence for recordings too short to slice', () => {
+    expect(computeWaveform(new Float32Array([0.5, 0.5]), 4)).toEqual([0, 0, 0, 0]);
+    expect(computeWaveform(new Float32Array(8), 4)).toEqual([0, 0, 0, 0]);
+  });
+
+  test('should keep the peak of each bar when resampling', () => {
+    expect(resampleWaveform([0.1, 0.9, 0.3, 0.2], 2)).toEqual([0.9, 0.3]);
+    expect(resampleWaveform([0.4, 0.8], 4)).toEqual([0.4, 0.4, 0.8, 0.8]);
+    expect(resampleWaveform([], 3)).toEqual([0, 0, 0]);
+  });
+
+  test('should only accept well-formed waveforms', () => {
+    expect(parseWaveform('[0.5, 2, -1, "x"]')).toEqual([0.5, 1, 0, 0]);
+    expect(parseWaveform([0.2, 0.4])).toEqual([0.2, 0.4]);
+    expect(parseWaveform('not json')).toBeNull();
+    expect(parseWaveform('{"levels": [1]}')).toBeNull();
+    expect(parseWaveform([])).toBeNull();
+    expect(parseWaveform(new Array(1000).fill(0.5))).toBeNull();
+  });
+
+  test('should format durations as minutes and seconds', () => {
+    expect(formatDuration(0)).toBe('0:00');
+    expect(formatDuration(7.4)).toBe('0:07');
+    expect(formatDuration(125)).toBe('2:05');
+    expect(formatDuration(Infinity)).toBe('0:00');
+    expect(formatDuration(undefined)).toBe('0:00');
+  });
+});
@@ -0,0 +1,218 @@
+import fs from 'fs';
+import path from 'path';
+import { webcrypto } from 'crypto';
+import { TextEncoder, TextDecoder } from 'util';
+import encryptionService from '../services/encryptionService';
+
+// Use Node's Web Crypto implementation in the test environment
+Object.defineProperty(window, 'crypto', { value: webcrypto });
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+
+const workerSource = fs.readFileSync(
+  path.join(__dirname, '../../public/workers/encryption-worker.js'),
+  'utf8'
+);
+
+// The test window has no CryptoKey, so it is taken from a key Node created
+let NodeCryptoKey;
+
+beforeAll(async () => {
+  const key = await webcrypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt']);
+  NodeCryptoKey = key.constructor;
+});
+
+// Runs the worker script in a scope of its own and talks to it like a Worker
+class TestWorker {
+  constructor() {
+    this.scope = {
+      postMessage: (data) => Promise.resolve().then(() => this.onmessage?.({ data }))
+    };
+    // eslint-disable-next-line no-new-func
+    new Function('self', 'crypto', 'CryptoKey', workerSource)(this.scope, webcrypto, NodeCryptoKey);
+  }
+
+  postMessage(message) {
+    this.scope.onmessage({ data: message });
+  }
+
+  terminate() {}
+}
+
+// Answers every task with an error, like a worker that keeps failing
+class FailingWorker extends TestWorker {
+  postMessage(message) {
+    this.scope.postMessage({ error: 'Worker crashed', taskId: message.data.callbackId });
+  }
+}
+
+// Send one task to a worker and wait for its answer
+const send = (worker, action, data) => new Promise(resolve => {
+  worker.onmessage = ({ data: response }) => {
+    if (response.status !== 'ready') resolve(response);
+  };
+  worker.postMessage({ action, data: { ...data, callbackId: 'task-1' } });
+});
+
+// A fresh copy of the service, created with the given Worker implementation
+const loadWorkerService = (Worker) => {
+  if (Worker) {
+    global.Worker = Worker;
+  } else {
+    delete global.Worker;
+  }
+  let workerService;
+  jest.isolateModules(() => {
+    workerService = require('../services/workerService').default;
+  });
+  return workerService;
+};
+
+describe('Encryption Worker', () => {
+  let keyPair;
+  let privateKey;
+  let recipients;
+
+  beforeAll(async () => {
+    keyPair = await encryptionService.generateKeyPair();
+    privateKey = await encryptionService.importPrivateKey(keyPair.privateKey);
+    recipients = [{ userId: 'alice', deviceId: 'laptop', publicKey: keyPair.publicKey }];
+  });
+
+  test('should produce payloads that decrypt on the main thread, and the other way round', async () => {
+    const worker = new TestWorker();
+
+    const { encryptedData } = await send(worker, 'encrypt', { message: 'Hello from the worker', recipients });
+    expect(Object.keys(encryptedData.recipientKeys)).toEqual(['alice:laptop']);
+    expect(await encryptionService.decryptGroupMessage(encryptedData, 'alice', privateKey, 'laptop'))
+      .toBe('Hello from the worker');
+
+    const fromMainThread = await encryptionService.encryptGroupMessage('Hello from the page', recipients);
+    const { decryptedData } = await send(worker, 'decrypt', {
+      encryptedMessage: fromMainThread.encryptedMessage,
+      iv: fromMainThread.iv,
+      encryptedKey: fromMainThread.recipientKeys['alice:laptop'],
+      privateKey: keyPair.privateKey
+    });
+    expect(decryptedData.decryptedMessage).toBe('Hello from the page');
+  });
+
+  test('should encrypt every presence update afresh', async () => {
+    const worker = new TestWorker();
+    const presenceData = { typing: true };
+
+    const first = await send(worker, 'encrypt_presence', { presenceData, recipients, presenceType: 'typing' });
+    const second = await send(worker, 'encrypt_presence', { presenceData, recipients, presenceType: 'typing' });
+    expect(second.encryptedData.fromCache).toBe(false);
+    expect(second.encryptedData.encryptedMessage).not.toBe(first.encryptedData.encryptedMessage);
+
+    const { decryptedData } = await send(worker, 'decrypt_presence', {
+      encryptedData: second.encryptedData.encryptedMessage,
+      iv: second.encryptedData.iv,
+      encryptedKey: second.encryptedData.recipientKeys['alice:laptop'],
+      privateKey: keyPair.privateKey,
+      presenceType: 'typing'
+    });
+    expect(JSON.parse(decryptedData.decryptedMessage)).toEqual(presenceData);
+    expect(decryptedData.presenceType).toBe('typing');
+
+    const { results } = await send(worker, 'batch_encrypt', {
+      batch: [{ id: 'a', data: presenceData }, { id: 'b', data: presenceData }],
+      recipients
+    });
+    expect(results.map(({ id }) => id)).toEqual(['a', 'b']);
+    expect(results[0].result.encryptedMessage).not.toBe(results[1].result.encryptedMessage);
+  });
+
+  test('should report a message it cannot decrypt as an error', async () => {
+    const worker = new TestWorker();
+    const other = await encryptionService.generateKeyPair();
+    const encrypted = await encryptionService.encryptGroupMessage('Not for alice', [
+      { userId: 'bob', publicKey: other.publicKey }
+    ]);
+
+    const response = await send(worker, 'decrypt', {
+      encryptedMessage: encrypted.encryptedMessage,
+      iv: encrypted.iv,
+      encryptedKey: encrypted.recipientKeys.bob,
+      privateKey: keyPair.privateKey
+    });
+    expect(response).toMatchObject({ action: 'decrypt_error', taskId: 'task-1' });
+    expect(response.error).toBeDefined();
+  });
+});
+
+describe('Worker Service', () => {
+  let keyPair;
+  let recipients;
+
+  beforeAll(async () => {
+    keyPair = await encryptionService.generateKeyPair();
+    recipients = [{ userId: 'alice', publicKey: keyPair.publicKey }];
+  });
+
+  afterAll(() => {
+    delete global.Worker;
+  });
+
+  test('should encrypt and decrypt through the worker', async () => {
+    const workerService = loadWorkerService(TestWorker);
+
+    const encrypted = await workerService.encryptWithWorker('Through the worker', recipients);
+    const decrypted = await workerService.decryptWithWorker(
+      encrypted.encryptedMessage,
+      encrypted.iv,
+      encrypted.recipientKeys.alice,
+      keyPair.privateKey
+    );
+    expect(decrypted.decryptedMessage).toBe('Through the worker');
+
+    const presence = await workerService.encryptPresenceWithWorker({ status: 'online' }, recipients, 'status');
+    const decryptedPresence = await workerService.decryptPresenceWithWorker(
+      presence.encryptedMessage,
+      presence.iv,
+      presence.recipientKeys.alice,
+      keyPair.privateKey,
+      'status'
+    );
+    expect(JSON.parse(decryptedPresence.decryptedMessage)).toEqual({ status: 'online' });
+    expect(workerService.getWorkerMetrics().successfulTasks).toBe(4);
+    workerService.terminateWorker();
+  });
+
+  test('should fall back to the main thread when the worker keeps failing', async () => {
+    const workerService = loadWorkerService(FailingWorker);
+    workerService.updateWorkerConfig({ maxRetries: 0 });
+
+    const encrypted = await workerService.encryptWithWorker('Despite the worker', recipients);
+    const presence = await workerService.encryptPresenceWithWorker({ typing: false }, recipients, 'typing');
+    const decryptedPresence = await workerService.decryptPresenceWithWorker(
+      presence.encryptedMessage,
+      presence.iv,
+      presence.recipientKeys.alice,
+      keyPair.privateKey,
+      'typing'
+    );
+
+    const privateKey = await encryptionService.importPrivateKey(keyPair.privateKey);
+    expect(await encryptionService.decryptGroupMessage(encrypted, 'alice', privateKey)).toBe('Despite the worker');
+    expect(decryptedPresence).toEqual({ decryptedMessage: '{"typing":false}', presenceType: 'typing' });
+    expect(workerService.getWorkerMetrics().failedTasks).toBe(3);
+    workerService.terminateWorker();
+  });
+
+  test('should decrypt on the main thread without Web Worker support', async () => {
+    const workerService = loadWorkerService(null);
+    expect(workerService.isWebWorkerSupported()).toBe(false);
+
+    const encrypted = await encryptionService.encryptGroupMessage('{"typing":true}', recipients);
+    const decrypted = await workerService.decryptPresenceWithWorker(
+      encrypted.encryptedMessage,
+      encrypted.iv,
+      encrypted.recipientKeys.alice,
+      keyPair.privateKey,
+      'typing'
+    );
+    expect(decrypted).toEqual({ decryptedMessage: '{"typing":true}', presenceType: 'typing' });
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * IndexedDB Utilities
+ *
+ * Small promise wrappers around the IndexedDB API shared by the services
+ * that keep data in the browser database.
+ */
+
+/**
+ * Check if IndexedDB is available in this browser
+ * @returns {boolean} - Whether IndexedDB is available
+ */
+export const isIndexedDbSupported = () => {
+  return typeof window !== 'undefined' && !!window.indexedDB;
+};
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - Request to wait for
+ * @returns {Promise<any>} - Request result
+ */
+export const requestToPromise = (request) => {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+/**
+ * Open (and create or upgrade) a database
+ * @param {string} name - Database name
+ * @param {number} version - Schema version
+ * @param {Function} onUpgrade - Called with (db, oldVersion, transaction) on upgrade
+ * @returns {Promise<IDBDatabase>} - Open database
+ */
+export const openDatabase = (name, version, onUpgrade) => {
+  if (!isIndexedDbSupported()) {
+    return Promise.reject(new Error('IndexedDB is not supported in this browser'));
+  }
+
+  return new Promise((resolve, reject) => {
+    const request = window.indexedDB.open(name, version);
+
+    request.onupgradeneeded = (event) => {
+      onUpgrade(request.result, event.oldVersion, request.transaction);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error(`Database ${name} is blocked by another tab`));
+  });
+};
+
+/**
+ * Run an operation inside a transaction and resolve once it commits
+ * @param {IDBDatabase} db - Open database
+ * @param {string|Array<string>} storeNames - Object store(s) to include
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Receives the store(s) and may return an IDBRequest
+ * @returns {Promise<any>} - Result of the returned request, if any
+ */
+export const runTransaction = (db, storeNames, mode, operation) => {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeNames, mode);
+    const stores = Array.isArray(storeNames)
+      ? storeNames.map(storeName => transaction.objectStore(storeName))
+      : transaction.objectStore(storeNames);
+
+    let request;
+    try {
+      request = operation(stores);
+    } catch (error) {
+      transaction.abort();
+      reject(error);
+      return;
+    }
+
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+};
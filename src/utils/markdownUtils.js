@@ -0,0 +1,395 @@
+/**
+ * Markdown Utilities
+ *
+ * Messages support a small markdown subset: **bold**, *italic*, ~~strike~~,
+ * `inline code`, ``` code blocks ```, lists, [links](https://…) and
+ * > block quotes. Text is parsed into plain nodes that components render
+ * with React, so message content can never inject HTML.
+ */
+
+import { parseMentions } from './mentionUtils';
+
+// Quotes inside quotes are only parsed this deep
+const MAX_QUOTE_DEPTH = 3;
+const SAFE_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+const FENCE_PATTERN = /^\s*```\s*([\w+#.-]*)\s*$/;
+const QUOTE_PATTERN = /^\s*> ?(.*)$/;
+const LIST_ITEM_PATTERN = /^\s*([-*+]|\d{1,9}[.)])\s+(.*)$/;
+
+// Alternatives are tried left to right at each position, so code spans and
+// mentions win over the emphasis markers they may contain
+const INLINE_PATTERN = new RegExp([
+  '\\\\([\\\\`*_~\\[\\]()>#+\\-.!|])',
+  '(`+)([\\s\\S]*?[^`])\\2(?!`)',
+  '@\\[([^\\]]+)\\]\\(([^)\\s]+)\\)',
+  '\\[([^\\]]+)\\]\\(([^)\\s]+)\\)',
+  '\\*\\*(?=\\S)([\\s\\S]*?\\S)\\*\\*(?!\\*)',
+  '~~(?=\\S)([\\s\\S]*?\\S)~~',
+  '\\*(?=[^\\s*])([\\s\\S]*?[^\\s*])\\*',
+  '(https?:\\/\\/[^\\s<]*[^\\s<.,:;!?"\'()\\]])'
+].join('|'), 'g');
+
+/**
+ * Check that a link target can't run script, e.g. javascript: URLs
+ * @param {string} url - Link target
+ * @returns {boolean} - Whether the link may be rendered
+ */
+export const isSafeUrl = (url) => {
+  try {
+    return SAFE_PROTOCOLS.includes(new URL(url).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Parse inline formatting
+ * @param {string} text - Text of a paragraph, list item or link label
+ * @param {boolean} allowLinks - False inside link labels, links can't be nested
+ * @returns {Array<Object>} - Nodes of { type: 'text' | 'code', text },
+ *   { type: 'mention', name, userId }, { type: 'link', href, children }
+ *   or { type: 'bold' | 'italic' | 'strike', children }
+ */
+export const parseInline = (text, allowLinks = true) => {
+  const nodes = [];
+  const pushText = (value) => {
+    if (!value) return;
+    const last = nodes[nodes.length - 1];
+    if (last?.type === 'text') {
+      last.text += value;
+    } else {
+      nodes.push({ type: 'text', text: value });
+    }
+  };
+
+  let lastIndex = 0;
+  for (const match of (text || '').matchAll(INLINE_PATTERN)) {
+    const [source, escaped, , code, mentionName, , label, href, bold, strike, italic, url] = match;
+    pushText(text.slice(lastIndex, match.index));
+    lastIndex = match.index + source.length;
+
+    if (escaped !== undefined) {
+      pushText(escaped);
+    } else if (code !== undefined) {
+      nodes.push({ type: 'code', text: code.trim() || code });
+    } else if (mentionName !== undefined) {
+      nodes.push(...parseMentions(source));
+    } else if (label !== undefined) {
+      if (allowLinks && isSafeUrl(href)) {
+        nodes.push({ type: 'link', href, children: parseInline(label, false) });
+      } else {
+        nodes.push(...parseInline(label, allowLinks));
+      }
+    } else if (bold !== undefined) {
+      nodes.push({ type: 'bold', children: parseInline(bold, allowLinks) });
+    } else if (strike !== undefined) {
+      nodes.push({ type: 'strike', children: parseInline(strike, allowLinks) });
+    } else if (italic !== undefined) {
+      nodes.push({ type: 'italic', children: parseInline(italic, allowLinks) });
+    } else if (allowLinks) {
+      nodes.push({ type: 'link', href: url, children: [{ type: 'text', text: url }] });
+    } else {
+      pushText(url);
+    }
+  }
+  pushText((text || '').slice(lastIndex));
+
+  return nodes;
+};
+
+/**
+ * Parse message text into blocks
+ * @param {string} content - Message text
+ * @param {number} depth - Quote nesting depth
+ * @returns {Array<Object>} - Blocks of { type: 'paragraph', children },
+ *   { type: 'code', language, code }, { type: 'list', ordered, start, items }
+ *   or { type: 'quote', children }
+ */
+export const parseMarkdown = (content, depth = 0) => {
+  const lines = (content || '').split(/\r?\n/);
+  const blocks = [];
+  let i = 0;
+
+  const isBlockStart = (line) => {
+    return FENCE_PATTERN.test(line) ||
+      LIST_ITEM_PATTERN.test(line) ||
+      (depth < MAX_QUOTE_DEPTH && QUOTE_PATTERN.test(line));
+  };
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const fence = FENCE_PATTERN.exec(line);
+
+    if (!line.trim()) {
+      i++;
+    } else if (fence) {
+      // An unclosed fence runs to the end of the message
+      const codeLines = [];
+      i++;
+      while (i < lines.length && !/^\s*```\s*$/.test(lines[i])) {
+        codeLines.push(lines[i]);
+        i++;
+      }
+      i++;
+      blocks.push({ type: 'code', language: fence[1].toLowerCase() || null, code: codeLines.join('\n') });
+    } else if (depth < MAX_QUOTE_DEPTH && QUOTE_PATTERN.test(line)) {
+      const quoteLines = [];
+      while (i < lines.length && QUOTE_PATTERN.test(lines[i])) {
+        quoteLines.push(QUOTE_PATTERN.exec(lines[i])[1]);
+        i++;
+      }
+      blocks.push({ type: 'quote', children: parseMarkdown(quoteLines.join('\n'), depth + 1) });
+    } else if (LIST_ITEM_PATTERN.test(line)) {
+      const first = LIST_ITEM_PATTERN.exec(line);
+      const ordered = /\d/.test(first[1]);
+      const items = [];
+      let item;
+      while (i < lines.length && (item = LIST_ITEM_PATTERN.exec(lines[i])) && /\d/.test(item[1]) === ordered) {
+        items.push(parseInline(item[2]));
+        i++;
+      }
+      blocks.push({ type: 'list', ordered, start: ordered ? parseInt(first[1], 10) : null, items });
+    } else {
+      // Line breaks inside a paragraph are kept, as people expect in chat
+      const paragraphLines = [line];
+      i++;
+      while (i < lines.length && lines[i].trim() && !isBlockStart(lines[i])) {
+        paragraphLines.push(lines[i]);
+        i++;
+      }
+      blocks.push({ type: 'paragraph', children: parseInline(paragraphLines.join('\n')) });
+    }
+  }
+
+  return blocks;
+};
+
+const inlineToText = (nodes) => {
+  return nodes.map(node => {
+    if (node.type === 'mention') return `@${node.name}`;
+    if (node.children) return inlineToText(node.children);
+    return node.text;
+  }).join('');
+};
+
+const blocksToText = (blocks) => {
+  return blocks.map(block => {
+    switch (block.type) {
+      case 'code':
+        return block.code;
+      case 'quote':
+        return blocksToText(block.children);
+      case 'list':
+        return block.items
+          .map((item, index) => `${block.ordered ? `${block.start + index}.` : '•'} ${inlineToText(item)}`)
+          .join('\n');
+      default:
+        return inlineToText(block.children);
+    }
+  }).join('\n');
+};
+
+/**
+ * Remove formatting and mention tokens, e.g. for previews and notifications
+ * @param {string} content - Message text
+ * @returns {string} - Readable plain text
+ */
+export const stripMarkdown = (content) => {
+  if (!content) return content;
+  return blocksToText(parseMarkdown(content));
+};
+
+const collectLinks = (nodes, links) => {
+  nodes.forEach(node => {
+    if (node.type === 'link') {
+      links.push(node.href);
+    } else if (node.children) {
+      collectLinks(node.children, links);
+    }
+  });
+};
+
+/**
+ * Get the links in message text, leaving out code
+ * @param {string} content - Message text
+ * @returns {Array<string>} - Link targets in order, without duplicates
+ */
+export const extractLinks = (content) => {
+  const links = [];
+  const visit = (blocks) => blocks.forEach(block => {
+    if (block.type === 'quote') {
+      visit(block.children);
+    } else if (block.type === 'list') {
+      block.items.forEach(item => collectLinks(item, links));
+    } else if (block.type === 'paragraph') {
+      collectLinks(block.children, links);
+    }
+  });
+
+  visit(parseMarkdown(content));
+  return [...new Set(links)];
+};
+
+const HASH_COMMENT_LANGUAGES = ['py', 'python', 'sh', 'bash', 'shell', 'zsh', 'rb', 'ruby', 'yaml', 'yml', 'r', 'perl', 'toml'];
+const DASH_COMMENT_LANGUAGES = ['sql', 'lua', 'haskell', 'hs'];
+
+// Keywords of the languages people commonly paste; one list is good enough for chat
+const KEYWORDS = new Set([
+  'abstract', 'and', 'as', 'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue',
+  'def', 'default', 'defer', 'del', 'do', 'elif', 'else', 'enum', 'except', 'export', 'extends',
+  'false', 'final', 'finally', 'fn', 'for', 'from', 'func', 'function', 'go', 'if', 'impl', 'implements',
+  'import', 'in', 'interface', 'is', 'lambda', 'let', 'match', 'mod', 'mut', 'new', 'nil', 'none',
+  'not', 'null', 'or', 'package', 'pass', 'private', 'protected', 'pub', 'public', 'raise', 'return',
+  'self', 'static', 'struct', 'super', 'switch', 'this', 'throw', 'throws', 'true', 'try', 'type',
+  'typeof', 'undefined', 'use', 'var', 'void', 'while', 'with', 'yield',
+  'select', 'insert', 'update', 'delete', 'where', 'join', 'on', 'group', 'by', 'order', 'into',
+  'values', 'set', 'create', 'table', 'limit', 'echo', 'then', 'fi', 'done', 'esac'
+]);
+
+/**
+ * Split code into tokens for syntax highlighting
+ * @param {string} code - Code block content
+ * @param {string} language - Language named after the opening fence (optional)
+ * @returns {Array<Object>} - Tokens of { type, text }, type being 'comment',
+ *   'string', 'number', 'keyword' or null for everything else
+ */
+export const highlightCode = (code, language = null) => {
+  let comments = '\\/\\/[^\\n]*|\\/\\*[\\s\\S]*?(?:\\*\\/|$)';
+  if (HASH_COMMENT_LANGUAGES.includes(language)) {
+    comments = '#[^\\n]*';
+  } else if (DASH_COMMENT_LANGUAGES.includes(language)) {
+    comments = '--[^\\n]*';
+  }
+
+  const pattern = new RegExp([
+    `(${comments})`,
+    '("(?:\\\\.|[^"\\\\\\n])*"?|\'(?:\\\\.|[^\'\\\\\\n])*\'?|`(?:\\\\.|[^`\\\\])*`?)',
+    '(\\b(?:0x[\\da-f]+|\\d+(?:\\.\\d+)?(?:e[+-]?\\d+)?)\\b)',
+    '([A-Za-z_$][\\w$]*)'
+  ].join('|'), 'gi');
+
+  const tokens = [];
+  const push = (type, text) => {
+    const last = tokens[tokens.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+    } else {
+      tokens.push({ type, text });
+    }
+  };
+
+  let lastIndex = 0;
+  for (const match of (code || '').matchAll(pattern)) {
+    const [source, comment, string, number, word] = match;
+    push(null, code.slice(lastIndex, match.index));
+    lastIndex = match.index + source.length;
+
+    if (comment !== undefined) {
+      push('comment', source);
+    } else if (string !== undefined) {
+      push('string', source);
+    } else if (number !== undefined) {
+      push('number', source);
+    } else {
+      push(KEYWORDS.has(word.toLowerCase()) && language !== 'json' ? 'keyword' : null, source);
+    }
+  }
+  push(null, (code || '').slice(lastIndex));
+
+  return tokens.filter(token => token.text);
+};
+
+const WRAP_MARKERS = {
+  bold: '**',
+  italic: '*',
+  strike: '~~',
+  code: '`'
+};
+
+const LINE_PREFIXES = {
+  bulletList: () => '- ',
+  numberedList: (index) => `${index + 1}. `,
+  quote: () => '> '
+};
+
+const LINE_PREFIX_PATTERNS = {
+  bulletList: /^[-*+] /,
+  numberedList: /^\d{1,9}[.)] /,
+  quote: /^> ?/
+};
+
+/**
+ * Apply a formatting toolbar action to the text being typed
+ *
+ * Inline formats wrap the selection (or unwrap it when it's already wrapped),
+ * line formats toggle a prefix on every selected line.
+ *
+ * @param {string} text - Input text
+ * @param {number} start - Selection start
+ * @param {number} end - Selection end
+ * @param {string} format - 'bold', 'italic', 'strike', 'code', 'codeBlock',
+ *   'link', 'bulletList', 'numberedList' or 'quote'
+ * @returns {Object} - { text, selectionStart, selectionEnd } after formatting
+ */
+export const applyFormat = (text, start, end, format) => {
+  const selected = text.slice(start, end);
+  const before = text.slice(0, start);
+  const after = text.slice(end);
+
+  if (WRAP_MARKERS[format]) {
+    const marker = WRAP_MARKERS[format];
+    if (before.endsWith(marker) && after.startsWith(marker)) {
+      return {
+        text: before.slice(0, -marker.length) + selected + after.slice(marker.length),
+        selectionStart: start - marker.length,
+        selectionEnd: end - marker.length
+      };
+    }
+    return {
+      text: before + marker + selected + marker + after,
+      selectionStart: start + marker.length,
+      selectionEnd: end + marker.length
+    };
+  }
+
+  if (format === 'link') {
+    const label = selected || 'link';
+    const prefix = `${before}[${label}](`;
+    return {
+      text: `${prefix}https://)${after}`,
+      selectionStart: prefix.length,
+      selectionEnd: prefix.length + 'https://'.length
+    };
+  }
+
+  if (format === 'codeBlock') {
+    const opening = `${before && !before.endsWith('\n') ? '\n' : ''}\`\`\`\n`;
+    const closing = `\n\`\`\`${after && !after.startsWith('\n') ? '\n' : ''}`;
+    return {
+      text: before + opening + selected + closing + after,
+      selectionStart: start + opening.length,
+      selectionEnd: end + opening.length
+    };
+  }
+
+  if (LINE_PREFIXES[format]) {
+    const lineStart = before.lastIndexOf('\n') + 1;
+    const nextBreak = text.indexOf('\n', end);
+    const lineEnd = nextBreak === -1 ? text.length : nextBreak;
+    const lines = text.slice(lineStart, lineEnd).split('\n');
+    const pattern = LINE_PREFIX_PATTERNS[format];
+    const formatted = lines.every(line => pattern.test(line))
+      ? lines.map(line => line.replace(pattern, ''))
+      : lines.map((line, index) => LINE_PREFIXES[format](index) + line);
+    const block = formatted.join('\n');
+
+    return {
+      text: text.slice(0, lineStart) + block + text.slice(lineEnd),
+      selectionStart: lineStart + block.length,
+      selectionEnd: lineStart + block.length
+    };
+  }
+
+  return { text, selectionStart: start, selectionEnd: end };
+};
@@ -0,0 +1,103 @@
+/**
+ * Mention Utilities
+ *
+ * Mentions are stored in message text as `@[Display name](userId)` tokens, so
+ * they travel inside the encrypted content like the rest of the message.
+ */
+
+const MENTION_PATTERN = /@\[([^\]]+)\]\(([^)\s]+)\)/g;
+
+/**
+ * Get the name a member is mentioned by
+ * @param {Object} member - Conversation member with userId and username/fullName
+ * @returns {string} - Display name, without characters that would break a token
+ */
+export const getMentionName = (member) => {
+  return (member.fullName || member.username || member.userId).replace(/[[\]()]/g, '');
+};
+
+/**
+ * Build the token for mentioning a user
+ * @param {Object} member - Conversation member with userId and username/fullName
+ * @returns {string} - Mention token
+ */
+export const formatMention = (member) => {
+  return `@[${getMentionName(member)}](${member.userId})`;
+};
+
+/**
+ * Turn the `@name` text of members picked from the autocomplete into tokens
+ * @param {string} text - Input text
+ * @param {Array<Object>} members - Members that were picked
+ * @returns {string} - Text with mention tokens
+ */
+export const encodeMentions = (text, members) => {
+  return members.reduce((result, member) => {
+    const name = getMentionName(member).replace(/[.*+?^${}|\\]/g, '\\$&');
+    const pattern = new RegExp(`(^|\\s)@${name}(?=$|[\\s.,!?:;])`, 'g');
+    return result.replace(pattern, (_, prefix) => `${prefix}${formatMention(member)}`);
+  }, text);
+};
+
+/**
+ * Split message text into plain text and mention segments
+ * @param {string} content - Message text
+ * @returns {Array<Object>} - Segments of { type: 'text', text } or { type: 'mention', name, userId }
+ */
+export const parseMentions = (content) => {
+  const segments = [];
+  if (!content) return segments;
+
+  let lastIndex = 0;
+  for (const match of content.matchAll(MENTION_PATTERN)) {
+    if (match.index > lastIndex) {
+      segments.push({ type: 'text', text: content.slice(lastIndex, match.index) });
+    }
+    segments.push({ type: 'mention', name: match[1], userId: match[2] });
+    lastIndex = match.index + match[0].length;
+  }
+
+  if (lastIndex < content.length) {
+    segments.push({ type: 'text', text: content.slice(lastIndex) });
+  }
+
+  return segments;
+};
+
+/**
+ * Get the IDs of every user mentioned in a message
+ * @param {string} content - Message text
+ * @returns {Array<string>} - Mentioned user IDs, without duplicates
+ */
+export const getMentionedUserIds = (content) => {
+  const ids = parseMentions(content)
+    .filter(segment => segment.type === 'mention')
+    .map(segment => segment.userId);
+  return [...new Set(ids)];
+};
+
+/**
+ * Replace mention tokens by readable `@name` text, e.g. for previews
+ * @param {string} content - Message text
+ * @returns {string} - Text without tokens
+ */
+export const toPlainText = (content) => {
+  if (!content) return content;
+  return content.replace(MENTION_PATTERN, (_, name) => `@${name}`);
+};
+
+/**
+ * Find the `@query` being typed just before the caret
+ * @param {string} text - Input text
+ * @param {number} caret - Caret position
+ * @returns {Object|null} - { query, start } or null if no mention is being typed
+ */
+export const getMentionQuery = (text, caret) => {
+  const match = /(^|\s)@([^\s@[\]]*)$/.exec(text.slice(0, caret));
+  if (!match) return null;
+
+  return {
+    query: match[2],
+    start: caret - match[2].length - 1
+  };
+};
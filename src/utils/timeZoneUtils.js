@@ -0,0 +1,154 @@
+/**
+ * Time Zone Utilities
+ *
+ * Scheduled messages are picked as a wall-clock time in a chosen time zone,
+ * such as 9:00 in the recipient's city, and sent to the server as an instant
+ * in UTC, so the time zone of the device that scheduled them never matters.
+ */
+
+// Time zones offered when the browser can't list the ones it supports
+const FALLBACK_TIME_ZONES = [
+  'UTC',
+  'America/Los_Angeles',
+  'America/Denver',
+  'America/Chicago',
+  'America/New_York',
+  'America/Sao_Paulo',
+  'Europe/London',
+  'Europe/Paris',
+  'Europe/Berlin',
+  'Europe/Moscow',
+  'Africa/Lagos',
+  'Asia/Dubai',
+  'Asia/Kolkata',
+  'Asia/Singapore',
+  'Asia/Shanghai',
+  'Asia/Tokyo',
+  'Australia/Sydney',
+  'Pacific/Auckland'
+];
+
+// Wall-clock value of a datetime-local input, e.g. 2024-05-01T09:00
+const LOCAL_VALUE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})$/;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Get the time zone of this device
+ * @returns {string} - IANA time zone name, e.g. Europe/Paris
+ */
+export const getLocalTimeZone = () => {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+};
+
+/**
+ * Get the time zones a message can be scheduled in
+ * @returns {Array<string>} - IANA time zone names, this device's one included
+ */
+export const getTimeZones = () => {
+  const timeZones = typeof Intl.supportedValuesOf === 'function'
+    ? Intl.supportedValuesOf('timeZone')
+    : FALLBACK_TIME_ZONES;
+  const local = getLocalTimeZone();
+  return timeZones.includes(local) ? timeZones : [local, ...timeZones];
+};
+
+/**
+ * Check whether a time zone is known to the browser
+ * @param {string} timeZone - IANA time zone name
+ * @returns {boolean} - Whether times can be converted in it
+ */
+export const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Wall-clock time in a time zone at an instant, as if that time were UTC
+const getWallClock = (timestamp, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(timestamp));
+  const get = (type) => Number(parts.find(part => part.type === type).value);
+
+  return Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+};
+
+// Offset of a time zone from UTC at an instant, in milliseconds
+const getOffset = (timestamp, timeZone) => {
+  const wholeSeconds = Math.floor(timestamp / 1000) * 1000;
+  return getWallClock(wholeSeconds, timeZone) - wholeSeconds;
+};
+
+/**
+ * Convert a wall-clock time in a time zone to the instant it happens
+ *
+ * Around daylight saving changes, a time skipped by the clocks moves forward
+ * by the change and a time that happens twice is taken the first time.
+ * @param {string} value - Wall-clock time as YYYY-MM-DDTHH:mm
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Date|null} - The instant, or null if the value can't be read
+ */
+export const zonedTimeToUtc = (value, timeZone) => {
+  const match = LOCAL_VALUE_PATTERN.exec(value || '');
+  if (!match || !isValidTimeZone(timeZone)) return null;
+
+  const [, year, month, day, hour, minute] = match.map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  if (Number.isNaN(wallClock)) return null;
+
+  // Clocks change at most once around a given time, so the offset is the one
+  // of the day before or the one of the day after; the offset from before the
+  // change is used for times that happen twice or not at all
+  const offsetBefore = getOffset(wallClock - DAY, timeZone);
+  const offsetAfter = getOffset(wallClock + DAY, timeZone);
+  const readsAs = (offset) => getWallClock(wallClock - offset, timeZone) === wallClock;
+
+  const offset = !readsAs(offsetBefore) && readsAs(offsetAfter) ? offsetAfter : offsetBefore;
+  return new Date(wallClock - offset);
+};
+
+/**
+ * Convert an instant to its wall-clock time in a time zone
+ * @param {Date|string|number} date - The instant
+ * @param {string} timeZone - IANA time zone name
+ * @returns {string} - Wall-clock time as YYYY-MM-DDTHH:mm, as datetime-local inputs take it
+ */
+export const toZonedInputValue = (date, timeZone) => {
+  const wallClock = new Date(getWallClock(new Date(date).getTime(), timeZone));
+
+  return `${wallClock.getUTCFullYear()}-${pad(wallClock.getUTCMonth() + 1)}-${pad(wallClock.getUTCDate())}` +
+    `T${pad(wallClock.getUTCHours())}:${pad(wallClock.getUTCMinutes())}`;
+};
+
+/**
+ * Format an instant as it reads in a time zone
+ * @param {Date|string|number} date - The instant
+ * @param {string} timeZone - IANA time zone name, this device's one if not given
+ * @returns {string} - E.g. "Wed, May 1, 9:00 AM GMT+2"
+ */
+export const formatInTimeZone = (date, timeZone = getLocalTimeZone()) => {
+  return new Intl.DateTimeFormat(undefined, {
+    timeZone,
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZoneName: 'short'
+  }).format(new Date(date));
+};
@@ -0,0 +1,117 @@
+/**
+ * Waveform Utilities
+ *
+ * Voice messages are drawn as a row of bars, one per slice of the recording,
+ * each as high as that slice is loud.
+ */
+
+// Number of bars drawn for a voice message
+export const WAVEFORM_BARS = 48;
+
+const getAudioContextClass = () => window.AudioContext || window.webkitAudioContext;
+
+/**
+ * Check whether audio can be decoded to draw its waveform
+ * @returns {boolean} - Whether Web Audio is available
+ */
+export const isWebAudioSupported = () => typeof window !== 'undefined' && Boolean(getAudioContextClass());
+
+/**
+ * Compute the loudness of each slice of a recording
+ * @param {Float32Array} samples - Samples of one channel, from -1 to 1
+ * @param {number} bars - Number of slices
+ * @returns {Array<number>} - Loudness of each slice from 0 to 1, the loudest being 1
+ */
+export const computeWaveform = (samples, bars = WAVEFORM_BARS) => {
+  const sliceLength = Math.floor(samples.length / bars);
+  if (sliceLength === 0) {
+    return new Array(bars).fill(0);
+  }
+
+  const levels = [];
+  for (let bar = 0; bar < bars; bar++) {
+    let sum = 0;
+    for (let i = bar * sliceLength; i < (bar + 1) * sliceLength; i++) {
+      sum += samples[i] * samples[i];
+    }
+    levels.push(Math.sqrt(sum / sliceLength));
+  }
+
+  const loudest = Math.max(...levels);
+  return levels.map(level => (loudest > 0 ? Math.round((level / loudest) * 100) / 100 : 0));
+};
+
+/**
+ * Shrink or stretch levels to a number of bars, e.g. levels sampled while recording
+ * @param {Array<number>} levels - Levels from 0 to 1
+ * @param {number} bars - Number of bars
+ * @returns {Array<number>} - Levels, one per bar
+ */
+export const resampleWaveform = (levels, bars = WAVEFORM_BARS) => {
+  if (levels.length === 0) {
+    return new Array(bars).fill(0);
+  }
+
+  return Array.from({ length: bars }, (_, bar) => {
+    const start = Math.floor((bar * levels.length) / bars);
+    const end = Math.max(start + 1, Math.floor(((bar + 1) * levels.length) / bars));
+    return Math.max(...levels.slice(start, end));
+  });
+};
+
+/**
+ * Decode audio and compute its waveform
+ * @param {ArrayBuffer} data - Encoded audio
+ * @param {number} bars - Number of bars
+ * @returns {Promise<Object>} - { waveform, duration } with the duration in seconds
+ */
+export const decodeWaveform = async (data, bars = WAVEFORM_BARS) => {
+  const AudioContextClass = getAudioContextClass();
+  const context = new AudioContextClass();
+
+  try {
+    const buffer = await new Promise((resolve, reject) => {
+      // Older Safari only supports the callback form
+      const result = context.decodeAudioData(data, resolve, reject);
+      result?.then?.(resolve, reject);
+    });
+
+    return {
+      waveform: computeWaveform(buffer.getChannelData(0), bars),
+      duration: buffer.duration
+    };
+  } finally {
+    context.close?.();
+  }
+};
+
+/**
+ * Read a waveform sent along with a voice message
+ * @param {Array<number>|string} value - Levels, or levels as JSON
+ * @returns {Array<number>|null} - Levels from 0 to 1, or null if the value isn't a waveform
+ */
+export const parseWaveform = (value) => {
+  let levels = value;
+  if (typeof value === 'string') {
+    try {
+      levels = JSON.parse(value);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  if (!Array.isArray(levels) || levels.length === 0 || levels.length > 512) {
+    return null;
+  }
+  return levels.map(level => Math.min(1, Math.max(0, Number(level) || 0)));
+};
+
+/**
+ * Format a duration as m:ss
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} - Formatted duration
+ */
+export const formatDuration = (seconds) => {
+  const total = Number.isFinite(seconds) && seconds > 0 ? Math.round(seconds) : 0;
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+};